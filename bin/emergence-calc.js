@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { readFileSync } from "node:fs";
+import { run } from "../src/cli/run.js";
+
+process.exitCode = run(process.argv.slice(2), {
+  stdout: process.stdout,
+  stderr: process.stderr,
+  readFile: (path) => readFileSync(path, "utf8"),
+});
@@ -1,7 +1,8 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useDeferredValue, useEffect, useEffectEvent, useMemo, useRef, useState } from "react";
 import {
-  LineChart,
+  ComposedChart,
   Line,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -9,28 +10,109 @@ import {
   Legend,
   ResponsiveContainer,
   ReferenceDot,
+  Scatter,
 } from "recharts";
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
-
-function safeInt(v, fallback) {
-  const n = Number.parseInt(String(v), 10);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function utf8ToB64(str) {
-  return window.btoa(unescape(encodeURIComponent(str)));
-}
-
-function b64ToUtf8(b64) {
-  return decodeURIComponent(escape(window.atob(b64)));
-}
+import {
+  TOPOLOGIES,
+  isTopology,
+  topoLabel,
+  DEFAULT_MODEL,
+  isModel,
+  getModel,
+  listModels,
+  modelParamSpecs,
+  modelDefaults,
+  sanitizeParams,
+  formatParams,
+  scenarioKey,
+  sampleAgents,
+  CHART_VIEWS,
+  chartView,
+  scenarioTerms,
+  buildSeriesRows,
+  MAX_SCENARIOS,
+  MAX_SAVED,
+  SCENARIO_SCHEMA,
+  sanitizeScenario,
+  sanitizeMitigations,
+  sanitizeComposite,
+  compositeTotal,
+  compositeMeanAutonomy,
+  formatComposite,
+  compositeContributions,
+  mitigationLabel,
+  unmitigatedScenario,
+  unmitigatedKey,
+  encodeShareQuery,
+  decodeShareLink,
+  MAX_ROSTER_GROUPS,
+  sanitizeRoster,
+  rosterTotal,
+  rosterMeanAutonomy,
+  formatRoster,
+  reorderGraph,
+  degreeOrder,
+  DEFAULT_UNCERTAINTY,
+  sanitizeUncertainty,
+  monteCarloSeries,
+  DEFAULT_BUDGET,
+  sanitizeBudget,
+  budgetCrossings,
+  DEFAULT_POLICY,
+  POLICY_LEVELS,
+  sanitizePolicy,
+  scenarioPolicy,
+  formatPolicy,
+  EXAMPLE_PLAN,
+  sanitizePlan,
+  parseObservations,
+  buildCsv,
+  GRAPH_METRICS,
+  metricsLimit,
+  metricSeries,
+  escapeHtml,
+  buildReportHtml,
+  finalRiskMultiple,
+  paramsByCurve,
+  modelsByCurve,
+  policyByCurve,
+  buildWorkspace,
+  readWorkspace,
+  mergeWorkspace,
+  MAX_SNAPSHOTS,
+  createHistory,
+  recordHistory,
+  amendHistory,
+  undoHistory,
+  redoHistory,
+  makeSnapshot,
+  readSnapshots,
+  diffWorkspaces,
+  clamp,
+  stableId,
+} from "./engine/index.js";
+import CustomGraphPanel from "./components/CustomGraphPanel.jsx";
+import CompositePanel from "./components/CompositePanel.jsx";
+import NetworkView from "./components/NetworkView.jsx";
+import MitigationPanel from "./components/MitigationPanel.jsx";
+import UncertaintyPanel from "./components/UncertaintyPanel.jsx";
+import SensitivityPanel from "./components/SensitivityPanel.jsx";
+import SweepPanel from "./components/SweepPanel.jsx";
+import CascadePanel from "./components/CascadePanel.jsx";
+import MetricsPanel from "./components/MetricsPanel.jsx";
+import BudgetPanel from "./components/BudgetPanel.jsx";
+import PolicyPanel from "./components/PolicyPanel.jsx";
+import HistoryPanel from "./components/HistoryPanel.jsx";
+import RolloutPanel from "./components/RolloutPanel.jsx";
+import CalibrationPanel from "./components/CalibrationPanel.jsx";
+import WorkspacePanel from "./components/WorkspacePanel.jsx";
+import ScenarioDiffTable from "./components/ScenarioDiffTable.jsx";
 
 function downloadTextFile(filename, text, mime) {
-  const blob = new Blob([text], { type: mime });
+  downloadBlob(filename, new Blob([text], { type: mime }));
+}
 
+function downloadBlob(filename, blob) {
   // Legacy / edge cases
   // eslint-disable-next-line no-undef
   if (typeof navigator !== "undefined" && navigator.msSaveOrOpenBlob) {
@@ -54,18 +136,76 @@ function downloadTextFile(filename, text, mime) {
   }, 800);
 }
 
-function stableId() {
-  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Standalone SVG of the Recharts chart inside `container`, with a title above
+ * and the legend (which Recharts renders as HTML) redrawn below. The pill
+ * label and threshold line are part of the chart SVG already.
+ * Returns { markup, width, height }, or null before the chart has rendered.
+ */
+function chartSvgMarkup(container, { title, legend }) {
+  const svg = container?.querySelector("svg.recharts-surface");
+  if (!svg) return null;
+  const box = svg.getBoundingClientRect();
+  const chartW = Math.round(box.width);
+  const chartH = Math.round(box.height);
+  const top = 36;
+  const rowH = 18;
+  const perRow = 3;
+  const height = top + chartH + 12 + Math.ceil(legend.length / perRow) * rowH;
+
+  const chart = svg.cloneNode(true);
+  chart.setAttribute("x", "0");
+  chart.setAttribute("y", String(top));
+  chart.setAttribute("width", String(chartW));
+  chart.setAttribute("height", String(chartH));
+  // Sizing styles from the page would override the attributes above.
+  chart.removeAttribute("style");
+
+  const colW = chartW / perRow;
+  const items = legend.map((item, idx) => {
+    const x = (idx % perRow) * colW + 16;
+    const y = top + chartH + 12 + Math.floor(idx / perRow) * rowH + 9;
+    const dash = item.dashed ? ' stroke-dasharray="6 4"' : "";
+    return (
+      `<line x1="${x}" y1="${y}" x2="${x + 18}" y2="${y}" stroke="${item.color}" stroke-width="2.5"${dash}/>` +
+      `<text x="${x + 24}" y="${y + 4}" font-size="11" fill="#334155">${escapeHtml(item.name)}</text>`
+    );
+  });
+
+  const markup = [
+    `<svg xmlns="${SVG_NS}" width="${chartW}" height="${height}" viewBox="0 0 ${chartW} ${height}" font-family="system-ui, -apple-system, sans-serif">`,
+    `<rect width="${chartW}" height="${height}" fill="#ffffff"/>`,
+    `<text x="16" y="22" font-size="14" font-weight="600" fill="#0f172a">${escapeHtml(title)}</text>`,
+    new XMLSerializer().serializeToString(chart),
+    ...items,
+    "</svg>",
+  ].join("");
+  return { markup, width: chartW, height };
 }
 
-const TOPOLOGIES = [
-  { value: "bounded", label: "Bounded degree (k)" },
-  { value: "mesh", label: "Full mesh" },
-  { value: "hub", label: "Hub-and-spoke" },
-  { value: "pipeline", label: "Pipeline" },
-];
+// Rasterises SVG markup on a canvas (at 2x for print) and downloads it as PNG.
+function downloadSvgAsPng(filename, { markup, width, height }, scale = 2) {
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => {
+      if (blob) downloadBlob(filename, blob);
+    }, "image/png");
+  };
+  img.src = url;
+}
 
-const TOPOLOGY_TIP = "Bounded: scalable default. Mesh: upper bound. Hub: control-plane focus. Pipeline: staged workflow.";
+const TOPOLOGY_TIP = "Bounded: scalable default. Mesh: upper bound. Hub: control-plane focus. Pipeline: staged workflow. Custom: your uploaded agent graph.";
+const ROSTER_TIP = "Define groups such as 40 agents at autonomy 3 and 5 at autonomy 9. Each edge uses the mean autonomy of the two agents it joins.";
 const AUTONOMY_TIP = "1 Observe, 2 Classify, 3 Recommend, 4 Plan, 5 Coordinate, 6 Decide, 7 Execute, 8 Operate, 9 Optimise, 10 Self-direct.";
 
 const TOPOLOGY_GUIDE = [
@@ -73,6 +213,8 @@ const TOPOLOGY_GUIDE = [
   { name: "Full mesh", when: "Stress test and upper bound.", why: "Everyone connects to everyone." },
   { name: "Hub-and-spoke", when: "Orchestrator or control-plane pattern.", why: "Central hub concentrates systemic risk." },
   { name: "Pipeline", when: "Stage-gated workflow.", why: "Minimal coupling, mostly downstream propagation." },
+  { name: "Custom graph", when: "Compare as built against as designed.", why: "Uses your real agent wiring, in the order agents join." },
+  { name: "Composite (clusters)", when: "Teams of agents with their own shapes.", why: "Few bridges keep risk mostly inside each cluster." },
 ];
 
 const AUTONOMY_GUIDE = [
@@ -88,169 +230,82 @@ const AUTONOMY_GUIDE = [
   { level: 10, label: "Self-direct", use: "Pursue goals with minimal intervention." },
 ];
 
-function edgesBoundedK(n, k) {
-  let edges = 0;
-  for (let i = 2; i <= n; i += 1) edges += Math.min(k, i - 1);
-  return edges;
-}
-
-function edgesFullMesh(n) {
-  return (n * (n - 1)) / 2;
-}
-
-function edgesHubAndSpoke(n, k) {
-  if (k <= 0) return 0;
-  let edges = 0;
-  for (let i = 2; i <= n; i += 1) {
-    const extra = Math.min(Math.max(0, k - 1), i - 2);
-    edges += 1 + extra;
-  }
-  return edges;
-}
-
-function edgesPipeline(n, k) {
-  if (k <= 0) return 0;
-  return Math.max(0, n - 1);
+function formatMultiple(m) {
+  return `${Math.round(m).toLocaleString()}x`;
 }
 
-function computeEdges(n, k, topology) {
-  switch (topology) {
-    case "mesh":
-      return edgesFullMesh(n);
-    case "hub":
-      return edgesHubAndSpoke(n, k);
-    case "pipeline":
-      return edgesPipeline(n, k);
-    case "bounded":
-    default:
-      return edgesBoundedK(n, k);
-  }
-}
+const SAVED_KEY = "agents_edges_saved_scenarios_v1";
+const SAVED_PLANS_KEY = "agents_edges_saved_plans_v1";
+const POLICY_KEY = "agents_edges_policy_v1";
+const SNAPSHOTS_KEY = "agents_edges_snapshots_v1";
 
-function riskLinear(n, r0) {
-  return n * r0;
-}
+// Changes that settle within this many ms are one undo step, so a slider drag undoes at once.
+const HISTORY_DELAY_MS = 500;
 
-function riskAgentsEdges({ n, k, topology, autonomyScore, r0, loadL, alpha, gamma }) {
-  const E = computeEdges(n, k, topology);
-  const A = autonomyScore;
-  const coupling = E * loadL * A;
-  return n * r0 + alpha * coupling + gamma * (coupling * coupling) / n;
+function buildShareUrl(state) {
+  const base = `${window.location.origin}${window.location.pathname}`;
+  return `${base}?${encodeShareQuery(state)}`;
 }
 
-function topoLabel(value) {
-  return TOPOLOGIES.find((t) => t.value === value)?.label || value;
+// "r0=1, L=1.3, …", prefixed with the model's name unless it is the default model.
+function modelSummary(model, params) {
+  const prefix = model && model !== DEFAULT_MODEL ? `${getModel(model).label}: ` : "";
+  return `${prefix}${formatParams(params, model)}`;
 }
 
-function scenarioToQuery(s) {
-  return {
-    id: s.id,
-    name: s.name,
-    n: s.n,
-    autonomy: s.autonomy,
-    k: s.k,
-    topology: s.topology,
-  };
+// Share state plus `notices` for anything the link had that could not be used.
+function readInitialStateFromUrl() {
+  const { state, notices } = decodeShareLink(window.location.search);
+  return { ...state, notices };
 }
 
-function formatMultiple(m) {
-  return `${Math.round(m).toLocaleString()}x`;
+function readSavedScenarios() {
+  try {
+    const raw = window.localStorage.getItem(SAVED_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.map((x) => sanitizeScenario(x, "Saved")).slice(0, MAX_SAVED);
+  } catch {
+    return [];
+  }
 }
 
-const DEFAULTS = {
-  r0: 1,
-  loadL: 1.3,
-  alpha: 0.3,
-  gamma: 0.12,
-};
-
-const NL = String.fromCharCode(13, 10);
-const SAVED_KEY = "agents_edges_saved_scenarios_v1";
-
-function buildShareUrl({ n, autonomy, k, topology, scenarios }) {
-  const params = new URLSearchParams();
-  params.set("n", String(n));
-  params.set("a", String(autonomy));
-  params.set("k", String(k));
-  params.set("t", String(topology));
-
-  if (scenarios?.length) {
-    const payload = JSON.stringify(scenarios.map(scenarioToQuery));
-    params.set("sc", utf8ToB64(payload));
+function readSavedPlans() {
+  try {
+    const raw = window.localStorage.getItem(SAVED_PLANS_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.map((x) => sanitizePlan(x, "Saved plan")).slice(0, MAX_SAVED);
+  } catch {
+    return [];
   }
-
-  const base = `${window.location.origin}${window.location.pathname}`;
-  return `${base}?${params.toString()}`;
 }
 
-function readInitialStateFromUrl() {
-  const params = new URLSearchParams(window.location.search);
-
-  const n = clamp(safeInt(params.get("n"), 30), 1, 200);
-  const autonomy = clamp(safeInt(params.get("a"), 5), 1, 10);
-  const k = clamp(safeInt(params.get("k"), 3), 0, n - 1);
-
-  const topologyRaw = params.get("t") || "bounded";
-  const topology = TOPOLOGIES.some((t) => t.value === topologyRaw) ? topologyRaw : "bounded";
-
-  let scenarios = [];
-  const sc = params.get("sc");
-  if (sc) {
-    try {
-      const parsed = JSON.parse(b64ToUtf8(sc));
-      if (Array.isArray(parsed)) {
-        scenarios = parsed
-          .map((x) => ({
-            id: String(x.id || stableId()),
-            name: String(x.name || "Scenario"),
-            n: clamp(safeInt(x.n, 30), 1, 200),
-            autonomy: clamp(safeInt(x.autonomy, 5), 1, 10),
-            k: clamp(safeInt(x.k, 3), 0, 199),
-            topology: TOPOLOGIES.some((t) => t.value === x.topology) ? x.topology : "bounded",
-          }))
-          .slice(0, 8);
-      }
-    } catch {
-      scenarios = [];
-    }
+function readSavedPolicy() {
+  try {
+    const raw = window.localStorage.getItem(POLICY_KEY);
+    return raw ? sanitizePolicy(JSON.parse(raw)) : DEFAULT_POLICY;
+  } catch {
+    return DEFAULT_POLICY;
   }
-
-  scenarios = scenarios.map((s) => ({ ...s, k: clamp(s.k, 0, s.n - 1) }));
-
-  return { n, autonomy, k, topology, scenarios };
 }
 
-function buildCsv({ rows, scenarioKeys }) {
-  const header = [
-    "agents",
-    "baseline_linear",
-    "current_connected",
-    "current_multiple",
-    ...scenarioKeys.flatMap((sk) => [`${sk}_connected`, `${sk}_multiple`]),
-  ];
-
-  const lines = [header.join(",")];
-
-  for (const r of rows) {
-    const baseline = r.baseline;
-    const current = r.current;
-    const currentMultiple = baseline > 0 && current != null ? current / baseline : "";
-
-    const cols = [r.agents, baseline, current ?? "", currentMultiple];
-
-    for (const sk of scenarioKeys) {
-      const v = r[sk];
-      if (v == null || !Number.isFinite(v)) {
-        cols.push("", "");
-      } else {
-        cols.push(v, baseline > 0 ? v / baseline : "");
-      }
-    }
-
-    lines.push(cols.join(","));
+function readSavedSnapshots() {
+  try {
+    const raw = window.localStorage.getItem(SNAPSHOTS_KEY);
+    return raw ? readSnapshots(JSON.parse(raw)) : [];
+  } catch {
+    return [];
   }
+}
 
-  return lines.join(NL);
+// Text fields keep their own undo; the app's shortcuts apply everywhere else, sliders included.
+function isTextEntry(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === "TEXTAREA") return true;
+  return el.tagName === "INPUT" && !["range", "checkbox", "radio", "button", "submit", "file", "color"].includes(el.type);
 }
 
 function hslColorForIndex(idx) {
@@ -307,10 +362,18 @@ function InfoIcon({ title }) {
   );
 }
 
-function CustomTooltip({ active, payload, label }) {
+// `measure` is the chart view's measure: values are risk, multiples or marginal risk.
+// `r0ByKey` maps curve keys (and their unmitigated pairs) to each curve's r0, so
+// a curve's multiple uses its own baseline; other lines use the chart's baseline.
+function CustomTooltip({ active, payload, label, measure = "risk", r0ByKey = {} }) {
   if (!active || !payload?.length) return null;
 
-  const baseline = payload.find((p) => p.dataKey === "baseline")?.value;
+  const chartBaseline = payload.find((p) => p.dataKey === "baseline")?.value;
+  const baselineOf = (dataKey) => {
+    const r0 = r0ByKey[String(dataKey).replace(/_p50$/, "")];
+    if (r0 == null) return chartBaseline;
+    return measure === "marginal" ? r0 : Number(label) * r0;
+  };
 
   return (
     <div className="rounded-xl bg-white p-3 text-xs shadow-lg ring-1 ring-slate-200">
@@ -320,7 +383,11 @@ function CustomTooltip({ active, payload, label }) {
           .filter((p) => p.value != null)
           .map((p) => {
             const v = p.value;
-            const mult = baseline && baseline > 0 && p.dataKey !== "baseline" ? v / baseline : null;
+            const range = Array.isArray(v) ? v : null;
+            const secondary = p.dataKey === "metric";
+            const baseline = baselineOf(p.dataKey);
+            const mult = !range && !secondary && measure !== "multiple" && baseline > 0 && p.dataKey !== "baseline" ? v / baseline : null;
+            const fmt = (x) => (measure === "multiple" && !secondary ? `${x.toFixed(2)}x` : x.toFixed(2));
             return (
               <div key={p.dataKey} className="flex items-center justify-between gap-4">
                 <div className="flex items-center gap-2">
@@ -328,7 +395,7 @@ function CustomTooltip({ active, payload, label }) {
                   <span className="text-slate-700">{p.name}</span>
                 </div>
                 <div className="text-right tabular-nums text-slate-900">
-                  {Number.isFinite(v) ? v.toFixed(2) : ""}
+                  {range ? `${fmt(range[0])} – ${fmt(range[1])}` : Number.isFinite(v) ? fmt(v) : ""}
                   {mult != null ? <span className="ml-2 font-semibold text-slate-700">({formatMultiple(mult)})</span> : null}
                 </div>
               </div>
@@ -339,7 +406,7 @@ function CustomTooltip({ active, payload, label }) {
   );
 }
 
-function RiskMultiplePillLabel({ x, y, text }) {
+function RiskMultiplePillLabel({ x, y, text, color = "#0f172a" }) {
   const px = Number(x);
   const py = Number(y);
   if (!Number.isFinite(px) || !Number.isFinite(py)) return null;
@@ -361,7 +428,7 @@ function RiskMultiplePillLabel({ x, y, text }) {
 
   return (
     <g style={{ pointerEvents: "none" }}>
-      <rect x={rectX} y={rectY} width={w} height={h} rx={10} ry={10} fill="#0f172a" opacity={0.95} />
+      <rect x={rectX} y={rectY} width={w} height={h} rx={10} ry={10} fill={color} opacity={0.95} />
       <text x={textX} y={py} textAnchor="middle" dominantBaseline="middle" fontSize={fontSize} fill="#ffffff" fontWeight={700}>
         {labelText}
       </text>
@@ -370,138 +437,345 @@ function RiskMultiplePillLabel({ x, y, text }) {
 }
 
 export default function AgentsEdgesRiskCurveApp() {
-  const initial = useRef(null);
-  if (initial.current == null && typeof window !== "undefined") {
-    initial.current = readInitialStateFromUrl();
-  }
-
-  const [nAgents, setNAgents] = useState(initial.current?.n ?? 30);
-  const [autonomy, setAutonomy] = useState(initial.current?.autonomy ?? 5);
-  const [k, setK] = useState(initial.current?.k ?? 3);
-  const [topology, setTopology] = useState(initial.current?.topology ?? "bounded");
-  const [scenarios, setScenarios] = useState(initial.current?.scenarios ?? []);
-
-  const [savedScenarios, setSavedScenarios] = useState([]);
-
-  const safeN = clamp(Number(nAgents) || 1, 1, 200);
-  const safeAutonomy = clamp(Number(autonomy) || 1, 1, 10);
+  const [initial] = useState(() => (typeof window !== "undefined" ? readInitialStateFromUrl() : null));
+
+  const [nAgents, setNAgents] = useState(initial?.n ?? 30);
+  const [autonomy, setAutonomy] = useState(initial?.autonomy ?? 5);
+  const [k, setK] = useState(initial?.k ?? 3);
+  const [topology, setTopology] = useState(initial?.topology ?? "bounded");
+  const [model, setModel] = useState(initial?.model ?? DEFAULT_MODEL);
+  const [modelParams, setModelParams] = useState(initial?.modelParams ?? modelDefaults(DEFAULT_MODEL));
+  const [roster, setRoster] = useState(initial?.roster ?? []);
+  const [graphSource, setGraphSource] = useState(initial?.graph ?? null);
+  const [composite, setComposite] = useState(initial?.composite ?? null);
+  const [mitigations, setMitigations] = useState(initial?.mitigations ?? []);
+  const [graphOrder, setGraphOrder] = useState("insertion");
+  const [graphOrderText, setGraphOrderText] = useState("");
+  const [uncertainty, setUncertainty] = useState(initial?.uncertainty ?? DEFAULT_UNCERTAINTY);
+  const [budget, setBudget] = useState(initial?.budget ?? DEFAULT_BUDGET);
+  // A link with policy bands on overrides the policy kept in this browser.
+  const [policy, setPolicy] = useState(() => (initial?.policy?.enabled ? initial.policy : typeof window !== "undefined" ? readSavedPolicy() : DEFAULT_POLICY));
+  const [scenarios, setScenarios] = useState(initial?.scenarios ?? []);
+
+  const [savedScenarios, setSavedScenarios] = useState(() => (typeof window !== "undefined" ? readSavedScenarios() : []));
+  const [plan, setPlan] = useState(EXAMPLE_PLAN);
+  const [logX, setLogX] = useState(initial?.logX ?? false);
+  const [view, setView] = useState(initial?.view ?? "linear");
+  const [metricAxis, setMetricAxis] = useState("");
+  const [observationText, setObservationText] = useState("");
+  const chartRef = useRef(null);
+  const [linkNotices, setLinkNotices] = useState(initial?.notices ?? []);
+  const [savedPlans, setSavedPlans] = useState(() => (typeof window !== "undefined" ? readSavedPlans() : []));
+  const [snapshots, setSnapshots] = useState(() => (typeof window !== "undefined" ? readSavedSnapshots() : []));
+  const [lastDeleted, setLastDeleted] = useState(null);
+  const [history, setHistory] = useState(null);
+  // Set while an undo or redo is being applied, so the state it settles into replaces the step instead of adding one.
+  const adoptNext = useRef(false);
+
+  const parsedComposite = useMemo(() => sanitizeComposite(composite, SCENARIO_SCHEMA.n.max), [composite]);
+
+  const orderedGraph = useMemo(() => {
+    if (!graphSource) return { graph: null, unknown: [] };
+    if (graphOrder === "degree") return reorderGraph(graphSource, degreeOrder(graphSource));
+    if (graphOrder === "custom") return reorderGraph(graphSource, graphOrderText.split(/[\s,]+/));
+    return { graph: graphSource, unknown: [] };
+  }, [graphSource, graphOrder, graphOrderText]);
+
+  const safeTopology =
+    isTopology(topology) && (topology !== "custom" || orderedGraph.graph) && (topology !== "composite" || parsedComposite) ? topology : "bounded";
+  const safeGraph = safeTopology === "custom" ? orderedGraph.graph : null;
+  const safeComposite = safeTopology === "composite" ? parsedComposite : null;
+  const maxAgents = safeGraph ? safeGraph.nodes.length : SCENARIO_SCHEMA.n.max;
+
+  // Clusters set their own autonomy, so a composite leaves the roster unused.
+  const safeRoster = useMemo(() => (safeComposite ? [] : sanitizeRoster(roster, SCENARIO_SCHEMA.n.max)), [roster, safeComposite]);
+  const rosterActive = safeRoster.length > 0;
+  const countsFixed = rosterActive || safeComposite != null;
+
+  const safeN = clamp(
+    safeComposite ? compositeTotal(safeComposite) : rosterActive ? rosterTotal(safeRoster) : Number(nAgents) || 1,
+    SCENARIO_SCHEMA.n.min,
+    maxAgents
+  );
+  const safeAutonomy = safeComposite
+    ? Math.round(compositeMeanAutonomy(safeComposite))
+    : rosterActive
+      ? Math.round(rosterMeanAutonomy(safeRoster))
+      : clamp(Number(autonomy) || 1, SCENARIO_SCHEMA.autonomy.min, SCENARIO_SCHEMA.autonomy.max);
   const safeK = clamp(Number(k) || 0, 0, safeN - 1);
-  const safeTopology = TOPOLOGIES.some((t) => t.value === topology) ? topology : "bounded";
-
-  // Load saved scenarios from localStorage.
-  useEffect(() => {
-    try {
-      const raw = window.localStorage.getItem(SAVED_KEY);
-      if (!raw) return;
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        const cleaned = parsed
-          .map((x) => ({
-            id: String(x.id || stableId()),
-            name: String(x.name || "Saved"),
-            n: clamp(safeInt(x.n, 30), 1, 200),
-            autonomy: clamp(safeInt(x.autonomy, 5), 1, 10),
-            k: clamp(safeInt(x.k, 3), 0, 199),
-            topology: TOPOLOGIES.some((t) => t.value === x.topology) ? x.topology : "bounded",
-          }))
-          .map((s) => ({ ...s, k: clamp(s.k, 0, s.n - 1) }))
-          .slice(0, 20);
-        setSavedScenarios(cleaned);
-      }
-    } catch {
-      // ignore
-    }
-  }, []);
+  const safeModel = isModel(model) ? model : DEFAULT_MODEL;
+  // Switching models keeps the values of the parameters the two share.
+  const safeParams = useMemo(() => sanitizeParams(modelParams, safeModel), [modelParams, safeModel]);
+  const safeMitigations = useMemo(() => sanitizeMitigations(mitigations), [mitigations]);
+  const safeUncertainty = useMemo(() => sanitizeUncertainty(uncertainty), [uncertainty]);
+  const safeBudget = useMemo(() => sanitizeBudget(budget), [budget]);
+  const safePolicy = useMemo(() => sanitizePolicy(policy), [policy]);
+
+  const shareState = useMemo(
+    () => ({
+      n: safeN,
+      autonomy: safeAutonomy,
+      k: safeK,
+      topology: safeTopology,
+      model: safeModel,
+      modelParams: safeParams,
+      roster: safeRoster,
+      graph: safeGraph,
+      composite: safeComposite,
+      mitigations: safeMitigations,
+      uncertainty: safeUncertainty,
+      budget: safeBudget,
+      policy: safePolicy,
+      view,
+      logX,
+      scenarios,
+    }),
+    [safeN, safeAutonomy, safeK, safeTopology, safeModel, safeParams, safeRoster, safeGraph, safeComposite, safeMitigations, safeUncertainty, safeBudget, safePolicy, view, logX, scenarios]
+  );
 
   // Keep URL in sync for sharing.
   useEffect(() => {
-    const url = buildShareUrl({
+    window.history.replaceState(null, "", buildShareUrl(shareState));
+  }, [shareState]);
+
+  const scenarioLineKeys = useMemo(() => scenarios.map(scenarioKey), [scenarios]);
+
+  const currentScenario = useMemo(
+    () => ({
       n: safeN,
       autonomy: safeAutonomy,
       k: safeK,
       topology: safeTopology,
-      scenarios,
-    });
-    window.history.replaceState(null, "", url);
-  }, [safeN, safeAutonomy, safeK, safeTopology, scenarios]);
+      model: safeModel,
+      params: safeParams,
+      roster: safeRoster,
+      graph: safeGraph,
+      composite: safeComposite,
+      mitigations: safeMitigations,
+    }),
+    [safeN, safeAutonomy, safeK, safeTopology, safeModel, safeParams, safeRoster, safeGraph, safeComposite, safeMitigations]
+  );
+
+  // The whole workspace as a workspace file: the unit of undo steps and snapshots.
+  const workspaceFile = useMemo(
+    () =>
+      buildWorkspace({
+        current: currentScenario,
+        scenarios,
+        savedScenarios,
+        savedPlans,
+        settings: { view, logX, uncertainty: safeUncertainty, budget: safeBudget, policy: safePolicy },
+      }),
+    [currentScenario, scenarios, savedScenarios, savedPlans, view, logX, safeUncertainty, safeBudget, safePolicy]
+  );
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const adopt = adoptNext.current;
+      adoptNext.current = false;
+      setHistory((h) => (!h ? createHistory(workspaceFile) : adopt ? amendHistory(h, workspaceFile) : recordHistory(h, workspaceFile)));
+    }, HISTORY_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [workspaceFile]);
+
+  // Chart work follows a deferred copy of the current curve, so sliders stay
+  // responsive with large n and many pinned scenarios.
+  const deferredCurrent = useDeferredValue(currentScenario);
+
+  // Calibration observations, plotted as points on the risk view.
+  const calibration = useMemo(() => parseObservations(observationText), [observationText]);
 
   const maxN = useMemo(() => {
     const scenarioMax = scenarios.reduce((m, s) => Math.max(m, s.n), 0);
-    return Math.max(safeN, scenarioMax, 1);
-  }, [safeN, scenarios]);
-
-  const scenarioLineKeys = useMemo(() => scenarios.map((s) => `s_${s.id}`), [scenarios]);
-
-  const chartRows = useMemo(() => {
-    const rows = [];
-    const scenarioByKey = new Map();
-    scenarios.forEach((s) => scenarioByKey.set(`s_${s.id}`, s));
-
-    for (let i = 1; i <= maxN; i += 1) {
-      const baseline = riskLinear(i, DEFAULTS.r0);
-
-      const current = i <= safeN
-        ? riskAgentsEdges({
-            n: i,
-            k: safeK,
-            topology: safeTopology,
-            autonomyScore: safeAutonomy,
-            ...DEFAULTS,
-          })
-        : null;
-
-      const row = { agents: i, baseline, current };
-
-      for (const key of scenarioLineKeys) {
-        const s = scenarioByKey.get(key);
-        row[key] = i <= s.n
-          ? riskAgentsEdges({
-              n: i,
-              k: clamp(s.k, 0, s.n - 1),
-              topology: s.topology,
-              autonomyScore: s.autonomy,
-              ...DEFAULTS,
-            })
-          : null;
+    const observedMax = calibration.observations.reduce((m, o) => Math.max(m, o.n), 0);
+    return Math.max(deferredCurrent.n, scenarioMax, observedMax, 1);
+  }, [deferredCurrent, scenarios, calibration]);
+
+  // The chart plots exact values at a few hundred sampled n; the CSV export has every n.
+  const plotAgents = useMemo(
+    () => sampleAgents(maxN, { log: logX, include: [deferredCurrent.n] }),
+    [maxN, logX, deferredCurrent]
+  );
+
+  const viewSpec = chartView(view);
+
+  const chartRows = useMemo(
+    () => buildSeriesRows(deferredCurrent, scenarios, { agents: plotAgents, measure: viewSpec.measure, unmitigated: true }),
+    [deferredCurrent, scenarios, plotAgents, viewSpec.measure]
+  );
+
+  // Graph metric for the secondary axis, on the current curve only, at up to 40 of
+  // the plotted n within metricsLimit.
+  const metricSpec = GRAPH_METRICS.find((m) => m.key === metricAxis) ?? null;
+  const metricLimit = useMemo(() => (metricSpec ? metricsLimit(deferredCurrent) : 0), [metricSpec, deferredCurrent]);
+  const metricRows = useMemo(() => {
+    if (!metricSpec) return null;
+    const within = plotAgents.filter((i) => i <= metricLimit);
+    const step = Math.ceil(within.length / 40);
+    return metricSeries(
+      deferredCurrent,
+      within.filter((_, idx) => idx % step === 0 || idx === within.length - 1)
+    );
+  }, [metricSpec, metricLimit, plotAgents, deferredCurrent]);
+
+  // Monte Carlo bands per curve, keyed like the chart columns.
+  // Bands cover risk and multiples; there is no band for marginal risk.
+  const bands = useMemo(() => {
+    if (!safeUncertainty.enabled || viewSpec.measure === "marginal") return null;
+    const opts = { agents: plotAgents };
+    const out = { current: monteCarloSeries(deferredCurrent, safeUncertainty, opts) };
+    for (const s of scenarios) out[scenarioKey(s)] = monteCarloSeries(s, safeUncertainty, opts);
+    return out;
+  }, [safeUncertainty, deferredCurrent, scenarios, plotAgents, viewSpec.measure]);
+
+  // Chart rows plus `<key>_band` ([P10, P90]) and `<key>_p50` columns when bands
+  // are on, a `budget` threshold column in budget mode and a `metric` column for
+  // the secondary axis. The log view drops values a log axis cannot show.
+  const showBudgetLine = safeBudget.enabled && viewSpec.measure !== "marginal";
+  const chartData = useMemo(() => {
+    if (!bands && !showBudgetLine && !viewSpec.log && !metricRows) return chartRows;
+    const multiples = viewSpec.measure === "multiple";
+    const r0 = deferredCurrent.params.r0;
+    const bandsByAgents = Object.entries(bands || {}).map(([key, series]) => [key, new Map(series.map((b) => [b.agents, b]))]);
+    const metricByAgents = new Map((metricRows ?? []).map((m) => [m.agents, m[metricSpec.key]]));
+    return chartRows.map((row) => {
+      const next = { ...row };
+      for (const [key, byAgents] of bandsByAgents) {
+        const b = byAgents.get(row.agents);
+        next[`${key}_band`] = b ? (multiples ? [b.multipleP10, b.multipleP90] : [b.p10, b.p90]) : null;
+        next[`${key}_p50`] = b ? (multiples ? b.multipleP50 : b.p50) : null;
       }
+      if (showBudgetLine) {
+        const riskCeiling = safeBudget.mode === "absolute" ? safeBudget.value : safeBudget.value * row.agents * r0;
+        next.budget = multiples ? (r0 > 0 ? riskCeiling / (row.agents * r0) : null) : riskCeiling;
+      }
+      if (viewSpec.log) {
+        for (const [key, v] of Object.entries(next)) if (key !== "agents" && typeof v === "number" && !(v > 0)) next[key] = null;
+      }
+      if (metricRows) next.metric = metricByAgents.get(row.agents) ?? null;
+      return next;
+    });
+  }, [chartRows, bands, showBudgetLine, safeBudget, viewSpec, deferredCurrent, metricRows, metricSpec]);
 
-      rows.push(row);
-    }
+  const observedPoints = useMemo(() => {
+    if (viewSpec.measure !== "risk") return [];
+    return calibration.observations.filter((o) => !viewSpec.log || o.rate > 0).map((o) => ({ agents: o.n, observed: o.rate }));
+  }, [calibration, viewSpec]);
+
+  const crossings = useMemo(
+    () => (safeBudget.enabled ? budgetCrossings(deferredCurrent, scenarios, safeBudget) : {}),
+    [safeBudget, deferredCurrent, scenarios]
+  );
+
+  const curveNames = useMemo(() => {
+    const out = { current: "Current" };
+    scenarios.forEach((s, idx) => {
+      out[scenarioKey(s)] = s.name || `Scenario ${idx + 1}`;
+    });
+    return out;
+  }, [scenarios]);
+
+  // Curves with mitigations, drawn again dashed without them.
+  const unmitigatedCurves = useMemo(
+    () =>
+      [{ key: "current", scenario: deferredCurrent }, ...scenarios.map((s) => ({ key: scenarioKey(s), scenario: s }))]
+        .map((c, idx) => ({ ...c, idx }))
+        .filter((c) => unmitigatedScenario(c.scenario))
+        .map((c) => ({ key: unmitigatedKey(c.key), name: `${curveNames[c.key]} (unmitigated)`, color: hslColorForIndex(c.idx) })),
+    [deferredCurrent, scenarios, curveNames]
+  );
+
+  const finalBand = bands ? bands.current.find((b) => b.agents === deferredCurrent.n) : null;
+
+  const compareCurves = useMemo(
+    () => [
+      { key: "current", name: "Current", color: hslColorForIndex(0), scenario: deferredCurrent },
+      ...scenarios.map((s, idx) => ({ key: scenarioKey(s), name: s.name || `Scenario ${idx + 1}`, color: hslColorForIndex(idx + 1), scenario: s })),
+    ],
+    [deferredCurrent, scenarios]
+  );
 
-    return rows;
-  }, [maxN, safeN, safeK, safeTopology, safeAutonomy, scenarios, scenarioLineKeys]);
+  // Each curve rated against the policy bands at its own n, current first.
+  const policyResults = useMemo(
+    () => (safePolicy.enabled ? compareCurves.map((c) => ({ key: c.key, name: c.name, ...scenarioPolicy(c.scenario, safePolicy) })) : []),
+    [safePolicy, compareCurves]
+  );
+  const currentPolicy = policyResults[0] ?? null;
+
+  // Each curve's r0 for the tooltip's multiples, under its own key and its unmitigated pair's.
+  const r0ByKey = useMemo(() => {
+    const out = {};
+    for (const c of compareCurves) {
+      const r0 = sanitizeParams(c.scenario.params, c.scenario.model).r0;
+      out[c.key] = r0;
+      out[unmitigatedKey(c.key)] = r0;
+    }
+    return out;
+  }, [compareCurves]);
 
-  const finalRow = chartRows[Math.min(safeN, chartRows.length) - 1] || { baseline: 0, current: 0 };
-  const finalBaseline = finalRow.baseline || 0;
-  const finalConnected = Number.isFinite(finalRow.current) ? finalRow.current : 0;
+  const finalConnected = useMemo(() => scenarioTerms(deferredCurrent).total, [deferredCurrent]);
+  const finalBaseline = deferredCurrent.n * deferredCurrent.params.r0;
   const finalMultiple = finalBaseline > 0 ? finalConnected / finalBaseline : 0;
+  const compositeBreakdown = useMemo(() => compositeContributions(deferredCurrent), [deferredCurrent]);
 
-  const yMax = useMemo(() => {
+  const [yMin, yMax] = useMemo(() => {
+    let min = Infinity;
     let max = 0;
-    for (const r of chartRows) {
-      if (Number.isFinite(r.baseline)) max = Math.max(max, r.baseline);
-      if (Number.isFinite(r.current)) max = Math.max(max, r.current);
-      for (const key of scenarioLineKeys) {
-        const v = r[key];
-        if (Number.isFinite(v)) max = Math.max(max, v);
+    const see = (v) => {
+      if (!Number.isFinite(v)) return;
+      max = Math.max(max, v);
+      if (v > 0) min = Math.min(min, v);
+    };
+    for (const r of chartData) {
+      see(r.baseline);
+      for (const key of ["current", ...scenarioLineKeys]) {
+        see(r[key]);
+        const band = r[`${key}_band`];
+        if (band) {
+          see(band[0]);
+          see(band[1]);
+        }
       }
     }
-    return max > 0 ? max : 1;
-  }, [chartRows, scenarioLineKeys]);
+    return [Number.isFinite(min) ? min : 1, max > 0 ? max : 1];
+  }, [chartData, scenarioLineKeys]);
+
+  // Chart data plus `policy_green`, `policy_amber` and `policy_red` ranges for the
+  // shaded policy bands at the current curve's autonomy. In the risk view a band
+  // is its multiples times n·r0; bands are clipped to the plotted y-range so
+  // they never stretch the axis.
+  const showPolicyBands = safePolicy.enabled && viewSpec.measure !== "marginal";
+  const plotData = useMemo(() => {
+    if (!showPolicyBands) return chartData;
+    const { amber, red } = currentPolicy;
+    const r0 = deferredCurrent.params.r0;
+    const floor = viewSpec.log ? yMin : 0;
+    const clip = (v) => Math.min(Math.max(v, floor), yMax);
+    const range = (lo, hi) => (clip(lo) < clip(hi) ? [clip(lo), clip(hi)] : null);
+    return chartData.map((row) => {
+      const scale = viewSpec.measure === "multiple" ? 1 : row.agents * r0;
+      return {
+        ...row,
+        policy_green: range(floor, amber * scale),
+        policy_amber: range(amber * scale, red * scale),
+        policy_red: range(red * scale, yMax),
+      };
+    });
+  }, [showPolicyBands, chartData, currentPolicy, deferredCurrent, viewSpec, yMin, yMax]);
 
-  // Place the risk label between the top of the y-range and the x-axis.
-  const riskLabelY = yMax * 0.65;
+  // Place the risk label between the top of the y-range and the x-axis (geometrically on a
+  // log axis). In the multiple view it sits on the current curve at n.
+  const riskLabelY =
+    viewSpec.measure === "multiple"
+      ? finalMultiple
+      : viewSpec.log
+        ? Math.pow(yMin, 0.35) * Math.pow(yMax, 0.65)
+        : yMax * 0.65;
 
   const shareUrl = useMemo(() => {
     if (typeof window === "undefined") return "";
-    return buildShareUrl({
-      n: safeN,
-      autonomy: safeAutonomy,
-      k: safeK,
-      topology: safeTopology,
-      scenarios,
-    });
-  }, [safeN, safeAutonomy, safeK, safeTopology, scenarios]);
+    return buildShareUrl(shareState);
+  }, [shareState]);
 
   function addScenario() {
     setScenarios((prev) => {
@@ -516,8 +790,14 @@ export default function AgentsEdgesRiskCurveApp() {
           autonomy: safeAutonomy,
           k: safeK,
           topology: safeTopology,
+          model: safeModel,
+          params: safeParams,
+          roster: safeRoster,
+          graph: safeGraph,
+          composite: safeComposite,
+          mitigations: safeMitigations,
         },
-      ].slice(0, 8);
+      ].slice(0, MAX_SCENARIOS);
     });
   }
 
@@ -526,6 +806,15 @@ export default function AgentsEdgesRiskCurveApp() {
     setAutonomy(s.autonomy);
     setK(s.k);
     setTopology(s.topology);
+    setModel(s.model ?? DEFAULT_MODEL);
+    setModelParams(s.params);
+    setRoster(s.roster ?? []);
+    setMitigations(s.mitigations ?? []);
+    if (s.composite) setComposite(s.composite);
+    if (s.graph) {
+      setGraphSource(s.graph);
+      setGraphOrder("insertion");
+    }
   }
 
   function persistSaved(list) {
@@ -546,9 +835,41 @@ export default function AgentsEdgesRiskCurveApp() {
       autonomy: s.autonomy,
       k: s.k,
       topology: s.topology,
+      model: s.model ?? DEFAULT_MODEL,
+      params: s.params,
+      roster: s.roster ?? [],
+      graph: s.graph ?? null,
+      composite: s.composite ?? null,
+      mitigations: s.mitigations ?? [],
     };
 
-    persistSaved([item, ...savedScenarios].slice(0, 20));
+    persistSaved([item, ...savedScenarios].slice(0, MAX_SAVED));
+  }
+
+  // Only edits in the policy panel are kept in this browser; a policy from a link or workspace stays in memory.
+  function persistPolicy(next) {
+    setPolicy(next);
+    try {
+      window.localStorage.setItem(POLICY_KEY, JSON.stringify(sanitizePolicy(next)));
+    } catch {
+      // ignore
+    }
+  }
+
+  function persistSavedPlans(list) {
+    setSavedPlans(list);
+    try {
+      window.localStorage.setItem(SAVED_PLANS_KEY, JSON.stringify(list));
+    } catch {
+      // ignore
+    }
+  }
+
+  function savePlan(p) {
+    // Re-saving a loaded plan replaces it; the editor keeps the saved id for that.
+    const item = { ...p, id: p.id || stableId() };
+    persistSavedPlans([item, ...savedPlans.filter((x) => x.id !== item.id)].slice(0, MAX_SAVED));
+    setPlan(item);
   }
 
   function applySaved(s) {
@@ -560,13 +881,27 @@ export default function AgentsEdgesRiskCurveApp() {
       const name = s.name || `Scenario ${prev.length + 1}`;
       return [
         ...prev,
-        { id: stableId(), name, n: s.n, autonomy: s.autonomy, k: s.k, topology: s.topology },
-      ].slice(0, 8);
+        { id: stableId(), name, n: s.n, autonomy: s.autonomy, k: s.k, topology: s.topology, model: s.model ?? DEFAULT_MODEL, params: s.params, roster: s.roster ?? [], graph: s.graph ?? null, composite: s.composite ?? null, mitigations: s.mitigations ?? [] },
+      ].slice(0, MAX_SCENARIOS);
     });
   }
 
-  function deleteSaved(id) {
-    persistSaved(savedScenarios.filter((x) => x.id !== id));
+  // Deleting is a step of its own in the undo history, and the last deletion can be put back from the saved list.
+  function deleteSaved(kind, item) {
+    if (history) setHistory(recordHistory(history, workspaceFile));
+    const list = kind === "plan" ? savedPlans : savedScenarios;
+    const persist = kind === "plan" ? persistSavedPlans : persistSaved;
+    setLastDeleted({ kind, item, index: list.findIndex((x) => x.id === item.id) });
+    persist(list.filter((x) => x.id !== item.id));
+  }
+
+  function restoreDeleted() {
+    const { kind, item, index } = lastDeleted;
+    const list = kind === "plan" ? savedPlans : savedScenarios;
+    const persist = kind === "plan" ? persistSavedPlans : persistSaved;
+    setLastDeleted(null);
+    if (list.some((x) => x.id === item.id)) return;
+    persist([...list.slice(0, index), item, ...list.slice(index)].slice(0, MAX_SAVED));
   }
 
   async function copyShareUrl() {
@@ -585,10 +920,210 @@ export default function AgentsEdgesRiskCurveApp() {
   }
 
   function exportCsv() {
-    const csv = buildCsv({ rows: chartRows, scenarioKeys: scenarioLineKeys });
+    const paramsByKey = paramsByCurve(currentScenario, scenarios);
+    const metrics = metricSeries(currentScenario, sampleAgents(metricsLimit(currentScenario), { maxPoints: 50, include: [currentScenario.n] }));
+    const modelsByKey = modelsByCurve(currentScenario, scenarios);
+    const policyByKey = safePolicy.enabled ? policyByCurve(currentScenario, scenarios, safePolicy) : undefined;
+    const csv = buildCsv({ rows: buildSeriesRows(currentScenario, scenarios), scenarioKeys: scenarioLineKeys, paramsByKey, modelsByKey, metrics, policyByKey });
     downloadTextFile("emergence-risk-calculator.csv", csv, "text/csv;charset=utf-8");
   }
 
+  function exportWorkspace() {
+    const workspace = buildWorkspace({
+      current: currentScenario,
+      scenarios,
+      savedScenarios,
+      savedPlans,
+      settings: { view, logX, uncertainty: safeUncertainty, budget: safeBudget, policy: safePolicy },
+    });
+    downloadTextFile("emergence-risk-workspace.json", JSON.stringify(workspace, null, 2), "application/json;charset=utf-8");
+  }
+
+  function applyWorkspace(incoming, mode) {
+    const mine = {
+      current: currentScenario,
+      modelParams: safeParams,
+      settings: { view, logX, uncertainty: safeUncertainty, budget: safeBudget, policy: safePolicy },
+      scenarios,
+      savedScenarios,
+      savedPlans,
+    };
+    const { workspace, dropped } = mergeWorkspace(mine, incoming, mode);
+    // A scenario-only file (CSV or a bare list) leaves the controls and settings as they are.
+    if (mode === "replace" && incoming.current) {
+      loadScenario(workspace.current);
+      setView(workspace.settings.view);
+      setLogX(workspace.settings.logX);
+      setUncertainty(workspace.settings.uncertainty);
+      setBudget(workspace.settings.budget);
+      setPolicy(workspace.settings.policy);
+    }
+    setScenarios(workspace.scenarios);
+    persistSaved(workspace.savedScenarios);
+    persistSavedPlans(workspace.savedPlans);
+    return dropped;
+  }
+
+  // Applies a workspace file from the undo history or a snapshot in full.
+  function restoreWorkspace(file) {
+    const { workspace } = readWorkspace(file);
+    if (!workspace?.current) return;
+    setLastDeleted(null);
+    applyWorkspace(workspace, "replace");
+  }
+
+  function stepHistory(step) {
+    if (!history) return;
+    // A change still waiting for its step is recorded first, so it is the one undone.
+    const recorded = recordHistory(history, workspaceFile);
+    const next = step(recorded);
+    if (next === recorded) return;
+    adoptNext.current = true;
+    setHistory(next);
+    restoreWorkspace(next.present);
+  }
+
+  function undo() {
+    stepHistory(undoHistory);
+  }
+
+  function redo() {
+    stepHistory(redoHistory);
+  }
+
+  function persistSnapshots(list) {
+    setSnapshots(list);
+    try {
+      window.localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(list));
+    } catch {
+      // ignore
+    }
+  }
+
+  function takeSnapshot(name) {
+    persistSnapshots([makeSnapshot(name, workspaceFile), ...snapshots].slice(0, MAX_SNAPSHOTS));
+  }
+
+  function restoreSnapshot(snapshot) {
+    // Restoring is a step of its own, so it can be undone.
+    if (history) setHistory(recordHistory(history, workspaceFile));
+    restoreWorkspace(snapshot.workspace);
+  }
+
+  // Reads the current undo and redo, so the shortcut listener is added only once.
+  const onHistoryKey = useEffectEvent((e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntry(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) redo();
+    else undo();
+  });
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      onHistoryKey(e);
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // What the next undo and redo would change, for the buttons' tooltips.
+  const undoPreview = useMemo(() => (history?.past.length ? diffWorkspaces(history.present, history.past[history.past.length - 1]) : []), [history]);
+  const redoPreview = useMemo(() => (history?.future.length ? diffWorkspaces(history.present, history.future[0]) : []), [history]);
+
+  function chartExport() {
+    const legend = [
+      { name: "Baseline (linear)", color: "#0f172a" },
+      { name: "Current (connected)", color: hslColorForIndex(0) },
+      ...scenarios.map((s, idx) => ({ name: s.name || `Scenario ${idx + 1}`, color: hslColorForIndex(idx + 1) })),
+      ...unmitigatedCurves.map((c) => ({ name: c.name, color: c.color, dashed: true })),
+      ...(showBudgetLine ? [{ name: "Budget", color: "#dc2626", dashed: true }] : []),
+      ...(showPolicyBands ? POLICY_LEVELS.map((level) => ({ name: `${level.label} band`, color: level.color })) : []),
+    ];
+    return chartSvgMarkup(chartRef.current, { title: `Emergence risk: ${viewSpec.label}`, legend });
+  }
+
+  function exportChartSvg() {
+    const svg = chartExport();
+    if (svg) downloadTextFile("emergence-risk-chart.svg", svg.markup, "image/svg+xml;charset=utf-8");
+  }
+
+  function exportChartPng() {
+    const svg = chartExport();
+    if (svg) downloadSvgAsPng("emergence-risk-chart.png", svg);
+  }
+
+  function exportReport() {
+    const curveRow = (s, name) => [
+      name,
+      s.n,
+      s.roster?.length ? formatRoster(s.roster) : s.autonomy,
+      s.k,
+      topoLabel(s.topology),
+      formatParams(s.params, s.model),
+      formatMultiple(finalRiskMultiple(s) ?? 0),
+      ...(safePolicy.enabled ? [scenarioPolicy(s, safePolicy).level?.status ?? "–"] : []),
+    ];
+    const html = buildReportHtml({
+      title: "Emergence risk report",
+      subtitle: `Generated ${new Date().toLocaleString()}. Chart view: ${viewSpec.label}${logX ? ", log x-axis" : ""}.`,
+      chartSvg: chartExport()?.markup,
+      shareUrl,
+      sections: [
+        {
+          heading: "Inputs",
+          half: true,
+          rows: [
+            ["Agents (n)", safeN.toLocaleString()],
+            ["Autonomy", rosterActive ? `${formatRoster(safeRoster)} (mean ${safeAutonomy})` : safeAutonomy],
+            ["K", safeGraph ? "from graph" : safeK],
+            ["Topology", topoLabel(safeTopology)],
+            ...(safeComposite ? [["Clusters", formatComposite(safeComposite)]] : []),
+            ["Mitigations", safeMitigations.length ? safeMitigations.map(mitigationLabel).join(", ") : "none"],
+            ...(safeGraph ? [["Custom graph", `${safeGraph.nodes.length} agents, ${safeGraph.edges.length} edges`]] : []),
+          ],
+        },
+        {
+          heading: "Model assumptions",
+          half: true,
+          rows: [
+            ["Model", `${getModel(safeModel).label}: ${getModel(safeModel).formula}`],
+            ...modelParamSpecs(safeModel).map((p) => [`${p.symbol}: ${p.help}`, safeParams[p.key]]),
+          ],
+        },
+        {
+          heading: "Key figures",
+          rows: [
+            [`Baseline at n=${safeN}`, finalBaseline.toFixed(2)],
+            [`Connected risk at n=${safeN}`, finalConnected.toFixed(2)],
+            ["Risk multiple", formatMultiple(finalMultiple)],
+            ...(finalBand
+              ? [["Risk multiple P10–P90", `${formatMultiple(finalBand.multipleP10)} – ${formatMultiple(finalBand.multipleP90)} (median ${formatMultiple(finalBand.multipleP50)})`]]
+              : []),
+            ...(safeBudget.enabled
+              ? [["Budget", crossings.current ? `exceeded from n=${crossings.current.agents}` : "within budget"]]
+              : []),
+            ...(currentPolicy
+              ? [
+                  ["Policy", `${currentPolicy.level ? `${currentPolicy.level.label} (${currentPolicy.level.status})` : "no multiple"} at A=${safeAutonomy}`],
+                  ["Policy bands", formatPolicy(safePolicy)],
+                ]
+              : []),
+          ],
+        },
+        {
+          heading: "Scenarios",
+          columns: ["Curve", "n", "Autonomy", "K", "Topology", "Parameters", "Risk multiple", ...(safePolicy.enabled ? ["Policy"] : [])],
+          rows: [curveRow(currentScenario, "Current"), ...scenarios.map((s, idx) => curveRow(s, s.name || `Scenario ${idx + 1}`))],
+        },
+        { heading: "Topology guidance", columns: ["Type", "Use when", "Why it matters"], rows: TOPOLOGY_GUIDE.map((r) => [r.name, r.when, r.why]) },
+        { heading: "Autonomy guidance", columns: ["Level", "Label", "Typical use"], rows: AUTONOMY_GUIDE.map((r) => [r.level, r.label, r.use]) },
+      ],
+    });
+    downloadTextFile("emergence-risk-report.html", html, "text/html;charset=utf-8");
+  }
+
   return (
     <div className="min-h-screen w-full bg-slate-50 text-slate-900">
       <div className="mx-auto max-w-6xl px-6 py-8">
@@ -599,38 +1134,56 @@ export default function AgentsEdgesRiskCurveApp() {
           </p>
         </div>
 
+        {linkNotices.length ? (
+          <div role="status" className="mb-4 rounded-2xl bg-amber-50 p-4 text-sm text-amber-900 ring-1 ring-amber-200">
+            <div className="flex items-start justify-between gap-3">
+              <div className="font-medium">This link was only partly readable. The rest of the view is shown as shared.</div>
+              <button onClick={() => setLinkNotices([])} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                Dismiss
+              </button>
+            </div>
+            <ul className="mt-2 list-disc pl-5 text-xs">
+              {linkNotices.map((m) => <li key={m}>{m}</li>)}
+            </ul>
+          </div>
+        ) : null}
+
         <div className="grid gap-4 md:grid-cols-4">
           <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
             <div className="text-sm font-medium">Number of agents</div>
             <div className="mt-2 flex items-center gap-3">
-              <input type="range" min={1} max={200} value={safeN} onChange={(e) => setNAgents(e.target.value)} className="w-full" />
-              <input type="number" min={1} max={200} value={safeN} onChange={(e) => setNAgents(e.target.value)} className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm" />
+              <input type="range" min={SCENARIO_SCHEMA.n.min} max={maxAgents} value={safeN} disabled={countsFixed} onChange={(e) => setNAgents(e.target.value)} className="w-full" />
+              <input type="number" min={SCENARIO_SCHEMA.n.min} max={maxAgents} value={safeN} disabled={countsFixed} onChange={(e) => setNAgents(e.target.value)} className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm" />
             </div>
-            <div className="mt-3 text-xs text-slate-500">Range: 1 to 200</div>
+            <div className="mt-3 text-xs text-slate-500">{safeComposite ? "Set by the clusters." : rosterActive ? "Set by the agent roster." : `Range: ${SCENARIO_SCHEMA.n.min} to ${maxAgents}`}</div>
           </div>
 
           <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
             <div className="text-sm font-medium flex items-center">Autonomy score (1 to 10) <InfoIcon title={AUTONOMY_TIP} /></div>
             <div className="mt-2 flex items-center gap-3">
-              <input type="range" min={1} max={10} value={safeAutonomy} onChange={(e) => setAutonomy(e.target.value)} className="w-full" />
-              <input type="number" min={1} max={10} value={safeAutonomy} onChange={(e) => setAutonomy(e.target.value)} className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm" />
+              <input type="range" min={1} max={10} value={safeAutonomy} disabled={countsFixed} onChange={(e) => setAutonomy(e.target.value)} className="w-full" />
+              <input type="number" min={1} max={10} value={safeAutonomy} disabled={countsFixed} onChange={(e) => setAutonomy(e.target.value)} className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm" />
             </div>
-            <div className="mt-3 text-xs text-slate-500">Higher autonomy increases effects authority and cascade intensity.</div>
+            <div className="mt-3 text-xs text-slate-500">{safeComposite
+                ? "Cluster mean shown; each cluster uses its own autonomy."
+                : rosterActive
+                  ? "Roster mean shown; each edge uses the autonomy of the agents it joins."
+                  : "Higher autonomy increases effects authority and cascade intensity."}</div>
           </div>
 
           <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
             <div className="text-sm font-medium">K (max connections per new agent)</div>
             <div className="mt-2 flex items-center gap-3">
-              <input type="range" min={0} max={Math.max(0, safeN - 1)} value={safeK} onChange={(e) => setK(e.target.value)} className="w-full" />
-              <input type="number" min={0} max={Math.max(0, safeN - 1)} value={safeK} onChange={(e) => setK(e.target.value)} className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm" />
+              <input type="range" min={0} max={Math.max(0, safeN - 1)} value={safeK} disabled={safeGraph != null || safeComposite != null} onChange={(e) => setK(e.target.value)} className="w-full" />
+              <input type="number" min={0} max={Math.max(0, safeN - 1)} value={safeK} disabled={safeGraph != null || safeComposite != null} onChange={(e) => setK(e.target.value)} className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm" />
             </div>
-            <div className="mt-3 text-xs text-slate-500">k=0 means no edges. Higher k increases interaction density.</div>
+            <div className="mt-3 text-xs text-slate-500">{safeGraph ? "Not used: the custom graph defines every edge." : safeComposite ? "Not used: each cluster has its own k." : "k=0 means no edges. Higher k increases interaction density."}</div>
           </div>
 
           <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
             <div className="text-sm font-medium flex items-center">Topology <InfoIcon title={TOPOLOGY_TIP} /></div>
             <div className="mt-2">
-              <select value={safeTopology} onChange={(e) => setTopology(e.target.value)} className="w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm">
+              <select value={isTopology(topology) ? topology : "bounded"} onChange={(e) => setTopology(e.target.value)} className="w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm">
                 {TOPOLOGIES.map((t) => (
                   <option key={t.value} value={t.value}>{t.label}</option>
                 ))}
@@ -638,8 +1191,177 @@ export default function AgentsEdgesRiskCurveApp() {
             </div>
             <div className="mt-3 text-xs text-slate-500">Changes how edges E(n) are formed, affecting coupling and cascades.</div>
           </div>
+
+          {topology === "custom" ? (
+            <CustomGraphPanel
+              maxNodes={SCENARIO_SCHEMA.n.max}
+              source={graphSource}
+              graph={orderedGraph.graph}
+              unknownIds={orderedGraph.unknown}
+              order={graphOrder}
+              orderText={graphOrderText}
+              onLoad={(g) => {
+                setGraphSource(g);
+                setGraphOrder("insertion");
+                setNAgents(g.nodes.length);
+              }}
+              onOrderChange={setGraphOrder}
+              onOrderTextChange={setGraphOrderText}
+            />
+          ) : null}
+
+          {topology === "composite" ? (
+            <CompositePanel value={composite} contributions={compositeBreakdown} onChange={setComposite} />
+          ) : (
+            <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200 md:col-span-4">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="text-sm font-medium flex items-center">Agent roster (optional) <InfoIcon title={ROSTER_TIP} /></div>
+                  <div className="mt-1 text-xs text-slate-500">Mix autonomy levels instead of one global score. The roster sets the number of agents.</div>
+                </div>
+                {rosterActive ? (
+                  <button onClick={() => setRoster([])} className="shrink-0 rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Use single autonomy</button>
+                ) : (
+                  <button onClick={() => setRoster([{ count: safeN, autonomy: safeAutonomy }])} className="shrink-0 rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Use roster</button>
+                )}
+              </div>
+
+              {rosterActive ? (
+                <div className="mt-3 space-y-2">
+                  {roster.map((g, idx) => (
+                    <div key={idx} className="flex flex-wrap items-center gap-2 text-sm">
+                      <input
+                        type="number"
+                        min={1}
+                        max={SCENARIO_SCHEMA.n.max}
+                        value={g.count}
+                        onChange={(e) => setRoster((prev) => prev.map((x, i) => (i === idx ? { ...x, count: e.target.value } : x)))}
+                        className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+                      />
+                      <span className="text-xs text-slate-500">agents at autonomy</span>
+                      <select
+                        value={g.autonomy}
+                        onChange={(e) => setRoster((prev) => prev.map((x, i) => (i === idx ? { ...x, autonomy: e.target.value } : x)))}
+                        className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-sm"
+                      >
+                        {AUTONOMY_GUIDE.map((r) => (
+                          <option key={r.level} value={r.level}>{r.level} {r.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => setRoster((prev) => prev.filter((_, i) => i !== idx))}
+                        className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+
+                  <div className="flex flex-wrap items-center justify-between gap-3 pt-1">
+                    <button
+                      onClick={() => setRoster((prev) => [...prev, { count: 1, autonomy: safeAutonomy }])}
+                      disabled={roster.length >= MAX_ROSTER_GROUPS}
+                      className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200 disabled:opacity-50"
+                    >
+                      Add group
+                    </button>
+                    <div className="text-xs text-slate-500 tabular-nums">
+                      {formatRoster(safeRoster)} = {safeN} agents, mean autonomy {rosterMeanAutonomy(safeRoster).toFixed(1)}
+                    </div>
+                  </div>
+                </div>
+              ) : null}
+            </div>
+          )}
         </div>
 
+        <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+          <summary className="cursor-pointer text-sm font-medium text-slate-900">
+            Advanced model parameters
+            <span className="ml-2 text-xs font-normal text-slate-500">({modelSummary(safeModel, safeParams)})</span>
+          </summary>
+
+          <div className="mt-4 flex flex-wrap items-end gap-4">
+            <label className="block">
+              <div className="text-xs font-semibold text-slate-700">Risk model</div>
+              <select value={safeModel} onChange={(e) => setModel(e.target.value)} className="mt-1 rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm">
+                {listModels().map((m) => (
+                  <option key={m.id} value={m.id}>{m.label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="pb-2 text-xs text-slate-500 tabular-nums">{getModel(safeModel).formula}</div>
+          </div>
+
+          <div className="mt-4 grid gap-4 md:grid-cols-4">
+            {modelParamSpecs(safeModel).map((p) => (
+              <label key={p.key} className="block">
+                <div className="text-xs font-semibold text-slate-700">{p.symbol}</div>
+                <input
+                  type="number"
+                  min={p.min}
+                  max={p.max}
+                  step={p.step}
+                  value={modelParams[p.key] ?? safeParams[p.key]}
+                  onChange={(e) => setModelParams((prev) => ({ ...prev, [p.key]: e.target.value }))}
+                  className="mt-1 w-full rounded-lg border border-slate-200 px-2 py-1 text-sm"
+                />
+                <div className="mt-1 text-xs text-slate-500">{p.help} Range: {p.min} to {p.max}.</div>
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-4 flex items-center justify-between gap-3">
+            <div className="text-xs text-slate-500">Each pinned scenario keeps the model and parameters it was added with.</div>
+            <button onClick={() => setModelParams(modelDefaults(safeModel))} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Reset to defaults</button>
+          </div>
+        </details>
+
+        <CalibrationPanel
+          value={observationText}
+          parsed={calibration}
+          model={safeModel}
+          params={safeParams}
+          onChange={setObservationText}
+          onAdopt={setModelParams}
+        />
+
+        <MitigationPanel value={mitigations} onChange={setMitigations} />
+
+        <UncertaintyPanel value={uncertainty} model={safeModel} params={safeParams} onChange={setUncertainty} />
+
+        <SensitivityPanel scenario={deferredCurrent} />
+
+        <SweepPanel scenario={deferredCurrent} onLoad={loadScenario} onExport={(csv) => downloadTextFile("emergence-risk-sweep.csv", csv, "text/csv;charset=utf-8")} />
+
+        <MetricsPanel scenario={deferredCurrent} />
+
+        <CascadePanel scenario={deferredCurrent} />
+
+        <RolloutPanel plan={plan} model={safeModel} params={safeParams} onChange={setPlan} onSave={savePlan} />
+
+        <BudgetPanel
+          value={budget}
+          budget={safeBudget}
+          scenario={deferredCurrent}
+          crossings={crossings}
+          curveNames={curveNames}
+          onChange={setBudget}
+        />
+
+        <PolicyPanel value={policy} policy={safePolicy} results={policyResults} onChange={persistPolicy} />
+
+        <WorkspacePanel onExport={exportWorkspace} onApply={applyWorkspace} />
+
+        <HistoryPanel
+          history={history}
+          file={workspaceFile}
+          snapshots={snapshots}
+          onSnapshot={takeSnapshot}
+          onRestore={restoreSnapshot}
+          onDelete={(id) => persistSnapshots(snapshots.filter((s) => s.id !== id))}
+        />
+
         <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
           <summary className="cursor-pointer text-sm font-medium text-slate-900">
             Guidance: topology and autonomy
@@ -695,6 +1417,9 @@ export default function AgentsEdgesRiskCurveApp() {
                   </tbody>
                 </table>
               </div>
+              <div className="mt-3 text-xs text-slate-500">
+                Mixed rosters: each edge is weighted by the mean autonomy of the two agents it joins, so a few high-autonomy agents raise coupling on every edge they touch. Groups join in proportion to their size as n grows.
+              </div>
             </div>
           </div>
         </details>
@@ -703,10 +1428,29 @@ export default function AgentsEdgesRiskCurveApp() {
           <div className="flex flex-wrap items-center gap-2">
             <button onClick={addScenario} className="rounded-xl bg-slate-900 px-4 py-2 text-sm font-medium text-white shadow-sm">Add scenario</button>
             <button onClick={() => setScenarios([])} className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Clear scenarios</button>
+            <button
+              onClick={undo}
+              disabled={!history?.past.length}
+              title={undoPreview.length ? `Undo (Ctrl+Z): ${undoPreview.slice(0, 5).join("; ")}` : "Nothing to undo"}
+              className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200 disabled:opacity-50"
+            >
+              Undo
+            </button>
+            <button
+              onClick={redo}
+              disabled={!history?.future.length}
+              title={redoPreview.length ? `Redo (Ctrl+Shift+Z): ${redoPreview.slice(0, 5).join("; ")}` : "Nothing to redo"}
+              className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200 disabled:opacity-50"
+            >
+              Redo
+            </button>
             <button onClick={copyShareUrl} className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
               Copy share URL <span id="copy-status" className="ml-2 text-xs text-slate-500" />
             </button>
             <button onClick={exportCsv} className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Export CSV</button>
+            <button onClick={exportReport} className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Export report</button>
+            <button onClick={exportChartSvg} className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Chart SVG</button>
+            <button onClick={exportChartPng} className="rounded-xl bg-white px-4 py-2 text-sm font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Chart PNG</button>
           </div>
 
           <div className="rounded-xl bg-white px-4 py-3 text-sm shadow-sm ring-1 ring-slate-200">
@@ -721,9 +1465,19 @@ export default function AgentsEdgesRiskCurveApp() {
               </div>
               <div className="flex items-center gap-2">
                 <span className="text-slate-500">risk multiple:</span>
-                <span className="rounded-lg bg-slate-900 px-2 py-1 text-sm font-semibold text-white tabular-nums">
+                <span
+                  className="rounded-lg bg-slate-900 px-2 py-1 text-sm font-semibold text-white tabular-nums"
+                  style={currentPolicy?.level ? { background: currentPolicy.level.color } : undefined}
+                  title={currentPolicy ? `Policy at A=${safeAutonomy}: amber from ${currentPolicy.amber}x, red from ${currentPolicy.red}x` : undefined}
+                >
                   {formatMultiple(finalMultiple)}
                 </span>
+                {currentPolicy?.level ? <span className="text-xs font-medium" style={{ color: currentPolicy.level.color }}>{currentPolicy.level.label}</span> : null}
+                {finalBand ? (
+                  <span className="text-xs text-slate-600 tabular-nums">
+                    P10–P90 {formatMultiple(finalBand.multipleP10)} – {formatMultiple(finalBand.multipleP90)}, median {formatMultiple(finalBand.multipleP50)}
+                  </span>
+                ) : null}
               </div>
             </div>
           </div>
@@ -736,7 +1490,7 @@ export default function AgentsEdgesRiskCurveApp() {
                 <div className="text-sm font-medium">Scenario compare</div>
                 <div className="mt-1 text-xs text-slate-500">Add scenarios to overlay multiple connected curves. Load applies a scenario to the main controls. Save stores it locally.</div>
               </div>
-              <div className="text-xs text-slate-500">Max scenarios: 8</div>
+              <div className="text-xs text-slate-500">Max scenarios: {MAX_SCENARIOS}</div>
             </div>
 
             <div className="grid gap-3 md:grid-cols-2">
@@ -753,6 +1507,20 @@ export default function AgentsEdgesRiskCurveApp() {
                         />
                       </div>
                       <div className="mt-2 text-xs text-slate-600">n={s.n}, A={s.autonomy}, k={s.k}, {topoLabel(s.topology)}</div>
+                      {s.roster?.length ? <div className="mt-1 text-xs text-slate-600">Roster: {formatRoster(s.roster)}</div> : null}
+                      {s.composite ? <div className="mt-1 text-xs text-slate-600">Clusters: {formatComposite(s.composite)}</div> : null}
+                      {s.mitigations?.length ? <div className="mt-1 text-xs text-slate-600">Mitigations: {s.mitigations.map(mitigationLabel).join(", ")}</div> : null}
+                      <div className="mt-1 text-xs text-slate-500">{modelSummary(s.model, s.params)}</div>
+                      {policyResults[idx + 1]?.level ? (
+                        <div className="mt-2 flex items-center gap-2 text-xs">
+                          <span className="rounded-md px-1.5 py-0.5 font-semibold text-white tabular-nums" style={{ background: policyResults[idx + 1].level.color }}>
+                            {formatMultiple(policyResults[idx + 1].multiple)}
+                          </span>
+                          <span className="font-medium" style={{ color: policyResults[idx + 1].level.color }}>
+                            {policyResults[idx + 1].level.label}
+                          </span>
+                        </div>
+                      ) : null}
                     </div>
 
                     <div className="flex shrink-0 flex-col gap-2">
@@ -764,19 +1532,37 @@ export default function AgentsEdgesRiskCurveApp() {
                 </div>
               ))}
             </div>
+
+            <ScenarioDiffTable curves={compareCurves} />
           </div>
         ) : null}
 
-        {savedScenarios.length ? (
+        {savedScenarios.length || savedPlans.length || lastDeleted ? (
           <div className="mt-6 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
             <div className="mb-3 flex items-start justify-between gap-4">
               <div>
-                <div className="text-sm font-medium">Saved scenarios</div>
-                <div className="mt-1 text-xs text-slate-500">Stored in your browser local storage on this machine.</div>
+                <div className="text-sm font-medium">Saved scenarios and plans</div>
+                <div className="mt-1 text-xs text-slate-500">Stored in your browser local storage on this machine. A deletion can be put back here or undone with Undo.</div>
               </div>
-              <div className="text-xs text-slate-500">Max saved: 20</div>
+              <div className="text-xs text-slate-500">Max saved: {MAX_SAVED}</div>
             </div>
 
+            {lastDeleted ? (
+              <div role="status" className="mb-3 flex flex-wrap items-center justify-between gap-3 rounded-xl bg-slate-50 p-3 text-xs text-slate-700 ring-1 ring-slate-200">
+                <span>
+                  Deleted {lastDeleted.kind === "plan" ? "plan" : "saved scenario"} &quot;{lastDeleted.item.name}&quot;.
+                </span>
+                <div className="flex gap-2">
+                  <button onClick={restoreDeleted} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                    Put back
+                  </button>
+                  <button onClick={() => setLastDeleted(null)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+            ) : null}
+
             <div className="grid gap-3 md:grid-cols-2">
               {savedScenarios.map((s) => (
                 <div key={s.id} className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
@@ -784,11 +1570,33 @@ export default function AgentsEdgesRiskCurveApp() {
                     <div className="min-w-0 flex-1">
                       <div className="text-sm font-medium text-slate-900 truncate">{s.name}</div>
                       <div className="mt-1 text-xs text-slate-600">n={s.n}, A={s.autonomy}, k={s.k}, {topoLabel(s.topology)}</div>
+                      {s.roster?.length ? <div className="mt-1 text-xs text-slate-600">Roster: {formatRoster(s.roster)}</div> : null}
+                      {s.composite ? <div className="mt-1 text-xs text-slate-600">Clusters: {formatComposite(s.composite)}</div> : null}
+                      {s.mitigations?.length ? <div className="mt-1 text-xs text-slate-600">Mitigations: {s.mitigations.map(mitigationLabel).join(", ")}</div> : null}
+                      <div className="mt-1 text-xs text-slate-500">{modelSummary(s.model, s.params)}</div>
                     </div>
                     <div className="flex shrink-0 flex-col gap-2">
                       <button onClick={() => applySaved(s)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Apply</button>
                       <button onClick={() => addSavedToCompare(s)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Add</button>
-                      <button onClick={() => deleteSaved(s.id)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Delete</button>
+                      <button onClick={() => deleteSaved("scenario", s)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Delete</button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+              {savedPlans.map((p) => (
+                <div key={p.id} className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0 flex-1">
+                      <div className="text-sm font-medium text-slate-900 truncate">{p.name}</div>
+                      <div className="mt-1 text-xs text-slate-600">
+                        Rollout plan: {p.phases.length} phase{p.phases.length === 1 ? "" : "s"}
+                        {p.phases.length ? `, ${p.phases[0].date} to ${p.phases[p.phases.length - 1].date}` : ""}
+                      </div>
+                      <div className="mt-1 text-xs text-slate-500">{p.phases.map((ph) => `n=${ph.n} A${ph.autonomy} ${topoLabel(ph.topology)}`).join(" → ")}</div>
+                    </div>
+                    <div className="flex shrink-0 flex-col gap-2">
+                      <button onClick={() => setPlan(p)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Load</button>
+                      <button onClick={() => deleteSaved("plan", p)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Delete</button>
                     </div>
                   </div>
                 </div>
@@ -797,74 +1605,236 @@ export default function AgentsEdgesRiskCurveApp() {
           </div>
         ) : null}
 
-        <div className="mt-6 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
-          <div className="mb-3 flex items-start justify-between gap-4">
-            <div>
-              <div className="text-sm font-medium">Risk curve</div>
-              <div className="mt-1 text-xs text-slate-500">Model: R(n) = n·r0 + α·(E·L·A) + γ·(E·L·A)^2 / n, where E is derived from topology and k.</div>
+        <div className="mt-6 grid gap-4 lg:grid-cols-3">
+          <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200 lg:col-span-2">
+            <div className="mb-3 flex items-start justify-between gap-4">
+              <div>
+                <div className="text-sm font-medium">Risk curve</div>
+                <div className="mt-1 text-xs text-slate-500">Model: {getModel(safeModel).formula}, where E is derived from topology and k.</div>
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {CHART_VIEWS.map((v) => (
+                    <button
+                      key={v.value}
+                      onClick={() => setView(v.value)}
+                      className={`rounded-lg px-2 py-1 text-xs font-medium shadow-sm ring-1 ring-slate-200 ${v.value === viewSpec.value ? "bg-slate-900 text-white" : "bg-white text-slate-900"}`}
+                    >
+                      {v.label}
+                    </button>
+                  ))}
+                </div>
+                {viewSpec.measure === "multiple" ? (
+                  <div className="mt-1 text-xs text-slate-500">Each curve divided by its own linear baseline n·r0; the baseline is the 1x line.</div>
+                ) : viewSpec.measure === "marginal" ? (
+                  <div className="mt-1 text-xs text-slate-500">Risk added by the n-th agent, R(n) − R(n−1); the baseline adds r0 per agent.</div>
+                ) : null}
+              </div>
+              <div className="text-right text-xs text-slate-500">
+                <div>Assumptions: {modelSummary(safeModel, safeParams)}</div>
+                <label className="mt-1 inline-flex items-center gap-1">
+                  <input type="checkbox" checked={logX} onChange={(e) => setLogX(e.target.checked)} />
+                  Log x-axis
+                </label>
+                <label className="mt-1 flex items-center justify-end gap-1">
+                  Right axis
+                  <select value={metricAxis} onChange={(e) => setMetricAxis(e.target.value)} className="rounded-lg border border-slate-200 bg-white px-1 py-0.5 text-xs">
+                    <option value="">none</option>
+                    {GRAPH_METRICS.map((m) => (
+                      <option key={m.key} value={m.key}>
+                        {m.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {metricSpec && metricLimit < deferredCurrent.n ? <div className="mt-1">Right axis stops at n={metricLimit.toLocaleString()} (graph size cap).</div> : null}
+                {maxN > plotAgents.length ? <div className="mt-1">Plotting {plotAgents.length} of {maxN.toLocaleString()} points; CSV has all.</div> : null}
+              </div>
             </div>
-            <div className="text-right text-xs text-slate-500">Assumptions: r0={DEFAULTS.r0}, L={DEFAULTS.loadL}, α={DEFAULTS.alpha}, γ={DEFAULTS.gamma}</div>
-          </div>
 
-          <div className="h-[420px] w-full">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={chartRows} margin={{ top: 12, right: 70, left: 0, bottom: 10 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="agents" type="number" domain={[1, maxN]} allowDecimals={false} tick={{ fontSize: 12 }} />
-                <YAxis tick={{ fontSize: 12 }} />
-                <Tooltip content={<CustomTooltip />} />
-                <Legend />
-
-                <Line type="monotone" dataKey="baseline" name="Baseline (linear)" stroke="#0f172a" strokeWidth={2.5} dot={false} />
-                <Line type="monotone" dataKey="current" name="Current (connected)" stroke={hslColorForIndex(0)} strokeWidth={2.5} dot={false} connectNulls={false} />
-
-                {scenarios.map((s, idx) => (
-                  <Line
-                    key={s.id}
-                    type="monotone"
-                    dataKey={`s_${s.id}`}
-                    name={s.name || `Scenario ${idx + 1}`}
-                    stroke={hslColorForIndex(idx + 1)}
-                    strokeWidth={2}
-                    dot={false}
-                    connectNulls={false}
+            <div ref={chartRef} className="h-[420px] w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={plotData} margin={{ top: 12, right: 70, left: 0, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="agents"
+                    type="number"
+                    scale={logX ? "log" : "auto"}
+                    domain={[1, maxN]}
+                    allowDecimals={false}
+                    tick={{ fontSize: 12 }}
                   />
-                ))}
-
-                <ReferenceDot
-                  x={safeN}
-                  y={riskLabelY}
-                  r={3}
-                  isFront
-                  fill="transparent"
-                  stroke="transparent"
-                  ifOverflow="extendDomain"
-                  label={(p) => (
-                    <RiskMultiplePillLabel
-                      x={p?.viewBox?.x ?? p?.cx ?? p?.x}
-                      y={p?.viewBox?.y ?? p?.cy ?? p?.y}
-                      text={`Risk ${formatMultiple(finalMultiple)}`}
+                  {viewSpec.log ? (
+                    <YAxis scale="log" domain={[yMin, yMax]} allowDataOverflow tick={{ fontSize: 12 }} tickFormatter={(v) => Number(v).toPrecision(2)} />
+                  ) : (
+                    <YAxis tick={{ fontSize: 12 }} />
+                  )}
+                  {metricSpec ? <YAxis yAxisId="metric" orientation="right" tick={{ fontSize: 12 }} allowDecimals={metricSpec.digits > 0} /> : null}
+                  <Tooltip content={<CustomTooltip measure={viewSpec.measure} r0ByKey={r0ByKey} />} />
+                  <Legend />
+
+                  {showPolicyBands
+                    ? POLICY_LEVELS.map((level) => (
+                        <Area
+                          key={`policy_${level.key}`}
+                          type="linear"
+                          dataKey={`policy_${level.key}`}
+                          name={level.label}
+                          stroke="none"
+                          fill={level.color}
+                          fillOpacity={0.08}
+                          legendType="none"
+                          tooltipType="none"
+                          isAnimationActive={false}
+                          connectNulls={false}
+                        />
+                      ))
+                    : null}
+
+                  {bands
+                    ? ["current", ...scenarioLineKeys].map((key, idx) => (
+                        <React.Fragment key={`band_${key}`}>
+                          <Area
+                            type="monotone"
+                            dataKey={`${key}_band`}
+                            name={`${idx === 0 ? "Current" : scenarios[idx - 1].name} P10–P90`}
+                            stroke="none"
+                            fill={hslColorForIndex(idx)}
+                            fillOpacity={0.15}
+                            legendType="none"
+                            isAnimationActive={false}
+                            connectNulls={false}
+                          />
+                          <Line
+                            type="monotone"
+                            dataKey={`${key}_p50`}
+                            name={`${idx === 0 ? "Current" : scenarios[idx - 1].name} median`}
+                            stroke={hslColorForIndex(idx)}
+                            strokeDasharray="4 3"
+                            strokeWidth={1.5}
+                            dot={false}
+                            legendType="none"
+                            isAnimationActive={false}
+                            connectNulls={false}
+                          />
+                        </React.Fragment>
+                      ))
+                    : null}
+
+                  <Line type="monotone" dataKey="baseline" name="Baseline (linear)" stroke="#0f172a" strokeWidth={2.5} dot={false} />
+                  <Line type="monotone" dataKey="current" name="Current (connected)" stroke={hslColorForIndex(0)} strokeWidth={2.5} dot={false} connectNulls={false} />
+
+                  {scenarios.map((s, idx) => (
+                    <Line
+                      key={s.id}
+                      type="monotone"
+                      dataKey={scenarioKey(s)}
+                      name={s.name || `Scenario ${idx + 1}`}
+                      stroke={hslColorForIndex(idx + 1)}
+                      strokeWidth={2}
+                      dot={false}
+                      connectNulls={false}
                     />
+                  ))}
+
+                  {unmitigatedCurves.map((c) => (
+                    <Line
+                      key={c.key}
+                      type="monotone"
+                      dataKey={c.key}
+                      name={c.name}
+                      stroke={c.color}
+                      strokeOpacity={0.6}
+                      strokeDasharray="2 3"
+                      strokeWidth={1.5}
+                      dot={false}
+                      connectNulls={false}
+                    />
+                  ))}
+
+                  {metricSpec ? (
+                    <Line
+                      yAxisId="metric"
+                      type="linear"
+                      dataKey="metric"
+                      name={`${metricSpec.label} (right axis)`}
+                      stroke="#64748b"
+                      strokeDasharray="1 3"
+                      strokeWidth={2}
+                      dot={{ r: 2 }}
+                      connectNulls
+                      isAnimationActive={false}
+                    />
+                  ) : null}
+
+                  {observedPoints.length ? (
+                    <Scatter data={observedPoints} dataKey="observed" name="Observed incidents" fill="#0f172a" shape="diamond" isAnimationActive={false} />
+                  ) : null}
+
+                  {showBudgetLine ? (
+                    <Line
+                      type="linear"
+                      dataKey="budget"
+                      name={safeBudget.mode === "absolute" ? `Budget (R ≤ ${safeBudget.value})` : `Budget (${safeBudget.value}x)`}
+                      stroke="#dc2626"
+                      strokeDasharray="6 4"
+                      strokeWidth={1.5}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  ) : null}
+
+                  {Object.entries(showBudgetLine ? crossings : {}).map(([key, c]) =>
+                    c && (!viewSpec.log || c.risk > 0) ? (
+                      <ReferenceDot
+                        key={`cross_${key}`}
+                        x={c.agents}
+                        y={viewSpec.measure === "multiple" ? c.multiple : c.risk}
+                        r={5}
+                        fill={hslColorForIndex(key === "current" ? 0 : scenarioLineKeys.indexOf(key) + 1)}
+                        stroke="#dc2626"
+                        strokeWidth={2}
+                        isFront
+                      />
+                    ) : null
                   )}
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
 
-          <div className="mt-4 grid gap-3 md:grid-cols-3">
-            <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
-              <div className="text-xs font-medium text-slate-700">Scenario compare</div>
-              <div className="mt-1 text-xs text-slate-600">Add scenarios to overlay multiple connected curves on the same baseline.</div>
-            </div>
-            <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
-              <div className="text-xs font-medium text-slate-700">Topology selector</div>
-              <div className="mt-1 text-xs text-slate-600">Choose bounded degree, mesh, hub-and-spoke, or pipeline to change edge formation.</div>
+                  <ReferenceDot
+                    x={safeN}
+                    y={riskLabelY}
+                    r={3}
+                    isFront
+                    fill="transparent"
+                    stroke="transparent"
+                    ifOverflow="extendDomain"
+                    label={(p) => (
+                      <RiskMultiplePillLabel
+                        x={p?.viewBox?.x ?? p?.cx ?? p?.x}
+                        y={p?.viewBox?.y ?? p?.cy ?? p?.y}
+                        text={`Risk ${formatMultiple(finalMultiple)}${currentPolicy?.level ? ` · ${currentPolicy.level.label}` : ""}`}
+                        color={currentPolicy?.level?.color}
+                      />
+                    )}
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
             </div>
-            <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
-              <div className="text-xs font-medium text-slate-700">Export CSV and shareable URL</div>
-              <div className="mt-1 text-xs text-slate-600">Export baseline and all curves to CSV. Copy the URL to reproduce the same view and scenarios.</div>
+
+            <div className="mt-4 grid gap-3 md:grid-cols-3">
+              <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                <div className="text-xs font-medium text-slate-700">Scenario compare</div>
+                <div className="mt-1 text-xs text-slate-600">Add scenarios to overlay multiple connected curves on the same baseline.</div>
+              </div>
+              <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                <div className="text-xs font-medium text-slate-700">Topology selector</div>
+                <div className="mt-1 text-xs text-slate-600">Choose bounded degree, mesh, hub-and-spoke, pipeline, a custom graph, or composite clusters to change edge formation.</div>
+              </div>
+              <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                <div className="text-xs font-medium text-slate-700">Export CSV and shareable URL</div>
+                <div className="mt-1 text-xs text-slate-600">Export baseline and all curves to CSV. Copy the URL to reproduce the same view and scenarios.</div>
+              </div>
             </div>
           </div>
+
+          <NetworkView n={safeN} k={safeK} topology={safeTopology} graph={safeGraph} composite={safeComposite} />
         </div>
       </div>
     </div>
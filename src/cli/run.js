@@ -0,0 +1,276 @@
+import { parseArgs } from "node:util";
+import {
+  SCENARIO_SCHEMA,
+  DEFAULT_MODEL,
+  allModelParams,
+  getModel,
+  isModel,
+  listModels,
+  modelParamSpecs,
+  TOPOLOGIES,
+  sanitizeScenario,
+  computeSeries,
+  buildSeriesRows,
+  buildCsv,
+  paramsByCurve,
+  modelsByCurve,
+  scenarioKey,
+  topoLabel,
+  formatParams,
+  formatRoster,
+  parseRosterText,
+  parseGraphText,
+  MITIGATIONS,
+  mitigationLabel,
+  sanitizeComposite,
+  formatComposite,
+  sampleAgents,
+  metricsLimit,
+  metricSeries,
+} from "../engine/index.js";
+
+// "; logistic, percolation" for parameters the default model does not use.
+function paramModels(p) {
+  if (modelParamSpecs(DEFAULT_MODEL).includes(p)) return "";
+  return `; ${listModels()
+    .filter((m) => m.params.includes(p))
+    .map((m) => m.id)
+    .join(", ")}`;
+}
+
+export const USAGE = `Usage: emergence-calc [options]
+
+Computes the baseline and connected risk curves, like the web app's Export CSV.
+
+Options:
+  --n <int>              Number of agents (default ${SCENARIO_SCHEMA.n.default})
+  --autonomy <int>       Autonomy score, 1 to 10 (default ${SCENARIO_SCHEMA.autonomy.default})
+  --k <int>              Max connections per new agent (default ${SCENARIO_SCHEMA.k.default})
+  --topology <name>      ${TOPOLOGIES.map((t) => t.value).join(" | ")} (default ${SCENARIO_SCHEMA.topology.default})
+  --graph <file>         Agent graph for --topology custom: edge-list CSV or JSON adjacency
+  --composite <file>     Clusters for --topology composite: JSON { "clusters": [...], "bridges": [...] }
+  --roster <groups>      Agent groups as count x autonomy, e.g. 40x3,5x9 (sets n and autonomy)
+  --mitigations <ids>    Comma-separated: ${MITIGATIONS.map((m) => m.id).join(", ")}
+  --model <id>           Risk model: ${listModels().map((m) => m.id).join(" | ")} (default ${DEFAULT_MODEL})
+${allModelParams().map((p) => `  --${`${p.query} <x>`.padEnd(21)}${p.help} (default ${p.default}${paramModels(p)})`).join("\n")}
+  --scenarios <file>     JSON file with extra scenarios (an array, or { "scenarios": [...] })
+  --format <csv|json>    Output format (default csv)
+  --fail-above <x>       Exit with code 1 when any final risk multiple exceeds x
+  -h, --help             Show this help
+
+Exit codes: 0 ok, 1 --fail-above exceeded, 2 invalid usage or input (including
+--fail-above with a curve that has no risk multiple).
+`;
+
+const OPTIONS = {
+  n: { type: "string" },
+  autonomy: { type: "string" },
+  k: { type: "string" },
+  topology: { type: "string" },
+  roster: { type: "string" },
+  graph: { type: "string" },
+  composite: { type: "string" },
+  mitigations: { type: "string" },
+  model: { type: "string" },
+  ...Object.fromEntries(allModelParams().map((p) => [p.query, { type: "string" }])),
+  scenarios: { type: "string" },
+  format: { type: "string", default: "csv" },
+  "fail-above": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+class UsageError extends Error {}
+
+function numberOption(values, name) {
+  const raw = values[name];
+  if (raw == null) return undefined;
+  const v = Number(raw);
+  if (!Number.isFinite(v)) throw new UsageError(`--${name} must be a number, got "${raw}"`);
+  return v;
+}
+
+function rosterOption(values) {
+  if (values.roster == null) return [];
+  const roster = parseRosterText(values.roster);
+  if (!roster) throw new UsageError(`--roster must look like 40x3,5x9, got "${values.roster}"`);
+  return roster;
+}
+
+function mitigationsOption(values) {
+  if (values.mitigations == null) return [];
+  const ids = values.mitigations.split(",").map((x) => x.trim()).filter(Boolean);
+  const unknown = ids.filter((id) => !MITIGATIONS.some((m) => m.id === id));
+  if (unknown.length) throw new UsageError(`unknown mitigation ${unknown.join(", ")}; expected ${MITIGATIONS.map((m) => m.id).join(", ")}`);
+  return ids;
+}
+
+function graphOption(values, readFile) {
+  if (values.graph == null) {
+    if (values.topology === "custom") throw new UsageError("--topology custom needs --graph <file>");
+    return null;
+  }
+  let text;
+  try {
+    text = readFile(values.graph);
+  } catch (err) {
+    throw new UsageError(`cannot read graph from ${values.graph}: ${err.message}`);
+  }
+  const { graph, errors } = parseGraphText(text, SCENARIO_SCHEMA.n.max);
+  if (!graph) throw new UsageError(`invalid graph in ${values.graph}:\n  ${errors.join("\n  ")}`);
+  return graph;
+}
+
+function compositeOption(values, readFile) {
+  if (values.composite == null) {
+    if (values.topology === "composite") throw new UsageError("--topology composite needs --composite <file>");
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(readFile(values.composite));
+  } catch (err) {
+    throw new UsageError(`cannot read clusters from ${values.composite}: ${err.message}`);
+  }
+  const composite = sanitizeComposite(parsed, SCENARIO_SCHEMA.n.max);
+  if (!composite) throw new UsageError(`${values.composite} must hold { "clusters": [...] } with at least one cluster`);
+  return composite;
+}
+
+function currentFromOptions(values, readFile) {
+  if (values.topology != null && !TOPOLOGIES.some((t) => t.value === values.topology)) {
+    throw new UsageError(`--topology must be one of ${TOPOLOGIES.map((t) => t.value).join(", ")}`);
+  }
+  if (values.model != null && !isModel(values.model)) {
+    throw new UsageError(`--model must be one of ${listModels().map((m) => m.id).join(", ")}`);
+  }
+  const requested = {
+    id: "current",
+    name: "Current",
+    n: numberOption(values, "n"),
+    autonomy: numberOption(values, "autonomy"),
+    k: numberOption(values, "k"),
+    topology: values.topology,
+    roster: rosterOption(values),
+    graph: graphOption(values, readFile),
+    composite: compositeOption(values, readFile),
+    mitigations: mitigationsOption(values),
+    model: values.model,
+    params: Object.fromEntries(allModelParams().map((p) => [p.key, numberOption(values, p.query)])),
+  };
+  return { requested, scenario: sanitizeScenario(requested, "Current") };
+}
+
+// Warn instead of failing when a value was clamped to the schema's range or is not used by the model.
+function clampWarnings(requested, scenario) {
+  const out = [];
+  const fields = scenario.composite ? [] : requested.roster.length ? ["k"] : ["n", "autonomy", "k"];
+  for (const field of fields) {
+    if (requested[field] != null && requested[field] !== scenario[field]) {
+      out.push(`--${field} ${requested[field]} clamped to ${scenario[field]}`);
+    }
+  }
+  for (const p of allModelParams()) {
+    const v = requested.params[p.key];
+    if (v == null) continue;
+    if (!(p.key in scenario.params)) out.push(`--${p.query} is not used by the ${scenario.model} model and was ignored`);
+    else if (v !== scenario.params[p.key]) out.push(`--${p.query} ${v} clamped to ${scenario.params[p.key]}`);
+  }
+  return out;
+}
+
+function readScenarios(path, readFile) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFile(path));
+  } catch (err) {
+    throw new UsageError(`cannot read scenarios from ${path}: ${err.message}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.scenarios;
+  if (!Array.isArray(list)) throw new UsageError(`${path} must hold an array of scenarios or { "scenarios": [...] }`);
+  return list.map((x, i) => sanitizeScenario({ id: String(i + 1), ...x }, `Scenario ${i + 1}`));
+}
+
+function summarise(key, s) {
+  const series = computeSeries(s);
+  const last = series[series.length - 1];
+  return {
+    key,
+    name: s.name,
+    scenario: { n: s.n, autonomy: s.autonomy, k: s.k, topology: s.topology, model: s.model, params: s.params, roster: s.roster, composite: s.composite, mitigations: s.mitigations },
+    finalBaseline: last.baseline,
+    finalConnected: last.connected,
+    finalMultiple: last.multiple,
+    series,
+  };
+}
+
+// A risk multiple for messages; it is null when the baseline n·r0 is 0.
+function fmtMultiple(m) {
+  return m == null ? "n/a" : `${m.toFixed(2)}x`;
+}
+
+function describe(c) {
+  const s = c.scenario;
+  const autonomy = s.composite ? formatComposite(s.composite) : s.roster.length ? `roster ${formatRoster(s.roster)}` : `A=${s.autonomy}`;
+  const mitigations = s.mitigations.length ? `, mitigations ${s.mitigations.map(mitigationLabel).join(" + ")}` : "";
+  const model = s.model === DEFAULT_MODEL ? "" : `${getModel(s.model).label} model, `;
+  return `${c.name}: n=${s.n}, ${autonomy}, k=${s.k}, ${topoLabel(s.topology)}, ${model}${formatParams(s.params, s.model)}${mitigations} -> risk multiple ${fmtMultiple(c.finalMultiple)}`;
+}
+
+/**
+ * Runs the CLI against `argv` (without node and script path).
+ * `io` supplies stdout, stderr and readFile so tests can drive it in memory.
+ * Returns the process exit code.
+ */
+export function run(argv, io) {
+  try {
+    const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false });
+    if (values.help) {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+    if (values.format !== "csv" && values.format !== "json") {
+      throw new UsageError(`--format must be csv or json, got "${values.format}"`);
+    }
+    const failAbove = numberOption(values, "fail-above");
+
+    const { requested, scenario: current } = currentFromOptions(values, io.readFile);
+    for (const w of clampWarnings(requested, current)) io.stderr.write(`warning: ${w}\n`);
+    const scenarios = values.scenarios ? readScenarios(values.scenarios, io.readFile) : [];
+
+    const curves = [summarise("current", current), ...scenarios.map((s) => summarise(scenarioKey(s), s))];
+    // A curve without a multiple (r0 of 0) cannot be checked, so the gate cannot pass.
+    const unchecked = failAbove == null ? [] : curves.filter((c) => !Number.isFinite(c.finalMultiple));
+    if (unchecked.length) {
+      throw new UsageError(`--fail-above cannot be checked: ${unchecked.map((c) => c.name).join(", ")} has no risk multiple (r0 is 0)`);
+    }
+    const failed = failAbove == null ? [] : curves.filter((c) => c.finalMultiple > failAbove);
+
+    if (values.format === "json") {
+      io.stdout.write(`${JSON.stringify({ failAbove: failAbove ?? null, failed: failed.map((c) => c.key), curves }, null, 2)}\n`);
+    } else {
+      const rows = buildSeriesRows(current, scenarios);
+      const metrics = metricSeries(current, sampleAgents(metricsLimit(current), { maxPoints: 50, include: [current.n] }));
+      const csv = buildCsv({
+        rows,
+        scenarioKeys: scenarios.map(scenarioKey),
+        paramsByKey: paramsByCurve(current, scenarios),
+        modelsByKey: modelsByCurve(current, scenarios),
+        metrics,
+      });
+      io.stdout.write(`${csv}\n`);
+      for (const c of curves) io.stderr.write(`${describe(c)}\n`);
+    }
+
+    for (const c of failed) {
+      io.stderr.write(`FAIL: ${c.name} risk multiple ${fmtMultiple(c.finalMultiple)} exceeds --fail-above ${failAbove}\n`);
+    }
+    return failed.length ? 1 : 0;
+  } catch (err) {
+    if (err instanceof UsageError || err.code?.startsWith?.("ERR_PARSE_ARGS")) {
+      io.stderr.write(`emergence-calc: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    throw err;
+  }
+}
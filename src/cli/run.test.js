@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { run } from "./run.js";
+import { NL } from "../engine/index.js";
+
+function harness(files = {}) {
+  const out = { stdout: "", stderr: "" };
+  const io = {
+    stdout: { write: (s) => (out.stdout += s) },
+    stderr: { write: (s) => (out.stderr += s) },
+    readFile: (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+      return files[path];
+    },
+  };
+  return { io, out };
+}
+
+describe("emergence-calc", () => {
+  it("prints the same CSV as the web app export", () => {
+    const { io, out } = harness();
+    expect(run(["--n", "3", "--k", "2"], io)).toBe(0);
+    const lines = out.stdout.trim().split(NL);
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toMatch(/^agents,baseline_linear,current_connected,current_multiple,current_model,current_r0,/);
+    expect(lines[0]).toMatch(/,current_density,current_max_degree,current_mean_degree,current_diameter,current_avg_path,current_top_betweenness,current_spof$/);
+    expect(lines[3]).toMatch(/,0\.12,1,2,2,1,1,0,0$/);
+    expect(out.stderr).toMatch(/Current: n=3, A=5, k=2/);
+  });
+
+  it("adds scenarios from a JSON file and reports each multiple", () => {
+    const { io, out } = harness({
+      "s.json": JSON.stringify({ scenarios: [{ name: "Mesh", n: 10, topology: "mesh" }] }),
+    });
+    expect(run(["--scenarios", "s.json", "--format", "json"], io)).toBe(0);
+    const result = JSON.parse(out.stdout);
+    expect(result.curves.map((c) => c.key)).toEqual(["current", "s_1"]);
+    expect(result.curves[1].series).toHaveLength(10);
+    expect(result.curves[1].finalMultiple).toBeCloseTo(112.4425, 4);
+  });
+
+  it("reports a missing multiple as n/a when r0 is 0", () => {
+    const { io, out } = harness();
+    expect(run(["--n", "5", "--r0", "0"], io)).toBe(0);
+    expect(out.stderr).toMatch(/-> risk multiple n\/a/);
+    const json = harness();
+    expect(run(["--n", "5", "--r0", "0", "--format", "json"], json.io)).toBe(0);
+    expect(JSON.parse(json.out.stdout).curves[0].finalMultiple).toBeNull();
+  });
+
+  it("rejects --fail-above when a curve has no risk multiple", () => {
+    const { io, out } = harness();
+    expect(run(["--n", "5", "--r0", "0", "--fail-above", "2"], io)).toBe(2);
+    expect(out.stderr).toMatch(/--fail-above cannot be checked: Current has no risk multiple/);
+    expect(out.stdout).toBe("");
+  });
+
+  it("accepts a roster, which sets n", () => {
+    const { io, out } = harness();
+    expect(run(["--roster", "4x3,1x9", "--n", "100"], io)).toBe(0);
+    expect(out.stdout.trim().split(NL)).toHaveLength(6);
+    expect(out.stderr).toMatch(/n=5, roster 4×A3 \+ 1×A9/);
+  });
+
+  it("applies --mitigations", () => {
+    const { io, out } = harness();
+    expect(run(["--n", "40", "--autonomy", "8", "--mitigations", "approval,breaker", "--format", "json"], io)).toBe(0);
+    const plain = harness();
+    run(["--n", "40", "--autonomy", "8", "--format", "json"], plain.io);
+    const [mitigated] = JSON.parse(out.stdout).curves;
+    expect(mitigated.scenario.mitigations).toEqual(["approval", "breaker"]);
+    expect(mitigated.finalMultiple).toBeLessThan(JSON.parse(plain.out.stdout).curves[0].finalMultiple);
+  });
+
+  it("reads a custom graph", () => {
+    const { io, out } = harness({ "g.csv": "orch,w1\norch,w2\nw1,w2\n" });
+    expect(run(["--topology", "custom", "--graph", "g.csv", "--format", "json"], io)).toBe(0);
+    const [current] = JSON.parse(out.stdout).curves;
+    expect(current.scenario.n).toBe(3);
+    expect(current.series.map((r) => r.edges)).toEqual([0, 1, 3]);
+  });
+
+  it("reads a composite from --composite", () => {
+    const clusters = { clusters: [{ name: "Hub", n: 4, k: 2, topology: "hub", autonomy: 7 }, { name: "Pool", n: 6, k: 2, autonomy: 5 }], bridges: [{ from: 0, to: 1, count: 1 }] };
+    const { io, out } = harness({ "c.json": JSON.stringify(clusters) });
+    expect(run(["--topology", "composite", "--composite", "c.json", "--format", "json"], io)).toBe(0);
+    const [current] = JSON.parse(out.stdout).curves;
+    expect(current.scenario.n).toBe(10);
+    expect(current.series.at(-1).edges).toBe(5 + 9 + 1);
+  });
+
+  it("evaluates another risk model with --model", () => {
+    const { io, out } = harness();
+    expect(run(["--n", "10", "--k", "2", "--model", "edges", "--beta", "2", "--gamma", "0.5", "--format", "json"], io)).toBe(0);
+    const [current] = JSON.parse(out.stdout).curves;
+    expect(current.scenario.params).toEqual({ r0: 1, beta: 2 });
+    expect(current.finalConnected).toBe(10 + 2 * 17);
+    expect(out.stderr).toBe("warning: --gamma is not used by the edges model and was ignored\n");
+    const csv = harness();
+    expect(run(["--n", "3", "--model", "percolation"], csv.io)).toBe(0);
+    expect(csv.out.stdout.split(NL)[0]).toMatch(/,current_model,current_r0,current_L,current_alpha,current_cmax,current_theta,/);
+    expect(csv.out.stderr).toMatch(/Percolation threshold model, r0=1/);
+  });
+
+  it("exits 1 when a multiple exceeds --fail-above", () => {
+    const { io, out } = harness();
+    expect(run(["--n", "120", "--autonomy", "7", "--k", "4", "--topology", "hub", "--fail-above", "10"], io)).toBe(1);
+    expect(out.stderr).toMatch(/FAIL: Current risk multiple/);
+    expect(run(["--n", "2", "--fail-above", "10"], harness().io)).toBe(0);
+  });
+
+  it("exits 2 on invalid usage", () => {
+    for (const argv of [["--topology", "ring"], ["--n", "abc"], ["--format", "xml"], ["--bogus"], ["--roster", "lots"], ["--topology", "custom"], ["--scenarios", "missing.json"], ["--mitigations", "prayer"], ["--topology", "composite"], ["--model", "oracle"]]) {
+      const { io, out } = harness();
+      expect(run(argv, io)).toBe(2);
+      expect(out.stderr).toMatch(/^emergence-calc: /);
+    }
+  });
+});
@@ -0,0 +1,96 @@
+import React, { useMemo } from "react";
+import { BUDGET_MODES, budgetLimits, topoLabel } from "../engine/index.js";
+
+function fmtBudget(budget) {
+  return budget.mode === "absolute" ? `R(n) ≤ ${budget.value}` : `${budget.value}x baseline`;
+}
+
+/**
+ * Budget mode: a ceiling on the risk multiple or on absolute risk, and the
+ * largest n, k and autonomy that stay under it for each topology.
+ * `value` is the raw budget; `budget` the sanitised one.
+ */
+export default function BudgetPanel({ value, budget, scenario, crossings, curveNames, onChange }) {
+  const limits = useMemo(() => (budget.enabled ? budgetLimits(scenario, budget) : []), [scenario, budget]);
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Budget
+        <span className="ml-2 text-xs font-normal text-slate-500">({budget.enabled ? fmtBudget(budget) : "off"})</span>
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={Boolean(value.enabled)} onChange={(e) => onChange({ ...value, enabled: e.target.checked })} />
+          Solve for a risk budget
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Ceiling on</div>
+          <select
+            value={value.mode}
+            onChange={(e) => onChange({ ...value, mode: e.target.value })}
+            className="mt-1 rounded-lg border border-slate-200 bg-white px-2 py-1 text-sm"
+          >
+            {BUDGET_MODES.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">{budget.mode === "absolute" ? "Maximum R(n)" : "Maximum multiple"}</div>
+          <input
+            type="number"
+            min={0}
+            step={budget.mode === "absolute" ? 100 : 1}
+            value={value.value}
+            onChange={(e) => onChange({ ...value, value: e.target.value })}
+            className="mt-1 w-28 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+      </div>
+
+      {budget.enabled ? (
+        <>
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="pb-2 pr-3 font-medium">Topology</th>
+                  <th className="pb-2 pr-3 font-medium">Largest n</th>
+                  <th className="pb-2 pr-3 font-medium">Largest k at n={scenario.n}</th>
+                  <th className="pb-2 font-medium">Highest autonomy at n={scenario.n}, k={scenario.k}</th>
+                </tr>
+              </thead>
+              <tbody className="tabular-nums">
+                {limits.map((row) => (
+                  <tr key={row.topology} className={`border-t border-slate-200 ${row.topology === scenario.topology ? "font-semibold text-slate-900" : ""}`}>
+                    <td className="py-2 pr-3">{topoLabel(row.topology)}</td>
+                    <td className="py-2 pr-3">{row.maxN == null ? "none" : row.maxN === row.maxNLimit ? `${row.maxN} (all)` : row.maxN}</td>
+                    <td className="py-2 pr-3">{row.maxK == null ? "none" : row.maxK}</td>
+                    <td className="py-2">{row.maxAutonomy == null ? "none" : row.maxAutonomy}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-slate-500">
+            Largest n is the last agent count before the curve first exceeds the budget; "(all)" means it never does in range. The k and autonomy columns keep
+            the other settings fixed; autonomy is treated as uniform, even with a roster or clusters. "none" means the budget is exceeded even at the lowest value.
+          </div>
+
+          <div className="mt-4 text-xs text-slate-600">
+            {Object.entries(crossings).map(([key, c]) => (
+              <div key={key}>
+                <span className="font-medium text-slate-900">{curveNames[key]}</span>:{" "}
+                {c ? `crosses the budget at n=${c.agents} (R=${c.risk.toFixed(1)})` : "stays within budget"}
+              </div>
+            ))}
+          </div>
+        </>
+      ) : null}
+    </details>
+  );
+}
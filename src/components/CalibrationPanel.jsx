@@ -0,0 +1,212 @@
+import React, { useState } from "react";
+import { EXAMPLE_OBSERVATIONS, fitCalibration, getModel, modelParamSpecs, topoLabel } from "../engine/index.js";
+
+function fmt(x, digits = 2) {
+  return Number.isFinite(x) ? x.toFixed(digits) : "–";
+}
+
+function MessageList({ items, className }) {
+  if (!items.length) return null;
+  return (
+    <ul className={`mt-2 list-disc pl-5 text-xs ${className}`}>
+      {items.slice(0, 8).map((m) => <li key={m}>{m}</li>)}
+      {items.length > 8 ? <li>…and {items.length - 8} more</li> : null}
+    </ul>
+  );
+}
+
+/**
+ * Fits the current `model`'s parameters to observed incident rates.
+ * `value` is the observation text and `parsed` its parseObservations result,
+ * which the parent also plots. The fit starts from `params` and is only handed
+ * to the parent on `onAdopt(params)`.
+ */
+export default function CalibrationPanel({ value, parsed, model, params, onChange, onAdopt }) {
+  const [skipped, setSkipped] = useState([]);
+  const [fit, setFit] = useState(null);
+  const [status, setStatus] = useState("");
+  const specs = modelParamSpecs(model);
+  const keys = specs.filter((p) => !skipped.includes(p.key)).map((p) => p.key);
+  const { observations } = parsed;
+  // A fit belongs to the observations and model it was run on.
+  const current = fit && fit.observations === observations && fit.model === model ? fit : null;
+  const result = current?.result;
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    onChange(await file.text());
+    setStatus("");
+    e.target.value = "";
+  }
+
+  function toggle(key) {
+    setSkipped((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  }
+
+  function run() {
+    try {
+      setFit({ observations, model, result: fitCalibration(observations, { model, start: params, fit: keys }), error: "" });
+    } catch (err) {
+      setFit({ observations, model, result: null, error: err.message });
+    }
+    setStatus("");
+  }
+
+  function adopt() {
+    onAdopt(result.params);
+    setStatus("Fitted values are now the model parameters.");
+  }
+
+  const symbol = (key) => specs.find((p) => p.key === key)?.symbol ?? key;
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Calibration
+        <span className="ml-2 text-xs font-normal text-slate-500">
+          ({observations.length} observation{observations.length === 1 ? "" : "s"}
+          {result ? `, R² ${fmt(result.r2, 3)}` : ""})
+        </span>
+      </summary>
+
+      <div className="mt-4 grid gap-4 md:grid-cols-2">
+        <div>
+          <textarea
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            rows={8}
+            placeholder={EXAMPLE_OBSERVATIONS}
+            className="w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs"
+          />
+          <div className="mt-2 flex flex-wrap items-center gap-3">
+            <label className="cursor-pointer rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+              Load CSV
+              <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={onFile} className="hidden" />
+            </label>
+            <button onClick={() => onChange(EXAMPLE_OBSERVATIONS)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+              Example data
+            </button>
+            {value ? (
+              <button onClick={() => onChange("")} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                Clear
+              </button>
+            ) : null}
+          </div>
+          <MessageList items={parsed.errors} className="text-red-700" />
+          <MessageList items={parsed.warnings} className="text-amber-700" />
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-slate-700">Fit the {getModel(model).label.toLowerCase()} parameters</div>
+          <div className="mt-2 flex flex-wrap gap-3">
+            {specs.map((p) => (
+              <label key={p.key} className="flex items-center gap-1 text-xs text-slate-700">
+                <input type="checkbox" checked={keys.includes(p.key)} onChange={() => toggle(p.key)} />
+                {p.symbol}
+              </label>
+            ))}
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-3">
+            <button
+              onClick={run}
+              disabled={!observations.length || !keys.length}
+              className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-medium text-white shadow-sm disabled:opacity-40"
+            >
+              Fit
+            </button>
+            {result ? (
+              <button onClick={adopt} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                Adopt fitted values
+              </button>
+            ) : null}
+            {status ? <span className="text-xs text-slate-600">{status}</span> : null}
+          </div>
+          {fit && !current ? <div className="mt-2 text-xs text-slate-500">The observations or the model changed; fit again.</div> : null}
+          {current?.error ? <div className="mt-2 text-xs text-red-700">{current.error}</div> : null}
+
+          {result ? (
+            <>
+              <div className="mt-3 grid grid-cols-3 gap-3 text-sm">
+                <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                  <div className="text-xs text-slate-500">R²</div>
+                  <div className="font-semibold tabular-nums">{fmt(result.r2, 3)}</div>
+                </div>
+                <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                  <div className="text-xs text-slate-500">RMSE</div>
+                  <div className="font-semibold tabular-nums">{fmt(result.rmse)}</div>
+                </div>
+                <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                  <div className="text-xs text-slate-500">Iterations</div>
+                  <div className="font-semibold tabular-nums">
+                    {result.iterations}
+                    {result.converged ? "" : " (stopped)"}
+                  </div>
+                </div>
+              </div>
+              <table className="mt-3 w-full text-xs tabular-nums">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="pb-1 pr-3 font-medium">Parameter</th>
+                    <th className="pb-1 pr-3 text-right font-medium">Current</th>
+                    <th className="pb-1 text-right font-medium">Fitted</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {specs.map((p) => (
+                    <tr key={p.key} className="border-t border-slate-200">
+                      <td className="py-1.5 pr-3 text-slate-900">{p.symbol}</td>
+                      <td className="py-1.5 pr-3 text-right">{fmt(params[p.key], 4)}</td>
+                      <td className={`py-1.5 text-right ${result.fitted.includes(p.key) ? "font-semibold text-slate-900" : "text-slate-500"}`}>
+                        {fmt(result.params[p.key], 4)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {result.held.length ? (
+                <div className="mt-2 text-xs text-amber-700">
+                  {result.held.map(symbol).join(", ")} held at the current value: these observations cannot tell{" "}
+                  {result.held.length === 1 ? "it" : "them"} apart from the other fitted parameters.
+                </div>
+              ) : null}
+            </>
+          ) : null}
+        </div>
+      </div>
+
+      {result ? (
+        <table className="mt-4 w-full text-xs tabular-nums">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-1 pr-3 font-medium">Line</th>
+              <th className="pb-1 pr-3 font-medium">Deployment</th>
+              <th className="pb-1 pr-3 text-right font-medium">Observed</th>
+              <th className="pb-1 pr-3 text-right font-medium">Fitted R(n)</th>
+              <th className="pb-1 text-right font-medium">Residual</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.points.map((p) => (
+              <tr key={p.line} className="border-t border-slate-200">
+                <td className="py-1.5 pr-3 text-slate-500">{p.line}</td>
+                <td className="py-1.5 pr-3 text-slate-900">
+                  n={p.n}, A={p.autonomy}, k={p.k}, {topoLabel(p.topology)}
+                </td>
+                <td className="py-1.5 pr-3 text-right">{fmt(p.rate)}</td>
+                <td className="py-1.5 pr-3 text-right">{fmt(p.fitted)}</td>
+                <td className={`py-1.5 text-right ${Math.abs(p.residual) > 2 * result.rmse ? "text-red-700" : ""}`}>{fmt(p.residual)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+
+      <div className="mt-3 text-xs text-slate-500">
+        One deployment per line: <code>n,topology,k,autonomy,rate</code> (or just <code>n,rate</code>), with an optional header row. The rate is incidents per
+        period, in the same units as R(n), observed with whatever controls were in place, so mitigations are not applied. The fit is least squares from the
+        current parameters, within each parameter's range; residuals over twice the RMSE are red. Observations appear as dots on the risk chart.
+      </div>
+    </details>
+  );
+}
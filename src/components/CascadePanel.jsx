@@ -0,0 +1,132 @@
+import React, { useMemo, useState } from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid } from "recharts";
+import { DEFAULT_CASCADE, MAX_SIM_AGENTS, MAX_SIM_EDGES, getModel, sanitizeCascade, simulateCascades } from "../engine/index.js";
+
+const INPUT = "mt-1 rounded-lg border border-slate-200 px-2 py-1 text-sm";
+
+function fmt(x) {
+  if (!Number.isFinite(x)) return "–";
+  return x >= 100 ? x.toFixed(0) : x >= 10 ? x.toFixed(1) : x.toFixed(2);
+}
+
+/**
+ * Seeded failure-propagation trials on the current scenario's generated graph,
+ * plotted against n with the analytic cascade term scaled to the same size.
+ * Off by default: the trials only run while the panel's switch is on.
+ */
+export default function CascadePanel({ scenario }) {
+  const [value, setValue] = useState(DEFAULT_CASCADE);
+  const spec = useMemo(() => sanitizeCascade(value), [value]);
+  const result = useMemo(() => (spec.enabled ? simulateCascades(scenario, spec) : null), [scenario, spec]);
+  const last = result?.points.at(-1);
+  const term = getModel(scenario.model).terms.cascade;
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Cascade simulation
+        <span className="ml-2 text-xs font-normal text-slate-500">
+          ({last ? `expected ${fmt(last.mean)} agents, P95 ${fmt(last.p95)} at n=${last.agents}` : "off"})
+        </span>
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={Boolean(value.enabled)} onChange={(e) => setValue({ ...value, enabled: e.target.checked })} />
+          Run trials
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Trials per n</div>
+          <input type="number" min={10} max={1000} step={50} value={value.trials} onChange={(e) => setValue({ ...value, trials: e.target.value })} className={`w-24 ${INPUT}`} />
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Spread</div>
+          <input type="number" min={0} max={1} step={0.05} value={value.spread} onChange={(e) => setValue({ ...value, spread: e.target.value })} className={`w-24 ${INPUT}`} />
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Seed</div>
+          <input type="number" min={0} value={value.seed} onChange={(e) => setValue({ ...value, seed: e.target.value })} className={`w-28 ${INPUT}`} />
+        </label>
+        <button
+          onClick={() => setValue({ ...value, seed: Math.floor(Math.random() * 2 ** 31) })}
+          className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+        >
+          New seed
+        </button>
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        Each trial fails one random agent; the failure crosses each edge with probability spread · L · A / 10, using the mean autonomy of the edge's two agents.
+        Mitigations apply to A and L, and circuit breakers scale the probability like the cascade term.
+      </div>
+
+      {result ? (
+        <>
+          <div className="mt-4 grid gap-3 text-sm sm:grid-cols-4">
+            <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+              <div className="text-xs text-slate-500">Expected cascade size</div>
+              <div className="font-semibold tabular-nums">{fmt(last.mean)} agents</div>
+            </div>
+            <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+              <div className="text-xs text-slate-500">P95 blast radius</div>
+              <div className="font-semibold tabular-nums">{fmt(last.p95)} agents</div>
+            </div>
+            <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+              <div className="text-xs text-slate-500">Mean edge probability</div>
+              <div className="font-semibold tabular-nums">{result.probability.toFixed(3)}</div>
+            </div>
+            <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+              <div className="text-xs text-slate-500">Shape gap vs. cascade term</div>
+              <div className="font-semibold tabular-nums">{result.shapeGap == null ? "–" : `${(result.shapeGap * 100).toFixed(0)}%`}</div>
+            </div>
+          </div>
+          {result.truncated ? (
+            <div className="mt-2 text-xs text-amber-700">
+              Simulated up to n={result.limit} of {scenario.n}: the graph is capped at {MAX_SIM_AGENTS.toLocaleString()} agents and {MAX_SIM_EDGES.toLocaleString()}{" "}
+              edges.
+            </div>
+          ) : null}
+
+          <div className="mt-4 h-[280px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.points} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="agents" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(v) => fmt(v)} labelFormatter={(n) => `n=${n}`} />
+                <Legend />
+                <Line dataKey="mean" name="Expected cascade size" stroke="hsl(0 70% 40%)" strokeWidth={2.5} isAnimationActive={false} />
+                <Line dataKey="p95" name="P95 blast radius" stroke="hsl(0 70% 40%)" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+                <Line dataKey="analytic" name="Cascade term (scaled)" stroke="#0f172a" strokeWidth={2} dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="mt-2 text-xs text-slate-500">
+            The model's cascade term {term} is scaled to equal the expected cascade size at n={result.limit}, so only the shapes compare. The shape gap is
+            their largest distance as a share of the largest expected size; a large gap means the formula grows differently from cascades on this topology.
+          </div>
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-xs tabular-nums">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="pb-2 pr-3 font-medium">Most dangerous seed</th>
+                  <th className="pb-2 pr-3 text-right font-medium">Neighbours</th>
+                  <th className="pb-2 pr-3 text-right font-medium">Expected cascade</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.seeds.map((s) => (
+                  <tr key={s.agent} className="border-t border-slate-200">
+                    <td className="py-1.5 pr-3 text-slate-900">{s.label}</td>
+                    <td className="py-1.5 pr-3 text-right">{s.degree}</td>
+                    <td className="py-1.5 pr-3 text-right">{fmt(s.mean)} agents</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : null}
+    </details>
+  );
+}
@@ -0,0 +1,150 @@
+import React from "react";
+import { CLUSTER_TOPOLOGIES, EXAMPLE_COMPOSITE, MAX_CLUSTERS, topoLabel } from "../engine/index.js";
+
+const INPUT = "rounded-lg border border-slate-200 px-2 py-1 text-sm";
+const BUTTON = "rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200 disabled:opacity-50";
+
+function fmt(x) {
+  return x >= 1000 ? Math.round(x).toLocaleString() : x.toFixed(1);
+}
+
+/**
+ * Builder for the "Composite (clusters)" topology: clusters with their own n,
+ * k, topology and autonomy, bridge counts between them, and where R(n) comes
+ * from per cluster. `value` is the raw composite (null before one is made);
+ * the parent sanitises it and passes `contributions` from compositeContributions.
+ */
+export default function CompositePanel({ value, contributions, onChange }) {
+  const clusters = value?.clusters ?? [];
+  const bridges = value?.bridges ?? [];
+
+  function setCluster(idx, patch) {
+    onChange({ clusters: clusters.map((c, i) => (i === idx ? { ...c, ...patch } : c)), bridges });
+  }
+
+  // Bridges to a removed cluster go with it; later clusters move up one index.
+  function removeCluster(idx) {
+    const shift = (i) => (i > idx ? i - 1 : i);
+    onChange({
+      clusters: clusters.filter((_, i) => i !== idx),
+      bridges: bridges.filter((b) => Number(b.from) !== idx && Number(b.to) !== idx).map((b) => ({ ...b, from: shift(Number(b.from)), to: shift(Number(b.to)) })),
+    });
+  }
+
+  function setBridge(idx, patch) {
+    onChange({ clusters, bridges: bridges.map((b, i) => (i === idx ? { ...b, ...patch } : b)) });
+  }
+
+  const totalAgents = contributions?.rows.reduce((sum, r) => sum + r.agents, 0) ?? 0;
+  const total = contributions?.terms.total ?? 0;
+
+  return (
+    <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200 md:col-span-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="text-sm font-medium">Composite topology</div>
+          <div className="mt-1 text-xs text-slate-500">
+            Clusters each have their own size, k, topology and autonomy, joined by bridge edges. Clusters grow in proportion to their size, and bridges join their
+            earliest agents (the hub first in hub-and-spoke).
+          </div>
+        </div>
+        <button onClick={() => onChange(EXAMPLE_COMPOSITE)} className={`shrink-0 ${BUTTON}`}>
+          Load example
+        </button>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {clusters.map((c, idx) => (
+          <div key={idx} className="flex flex-wrap items-center gap-2 text-sm">
+            <input value={c.name ?? ""} placeholder={`Cluster ${idx + 1}`} onChange={(e) => setCluster(idx, { name: e.target.value })} className={`w-36 ${INPUT}`} />
+            <input type="number" min={1} value={c.n} onChange={(e) => setCluster(idx, { n: e.target.value })} className={`w-20 ${INPUT}`} aria-label="Agents" />
+            <span className="text-xs text-slate-500">agents,</span>
+            <select value={c.topology} onChange={(e) => setCluster(idx, { topology: e.target.value })} className={`bg-white ${INPUT}`}>
+              {CLUSTER_TOPOLOGIES.map((t) => (
+                <option key={t} value={t}>
+                  {topoLabel(t)}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-slate-500">k</span>
+            <input type="number" min={0} value={c.k} onChange={(e) => setCluster(idx, { k: e.target.value })} className={`w-16 ${INPUT}`} />
+            <span className="text-xs text-slate-500">autonomy</span>
+            <input type="number" min={1} max={10} value={c.autonomy} onChange={(e) => setCluster(idx, { autonomy: e.target.value })} className={`w-16 ${INPUT}`} />
+            <button onClick={() => removeCluster(idx)} className={BUTTON}>
+              Remove
+            </button>
+          </div>
+        ))}
+        {!clusters.length ? <div className="text-xs text-slate-500">No clusters yet; bounded degree is used until one is added.</div> : null}
+        <button
+          onClick={() => onChange({ clusters: [...clusters, { name: `Cluster ${clusters.length + 1}`, n: 10, k: 3, topology: "bounded", autonomy: 5 }], bridges })}
+          disabled={clusters.length >= MAX_CLUSTERS}
+          className={BUTTON}
+        >
+          Add cluster
+        </button>
+      </div>
+
+      {clusters.length > 1 ? (
+        <div className="mt-4 space-y-2">
+          <div className="text-xs font-semibold text-slate-700">Bridges</div>
+          {bridges.map((b, idx) => (
+            <div key={idx} className="flex flex-wrap items-center gap-2 text-sm">
+              <input type="number" min={1} value={b.count} onChange={(e) => setBridge(idx, { count: e.target.value })} className={`w-20 ${INPUT}`} aria-label="Bridge edges" />
+              <span className="text-xs text-slate-500">edges between</span>
+              {["from", "to"].map((end) => (
+                <select key={end} value={b[end]} onChange={(e) => setBridge(idx, { [end]: Number(e.target.value) })} className={`bg-white ${INPUT}`}>
+                  {clusters.map((c, i) => (
+                    <option key={i} value={i}>
+                      {c.name || `Cluster ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              ))}
+              <button onClick={() => onChange({ clusters, bridges: bridges.filter((_, i) => i !== idx) })} className={BUTTON}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button onClick={() => onChange({ clusters, bridges: [...bridges, { from: 0, to: 1, count: 1 }] })} className={BUTTON}>
+            Add bridge
+          </button>
+        </div>
+      ) : null}
+
+      {contributions ? (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-xs tabular-nums">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="pb-2 pr-3 font-medium">Part</th>
+                <th className="pb-2 pr-3 text-right font-medium">Agents</th>
+                <th className="pb-2 pr-3 text-right font-medium">Edges</th>
+                <th className="pb-2 pr-3 text-right font-medium">Linear</th>
+                <th className="pb-2 pr-3 text-right font-medium">Coupling</th>
+                <th className="pb-2 pr-3 text-right font-medium">Cascade</th>
+                <th className="pb-2 pr-3 text-right font-medium">Share of R(n)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {contributions.rows.map((r, idx) => (
+                <tr key={idx} className="border-t border-slate-200">
+                  <td className="py-1.5 pr-3 text-slate-900">{r.name}</td>
+                  <td className="py-1.5 pr-3 text-right">{r.agents || "–"}</td>
+                  <td className="py-1.5 pr-3 text-right">{r.edges.toLocaleString()}</td>
+                  <td className="py-1.5 pr-3 text-right">{fmt(r.linear)}</td>
+                  <td className="py-1.5 pr-3 text-right">{fmt(r.coupling)}</td>
+                  <td className="py-1.5 pr-3 text-right">{fmt(r.cascade)}</td>
+                  <td className="py-1.5 pr-3 text-right">{total > 0 ? `${((100 * r.total) / total).toFixed(1)}%` : "–"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 text-xs text-slate-500">
+            {totalAgents} agents in total. The coupling and cascade terms are split by each part's share of edge-weighted autonomy, so the rows add up to R(n).
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
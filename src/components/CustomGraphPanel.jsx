@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { parseGraphText } from "../engine/index.js";
+
+const GRAPH_ORDERS = [
+  { value: "insertion", label: "Insertion order (as uploaded)" },
+  { value: "degree", label: "Highest degree first" },
+  { value: "custom", label: "Custom order" },
+];
+
+/**
+ * Upload or paste an agent graph for the "Custom graph" topology, and choose
+ * the order agents join in. Parsing happens here; the parent owns the graph.
+ */
+export default function CustomGraphPanel({ maxNodes, source, graph, unknownIds, order, orderText, onLoad, onOrderChange, onOrderTextChange }) {
+  const [text, setText] = useState("");
+  const [report, setReport] = useState(null);
+
+  function load(raw) {
+    const result = parseGraphText(raw, maxNodes);
+    setReport(result);
+    if (result.graph) onLoad(result.graph);
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const raw = await file.text();
+    setText(raw);
+    load(raw);
+    e.target.value = "";
+  }
+
+  return (
+    <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200 md:col-span-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <div className="text-sm font-medium">Custom graph</div>
+          <div className="mt-1 text-xs text-slate-500">
+            Upload an edge-list CSV (<code>source,target</code> per line) or a JSON adjacency file. E(n) counts the edges among the first n agents, so the agent order drives the growth curve.
+          </div>
+        </div>
+        <label className="shrink-0 cursor-pointer rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+          Upload file
+          <input type="file" accept=".csv,.txt,.json,text/csv,application/json" onChange={onFile} className="hidden" />
+        </label>
+      </div>
+
+      <div className="mt-3 grid gap-4 md:grid-cols-2">
+        <div>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={6}
+            placeholder={"orchestrator,worker-1\norchestrator,worker-2\nworker-1,worker-2"}
+            className="w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs"
+          />
+          <div className="mt-2 flex items-center gap-3">
+            <button onClick={() => load(text)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">Load pasted graph</button>
+            {source ? (
+              <span className="text-xs text-slate-600 tabular-nums">
+                {source.nodes.length} agents, {source.edges.length} edges
+              </span>
+            ) : (
+              <span className="text-xs text-slate-500">No graph loaded; bounded degree is used until one is.</span>
+            )}
+          </div>
+          {report?.errors.length ? (
+            <ul className="mt-2 list-disc pl-5 text-xs text-red-700">
+              {report.errors.slice(0, 8).map((m) => <li key={m}>{m}</li>)}
+              {report.errors.length > 8 ? <li>…and {report.errors.length - 8} more</li> : null}
+            </ul>
+          ) : null}
+          {report?.warnings.length ? (
+            <ul className="mt-2 list-disc pl-5 text-xs text-amber-700">
+              {report.warnings.slice(0, 8).map((m) => <li key={m}>{m}</li>)}
+              {report.warnings.length > 8 ? <li>…and {report.warnings.length - 8} more</li> : null}
+            </ul>
+          ) : null}
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-slate-700">Agent order</div>
+          <select value={order} onChange={(e) => onOrderChange(e.target.value)} disabled={!source} className="mt-1 w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm">
+            {GRAPH_ORDERS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+          {order === "custom" ? (
+            <>
+              <textarea
+                value={orderText}
+                onChange={(e) => onOrderTextChange(e.target.value)}
+                rows={3}
+                placeholder="Agent ids, comma or newline separated. Unlisted agents follow in insertion order."
+                className="mt-2 w-full rounded-lg border border-slate-200 px-2 py-1 font-mono text-xs"
+              />
+              {unknownIds.length ? <div className="mt-1 text-xs text-amber-700">Unknown ids ignored: {unknownIds.slice(0, 8).join(", ")}</div> : null}
+            </>
+          ) : null}
+          {graph ? (
+            <div className="mt-2 text-xs text-slate-600">
+              Joins as: <span className="font-mono">{graph.nodes.slice(0, 12).join(" → ")}{graph.nodes.length > 12 ? " → …" : ""}</span>
+            </div>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
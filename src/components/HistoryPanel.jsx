@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { MAX_HISTORY, MAX_SNAPSHOTS, diffWorkspaces } from "../engine/index.js";
+
+function MessageList({ items, className }) {
+  if (!items.length) return null;
+  return (
+    <ul className={`mt-2 list-disc pl-5 text-xs ${className}`}>
+      {items.slice(0, 12).map((m) => <li key={m}>{m}</li>)}
+      {items.length > 12 ? <li>…and {items.length - 12} more</li> : null}
+    </ul>
+  );
+}
+
+function when(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "unknown time" : d.toLocaleString();
+}
+
+/**
+ * Undo history and the timeline of named snapshots. `history` is the undo
+ * history (null before the first state is recorded) and `file` the current
+ * workspace file. A snapshot's diff lists what changed from it to the current
+ * workspace or to another snapshot.
+ */
+export default function HistoryPanel({ history, file, snapshots, onSnapshot, onRestore, onDelete }) {
+  const [name, setName] = useState("");
+  const [openId, setOpenId] = useState(null);
+  const [against, setAgainst] = useState("current");
+  const undoSteps = history?.past.length ?? 0;
+  const redoSteps = history?.future.length ?? 0;
+
+  function take() {
+    onSnapshot(name);
+    setName("");
+  }
+
+  function diffFor(snapshot) {
+    const other = snapshots.find((s) => s.id === against && s.id !== snapshot.id);
+    return diffWorkspaces(snapshot.workspace, other ? other.workspace : file);
+  }
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        History and snapshots
+        <span className="ml-2 text-xs font-normal text-slate-500">
+          ({undoSteps} undo, {redoSteps} redo, {snapshots.length} snapshot{snapshots.length === 1 ? "" : "s"})
+        </span>
+      </summary>
+
+      <div className="mt-3 text-xs text-slate-500">
+        Undo and redo cover the controls, parameters, settings, pinned scenarios, saved scenarios and saved plans, up to {MAX_HISTORY} steps. Use Undo and
+        Redo above the chart, Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y), or ⌘Z and ⇧⌘Z on a Mac. A slider drag counts as one step. History lasts until the page is
+        reloaded; snapshots are kept in this browser.
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-end gap-3">
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Snapshot name</div>
+          <input
+            value={name}
+            placeholder="e.g. Before review"
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") take();
+            }}
+            className="mt-1 w-56 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+        <button onClick={take} className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-medium text-white shadow-sm">
+          Take snapshot
+        </button>
+        <span className="text-xs text-slate-500">Max snapshots: {MAX_SNAPSHOTS}; the oldest is dropped.</span>
+      </div>
+
+      {snapshots.length ? (
+        <ol className="mt-4 space-y-2 border-l-2 border-slate-200 pl-4">
+          {snapshots.map((s) => {
+            const changes = openId === s.id ? diffFor(s) : null;
+            return (
+              <li key={s.id} className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="truncate text-sm font-medium text-slate-900">{s.name}</div>
+                    <div className="mt-1 text-xs text-slate-500">
+                      {when(s.takenAt)}: {s.workspace.scenarios?.length ?? 0} pinned, {s.workspace.savedScenarios?.length ?? 0} saved, n={s.workspace.current?.n}
+                    </div>
+                  </div>
+                  <div className="flex shrink-0 gap-2">
+                    <button onClick={() => onRestore(s)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => setOpenId(openId === s.id ? null : s.id)}
+                      className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+                    >
+                      {openId === s.id ? "Hide diff" : "Diff"}
+                    </button>
+                    <button onClick={() => onDelete(s.id)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                {changes ? (
+                  <div className="mt-3">
+                    <label className="flex items-center gap-2 text-xs text-slate-700">
+                      Changes from this snapshot to
+                      <select value={against} onChange={(e) => setAgainst(e.target.value)} className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs">
+                        <option value="current">the current workspace</option>
+                        {snapshots
+                          .filter((o) => o.id !== s.id)
+                          .map((o) => (
+                            <option key={o.id} value={o.id}>
+                              {o.name}
+                            </option>
+                          ))}
+                      </select>
+                    </label>
+                    {changes.length ? <MessageList items={changes} className="text-slate-700" /> : <div className="mt-2 text-xs text-slate-500">No changes.</div>}
+                  </div>
+                ) : null}
+              </li>
+            );
+          })}
+        </ol>
+      ) : null}
+    </details>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from "react";
+import { GRAPH_METRICS, MAX_METRIC_AGENTS, MAX_METRIC_EDGES, graphMetrics, metricsLimit } from "../engine/index.js";
+
+const BAR_W = 160;
+
+function fmt(x, digits) {
+  return Number.isFinite(x) ? x.toFixed(digits) : "–";
+}
+
+function MetricsDetails({ metrics, limit, n }) {
+  const top = metrics.topNodes[0];
+  const most = Math.max(...metrics.degrees.map((d) => d.count));
+
+  return (
+    <>
+      {limit < n ? (
+        <div className="mt-3 text-xs text-amber-700">
+          Measured at n={limit.toLocaleString()} of {n.toLocaleString()}: the graph is capped at {MAX_METRIC_AGENTS.toLocaleString()} agents and{" "}
+          {MAX_METRIC_EDGES.toLocaleString()} edges.
+        </div>
+      ) : null}
+
+      <div className="mt-4 grid gap-3 text-sm sm:grid-cols-4">
+        {GRAPH_METRICS.map((m) => (
+          <div key={m.key} className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+            <div className="text-xs text-slate-500">{m.label}</div>
+            <div className="font-semibold tabular-nums">{fmt(metrics[m.key], m.digits)}</div>
+          </div>
+        ))}
+        <div className="rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+          <div className="text-xs text-slate-500">Components</div>
+          <div className="font-semibold tabular-nums">{metrics.components}</div>
+        </div>
+      </div>
+      {top && top.betweenness > 0 ? (
+        <div className="mt-3 text-xs text-slate-600">
+          {top.label} lies on {(top.betweenness * 100).toFixed(1)}% of shortest paths between other agents
+          {top.betweenness >= 0.5 ? ": most traffic and most cascades between agents pass through it." : "."}
+        </div>
+      ) : null}
+
+      <div className="mt-4 grid gap-6 md:grid-cols-2">
+        <div>
+          <div className="text-xs font-semibold text-slate-700">Degree distribution</div>
+          <table className="mt-2 w-full text-xs tabular-nums">
+            <tbody>
+              {metrics.degrees.slice(-12).map((d) => (
+                <tr key={d.degree}>
+                  <td className="w-16 py-0.5 pr-2 text-right text-slate-500">{d.degree}</td>
+                  <td className="py-0.5">
+                    <svg width={BAR_W} height={10} className="inline-block align-middle">
+                      <rect width={Math.max(1, (d.count / most) * BAR_W)} height={10} fill="#3b82f6" />
+                    </svg>
+                    <span className="ml-2">{d.count}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {metrics.degrees.length > 12 ? <div className="mt-1 text-xs text-slate-500">Highest 12 of {metrics.degrees.length} degrees.</div> : null}
+        </div>
+
+        <div>
+          <div className="text-xs font-semibold text-slate-700">Highest betweenness</div>
+          <table className="mt-2 w-full text-xs tabular-nums">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="pb-1 pr-3 font-medium">Agent</th>
+                <th className="pb-1 pr-3 text-right font-medium">Degree</th>
+                <th className="pb-1 text-right font-medium">Betweenness</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.topNodes.map((node) => (
+                <tr key={node.agent} className="border-t border-slate-200">
+                  <td className="py-1.5 pr-3 text-slate-900">{node.label}</td>
+                  <td className="py-1.5 pr-3 text-right">{node.degree}</td>
+                  <td className="py-1.5 text-right">{fmt(node.betweenness, 3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="mt-3 text-xs text-slate-500">
+        Density is the share of possible edges present. Betweenness is the share of shortest paths between other agents that pass through an agent. A single
+        point of failure is an agent whose removal splits its part of the graph.
+        {metrics.exact ? "" : " Distances and betweenness are estimated from 200 evenly spaced agents, so the diameter is a lower bound."} Pick a metric for the
+        chart's right axis to see it against n.
+      </div>
+    </>
+  );
+}
+
+/**
+ * Structure of the current scenario's graph at its n (or at the largest n
+ * within the metrics caps): the GRAPH_METRICS values, the degree distribution
+ * and the agents with the highest betweenness. The graph is only built while
+ * the panel is open, since large n take a noticeable time.
+ */
+export default function MetricsPanel({ scenario }) {
+  const [open, setOpen] = useState(false);
+  const limit = useMemo(() => metricsLimit(scenario), [scenario]);
+  const metrics = useMemo(() => (open ? graphMetrics(scenario, limit) : null), [open, scenario, limit]);
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200" open={open} onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Graph structure
+        <span className="ml-2 text-xs font-normal text-slate-500">
+          {metrics
+            ? `(n=${metrics.agents}: density ${fmt(metrics.density, 3)}, diameter ${metrics.diameter}, ${metrics.spof} single point${metrics.spof === 1 ? "" : "s"} of failure)`
+            : "(measured when opened)"}
+        </span>
+      </summary>
+
+      {metrics ? <MetricsDetails metrics={metrics} limit={limit} n={scenario.n} /> : null}
+    </details>
+  );
+}
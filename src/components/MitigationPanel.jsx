@@ -0,0 +1,39 @@
+import React from "react";
+import { MITIGATIONS } from "../engine/index.js";
+
+/**
+ * Checkboxes for the mitigation catalogue. `value` is the raw list of ids;
+ * the parent sanitises it, so order here does not matter.
+ */
+export default function MitigationPanel({ value, onChange }) {
+  const active = new Set(value);
+
+  function toggle(id, on) {
+    onChange(on ? [...value.filter((x) => x !== id), id] : value.filter((x) => x !== id));
+  }
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Mitigations
+        <span className="ml-2 text-xs font-normal text-slate-500">({active.size ? `${active.size} active` : "none"})</span>
+      </summary>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-2">
+        {MITIGATIONS.map((m) => (
+          <label key={m.id} className="flex items-start gap-2 rounded-xl bg-slate-50 p-3 text-sm ring-1 ring-slate-200">
+            <input type="checkbox" className="mt-0.5" checked={active.has(m.id)} onChange={(e) => toggle(m.id, e.target.checked)} />
+            <span>
+              <span className="font-medium text-slate-900">{m.label}</span>
+              <span className="mt-0.5 block text-xs text-slate-600">{m.help}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+      <div className="mt-3 text-xs text-slate-500">
+        Mitigations lower autonomy, load or the coupling and cascade weights of the current scenario; the baseline is unchanged. With any active, the chart adds
+        the unmitigated curve as a dashed line in the same colour.
+      </div>
+    </details>
+  );
+}
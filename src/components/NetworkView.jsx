@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from "react";
+import { compositeEdgeList, compositeParts, computeEdges, generateEdges, topoLabel } from "../engine/index.js";
+
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const OUTER_R = SIZE / 2 - 18;
+const INNER_R = 46;
+const LABEL_LIMIT = 40;
+const MAX_DRAWN_AGENTS = 400;
+const MAX_DRAWN_EDGES = 6000;
+
+// E(n) for the view: a composite counts its clusters and bridges.
+function edgesAt(n, k, topology, graph, composite) {
+  return composite ? compositeParts(composite, n).edges : computeEdges(n, k, topology, graph);
+}
+
+// Largest prefix of agents small enough to draw; the model counts are still for all n.
+function drawableAgents(n, k, topology, graph, composite) {
+  let m = Math.min(n, MAX_DRAWN_AGENTS);
+  while (m > 1 && edgesAt(m, k, topology, graph, composite) > MAX_DRAWN_EDGES) m -= 1;
+  return m;
+}
+
+// Hubs: agent 1 in hub-and-spoke, otherwise agents with at least twice the mean degree.
+function findHubs(topology, k, degrees) {
+  const n = degrees.length;
+  if (topology === "hub") return k > 0 && n > 1 ? new Set([0]) : new Set();
+  const mean = degrees.reduce((a, b) => a + b, 0) / Math.max(1, n);
+  const hubs = new Set();
+  degrees.forEach((d, idx) => {
+    if (d >= 3 && d >= 2 * mean) hubs.add(idx);
+  });
+  return hubs;
+}
+
+// Hubs sit in the centre (or an inner ring when there are several); the rest go round the outside in join order.
+function layout(n, hubs) {
+  const outer = [];
+  const inner = [];
+  for (let idx = 0; idx < n; idx += 1) (hubs.has(idx) ? inner : outer).push(idx);
+
+  const pos = new Array(n);
+  const place = (list, r) => {
+    list.forEach((idx, i) => {
+      const angle = (2 * Math.PI * i) / list.length - Math.PI / 2;
+      pos[idx] = { x: CENTER + r * Math.cos(angle), y: CENTER + r * Math.sin(angle) };
+    });
+  };
+  if (inner.length === 1) pos[inner[0]] = { x: CENTER, y: CENTER };
+  else place(inner, INNER_R);
+  place(outer, n === 1 ? 0 : OUTER_R);
+  return pos;
+}
+
+function degreeColor(d, maxDegree) {
+  const t = maxDegree > 0 ? d / maxDegree : 0;
+  const light = Math.round(78 - t * 46);
+  return `hsl(${Math.round(210 - t * 200)} 70% ${light}%)`;
+}
+
+/**
+ * The concrete graph for the current n, k and topology, built with the same
+ * edge generator the risk model counts. Hover an agent to see its edges.
+ * Large fleets are drawn as their first few hundred agents.
+ */
+export default function NetworkView({ n: totalN, k, topology, graph, composite }) {
+  const [hovered, setHovered] = useState(null);
+  const n = useMemo(() => drawableAgents(totalN, k, topology, graph, composite), [totalN, k, topology, graph, composite]);
+  const totalEdges = edgesAt(totalN, k, topology, graph, composite);
+
+  const net = useMemo(() => {
+    const edges = composite ? compositeEdgeList(composite, n, MAX_DRAWN_EDGES) : generateEdges(n, k, topology, graph);
+    const degrees = new Array(n).fill(0);
+    const neighbors = Array.from({ length: n }, () => []);
+    for (const [a, b] of edges) {
+      degrees[a - 1] += 1;
+      degrees[b - 1] += 1;
+      neighbors[a - 1].push(b);
+      neighbors[b - 1].push(a);
+    }
+    const hubs = findHubs(topology, k, degrees);
+    const pos = layout(n, hubs);
+    const maxDegree = degrees.reduce((m, d) => Math.max(m, d), 0);
+    // One path for all edges keeps large meshes cheap to render.
+    const path = edges
+      .map(([a, b]) => `M${pos[a - 1].x.toFixed(1)},${pos[a - 1].y.toFixed(1)}L${pos[b - 1].x.toFixed(1)},${pos[b - 1].y.toFixed(1)}`)
+      .join("");
+    return { edges, degrees, neighbors, hubs, pos, maxDegree, path };
+  }, [n, k, topology, graph, composite]);
+
+  const name = (idx) => (graph ? graph.nodes[idx] : `Agent ${idx + 1}`);
+  const meanDegree = totalN > 0 ? (2 * totalEdges) / totalN : 0;
+  const active = hovered != null && hovered < n ? hovered : null;
+
+  return (
+    <div className="rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <div className="text-sm font-medium">Network view</div>
+      <div className="mt-1 text-xs text-slate-500">
+        {topoLabel(topology)}, n={totalN.toLocaleString()}{graph || composite ? "" : `, k=${k}`}: E={totalEdges.toLocaleString()}, mean degree {meanDegree.toFixed(1)}
+        {n === totalN ? `, max degree ${net.maxDegree}` : ""}.
+        {n < totalN ? ` Drawing the first ${n} agents (${net.edges.length.toLocaleString()} edges).` : ""}
+      </div>
+
+      <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="mt-3 w-full" role="img" aria-label={`Network of ${n} agents and ${net.edges.length} edges`}>
+        <path d={net.path} stroke="#94a3b8" strokeWidth={0.75} strokeOpacity={active == null ? Math.max(0.08, Math.min(0.6, 60 / Math.max(1, net.edges.length))) : 0.05} fill="none" />
+
+        {active != null
+          ? net.neighbors[active].map((j) => (
+              <line
+                key={j}
+                x1={net.pos[active].x}
+                y1={net.pos[active].y}
+                x2={net.pos[j - 1].x}
+                y2={net.pos[j - 1].y}
+                stroke="#0f172a"
+                strokeWidth={1.5}
+              />
+            ))
+          : null}
+
+        {net.pos.map((p, idx) => {
+          const d = net.degrees[idx];
+          const isHub = net.hubs.has(idx);
+          const dim = active != null && idx !== active && !net.neighbors[active].includes(idx + 1);
+          const r = (n > 80 ? 2.5 : 4) + (net.maxDegree ? (4 * d) / net.maxDegree : 0) + (isHub ? 2 : 0);
+          return (
+            <g key={idx} onMouseEnter={() => setHovered(idx)} onMouseLeave={() => setHovered(null)} style={{ cursor: "pointer" }}>
+              <circle cx={p.x} cy={p.y} r={Math.max(r, 7)} fill="transparent" />
+              <circle
+                cx={p.x}
+                cy={p.y}
+                r={r}
+                fill={degreeColor(d, net.maxDegree)}
+                stroke={isHub ? "#0f172a" : "#ffffff"}
+                strokeWidth={isHub ? 2 : 1}
+                opacity={dim ? 0.25 : 1}
+              />
+              {n <= LABEL_LIMIT && !graph ? (
+                <text x={p.x} y={p.y - r - 2} textAnchor="middle" fontSize={8} fill="#475569" style={{ pointerEvents: "none" }}>
+                  {idx + 1}
+                </text>
+              ) : null}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="mt-2 min-h-[3rem] text-xs text-slate-600">
+        {active != null ? (
+          <>
+            <span className="font-medium text-slate-900">{name(active)}</span>
+            {net.hubs.has(active) ? <span className="ml-1 rounded bg-slate-900 px-1 text-[10px] font-semibold text-white">hub</span> : null}
+            <span>: degree {net.degrees[active]}</span>
+            {net.neighbors[active].length ? (
+              <div className="mt-1 text-slate-500">
+                Connected to {net.neighbors[active].slice(0, 16).map((j) => (graph ? graph.nodes[j - 1] : j)).join(", ")}
+                {net.neighbors[active].length > 16 ? `, and ${net.neighbors[active].length - 16} more` : ""}
+              </div>
+            ) : null}
+          </>
+        ) : (
+          <span className="text-slate-500">
+            Hover an agent to see its edges. Colour and size scale with degree{net.hubs.size ? "; outlined agents are hubs" : ""}.
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { POLICY_LEVELS, SCENARIO_SCHEMA } from "../engine/index.js";
+
+function fmt(x) {
+  return x >= 100 ? x.toFixed(0) : x >= 10 ? x.toFixed(1) : x.toFixed(2);
+}
+
+function PolicyBadge({ level }) {
+  if (!level) return <span className="text-slate-500">no multiple</span>;
+  return (
+    <span className="rounded-md px-1.5 py-0.5 font-medium text-white" style={{ background: level.color }}>
+      {level.label}
+    </span>
+  );
+}
+
+/**
+ * Policy bands: thresholds on the risk multiple that mark designs green,
+ * amber or red, optionally different per autonomy level. `value` is the raw
+ * policy, `policy` the sanitised one and `results` each curve's
+ * { key, name, ...scenarioPolicy }.
+ */
+export default function PolicyPanel({ value, policy, results, onChange }) {
+  const levels = [];
+  for (let a = SCENARIO_SCHEMA.autonomy.min; a <= SCENARIO_SCHEMA.autonomy.max; a += 1) levels.push(a);
+  const overrides = value.byAutonomy ?? {};
+  const free = levels.filter((a) => !(a in overrides));
+  const [pick, setPick] = useState("");
+  const adding = free.includes(Number(pick)) ? Number(pick) : free[0];
+
+  function setOverride(level, next) {
+    onChange({ ...value, byAutonomy: { ...overrides, [level]: next } });
+  }
+
+  function removeOverride(level) {
+    const { [level]: _removed, ...rest } = overrides;
+    onChange({ ...value, byAutonomy: rest });
+  }
+
+  const thresholdInputs = (t, set) =>
+    ["amber", "red"].map((key) => (
+      <label key={key} className="block">
+        <div className="text-xs text-slate-500">{key === "amber" ? "amber from (x)" : "red from (x)"}</div>
+        <input
+          type="number"
+          min={0}
+          step={0.5}
+          value={t[key] ?? ""}
+          onChange={(e) => set({ ...t, [key]: e.target.value })}
+          className="mt-1 w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+        />
+      </label>
+    ));
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Policy bands
+        <span className="ml-2 text-xs font-normal text-slate-500">
+          ({policy.enabled ? `green below ${policy.amber}x, red from ${policy.red}x${Object.keys(policy.byAutonomy).length ? ", with per-autonomy overrides" : ""}` : "off"})
+        </span>
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={Boolean(value.enabled)} onChange={(e) => onChange({ ...value, enabled: e.target.checked })} />
+          Check designs against policy bands
+        </label>
+        {thresholdInputs(value, (next) => onChange({ ...value, ...next }))}
+      </div>
+
+      <div className="mt-4">
+        <div className="text-xs font-semibold text-slate-700">Per-autonomy overrides</div>
+        {Object.entries(overrides).map(([level, t]) => (
+          <div key={level} className="mt-2 flex flex-wrap items-end gap-3">
+            <div className="w-20 pb-1 text-sm text-slate-700">A={level}</div>
+            {thresholdInputs(t, (next) => setOverride(level, next))}
+            <button
+              onClick={() => removeOverride(level)}
+              className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        {free.length ? (
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <select value={adding} onChange={(e) => setPick(e.target.value)} className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-sm">
+              {free.map((a) => (
+                <option key={a} value={a}>
+                  A={a}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setOverride(adding, { amber: policy.amber, red: policy.red })}
+              className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+            >
+              Add override
+            </button>
+          </div>
+        ) : null}
+      </div>
+
+      {policy.enabled ? (
+        <div className="mt-4 space-y-1 text-xs text-slate-600">
+          {results.map((r) => (
+            <div key={r.key} className="flex flex-wrap items-center gap-2 tabular-nums">
+              <span className="font-medium text-slate-900">{r.name}</span>
+              <span>
+                {r.multiple == null ? "–" : `${fmt(r.multiple)}x`} against {r.amber}x / {r.red}x:
+              </span>
+              <PolicyBadge level={r.level} />
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      <div className="mt-2 text-xs text-slate-500">
+        A risk multiple below the amber threshold is {POLICY_LEVELS[0].label.toLowerCase()}, from amber up to red it {POLICY_LEVELS[1].label.toLowerCase()}, and
+        from red it {POLICY_LEVELS[2].label.toLowerCase()}. An override applies to curves whose mean autonomy rounds to that level. The bands are shaded on
+        the risk and multiple views, listed in the CSV and report, and carried in the share link. Edits here are kept in this browser; bands from a link
+        apply until you change them.
+      </div>
+    </details>
+  );
+}
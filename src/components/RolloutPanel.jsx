@@ -0,0 +1,185 @@
+import React, { useMemo } from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ReferenceLine } from "recharts";
+import { EXAMPLE_PLAN, MAX_PHASES, TOPOLOGIES, parsePhaseDate, rolloutTrajectory, sanitizePlan, topoLabel } from "../engine/index.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function TrajectoryTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const pt = payload[0].payload;
+  return (
+    <div className="rounded-xl bg-white p-3 text-xs shadow-lg ring-1 ring-slate-200">
+      <div className="font-semibold text-slate-900">
+        {pt.date}
+        {pt.label ? ` · ${pt.label}` : ""}
+      </div>
+      <div className="mt-1 text-slate-600">
+        n={pt.n}, A={pt.autonomy}, k={pt.k}, {topoLabel(pt.topology)}
+      </div>
+      <div className="mt-1 tabular-nums text-slate-900">
+        R={pt.risk.toFixed(1)} ({pt.multiple == null ? "–" : `${pt.multiple.toFixed(1)}x`} baseline)
+      </div>
+      {pt.changes.length ? <div className="mt-1 text-red-700">{pt.changes.join(", ")}</div> : null}
+    </div>
+  );
+}
+
+/**
+ * Rollout-plan editor: dated phases, each held until the next one, and the
+ * risk trajectory across them. `plan` is the raw plan; inputs stay strings
+ * until sanitizePlan. Risk uses the current `model` and its `params`.
+ */
+export default function RolloutPanel({ plan, model, params, onChange, onSave }) {
+  const safePlan = useMemo(() => sanitizePlan(plan), [plan]);
+  const points = useMemo(() => rolloutTrajectory(safePlan, params, model), [safePlan, params, model]);
+  const phases = plan.phases || [];
+
+  function setPhase(idx, patch) {
+    onChange({ ...plan, phases: phases.map((p, i) => (i === idx ? { ...p, ...patch } : p)) });
+  }
+
+  function addPhase() {
+    const last = points[points.length - 1];
+    const date = last ? formatDate(last.time + 91 * DAY) : formatDate(Date.now());
+    const prev = last || { n: 10, autonomy: 3, k: 1, topology: "bounded" };
+    onChange({ ...plan, phases: [...phases, { date, label: "", n: prev.n, autonomy: prev.autonomy, k: prev.k, topology: prev.topology }] });
+  }
+
+  const dropped = phases.length - safePlan.phases.length;
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Rollout plan
+        <span className="ml-2 text-xs font-normal text-slate-500">
+          ({safePlan.name}, {safePlan.phases.length} phase{safePlan.phases.length === 1 ? "" : "s"})
+        </span>
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-end gap-3">
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Plan name</div>
+          <input
+            value={plan.name ?? ""}
+            onChange={(e) => onChange({ ...plan, name: e.target.value })}
+            className="mt-1 w-56 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+        <button
+          onClick={addPhase}
+          disabled={phases.length >= MAX_PHASES}
+          className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200 disabled:opacity-50"
+        >
+          Add phase
+        </button>
+        <button onClick={() => onChange(EXAMPLE_PLAN)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+          Load example
+        </button>
+        <button
+          onClick={() => onSave(safePlan)}
+          disabled={!safePlan.phases.length}
+          className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-medium text-white shadow-sm disabled:opacity-50"
+        >
+          Save plan
+        </button>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-2 pr-2 font-medium">Start date</th>
+              <th className="pb-2 pr-2 font-medium">Label</th>
+              <th className="pb-2 pr-2 font-medium">Agents</th>
+              <th className="pb-2 pr-2 font-medium">Autonomy</th>
+              <th className="pb-2 pr-2 font-medium">K</th>
+              <th className="pb-2 pr-2 font-medium">Topology</th>
+              <th className="pb-2 font-medium" />
+            </tr>
+          </thead>
+          <tbody>
+            {phases.map((p, idx) => (
+              <tr key={idx} className="border-t border-slate-200">
+                <td className="py-1 pr-2">
+                  <input
+                    type="date"
+                    value={p.date ?? ""}
+                    onChange={(e) => setPhase(idx, { date: e.target.value })}
+                    className={`rounded-lg border px-2 py-1 ${parsePhaseDate(p.date) == null ? "border-red-300" : "border-slate-200"}`}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input value={p.label ?? ""} onChange={(e) => setPhase(idx, { label: e.target.value })} className="w-32 rounded-lg border border-slate-200 px-2 py-1" />
+                </td>
+                {["n", "autonomy", "k"].map((field) => (
+                  <td key={field} className="py-1 pr-2">
+                    <input
+                      type="number"
+                      value={p[field] ?? ""}
+                      onChange={(e) => setPhase(idx, { [field]: e.target.value })}
+                      className="w-20 rounded-lg border border-slate-200 px-2 py-1"
+                    />
+                  </td>
+                ))}
+                <td className="py-1 pr-2">
+                  <select value={p.topology} onChange={(e) => setPhase(idx, { topology: e.target.value })} className="rounded-lg border border-slate-200 bg-white px-2 py-1">
+                    {TOPOLOGIES.filter((t) => !t.structure).map((t) => (
+                      <option key={t.value} value={t.value}>
+                        {t.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1">
+                  <button
+                    onClick={() => onChange({ ...plan, phases: phases.filter((_, i) => i !== idx) })}
+                    className="rounded-lg bg-white px-2 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {dropped > 0 ? <div className="mt-2 text-xs text-red-700">{dropped} phase(s) without a valid start date are left out of the trajectory.</div> : null}
+
+      {points.length ? (
+        <div className="mt-4 h-[300px] w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={points} margin={{ top: 24, right: 30, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="time" type="number" scale="time" domain={["dataMin", "dataMax"]} tickFormatter={formatDate} tick={{ fontSize: 12 }} />
+              <YAxis tick={{ fontSize: 12 }} />
+              <Tooltip content={<TrajectoryTooltip />} />
+              <Legend />
+              <Line type="stepAfter" dataKey="baseline" name="Baseline (linear)" stroke="#0f172a" strokeWidth={2} dot={false} isAnimationActive={false} />
+              <Line type="stepAfter" dataKey="risk" name="Connected risk" stroke="hsl(0 70% 40%)" strokeWidth={2.5} isAnimationActive={false} />
+              {points
+                .filter((pt) => pt.step)
+                .map((pt) => (
+                  <ReferenceLine
+                    key={pt.id}
+                    x={pt.time}
+                    stroke="#dc2626"
+                    strokeDasharray="4 3"
+                    label={{ value: pt.changes.join(", "), position: "insideTopLeft", fontSize: 10, fill: "#b91c1c" }}
+                  />
+                ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ) : null}
+
+      <div className="mt-2 text-xs text-slate-500">
+        Each phase holds from its start date until the next one. Risk is R(n) at the phase's agent count, using the model parameters above. Dashed markers show
+        where topology, autonomy or K changes.
+      </div>
+    </details>
+  );
+}
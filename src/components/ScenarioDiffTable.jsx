@@ -0,0 +1,118 @@
+import React, { useMemo, useState } from "react";
+import { compareScenarios, compareToMarkdown, deltaTone, formatDelta, formatMetric } from "../engine/index.js";
+
+const TONES = {
+  1: "bg-red-50 text-red-700",
+  0: "text-slate-500",
+  [-1]: "bg-emerald-50 text-emerald-700",
+};
+
+/**
+ * One column per curve with inputs, results, additive terms and threshold
+ * crossings, and deltas against a chosen reference. Clicking a metric sorts
+ * the columns by it. `curves` are { key, name, color, scenario }.
+ */
+export default function ScenarioDiffTable({ curves }) {
+  const [referenceKey, setReferenceKey] = useState("current");
+  const [sort, setSort] = useState({ by: null, descending: false });
+  const [copied, setCopied] = useState(false);
+
+  const table = useMemo(
+    () => compareScenarios(curves, { referenceKey, sortBy: sort.by, descending: sort.descending }),
+    [curves, referenceKey, sort]
+  );
+  const colors = Object.fromEntries(curves.map((c) => [c.key, c.color]));
+
+  function sortBy(key) {
+    setSort((prev) => (prev.by === key ? (prev.descending ? { by: null, descending: false } : { by: key, descending: true }) : { by: key, descending: false }));
+  }
+
+  async function copyMarkdown() {
+    const md = compareToMarkdown(table);
+    try {
+      await navigator.clipboard.writeText(md);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1200);
+    } catch {
+      window.prompt("Copy this table", md);
+    }
+  }
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-xs text-slate-600">
+          Deltas against
+          <select value={table.reference ?? ""} onChange={(e) => setReferenceKey(e.target.value)} className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs">
+            {curves.map((c) => (
+              <option key={c.key} value={c.key}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={copyMarkdown} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+          {copied ? "Copied" : "Copy as Markdown"}
+        </button>
+      </div>
+
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-xs tabular-nums">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-2 pr-3 font-medium">Metric</th>
+              {table.columns.map((c) => (
+                <th key={c.key} className="pb-2 pr-3 text-right font-medium">
+                  <span className="inline-flex items-center gap-1.5">
+                    <span className="inline-block h-2 w-2 rounded-full" style={{ background: colors[c.key] }} />
+                    <span className="text-slate-900">{c.name}</span>
+                  </span>
+                  {c.isReference ? <div className="font-normal text-slate-400">reference</div> : null}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {table.metrics.map((m, idx) => {
+              const groupRow =
+                idx === 0 || table.metrics[idx - 1].group !== m.group ? (
+                  <tr key={`g_${m.group}`}>
+                    <td colSpan={table.columns.length + 1} className="pt-3 pb-1 text-[11px] font-semibold uppercase tracking-wide text-slate-400">
+                      {m.group}
+                    </td>
+                  </tr>
+                ) : null;
+              return (
+                <React.Fragment key={m.key}>
+                  {groupRow}
+                  <tr className="border-t border-slate-200">
+                    <td className="py-1.5 pr-3">
+                      <button onClick={() => sortBy(m.key)} className="text-left font-medium text-slate-700 hover:text-slate-900" title="Sort columns by this metric">
+                        {m.label}
+                        {sort.by === m.key ? <span className="ml-1 text-slate-400">{sort.descending ? "▼" : "▲"}</span> : null}
+                      </button>
+                    </td>
+                    {table.columns.map((c) => {
+                      const d = c.deltas[m.key];
+                      const tone = deltaTone(m, d);
+                      return (
+                        <td key={c.key} className="py-1.5 pr-3 text-right">
+                          <div className="text-slate-900">{formatMetric(m, c.values[m.key])}</div>
+                          {d && d.abs !== 0 ? <div className={`mt-0.5 inline-block rounded px-1 ${TONES[tone]}`}>{formatDelta(m, d)}</div> : null}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        Values are at each curve's own final n. Red marks a change for the worse against the reference (more risk, or crossing a threshold at a smaller n), green a
+        change for the better. Click a metric to sort the columns by it.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from "react";
+import { getModel, sensitivityAnalysis } from "../engine/index.js";
+
+const WIDTH = 560;
+const LABEL_W = 110;
+const VALUE_W = 70;
+const ROW_H = 26;
+const BAR_H = 16;
+const DELTAS = [0.05, 0.1, 0.2, 0.5];
+
+// The three additive terms of R(n), labelled with the model's own formulas.
+function termRows(model) {
+  const { terms } = getModel(model);
+  return [
+    { key: "linear", label: "Linear n·r0", color: "#94a3b8" },
+    { key: "coupling", label: `Coupling ${terms.coupling}`, color: "#3b82f6" },
+    { key: "cascade", label: `Cascade ${terms.cascade}`, color: "#ef4444" },
+  ];
+}
+
+function fmt(x) {
+  if (!Number.isFinite(x)) return "–";
+  return x >= 100 ? x.toFixed(0) : x >= 10 ? x.toFixed(1) : x.toFixed(2);
+}
+
+/**
+ * Tornado chart of how far each input moves the final risk multiple when
+ * perturbed around the current settings, plus the split of R(n) into its
+ * three additive terms.
+ */
+export default function SensitivityPanel({ scenario }) {
+  const [delta, setDelta] = useState(0.1);
+  const result = useMemo(() => sensitivityAnalysis(scenario, { delta }), [scenario, delta]);
+  const { baseMultiple, items, terms } = result;
+
+  let lo = baseMultiple ?? 0;
+  let hi = baseMultiple ?? 0;
+  for (const item of items) {
+    for (const m of [item.low.multiple, item.high.multiple]) {
+      if (Number.isFinite(m)) {
+        lo = Math.min(lo, m);
+        hi = Math.max(hi, m);
+      }
+    }
+  }
+  const plotW = WIDTH - LABEL_W - 2 * VALUE_W;
+  const x = (m) => LABEL_W + VALUE_W + (hi > lo ? ((m - lo) / (hi - lo)) * plotW : plotW / 2);
+  const height = items.length * ROW_H + 20;
+  const rows = termRows(scenario.model);
+  const dominant = rows.reduce((best, t) => (terms.shares[t.key] > terms.shares[best.key] ? t : best), rows[0]);
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Sensitivity: what drives the {fmt(baseMultiple)}x multiple
+        <span className="ml-2 text-xs font-normal text-slate-500">(largest driver: {items[0]?.label})</span>
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2 text-xs text-slate-600">
+        Perturb each input by
+        {DELTAS.map((d) => (
+          <button
+            key={d}
+            onClick={() => setDelta(d)}
+            className={`rounded-lg px-2 py-1 font-medium shadow-sm ring-1 ring-slate-200 ${d === delta ? "bg-slate-900 text-white" : "bg-white text-slate-900"}`}
+          >
+            ±{Math.round(d * 100)}%
+          </button>
+        ))}
+        <span className="text-slate-500">around the current settings. Topology compares the built-in topologies.</span>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="mt-3 w-full" role="img" aria-label="Tornado chart of input sensitivity">
+        {items.map((item, idx) => {
+          const y = idx * ROW_H + 4;
+          const left = Math.min(item.low.multiple, item.high.multiple);
+          const right = Math.max(item.low.multiple, item.high.multiple);
+          const lowIsLeft = item.low.multiple <= item.high.multiple;
+          const mid = Number.isFinite(baseMultiple) ? Math.min(Math.max(baseMultiple, left), right) : left;
+          return (
+            <g key={item.key}>
+              <text x={0} y={y + BAR_H / 2 + 4} fontSize={11} fill="#0f172a">
+                {item.label}
+              </text>
+              <text x={LABEL_W + VALUE_W - 4} y={y + BAR_H / 2 + 4} fontSize={10} fill="#64748b" textAnchor="end">
+                {lowIsLeft ? item.low.label : item.high.label}
+              </text>
+              <rect x={x(left)} y={y} width={Math.max(0, x(mid) - x(left))} height={BAR_H} fill={lowIsLeft ? "#60a5fa" : "#f87171"} />
+              <rect x={x(mid)} y={y} width={Math.max(0, x(right) - x(mid))} height={BAR_H} fill={lowIsLeft ? "#f87171" : "#60a5fa"} />
+              <text x={WIDTH - VALUE_W + 4} y={y + BAR_H / 2 + 4} fontSize={10} fill="#64748b">
+                {lowIsLeft ? item.high.label : item.low.label}
+              </text>
+            </g>
+          );
+        })}
+        {Number.isFinite(baseMultiple) ? (
+          <>
+            <line x1={x(baseMultiple)} x2={x(baseMultiple)} y1={0} y2={height - 16} stroke="#0f172a" strokeDasharray="3 3" />
+            <text x={x(baseMultiple)} y={height - 4} fontSize={10} fill="#0f172a" textAnchor="middle">
+              {fmt(baseMultiple)}x
+            </text>
+          </>
+        ) : null}
+        <text x={LABEL_W + VALUE_W} y={height - 4} fontSize={10} fill="#64748b" textAnchor="middle">
+          {fmt(lo)}x
+        </text>
+        <text x={WIDTH - VALUE_W} y={height - 4} fontSize={10} fill="#64748b" textAnchor="middle">
+          {fmt(hi)}x
+        </text>
+      </svg>
+      <div className="mt-1 text-xs text-slate-500">
+        <span className="mr-1 inline-block h-2 w-3 bg-blue-400" />lower input
+        <span className="ml-3 mr-1 inline-block h-2 w-3 bg-red-400" />higher input
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-2 pr-3 font-medium">Input</th>
+              <th className="pb-2 pr-3 font-medium">Current</th>
+              <th className="pb-2 pr-3 font-medium">Low → multiple</th>
+              <th className="pb-2 pr-3 font-medium">High → multiple</th>
+              <th className="pb-2 pr-3 font-medium">Swing</th>
+              <th className="pb-2 font-medium">Elasticity</th>
+            </tr>
+          </thead>
+          <tbody className="tabular-nums">
+            {items.map((item) => (
+              <tr key={item.key} className="border-t border-slate-200">
+                <td className="py-2 pr-3 font-medium text-slate-900">{item.label}</td>
+                <td className="py-2 pr-3">{typeof item.base === "number" ? +item.base.toFixed(3) : item.base}</td>
+                <td className="py-2 pr-3">
+                  {item.low.label} → {fmt(item.low.multiple)}x
+                </td>
+                <td className="py-2 pr-3">
+                  {item.high.label} → {fmt(item.high.multiple)}x
+                </td>
+                <td className="py-2 pr-3">{fmt(item.swing)}x</td>
+                <td className="py-2">{item.elasticity == null ? "–" : item.elasticity.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 text-xs text-slate-500">
+        Elasticity is the % change in the multiple per 1% change in the input. Above 1 means the multiple moves faster than the input.
+      </div>
+
+      <div className="mt-5 text-sm font-medium">Where R(n) comes from at n={scenario.n}</div>
+      <div className="mt-2 flex h-4 w-full overflow-hidden rounded-full bg-slate-100">
+        {rows.map((t) => (
+          <div key={t.key} style={{ width: `${terms.shares[t.key] * 100}%`, background: t.color }} title={t.label} />
+        ))}
+      </div>
+      <div className="mt-2 grid gap-1 text-xs text-slate-600 sm:grid-cols-3">
+        {rows.map((t) => (
+          <div key={t.key}>
+            <span className="mr-1 inline-block h-2 w-3" style={{ background: t.color }} />
+            <span className={t.key === dominant.key ? "font-semibold text-slate-900" : ""}>{t.label}</span>
+            <span className="ml-1 tabular-nums">
+              {fmt(terms[t.key])} ({(terms.shares[t.key] * 100).toFixed(1)}%)
+            </span>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
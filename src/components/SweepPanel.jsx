@@ -0,0 +1,221 @@
+import React, { useMemo, useState } from "react";
+import { MAX_SWEEP_STEPS, sanitizeSweep, sweepAxes, sweepContour, sweepGrid, sweepScenario, sweepToCsv } from "../engine/index.js";
+
+const WIDTH = 560;
+const LEFT = 56;
+const TOP = 8;
+const PLOT_H = 320;
+const BOTTOM = 36;
+const DASHES = ["", "6 3", "2 3", "8 3 2 3", "1 2"];
+
+function fmt(x) {
+  if (!Number.isFinite(x)) return "–";
+  return x >= 100 ? x.toFixed(0) : x >= 10 ? x.toFixed(1) : x.toFixed(2);
+}
+
+function tick(v) {
+  return String(+v.toPrecision(3));
+}
+
+// Light yellow for the smallest multiple to deep red for the largest, on a log scale.
+function cellColor(multiple, min, max) {
+  if (multiple == null) return "#e2e8f0";
+  const t = max > min && min > 0 ? Math.log(multiple / min) / Math.log(max / min) : 0;
+  return `hsl(${Math.round(48 - 48 * t)}, 90%, ${Math.round(90 - 45 * t)}%)`;
+}
+
+// Position of `value` along an axis's values, in index units, or null outside them.
+function indexOf(values, value) {
+  const first = values[0];
+  const last = values[values.length - 1];
+  if (!(value >= first && value <= last)) return null;
+  return last > first ? ((value - first) / (last - first)) * (values.length - 1) : 0;
+}
+
+function SweepBody({ scenario, axes, raw, setRaw, spec, grid, onLoad, onExport }) {
+  const contours = useMemo(() => spec.thresholds.map((level) => ({ level, segments: sweepContour(grid, level) })), [grid, spec.thresholds]);
+
+  const nx = grid.x.values.length;
+  const ny = grid.y.values.length;
+  const cellW = (WIDTH - LEFT) / nx;
+  const cellH = PLOT_H / ny;
+  const px = (i) => LEFT + (i + 0.5) * cellW;
+  const py = (j) => TOP + (ny - 1 - j + 0.5) * cellH;
+  const xEvery = Math.ceil(nx / 8);
+  const yEvery = Math.ceil(ny / 10);
+  const cx = indexOf(grid.x.values, grid.x.current);
+  const cy = indexOf(grid.y.values, grid.y.current);
+
+  // Picking a new input drops the old input's range.
+  function setAxis(which, key) {
+    setRaw((prev) => ({ ...prev, [which]: key, [`${which}Min`]: undefined, [`${which}Max`]: undefined }));
+  }
+
+  function field(key, value) {
+    setRaw((prev) => ({ ...prev, [key]: value }));
+  }
+
+  const axisControls = (which, label) => (
+    <div className="flex flex-wrap items-end gap-2">
+      <label className="block">
+        <div className="text-xs font-semibold text-slate-700">{label}</div>
+        <select value={spec[which]} onChange={(e) => setAxis(which, e.target.value)} className="mt-1 rounded-lg border border-slate-200 bg-white px-2 py-1 text-sm">
+          {axes.map((a) => (
+            <option key={a.key} value={a.key} disabled={a.key === spec[which === "x" ? "y" : "x"]}>
+              {a.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {["Min", "Max"].map((end) => (
+        <label key={end} className="block">
+          <div className="text-xs text-slate-500">{end.toLowerCase()}</div>
+          <input
+            type="number"
+            value={raw[`${which}${end}`] ?? spec[`${which}${end}`]}
+            onChange={(e) => field(`${which}${end}`, e.target.value)}
+            className="mt-1 w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <>
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        {axisControls("x", "Horizontal")}
+        {axisControls("y", "Vertical")}
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Steps</div>
+          <input
+            type="number"
+            min={2}
+            max={MAX_SWEEP_STEPS}
+            value={raw.steps ?? spec.steps}
+            onChange={(e) => field("steps", e.target.value)}
+            className="mt-1 w-16 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Contours (x)</div>
+          <input
+            value={raw.thresholds ?? spec.thresholds.join(", ")}
+            onChange={(e) => field("thresholds", e.target.value)}
+            className="mt-1 w-28 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+        <button
+          onClick={() => onExport(sweepToCsv(grid, scenario.model))}
+          className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+        >
+          Export grid CSV
+        </button>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${TOP + PLOT_H + BOTTOM}`} className="mt-4 w-full" role="img" aria-label="Heatmap of the risk multiple over two inputs">
+        {grid.cells.map((row, j) =>
+          row.map((cell, i) => (
+            <rect
+              key={`${i}-${j}`}
+              x={LEFT + i * cellW}
+              y={TOP + (ny - 1 - j) * cellH}
+              width={cellW + 0.5}
+              height={cellH + 0.5}
+              fill={cellColor(cell.multiple, grid.min, grid.max)}
+              className="cursor-pointer"
+              onClick={() => onLoad(sweepScenario(scenario, spec, grid.x.values[i], grid.y.values[j]))}
+            >
+              <title>{`${grid.x.label} ${tick(grid.x.values[i])}, ${grid.y.label} ${tick(grid.y.values[j])}: ${fmt(cell.multiple)}x (R=${fmt(cell.risk)}). Click to load.`}</title>
+            </rect>
+          ))
+        )}
+
+        {contours.map(({ level, segments }, idx) => (
+          <g key={level} stroke="#0f172a" strokeWidth={1.5} strokeDasharray={DASHES[idx]} pointerEvents="none">
+            {segments.map(([x1, y1, x2, y2], s) => (
+              <line key={s} x1={px(x1)} y1={py(y1)} x2={px(x2)} y2={py(y2)} />
+            ))}
+            {segments.length ? (
+              <text
+                x={px((segments[0][0] + segments[0][2]) / 2)}
+                y={py((segments[0][1] + segments[0][3]) / 2) - 3}
+                fontSize={10}
+                fill="#0f172a"
+                stroke="white"
+                strokeWidth={3}
+                paintOrder="stroke"
+                strokeDasharray=""
+              >
+                {tick(level)}x
+              </text>
+            ) : null}
+          </g>
+        ))}
+
+        {cx != null && cy != null ? (
+          <circle cx={px(cx)} cy={py(cy)} r={5} fill="none" stroke="#0f172a" strokeWidth={2} pointerEvents="none">
+            <title>Current settings</title>
+          </circle>
+        ) : null}
+
+        {grid.x.values.map((v, i) =>
+          i % xEvery === 0 || i === nx - 1 ? (
+            <text key={`x${i}`} x={px(i)} y={TOP + PLOT_H + 14} fontSize={10} fill="#64748b" textAnchor="middle">
+              {tick(v)}
+            </text>
+          ) : null
+        )}
+        <text x={LEFT + (WIDTH - LEFT) / 2} y={TOP + PLOT_H + 30} fontSize={11} fill="#0f172a" textAnchor="middle">
+          {grid.x.label}
+        </text>
+        {grid.y.values.map((v, j) =>
+          j % yEvery === 0 || j === ny - 1 ? (
+            <text key={`y${j}`} x={LEFT - 6} y={py(j) + 3} fontSize={10} fill="#64748b" textAnchor="end">
+              {tick(v)}
+            </text>
+          ) : null
+        )}
+        <text x={12} y={TOP + PLOT_H / 2} fontSize={11} fill="#0f172a" textAnchor="middle" transform={`rotate(-90 12 ${TOP + PLOT_H / 2})`}>
+          {grid.y.label}
+        </text>
+      </svg>
+
+      <div className="mt-2 text-xs text-slate-500">
+        Colour is the risk multiple R(n) / (n·r0) at the current n, from {fmt(grid.min)}x (light) to {fmt(grid.max)}x (red) on a log scale; lines mark the
+        contour multiples and the ring marks the current settings. Every other input stays at its current value, and a roster's or cluster's autonomies scale
+        with A, rounded to whole levels. Click a cell to load that point into the controls.
+      </div>
+    </>
+  );
+}
+
+/**
+ * Heatmap of the risk multiple over two inputs at the current n, the others
+ * fixed at the current settings, with contour lines at chosen multiples.
+ * Clicking a cell hands that point to `onLoad(scenario)`; `onExport(csv)`
+ * receives the whole grid. The grid is only computed while the panel is
+ * open, since a large roster makes every cell slow.
+ */
+export default function SweepPanel({ scenario, onLoad, onExport }) {
+  const [open, setOpen] = useState(false);
+  const [raw, setRaw] = useState({});
+  const axes = sweepAxes(scenario);
+  const spec = useMemo(() => sanitizeSweep(raw, scenario), [raw, scenario]);
+  const grid = useMemo(() => (open ? sweepGrid(scenario, spec) : null), [open, scenario, spec]);
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200" open={open} onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Two-input sweep
+        <span className="ml-2 text-xs font-normal text-slate-500">
+          {grid
+            ? `(${grid.x.label} × ${grid.y.label}: ${fmt(grid.min)}x to ${fmt(grid.max)}x at n=${scenario.n.toLocaleString()})`
+            : "(computed when opened)"}
+        </span>
+      </summary>
+
+      {grid ? <SweepBody scenario={scenario} axes={axes} raw={raw} setRaw={setRaw} spec={spec} grid={grid} onLoad={onLoad} onExport={onExport} /> : null}
+    </details>
+  );
+}
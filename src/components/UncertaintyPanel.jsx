@@ -0,0 +1,127 @@
+import React from "react";
+import { DISTRIBUTIONS, modelParamSpecs } from "../engine/index.js";
+
+const FIELD_LABELS = { min: "min", max: "max", mean: "mean", sd: "sd", mode: "mode" };
+
+function defaultsFor(type, value, p) {
+  const lo = Math.max(p.min, +(value * 0.75).toFixed(3));
+  const hi = Math.min(p.max, +(value * 1.25).toFixed(3));
+  if (type === "uniform") return { type, min: lo, max: hi };
+  if (type === "triangular") return { type, min: lo, mode: value, max: hi };
+  if (type === "normal") return { type, mean: value, sd: +((hi - lo) / 4).toFixed(3), min: lo, max: hi };
+  return { type: "fixed" };
+}
+
+/**
+ * Editor for the Monte Carlo spec: sample count, seed and a distribution per
+ * parameter of the current `model`. `value` is the raw spec; the parent sanitises it.
+ */
+export default function UncertaintyPanel({ value, model, params, onChange }) {
+  const dists = value.dists || {};
+
+  function setDist(key, next) {
+    onChange({ ...value, dists: { ...dists, [key]: next } });
+  }
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Uncertainty (Monte Carlo)
+        <span className="ml-2 text-xs font-normal text-slate-500">({value.enabled ? `on, ${value.samples} samples, seed ${value.seed}` : "off"})</span>
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={Boolean(value.enabled)} onChange={(e) => onChange({ ...value, enabled: e.target.checked })} />
+          Show P10–P90 bands
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Samples</div>
+          <input
+            type="number"
+            min={10}
+            max={2000}
+            step={50}
+            value={value.samples}
+            onChange={(e) => onChange({ ...value, samples: e.target.value })}
+            className="mt-1 w-24 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+        <label className="block">
+          <div className="text-xs font-semibold text-slate-700">Seed</div>
+          <input
+            type="number"
+            min={0}
+            value={value.seed}
+            onChange={(e) => onChange({ ...value, seed: e.target.value })}
+            className="mt-1 w-28 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+          />
+        </label>
+        <button
+          onClick={() => onChange({ ...value, seed: Math.floor(Math.random() * 2 ** 31) })}
+          className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200"
+        >
+          New seed
+        </button>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-2 pr-3 font-medium">Parameter</th>
+              <th className="pb-2 pr-3 font-medium">Distribution</th>
+              <th className="pb-2 font-medium">Bounds</th>
+            </tr>
+          </thead>
+          <tbody>
+            {modelParamSpecs(model).map((p) => {
+              const d = dists[p.key] || { type: "fixed" };
+              const fields = DISTRIBUTIONS.find((x) => x.value === d.type)?.fields || [];
+              return (
+                <tr key={p.key} className="border-t border-slate-200">
+                  <td className="py-2 pr-3 font-medium text-slate-900">{p.symbol}</td>
+                  <td className="py-2 pr-3">
+                    <select
+                      value={d.type}
+                      onChange={(e) => setDist(p.key, defaultsFor(e.target.value, params[p.key], p))}
+                      className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs"
+                    >
+                      {DISTRIBUTIONS.map((x) => (
+                        <option key={x.value} value={x.value}>{x.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2">
+                    {fields.length ? (
+                      <div className="flex flex-wrap gap-2">
+                        {fields.map((f) => (
+                          <label key={f} className="flex items-center gap-1 text-slate-500">
+                            {FIELD_LABELS[f]}
+                            <input
+                              type="number"
+                              step={p.step}
+                              value={d[f] ?? ""}
+                              onChange={(e) => setDist(p.key, { ...d, [f]: e.target.value })}
+                              className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-xs text-slate-900"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="text-slate-500">Uses each curve's own value.</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-3 text-xs text-slate-500">
+        Each sample draws one parameter set and evaluates the whole curve. Bands show P10 to P90 with the median as a dashed line. The seed is stored in the share URL, so the same link gives the same bands.
+      </div>
+    </details>
+  );
+}
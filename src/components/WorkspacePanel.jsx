@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { parseImport } from "../engine/index.js";
+
+const IMPORT_MODES = [
+  { value: "merge", label: "Merge: keep the current view, add the file's scenarios and plans" },
+  { value: "replace", label: "Replace: take controls, parameters, settings and lists from the file" },
+];
+
+function MessageList({ items, className }) {
+  if (!items.length) return null;
+  return (
+    <ul className={`mt-2 list-disc pl-5 text-xs ${className}`}>
+      {items.slice(0, 12).map((m) => <li key={m}>{m}</li>)}
+      {items.length > 12 ? <li>…and {items.length - 12} more</li> : null}
+    </ul>
+  );
+}
+
+function summarize(workspace) {
+  const parts = [`${workspace.scenarios.length} pinned scenario${workspace.scenarios.length === 1 ? "" : "s"}`];
+  if (workspace.savedScenarios) parts.push(`${workspace.savedScenarios.length} saved`);
+  if (workspace.savedPlans) parts.push(`${workspace.savedPlans.length} plan${workspace.savedPlans.length === 1 ? "" : "s"}`);
+  if (workspace.current) parts.push("controls, parameters and settings");
+  return parts.join(", ");
+}
+
+/**
+ * Workspace export and import. The file is parsed and validated here and
+ * only handed to the parent on Apply; `onApply(workspace, mode)` returns the
+ * number of rows the scenario and saved-list caps cut.
+ */
+export default function WorkspacePanel({ onExport, onApply }) {
+  const [report, setReport] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [status, setStatus] = useState("");
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setReport({ fileName: file.name, ...parseImport(await file.text()) });
+    setStatus("");
+    e.target.value = "";
+  }
+
+  function apply() {
+    const dropped = onApply(report.workspace, mode);
+    setStatus(`Imported ${report.fileName}${dropped ? `; ${dropped} row(s) over the list limits were left out` : ""}.`);
+    setReport(null);
+  }
+
+  return (
+    <details className="mt-4 rounded-2xl bg-white p-5 shadow-sm ring-1 ring-slate-200">
+      <summary className="cursor-pointer text-sm font-medium text-slate-900">
+        Workspace import and export
+        <span className="ml-2 text-xs font-normal text-slate-500">(JSON workspace, scenario CSV)</span>
+      </summary>
+
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <button onClick={onExport} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+          Export workspace
+        </button>
+        <label className="cursor-pointer rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+          Import file
+          <input type="file" accept=".json,.csv,.txt,application/json,text/csv" onChange={onFile} className="hidden" />
+        </label>
+        {status ? <span className="text-xs text-slate-600">{status}</span> : null}
+      </div>
+
+      {report ? (
+        <div className="mt-4 rounded-xl bg-slate-50 p-3 ring-1 ring-slate-200">
+          <div className="text-xs font-semibold text-slate-700">{report.fileName}</div>
+          {report.workspace ? <div className="mt-1 text-xs text-slate-600">Contains {summarize(report.workspace)}.</div> : null}
+          <MessageList items={report.errors} className="text-red-700" />
+          <MessageList items={report.warnings} className="text-amber-700" />
+          {report.workspace ? (
+            <div className="mt-3 flex flex-wrap items-end gap-3">
+              <div className="space-y-1">
+                {IMPORT_MODES.map((m) => (
+                  <label key={m.value} className="flex items-center gap-2 text-xs text-slate-700">
+                    <input type="radio" name="import-mode" value={m.value} checked={mode === m.value} onChange={() => setMode(m.value)} />
+                    {m.label}
+                  </label>
+                ))}
+              </div>
+              <button onClick={apply} className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-medium text-white shadow-sm">
+                Apply import
+              </button>
+              <button onClick={() => setReport(null)} className="rounded-lg bg-white px-3 py-1 text-xs font-medium text-slate-900 shadow-sm ring-1 ring-slate-200">
+                Cancel
+              </button>
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
+      <div className="mt-3 text-xs text-slate-500">
+        A workspace file holds the controls, model parameters, chart and budget settings, pinned and saved scenarios and saved rollout plans. Scenario CSV uses a
+        header row with any of <code>name,n,autonomy,k,topology,roster,mitigations,r0,L,alpha,gamma</code>. Every row goes through the same checks as a share link;
+        out-of-range values are clamped and listed above before anything is applied.
+      </div>
+    </details>
+  );
+}
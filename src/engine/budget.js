@@ -0,0 +1,140 @@
+import { clamp, safeFloat } from "./util.js";
+import { TOPOLOGIES } from "./topology.js";
+import { compositeTotal } from "./composite.js";
+import { cachedSeries, couplingSeries, riskAgentsEdges, riskFromWeight, riskLinear, sanitizeParams, scenarioKey } from "./model.js";
+import { SCENARIO_SCHEMA } from "./scenario.js";
+
+/*
+ * Risk budgets: either a ceiling on the risk multiple R(n) / R_linear(n) or an
+ * absolute ceiling on R(n). The solvers search riskAgentsEdges for the largest
+ * n, k and autonomy that stay within budget. All three are monotone in the
+ * built-in topologies, so k and autonomy use a bisection over integers.
+ */
+
+export const BUDGET_MODES = [
+  { value: "multiple", label: "Risk multiple (x baseline)" },
+  { value: "absolute", label: "Absolute risk R(n)" },
+];
+
+export const DEFAULT_BUDGET = { enabled: false, mode: "multiple", value: 10 };
+
+export function sanitizeBudget(raw) {
+  const mode = BUDGET_MODES.some((m) => m.value === raw?.mode) ? raw.mode : DEFAULT_BUDGET.mode;
+  return {
+    enabled: Boolean(raw?.enabled),
+    mode,
+    value: Math.max(0, safeFloat(raw?.value, DEFAULT_BUDGET.value)),
+  };
+}
+
+/** Whether risk at n is within budget; `baseline` is R_linear(n). */
+export function withinBudget(budget, risk, baseline) {
+  const ceiling = budget.mode === "absolute" ? budget.value : budget.value * baseline;
+  return risk <= ceiling;
+}
+
+// Largest integer in [lo, hi] for which ok() holds, assuming ok is monotone (true then false). null if none.
+function largestWithin(lo, hi, ok) {
+  if (!ok(lo)) return null;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (ok(mid)) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Agents the scenario's structure allows: the custom graph's or composite's size.
+function structureLimit(scenario, maxN) {
+  if (scenario.topology === "custom" && scenario.graph) return Math.min(maxN, scenario.graph.nodes.length);
+  if (scenario.topology === "composite" && scenario.composite) return Math.min(maxN, compositeTotal(scenario.composite));
+  return maxN;
+}
+
+function riskAt(scenario, p) {
+  return riskAgentsEdges({
+    n: scenario.n,
+    k: clamp(scenario.k, 0, Math.max(0, scenario.n - 1)),
+    topology: scenario.topology,
+    graph: scenario.graph,
+    composite: scenario.composite,
+    autonomyScore: scenario.autonomy,
+    roster: scenario.roster,
+    mitigations: scenario.mitigations,
+    model: scenario.model,
+    ...p,
+  });
+}
+
+/**
+ * Largest n up to `maxN` such that every n' <= n is within budget, i.e. one
+ * before the first crossing. null when even a single agent breaches it.
+ */
+export function maxAgentsWithinBudget(scenario, budget, maxN = SCENARIO_SCHEMA.n.max) {
+  const p = sanitizeParams(scenario.params, scenario.model);
+  const limit = structureLimit(scenario, maxN);
+  const { edges, weights } = couplingSeries({ ...scenario, n: limit });
+  for (let i = 1; i <= limit; i += 1) {
+    const risk = riskFromWeight(i, weights[i - 1], p, scenario.mitigations, { model: scenario.model, edges: edges[i - 1] });
+    if (!withinBudget(budget, risk, riskLinear(i, p.r0))) return i > 1 ? i - 1 : null;
+  }
+  return limit;
+}
+
+/** Largest k (0..n-1) at the scenario's n that stays within budget. */
+export function maxKWithinBudget(scenario, budget) {
+  const p = sanitizeParams(scenario.params, scenario.model);
+  const baseline = riskLinear(scenario.n, p.r0);
+  return largestWithin(0, Math.max(0, scenario.n - 1), (k) => withinBudget(budget, riskAt({ ...scenario, k }, p), baseline));
+}
+
+// The scenario with one autonomy for every agent: no roster, and every cluster of a composite at `a`.
+function withUniformAutonomy(scenario, a) {
+  const composite = scenario.composite && { ...scenario.composite, clusters: scenario.composite.clusters.map((c) => ({ ...c, autonomy: a })) };
+  return { ...scenario, autonomy: a, roster: [], composite };
+}
+
+/**
+ * Highest uniform autonomy (1..10) at the scenario's n and k that stays
+ * within budget. A roster or the clusters' autonomies are replaced by a single
+ * autonomy for the search.
+ */
+export function maxAutonomyWithinBudget(scenario, budget) {
+  const p = sanitizeParams(scenario.params, scenario.model);
+  const baseline = riskLinear(scenario.n, p.r0);
+  const { min, max } = SCENARIO_SCHEMA.autonomy;
+  return largestWithin(min, max, (a) => withinBudget(budget, riskAt(withUniformAutonomy(scenario, a), p), baseline));
+}
+
+/**
+ * The three limits for the scenario under each built-in topology (and the
+ * custom graph or composite when the scenario uses one). `maxNLimit` is the
+ * search ceiling, so `maxN === maxNLimit` means the budget holds across the
+ * whole range.
+ */
+export function budgetLimits(scenario, budget, maxN = SCENARIO_SCHEMA.n.max) {
+  return TOPOLOGIES.filter((t) => !t.structure || (scenario.topology === t.value && scenario[t.structure])).map((t) => {
+    const s = { ...scenario, topology: t.value, graph: t.value === "custom" ? scenario.graph : null };
+    return {
+      topology: t.value,
+      maxN: maxAgentsWithinBudget(s, budget, maxN),
+      maxNLimit: structureLimit(s, maxN),
+      maxK: maxKWithinBudget(s, budget),
+      maxAutonomy: maxAutonomyWithinBudget(s, budget),
+    };
+  });
+}
+
+/**
+ * First n at which each curve exceeds the budget, keyed like buildSeriesRows
+ * (`current` and `s_<id>`), with the risk and multiple there. null when it
+ * never crosses.
+ */
+export function budgetCrossings(current, scenarios, budget) {
+  const out = {};
+  for (const [key, s] of [["current", current], ...scenarios.map((x) => [scenarioKey(x), x])]) {
+    const row = cachedSeries(s).find((r) => !withinBudget(budget, r.connected, r.baseline));
+    out[key] = row ? { agents: row.agents, risk: row.connected, multiple: row.multiple } : null;
+  }
+  return out;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  budgetCrossings,
+  budgetLimits,
+  maxAgentsWithinBudget,
+  maxAutonomyWithinBudget,
+  maxKWithinBudget,
+  sanitizeBudget,
+} from "./budget.js";
+import { computeSeries, DEFAULTS, riskAgentsEdges } from "./model.js";
+
+const scenario = { n: 30, autonomy: 5, k: 3, topology: "bounded", params: DEFAULTS };
+const tenX = { enabled: true, mode: "multiple", value: 10 };
+
+describe("sanitizeBudget", () => {
+  it("falls back to a 10x multiple", () => {
+    expect(sanitizeBudget({ mode: "nope", value: "-3" })).toEqual({ enabled: false, mode: "multiple", value: 0 });
+    expect(sanitizeBudget(null)).toEqual({ enabled: false, mode: "multiple", value: 10 });
+  });
+});
+
+describe("solvers", () => {
+  it("finds the last n before the first crossing", () => {
+    const maxN = maxAgentsWithinBudget(scenario, tenX);
+    const series = computeSeries({ ...scenario, n: 300 });
+    expect(series[maxN - 1].multiple).toBeLessThanOrEqual(10);
+    expect(series[maxN].multiple).toBeGreaterThan(10);
+    expect(maxAgentsWithinBudget({ ...scenario, topology: "pipeline" }, tenX, 300)).toBe(300);
+  });
+
+  it("finds the largest k and autonomy at the current n", () => {
+    const k = maxKWithinBudget(scenario, tenX);
+    const at = (kk) => riskAgentsEdges({ n: 30, k: kk, topology: "bounded", autonomyScore: 5, ...DEFAULTS }) / 30;
+    expect(at(k)).toBeLessThanOrEqual(10);
+    expect(at(k + 1)).toBeGreaterThan(10);
+
+    const a = maxAutonomyWithinBudget(scenario, tenX);
+    const atA = (aa) => riskAgentsEdges({ n: 30, k: 3, topology: "bounded", autonomyScore: aa, ...DEFAULTS }) / 30;
+    expect(atA(a)).toBeLessThanOrEqual(10);
+    expect(atA(a + 1)).toBeGreaterThan(10);
+  });
+
+  it("returns null when nothing fits and supports absolute ceilings", () => {
+    expect(maxAutonomyWithinBudget({ ...scenario, topology: "mesh" }, tenX)).toBeNull();
+    const absolute = { enabled: true, mode: "absolute", value: 1386 };
+    expect(maxAgentsWithinBudget(scenario, absolute)).toBe(29);
+  });
+
+  it("reports limits for every built-in topology", () => {
+    const rows = budgetLimits(scenario, { enabled: true, mode: "multiple", value: 50 });
+    expect(rows.map((r) => r.topology)).toEqual(["bounded", "mesh", "hub", "pipeline"]);
+    const mesh = rows.find((r) => r.topology === "mesh");
+    const bounded = rows.find((r) => r.topology === "bounded");
+    expect(mesh.maxN).toBeLessThan(bounded.maxN);
+  });
+});
+
+describe("budgetCrossings", () => {
+  it("marks where each curve crosses", () => {
+    const other = { ...scenario, id: "x", topology: "pipeline" };
+    const crossings = budgetCrossings(scenario, [other], tenX);
+    expect(crossings.s_x).toBeNull();
+    const n = crossings.current.agents;
+    const series = computeSeries(scenario);
+    expect(series[n - 1].multiple).toBeGreaterThan(10);
+    expect(series[n - 2].multiple).toBeLessThanOrEqual(10);
+    expect(crossings.current.risk).toBeCloseTo(series[n - 1].connected, 9);
+  });
+});
@@ -0,0 +1,274 @@
+import { clamp, safeFloat, safeInt } from "./util.js";
+import { TOPOLOGIES, topologyStructure } from "./topology.js";
+import { riskAgentsEdges, sanitizeParams } from "./model.js";
+import { DEFAULT_MODEL, modelParamSpecs } from "./registry.js";
+import { SCENARIO_SCHEMA } from "./scenario.js";
+
+/*
+ * Calibration against observed incidents. Each observation is a deployment
+ * `{ n, topology, k, autonomy, rate }`, where `rate` is the observed incident
+ * rate in the same units as R(n) (incidents per period). Observations are
+ * unmitigated: they describe what happened, controls included. The fit is a
+ * bounded least-squares (Levenberg–Marquardt) on rate − R(n), starting from the
+ * current parameters; only closed-form topologies can be observed.
+ */
+
+export const MAX_OBSERVATIONS = 500;
+
+export const EXAMPLE_OBSERVATIONS = [
+  "n,topology,k,autonomy,rate",
+  "5,bounded,2,3,11.2",
+  "10,bounded,2,3,25.8",
+  "20,bounded,3,4,118",
+  "40,bounded,3,4,240",
+  "60,bounded,3,5,464",
+  "12,hub,1,4,26.4",
+  "30,hub,1,5,79.7",
+  "8,pipeline,1,6,21.8",
+  "25,mesh,0,2,381",
+].join("\n");
+
+// Columns of the positional forms, by column count, and header aliases.
+const POSITIONAL = { 2: ["n", "rate"], 5: ["n", "topology", "k", "autonomy", "rate"] };
+const COLUMN_NAMES = { n: "n", agents: "n", topology: "topology", k: "k", autonomy: "autonomy", a: "autonomy", rate: "rate", incidents: "rate" };
+const OBSERVABLE = TOPOLOGIES.filter((t) => !topologyStructure(t.value)).map((t) => t.value);
+
+function splitRow(line) {
+  return line.split(/[,;\t]/).map((x) => x.trim());
+}
+
+/**
+ * Observations from CSV or pasted text, one per line. With a header row the
+ * columns (any order, case-insensitive) are n (or agents), rate (or
+ * incidents), topology, k and autonomy; missing topology, k and autonomy
+ * columns take the scenario defaults. Without a header, rows are "n,rate" or
+ * "n,topology,k,autonomy,rate". k is capped at n - 1 and autonomy at 1 to 10.
+ * Returns { observations, errors, warnings }; bad rows are reported and
+ * skipped.
+ */
+export function parseObservations(text) {
+  const errors = [];
+  const warnings = [];
+  const lines = String(text ?? "")
+    .split(/\r?\n/)
+    .map((raw, idx) => ({ line: raw.replace(/#.*$/, "").trim(), number: idx + 1 }))
+    .filter(({ line }) => line);
+  if (!lines.length) return { observations: [], errors, warnings };
+
+  let columns = null;
+  const first = splitRow(lines[0].line);
+  if (!Number.isFinite(Number(first[0]))) {
+    columns = first.map((h) => COLUMN_NAMES[h.toLowerCase()] ?? null);
+    first.forEach((h, idx) => {
+      if (!columns[idx]) warnings.push(`column "${h}" is not an observation field and was ignored`);
+    });
+    if (!columns.includes("n") || !columns.includes("rate")) {
+      errors.push("header needs an n and a rate column");
+      return { observations: [], errors, warnings };
+    }
+    for (const field of ["topology", "k", "autonomy"]) {
+      if (!columns.includes(field)) warnings.push(`no ${field} column: every observation uses ${SCENARIO_SCHEMA[field].default}`);
+    }
+    lines.shift();
+  }
+
+  const { n: nRule, k: kRule, autonomy: aRule, topology: tRule } = SCENARIO_SCHEMA;
+  const observations = [];
+  for (const { line, number } of lines) {
+    const cells = splitRow(line);
+    const names = columns ?? POSITIONAL[cells.length];
+    if (!names) {
+      errors.push(`line ${number}: expected "n,rate" or "n,topology,k,autonomy,rate", got ${cells.length} columns`);
+      continue;
+    }
+    const row = {};
+    names.forEach((name, idx) => {
+      if (name && cells[idx] !== undefined && cells[idx] !== "") row[name] = cells[idx];
+    });
+
+    const n = safeInt(row.n, NaN);
+    const rate = safeFloat(row.rate, NaN);
+    if (!(n >= 1 && n <= nRule.max)) {
+      errors.push(`line ${number}: n must be a whole number from 1 to ${nRule.max}`);
+      continue;
+    }
+    if (!(rate >= 0)) {
+      errors.push(`line ${number}: rate must be a number of at least 0`);
+      continue;
+    }
+    const topology = row.topology?.toLowerCase() ?? tRule.default;
+    if (!OBSERVABLE.includes(topology)) {
+      errors.push(`line ${number}: topology "${row.topology}" is not one of ${OBSERVABLE.join(", ")}`);
+      continue;
+    }
+    const rawK = safeInt(row.k, kRule.default);
+    const k = clamp(rawK, 0, Math.min(kRule.max, n - 1));
+    if (row.k !== undefined && k !== rawK) warnings.push(`line ${number}: k=${row.k} set to ${k}`);
+    const rawA = safeInt(row.autonomy, aRule.default);
+    const autonomy = clamp(rawA, aRule.min, aRule.max);
+    if (row.autonomy !== undefined && autonomy !== rawA) warnings.push(`line ${number}: autonomy=${row.autonomy} set to ${autonomy}`);
+    observations.push({ n, topology, k, autonomy, rate, line: number });
+  }
+
+  if (observations.length > MAX_OBSERVATIONS) {
+    warnings.push(`${observations.length - MAX_OBSERVATIONS} observation(s) past the first ${MAX_OBSERVATIONS} were ignored`);
+    observations.length = MAX_OBSERVATIONS;
+  }
+  return { observations, errors, warnings };
+}
+
+function predictAll(observations, params, model) {
+  return observations.map((o) => riskAgentsEdges({ n: o.n, k: o.k, topology: o.topology, autonomyScore: o.autonomy, model, ...params }));
+}
+
+function sumSquares(observations, predicted) {
+  return observations.reduce((sum, o, idx) => sum + (o.rate - predicted[idx]) ** 2, 0);
+}
+
+// Forward-difference Jacobian of R at each observation, one column per free
+// parameter, stepping down instead where a step up would leave the range.
+function jacobian(observations, params, free, model, base) {
+  return free.map((p) => {
+    const h = 1e-6 * Math.max(1, Math.abs(params[p.key]));
+    const step = params[p.key] + h <= p.max ? h : -h;
+    const moved = predictAll(observations, { ...params, [p.key]: params[p.key] + step }, model);
+    return moved.map((v, idx) => (v - base[idx]) / step);
+  });
+}
+
+// Parameters whose Jacobian column is (nearly) a combination of earlier
+// columns cannot be told apart from them by these observations.
+function unidentifiable(columns) {
+  const basis = [];
+  return columns.map((col) => {
+    const norm = Math.hypot(...col);
+    if (!(norm > 0)) return true;
+    const v = col.map((x) => x / norm);
+    for (const b of basis) {
+      const dot = v.reduce((sum, x, idx) => sum + x * b[idx], 0);
+      for (let i = 0; i < v.length; i += 1) v[i] -= dot * b[i];
+    }
+    const rest = Math.hypot(...v);
+    if (rest < 1e-6) return true;
+    basis.push(v.map((x) => x / rest));
+    return false;
+  });
+}
+
+// Solves a small dense system by Gaussian elimination with partial pivoting; null if singular.
+function solve(a, b) {
+  const m = a.map((row, idx) => [...row, b[idx]]);
+  const size = b.length;
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r += 1) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (!(Math.abs(m[pivot][col]) > 1e-300)) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < size; r += 1) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= size; c += 1) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(size).fill(0);
+  for (let r = size - 1; r >= 0; r -= 1) {
+    let s = m[r][size];
+    for (let c = r + 1; c < size; c += 1) s -= m[r][c] * x[c];
+    x[r] = s / m[r][r];
+  }
+  return x;
+}
+
+/**
+ * Least-squares fit of `model`'s parameters (default DEFAULT_MODEL) to
+ * observations from parseObservations. `start` holds the starting values
+ * (default the model's defaults) and `fit` the keys to estimate (default all
+ * of the model's parameters); the rest stay at `start`. Parameters stay
+ * within their ranges. A parameter the observations cannot separate from the
+ * others is held at its start and reported in `held`: in the default model L
+ * only enters as α·L and γ·L², so it is held when both α and γ are fitted. L
+ * is tried last for that reason.
+ *
+ * Returns { params, fitted, held, points, sse, rmse, r2, iterations,
+ * converged }, where `points` are the observations with `fitted` R(n) and
+ * `residual` (observed − fitted) and `r2` is null when every rate is equal.
+ * Throws when there are fewer observations than free parameters.
+ */
+export function fitCalibration(observations, { model = DEFAULT_MODEL, start, fit, maxIterations = 200 } = {}) {
+  const specs = modelParamSpecs(model);
+  const wanted = fit ?? specs.map((p) => p.key);
+  const candidates = specs.filter((p) => wanted.includes(p.key)).sort((a, b) => (a.key === "loadL") - (b.key === "loadL"));
+  if (observations.length < Math.max(1, candidates.length)) {
+    throw new Error(`${candidates.length} parameter${candidates.length === 1 ? "" : "s"} need at least ${Math.max(1, candidates.length)} observations, got ${observations.length}`);
+  }
+
+  let params = sanitizeParams(start, model);
+  let predicted = predictAll(observations, params, model);
+  const dependent = unidentifiable(jacobian(observations, params, candidates, model, predicted));
+  const free = candidates.filter((_, idx) => !dependent[idx]);
+  const held = candidates.filter((_, idx) => dependent[idx]).map((p) => p.key);
+
+  let sse = sumSquares(observations, predicted);
+  let lambda = 1e-3;
+  let iterations = 0;
+  let converged = free.length === 0;
+  while (!converged && iterations < maxIterations) {
+    iterations += 1;
+    const cols = jacobian(observations, params, free, model, predicted);
+    const residuals = observations.map((o, idx) => o.rate - predicted[idx]);
+    const gradient = cols.map((a) => a.reduce((sum, x, idx) => sum + x * residuals[idx], 0));
+    // A parameter at a bound that the error pushes further out stays there this step.
+    const moving = free
+      .map((p, idx) => idx)
+      .filter((idx) => {
+        const p = free[idx];
+        return !((params[p.key] <= p.min && gradient[idx] < 0) || (params[p.key] >= p.max && gradient[idx] > 0));
+      });
+    if (!moving.length) {
+      converged = true;
+      break;
+    }
+    const jtj = moving.map((i) => moving.map((j) => cols[i].reduce((sum, x, idx) => sum + x * cols[j][idx], 0)));
+    const jtr = moving.map((i) => gradient[i]);
+
+    let improved = false;
+    while (lambda < 1e12) {
+      const damped = jtj.map((row, i) => row.map((x, j) => (i === j ? x + lambda * (x || 1) : x)));
+      const step = solve(damped, jtr);
+      if (step) {
+        const next = { ...params };
+        moving.forEach((i, idx) => {
+          const p = free[i];
+          next[p.key] = clamp(params[p.key] + step[idx], p.min, p.max);
+        });
+        const nextPredicted = predictAll(observations, next, model);
+        const nextSse = sumSquares(observations, nextPredicted);
+        if (nextSse < sse) {
+          converged = sse - nextSse <= 1e-12 * Math.max(1, sse) || free.every((p) => Math.abs(next[p.key] - params[p.key]) <= 1e-10 * Math.max(1, Math.abs(params[p.key])));
+          params = next;
+          predicted = nextPredicted;
+          sse = nextSse;
+          lambda = Math.max(1e-12, lambda / 10);
+          improved = true;
+          break;
+        }
+      }
+      lambda *= 10;
+    }
+    // No step lowers the error: this is a (bounded) minimum.
+    if (!improved) converged = true;
+  }
+
+  const mean = observations.reduce((sum, o) => sum + o.rate, 0) / observations.length;
+  const sst = observations.reduce((sum, o) => sum + (o.rate - mean) ** 2, 0);
+  return {
+    params,
+    fitted: free.map((p) => p.key),
+    held,
+    points: observations.map((o, idx) => ({ ...o, fitted: predicted[idx], residual: o.rate - predicted[idx] })),
+    sse,
+    rmse: Math.sqrt(sse / observations.length),
+    r2: sst > 0 ? 1 - sse / sst : null,
+    iterations,
+    converged,
+  };
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import { EXAMPLE_OBSERVATIONS, fitCalibration, parseObservations } from "./calibration.js";
+import { DEFAULTS, riskAgentsEdges } from "./model.js";
+
+const DEPLOYMENTS = [
+  [5, "bounded", 2, 3],
+  [10, "bounded", 2, 3],
+  [20, "bounded", 3, 4],
+  [40, "bounded", 3, 4],
+  [60, "bounded", 3, 5],
+  [12, "hub", 1, 4],
+  [30, "mesh", 0, 5],
+  [8, "pipeline", 1, 6],
+];
+
+function observe(params, model) {
+  return DEPLOYMENTS.map(([n, topology, k, autonomy]) => ({
+    n,
+    topology,
+    k,
+    autonomy,
+    rate: riskAgentsEdges({ n, k, topology, autonomyScore: autonomy, model, ...params }),
+  }));
+}
+
+describe("parseObservations", () => {
+  it("reads a header in any order and fills missing columns with the scenario defaults", () => {
+    const { observations, errors, warnings } = parseObservations("Rate;Agents;k;note\n12.5;10;2;q1\n30;20;25;q2");
+    expect(errors).toEqual([]);
+    expect(observations).toEqual([
+      { n: 10, topology: "bounded", k: 2, autonomy: 5, rate: 12.5, line: 2 },
+      { n: 20, topology: "bounded", k: 19, autonomy: 5, rate: 30, line: 3 },
+    ]);
+    expect(warnings).toEqual([
+      'column "note" is not an observation field and was ignored',
+      "no topology column: every observation uses bounded",
+      "no autonomy column: every observation uses 5",
+      "line 3: k=25 set to 19",
+    ]);
+  });
+
+  it("reads headerless rows and reports bad ones", () => {
+    const { observations, errors } = parseObservations("# q1\n10,4.2\n12,hub,1,4,20\n5,custom,1,4,3\n-2,1\n7,x\n1,2,3");
+    expect(observations.map((o) => [o.n, o.topology, o.rate])).toEqual([
+      [10, "bounded", 4.2],
+      [12, "hub", 20],
+    ]);
+    expect(errors).toEqual([
+      'line 4: topology "custom" is not one of bounded, mesh, hub, pipeline',
+      "line 5: n must be a whole number from 1 to 50000",
+      "line 6: rate must be a number of at least 0",
+      'line 7: expected "n,rate" or "n,topology,k,autonomy,rate", got 3 columns',
+    ]);
+    expect(parseObservations(EXAMPLE_OBSERVATIONS).errors).toEqual([]);
+  });
+});
+
+describe("fitCalibration", () => {
+  it("recovers the parameters behind noiseless observations", () => {
+    const truth = { r0: 0.8, loadL: 1.3, alpha: 0.5, gamma: 0.05 };
+    const fit = fitCalibration(observe(truth), { start: DEFAULTS });
+    expect(fit.converged).toBe(true);
+    expect(fit.params.r0).toBeCloseTo(0.8, 6);
+    expect(fit.params.alpha).toBeCloseTo(0.5, 6);
+    expect(fit.params.gamma).toBeCloseTo(0.05, 6);
+    expect(fit.r2).toBeCloseTo(1, 9);
+    expect(fit.rmse).toBeLessThan(1e-6);
+    for (const p of fit.points) expect(Math.abs(p.residual)).toBeLessThan(1e-6);
+  });
+
+  it("holds L when α and γ are fitted, since only α·L and γ·L² are identifiable", () => {
+    const fit = fitCalibration(observe({ ...DEFAULTS, loadL: 2 }), { start: DEFAULTS });
+    expect(fit.fitted).toEqual(["r0", "alpha", "gamma"]);
+    expect(fit.held).toEqual(["loadL"]);
+    expect(fit.params.loadL).toBe(1.3);
+    expect(fit.params.alpha * fit.params.loadL).toBeCloseTo(DEFAULTS.alpha * 2, 6);
+    expect(fit.params.gamma * fit.params.loadL ** 2).toBeCloseTo(DEFAULTS.gamma * 4, 6);
+
+    const loadOnly = fitCalibration(observe({ ...DEFAULTS, loadL: 2 }), { start: DEFAULTS, fit: ["loadL"] });
+    expect(loadOnly.held).toEqual([]);
+    expect(loadOnly.params.loadL).toBeCloseTo(2, 6);
+  });
+
+  it("keeps parameters within their ranges", () => {
+    // Rates of 0.5 per agent leave no room for coupling, so α and γ stop at their lower bound.
+    const obs = observe(DEFAULTS).map((o) => ({ ...o, rate: o.n * 0.5 }));
+    const fit = fitCalibration(obs, { start: DEFAULTS });
+    expect(fit.params.alpha).toBe(0);
+    expect(fit.params.gamma).toBe(0);
+    expect(fit.params.r0).toBeCloseTo(0.5, 6);
+  });
+
+  it("fits other models' parameters", () => {
+    const fit = fitCalibration(observe({ r0: 1.5, beta: 0.4 }, "edges"), { model: "edges" });
+    expect(fit.params.r0).toBeCloseTo(1.5, 6);
+    expect(fit.params.beta).toBeCloseTo(0.4, 6);
+  });
+
+  it("needs at least one observation per fitted parameter", () => {
+    expect(() => fitCalibration(observe(DEFAULTS).slice(0, 2))).toThrow(/at least 4 observations/);
+    expect(fitCalibration(observe(DEFAULTS).slice(0, 2), { fit: ["r0"] }).r2).not.toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+import { clamp, safeFloat, safeInt } from "./util.js";
+import { DEFAULTS, agentLabel, cachedSeries, graphLimit, riskTerms, sampleAgents, sanitizeParams, scenarioAutonomies, scenarioEdges } from "./model.js";
+import { mitigateParams } from "./mitigation.js";
+import { modelParamSpecs } from "./registry.js";
+import { createRng, percentile } from "./uncertainty.js";
+
+/*
+ * Cascade simulation on the generated graph: a check on the model's analytic
+ * cascade term, γ·(E·L·A)^2 / n by default. Each trial fails one agent chosen at random and lets
+ * the failure spread along edges (independent cascade: each newly failed agent
+ * gets one chance to fail each neighbour). An edge passes a failure with
+ * probability spread · L · Ā / 10, where Ā is the mean autonomy of its two
+ * agents, capped at 1. Mitigations apply as they do to the formula: to A and
+ * L, and the circuit-breaker reduction of γ (or of the cascade parameter that
+ * scales like γ) scales the probability too.
+ */
+
+export const DEFAULT_CASCADE = {
+  enabled: false,
+  trials: 200,
+  seed: 1,
+  spread: 0.25,
+};
+
+const MAX_TRIALS = 1000;
+
+// The simulated graph is the scenario's first agents up to both caps.
+export const MAX_SIM_AGENTS = 5000;
+export const MAX_SIM_EDGES = 10000;
+
+// Candidates for the most dangerous seeds: every agent up to this many, else the best connected.
+const MAX_SEED_CANDIDATES = 60;
+
+export function sanitizeCascade(raw) {
+  return {
+    enabled: Boolean(raw?.enabled),
+    trials: clamp(safeInt(raw?.trials, DEFAULT_CASCADE.trials), 10, MAX_TRIALS),
+    seed: clamp(safeInt(raw?.seed, DEFAULT_CASCADE.seed), 0, 2 ** 31 - 1),
+    spread: clamp(safeFloat(raw?.spread, DEFAULT_CASCADE.spread), 0, 1),
+  };
+}
+
+/** Largest n the simulation builds for the scenario: scenario.n, unless the graph passes MAX_SIM_AGENTS or MAX_SIM_EDGES first. */
+export function simulationLimit(scenario) {
+  return graphLimit(scenario, MAX_SIM_AGENTS, MAX_SIM_EDGES);
+}
+
+// Adjacency of the first n agents in compressed rows, with each edge's failure probability.
+function buildGraph(scenario, n, factor) {
+  const edges = scenarioEdges(scenario, n);
+  const autonomies = scenarioAutonomies(scenario, n);
+  const degree = new Int32Array(n + 1);
+  for (const [a, b] of edges) {
+    degree[a] += 1;
+    degree[b] += 1;
+  }
+  const start = new Int32Array(n + 2);
+  for (let i = 1; i <= n; i += 1) start[i + 1] = start[i] + degree[i];
+  const fill = start.slice();
+  const neighbors = new Int32Array(2 * edges.length);
+  const prob = new Float64Array(2 * edges.length);
+  let probSum = 0;
+  for (const [a, b] of edges) {
+    const p = clamp((factor * (autonomies[a - 1] + autonomies[b - 1])) / 2, 0, 1);
+    probSum += p;
+    neighbors[fill[a]] = b;
+    prob[fill[a]] = p;
+    fill[a] += 1;
+    neighbors[fill[b]] = a;
+    prob[fill[b]] = p;
+    fill[b] += 1;
+  }
+  return { start, neighbors, prob, degree, meanProbability: edges.length ? probSum / edges.length : 0 };
+}
+
+// Agents failed by one trial seeded at `seed`, counting only the first `n` agents.
+// `mark` holds the trial stamp of each failed agent so it need not be cleared between trials.
+function cascadeSize(graph, n, seed, rng, mark, stamp, queue) {
+  mark[seed] = stamp;
+  queue[0] = seed;
+  let head = 0;
+  let tail = 1;
+  while (head < tail) {
+    const u = queue[head];
+    head += 1;
+    for (let e = graph.start[u]; e < graph.start[u + 1]; e += 1) {
+      const v = graph.neighbors[e];
+      if (v > n || mark[v] === stamp) continue;
+      if (rng() < graph.prob[e]) {
+        mark[v] = stamp;
+        queue[tail] = v;
+        tail += 1;
+      }
+    }
+  }
+  return tail;
+}
+
+// One stream per n, so the same seed gives the same result whichever n are evaluated.
+function streamSeed(seed, n) {
+  return (seed + Math.imul(n, 0x9e3779b1)) >>> 0;
+}
+
+/**
+ * Seeded cascade trials on the scenario's graph at about a dozen n up to
+ * simulationLimit, or at the n listed in `agents`. Each point has the
+ * expected cascade size `mean` (failed agents, the seed included), the P95
+ * blast radius `p95`, the analytic cascade term `cascadeTerm` and `analytic`,
+ * that term scaled to match the simulated mean at the largest n, so the two
+ * curves compare in shape. `shapeGap` is the largest distance between them as
+ * a share of the largest simulated mean; it and `analytic` are null when the
+ * model's cascade term is 0. `seeds` are the five agents whose
+ * failure spreads furthest at the largest n, from every agent or, past
+ * MAX_SEED_CANDIDATES, from the best connected.
+ */
+export function simulateCascades(scenario, settings, { agents } = {}) {
+  const spec = sanitizeCascade(settings);
+  const limit = simulationLimit(scenario);
+  const params = sanitizeParams(scenario.params, scenario.model);
+  const mitigated = mitigateParams(params, scenario.mitigations, scenario.model);
+  const cascadeKey = modelParamSpecs(scenario.model).find((p) => (p.scales ?? p.key) === "gamma")?.key;
+  const breaker = params[cascadeKey] > 0 ? mitigated[cascadeKey] / params[cascadeKey] : 1;
+  // Models without L (edge count) spread at the default load.
+  const load = mitigated.loadL ?? mitigateParams(DEFAULTS, scenario.mitigations).loadL;
+  const graph = buildGraph(scenario, limit, (spec.spread * load * breaker) / 10);
+
+  const mark = new Int32Array(limit + 1);
+  const queue = new Int32Array(limit + 1);
+  let stamp = 0;
+  const at = (agents ?? sampleAgents(limit, { maxPoints: 12 })).filter((i) => i >= 1 && i <= limit);
+  const series = cachedSeries(scenario);
+  const k = clamp(scenario.k, 0, Math.max(0, scenario.n - 1));
+
+  const points = at.map((n) => {
+    const rng = createRng(streamSeed(spec.seed, n));
+    const sizes = new Float64Array(spec.trials);
+    for (let t = 0; t < spec.trials; t += 1) {
+      stamp += 1;
+      sizes[t] = cascadeSize(graph, n, 1 + Math.floor(rng() * n), rng, mark, stamp, queue);
+    }
+    sizes.sort();
+    const { cascade } = riskTerms({
+      n,
+      k,
+      topology: scenario.topology,
+      graph: scenario.graph,
+      composite: scenario.composite,
+      autonomyScore: scenario.autonomy,
+      roster: scenario.roster,
+      mitigations: scenario.mitigations,
+      model: scenario.model,
+      ...params,
+    });
+    return { agents: n, edges: series[n - 1].edges, mean: sizes.reduce((sum, x) => sum + x, 0) / spec.trials, p95: percentile(sizes, 0.95), cascadeTerm: cascade };
+  });
+
+  const last = points.at(-1);
+  const scale = last && last.cascadeTerm > 0 ? last.mean / last.cascadeTerm : 0;
+  let peak = 0;
+  let gap = 0;
+  for (const p of points) {
+    // A model without a cascade term has no shape to compare.
+    p.analytic = scale > 0 ? p.cascadeTerm * scale : null;
+    peak = Math.max(peak, p.mean);
+    gap = Math.max(gap, Math.abs(p.analytic - p.mean));
+  }
+
+  const candidates = Array.from({ length: limit }, (_, idx) => idx + 1);
+  if (limit > MAX_SEED_CANDIDATES) {
+    candidates.sort((a, b) => graph.degree[b] - graph.degree[a] || a - b);
+    candidates.length = MAX_SEED_CANDIDATES;
+  }
+  const seedTrials = Math.max(10, Math.round(spec.trials / 5));
+  const seeds = candidates
+    .map((agent) => {
+      const rng = createRng(streamSeed(spec.seed ^ 0x5bd1e995, agent));
+      let sum = 0;
+      for (let t = 0; t < seedTrials; t += 1) {
+        stamp += 1;
+        sum += cascadeSize(graph, limit, agent, rng, mark, stamp, queue);
+      }
+      return { agent, label: agentLabel(scenario, agent), degree: graph.degree[agent], mean: sum / seedTrials };
+    })
+    .sort((a, b) => b.mean - a.mean || a.agent - b.agent)
+    .slice(0, 5);
+
+  return {
+    limit,
+    truncated: limit < scenario.n,
+    probability: graph.meanProbability,
+    trials: spec.trials,
+    points,
+    shapeGap: peak > 0 && scale > 0 ? gap / peak : null,
+    seeds,
+  };
+}
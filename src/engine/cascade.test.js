@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { MAX_SIM_EDGES, sanitizeCascade, simulateCascades, simulationLimit } from "./cascade.js";
+import { agentLabel } from "./model.js";
+import { EXAMPLE_COMPOSITE } from "./composite.js";
+import { computeEdges } from "./topology.js";
+import { sanitizeScenario } from "./scenario.js";
+
+const hub = sanitizeScenario({ n: 40, k: 3, topology: "hub", autonomy: 6 }, "Hub");
+
+describe("cascade simulation", () => {
+  it("sanitises the settings", () => {
+    expect(sanitizeCascade({ enabled: 1, trials: "5", seed: -3, spread: 4 })).toEqual({ enabled: true, trials: 10, seed: 0, spread: 1 });
+    expect(sanitizeCascade(null)).toEqual({ enabled: false, trials: 200, seed: 1, spread: 0.25 });
+  });
+
+  it("is reproducible for a seed, whichever n are evaluated", () => {
+    const all = simulateCascades(hub, { trials: 100, seed: 7 }, { agents: [10, 20, 40] });
+    const one = simulateCascades(hub, { trials: 100, seed: 7 }, { agents: [20] });
+    expect(simulateCascades(hub, { trials: 100, seed: 7 }, { agents: [10, 20, 40] })).toEqual(all);
+    expect(one.points[0].mean).toBe(all.points[1].mean);
+    expect(one.points[0].p95).toBe(all.points[1].p95);
+    expect(all.points.at(-1).agents).toBe(40);
+    expect(all.points.at(-1).analytic).toBeCloseTo(all.points.at(-1).mean, 9);
+  });
+
+  it("stays at the seed without spread and takes the whole graph when every edge passes", () => {
+    const none = simulateCascades(hub, { trials: 50, spread: 0 });
+    expect(none.points.every((p) => p.mean === 1 && p.p95 === 1)).toBe(true);
+    const certain = sanitizeScenario({ n: 30, k: 2, topology: "bounded", autonomy: 10 }, "All");
+    const full = simulateCascades(certain, { trials: 50, spread: 1 });
+    expect(full.probability).toBe(1);
+    expect(full.points.map((p) => p.mean)).toEqual(full.points.map((p) => p.agents));
+  });
+
+  it("ranks the hub as the most dangerous seed", () => {
+    const { seeds } = simulateCascades(hub, { trials: 200, spread: 0.5 });
+    expect(seeds[0]).toMatchObject({ agent: 1, label: "Agent 1", degree: 39 });
+    expect(seeds).toHaveLength(5);
+  });
+
+  it("caps the simulated graph and labels composite agents by cluster", () => {
+    const mesh = sanitizeScenario({ n: 1000, topology: "mesh" }, "Mesh");
+    const limit = simulationLimit(mesh);
+    expect(computeEdges(limit, 0, "mesh")).toBeLessThanOrEqual(MAX_SIM_EDGES);
+    expect(computeEdges(limit + 1, 0, "mesh")).toBeGreaterThan(MAX_SIM_EDGES);
+    expect(simulateCascades(mesh, { trials: 10 }, { agents: [limit] })).toMatchObject({ limit, truncated: true });
+
+    const composite = sanitizeScenario({ topology: "composite", composite: EXAMPLE_COMPOSITE }, "Composite");
+    expect(agentLabel(composite, 1)).toBe("Workers A #1");
+    expect(simulateCascades(composite, { trials: 20 }).limit).toBe(74);
+  });
+});
@@ -0,0 +1,155 @@
+import { topoLabel } from "./topology.js";
+import { cachedSeries } from "./model.js";
+import { DEFAULT_MODEL, allModelParams, getModel } from "./registry.js";
+import { formatRoster } from "./roster.js";
+import { formatComposite } from "./composite.js";
+import { mitigationLabel } from "./mitigation.js";
+import { scenarioTerms } from "./sensitivity.js";
+
+/*
+ * Side-by-side scenario comparison: one column per curve, one row per metric,
+ * with deltas against a reference column. Everything is evaluated at each
+ * curve's own final n; threshold crossings come from the cached series.
+ */
+
+export const COMPARE_THRESHOLDS = [5, 10, 50];
+
+// `worse` says which direction of change is bad for highlighting: "up", "down", or null for neutral inputs.
+// Text metrics have no deltas; `text` turns the value into its display label.
+// Parameter rows cover every model; a curve whose model lacks the parameter shows null.
+export const COMPARE_METRICS = [
+  { key: "n", label: "Agents (n)", group: "Inputs", worse: null },
+  { key: "autonomy", label: "Autonomy (A)", group: "Inputs", worse: null },
+  { key: "k", label: "K", group: "Inputs", worse: null },
+  { key: "topology", label: "Topology", group: "Inputs", worse: null, text: topoLabel },
+  { key: "mitigations", label: "Mitigations", group: "Inputs", worse: null, text: (ids) => (ids.length ? ids.map(mitigationLabel).join(", ") : "none") },
+  { key: "model", label: "Risk model", group: "Inputs", worse: null, text: (id) => getModel(id).label },
+  ...allModelParams().map((p) => ({ key: p.key, label: p.symbol, group: "Inputs", worse: null, param: true })),
+  { key: "edges", label: "Edges E at n", group: "Results", worse: "up" },
+  { key: "baseline", label: "Baseline R_linear(n)", group: "Results", worse: "up" },
+  { key: "risk", label: "Connected risk R(n)", group: "Results", worse: "up" },
+  { key: "multiple", label: "Risk multiple", group: "Results", worse: "up", multiple: true },
+  { key: "linear", label: "Linear term n·r0", group: "Terms", worse: "up" },
+  { key: "coupling", label: "Coupling term", group: "Terms", worse: "up" },
+  { key: "cascade", label: "Cascade term", group: "Terms", worse: "up" },
+  ...COMPARE_THRESHOLDS.map((x) => ({ key: `cross${x}`, label: `n where multiple reaches ${x}x`, group: "Thresholds", worse: "down" })),
+];
+
+/** Metric values for one scenario at its final n. Crossings are null when the curve stays below. */
+export function scenarioMetrics(scenario) {
+  const terms = scenarioTerms(scenario);
+  const series = cachedSeries(scenario);
+  const crossings = Object.fromEntries(
+    COMPARE_THRESHOLDS.map((x) => [`cross${x}`, series.find((r) => r.multiple != null && r.multiple >= x)?.agents ?? null])
+  );
+  const baseline = terms.linear;
+  return {
+    n: scenario.n,
+    autonomy: scenario.autonomy,
+    k: scenario.k,
+    topology: scenario.topology,
+    mitigations: scenario.mitigations ?? [],
+    model: scenario.model ?? DEFAULT_MODEL,
+    ...Object.fromEntries(allModelParams().map((p) => [p.key, scenario.params[p.key] ?? null])),
+    edges: series[series.length - 1]?.edges ?? 0,
+    baseline,
+    risk: terms.total,
+    multiple: baseline > 0 ? terms.total / baseline : null,
+    linear: terms.linear,
+    coupling: terms.coupling,
+    cascade: terms.cascade,
+    ...crossings,
+  };
+}
+
+function delta(value, ref) {
+  if (typeof value !== "number" || typeof ref !== "number") return null;
+  const abs = value - ref;
+  return { abs, pct: ref !== 0 ? abs / Math.abs(ref) : null };
+}
+
+/**
+ * Comparison table for `curves` ({ key, name, scenario }). Each column has
+ * the curve's metric values and, except for the reference, deltas against the
+ * reference column (`referenceKey`, default the first curve). With `sortBy`,
+ * columns are ordered by that metric, nulls last, the reference included.
+ * `metrics` leaves out the parameters no compared model uses.
+ */
+export function compareScenarios(curves, { referenceKey, sortBy = null, descending = false } = {}) {
+  const columns = curves.map((c) => ({ key: c.key, name: c.name, scenario: c.scenario, values: scenarioMetrics(c.scenario) }));
+  const metrics = COMPARE_METRICS.filter((m) => !m.param || columns.some((c) => c.values[m.key] != null));
+  const reference = columns.find((c) => c.key === referenceKey) || columns[0] || null;
+  for (const col of columns) {
+    col.isReference = col === reference;
+    col.deltas = col.isReference
+      ? {}
+      : Object.fromEntries(COMPARE_METRICS.filter((m) => !m.text).map((m) => [m.key, delta(col.values[m.key], reference.values[m.key])]));
+  }
+  const metric = COMPARE_METRICS.find((m) => m.key === sortBy);
+  if (metric) {
+    const value = (c) => (metric.text ? metric.text(c.values[metric.key]) : c.values[metric.key]);
+    columns.sort((a, b) => {
+      const va = value(a);
+      const vb = value(b);
+      if (va == null || vb == null) return va == null ? (vb == null ? 0 : 1) : -1;
+      const cmp = metric.text ? String(va).localeCompare(String(vb)) : va - vb;
+      return descending ? -cmp : cmp;
+    });
+  }
+  return { metrics, reference: reference?.key ?? null, columns };
+}
+
+function formatNumber(v) {
+  if (Math.abs(v) >= 1000) return Math.round(v).toLocaleString("en-US");
+  if (Number.isInteger(v)) return String(v);
+  return String(Number(v.toPrecision(3)));
+}
+
+/** Display text for a metric value. */
+export function formatMetric(metric, value) {
+  if (value == null) return "–";
+  if (metric.text) return metric.text(value);
+  if (metric.multiple) return `${formatNumber(value)}x`;
+  return formatNumber(value);
+}
+
+/** Display text for a delta: "+12 (+4.0%)". */
+export function formatDelta(metric, d) {
+  if (!d) return "";
+  const sign = (x) => (x > 0 ? "+" : x < 0 ? "−" : "±");
+  const abs = `${sign(d.abs)}${formatMetric(metric, Math.abs(d.abs))}`;
+  return d.pct == null ? abs : `${abs} (${sign(d.pct)}${Math.abs(d.pct * 100).toFixed(1)}%)`;
+}
+
+/**
+ * Whether a delta is a change for the worse (1), for the better (-1) or
+ * neutral (0), for highlighting. `minPct` ignores changes below that fraction.
+ */
+export function deltaTone(metric, d, minPct = 0.005) {
+  if (!metric.worse || !d || d.abs === 0) return 0;
+  if (d.pct != null && Math.abs(d.pct) < minPct) return 0;
+  const up = d.abs > 0;
+  return (metric.worse === "up") === up ? 1 : -1;
+}
+
+function mdCell(text) {
+  return String(text).replace(/\|/g, "\\|");
+}
+
+/** The table as GitHub-flavoured Markdown, for decision records. */
+export function compareToMarkdown(table) {
+  const names = table.columns.map((c) => `${c.name}${c.isReference ? " (reference)" : ""}`);
+  const lines = [`| Metric | ${names.map(mdCell).join(" | ")} |`, `| --- | ${names.map(() => "---:").join(" | ")} |`];
+  for (const m of table.metrics) {
+    const cells = table.columns.map((c) => {
+      const d = formatDelta(m, c.deltas[m.key]);
+      return mdCell(`${formatMetric(m, c.values[m.key])}${d ? ` ${d}` : ""}`);
+    });
+    lines.push(`| ${mdCell(m.label)} | ${cells.join(" | ")} |`);
+  }
+  for (const c of table.columns.filter((x) => x.scenario.roster?.length)) lines.push("", `${c.name} roster: ${formatRoster(c.scenario.roster)}`);
+  for (const c of table.columns.filter((x) => x.scenario.topology === "composite" && x.scenario.composite)) {
+    lines.push("", `${c.name} clusters: ${formatComposite(c.scenario.composite)}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULTS, computeSeries } from "./model.js";
+import { COMPARE_METRICS, compareScenarios, compareToMarkdown, deltaTone, formatDelta, formatMetric, scenarioMetrics } from "./compare.js";
+
+const bounded = { n: 30, autonomy: 5, k: 3, topology: "bounded", params: DEFAULTS, roster: [], graph: null };
+const pipeline = { ...bounded, topology: "pipeline" };
+const mesh = { ...bounded, n: 20, topology: "mesh" };
+const metric = (key) => COMPARE_METRICS.find((m) => m.key === key);
+
+describe("scenarioMetrics", () => {
+  it("evaluates terms, edges and crossings at the final n", () => {
+    const m = scenarioMetrics(bounded);
+    expect(m.edges).toBe(84);
+    expect(m.risk).toBeCloseTo(1386.264, 3);
+    expect(m.linear + m.coupling + m.cascade).toBeCloseTo(m.risk, 9);
+    expect(m.multiple).toBeCloseTo(m.risk / 30, 9);
+    const series = computeSeries(bounded);
+    expect(m.cross10).toBe(series.find((r) => r.multiple >= 10).agents);
+    expect(series[m.cross10 - 2].multiple).toBeLessThan(10);
+    expect(scenarioMetrics(pipeline).cross50).toBeNull();
+  });
+});
+
+describe("compareScenarios", () => {
+  const curves = [
+    { key: "current", name: "Current", scenario: bounded },
+    { key: "s_p", name: "Pipeline", scenario: pipeline },
+    { key: "s_m", name: "Mesh", scenario: mesh },
+  ];
+
+  it("computes deltas against the chosen reference", () => {
+    const table = compareScenarios(curves, { referenceKey: "s_p" });
+    expect(table.reference).toBe("s_p");
+    const [current, ref] = table.columns;
+    expect(ref.deltas).toEqual({});
+    expect(current.deltas.n).toEqual({ abs: 0, pct: 0 });
+    expect(current.deltas.risk.abs).toBeCloseTo(current.values.risk - ref.values.risk, 9);
+    expect(current.deltas.cross50).toBeNull();
+    expect(deltaTone(metric("risk"), current.deltas.risk)).toBe(1);
+    expect(deltaTone(metric("n"), current.deltas.n)).toBe(0);
+  });
+
+  it("sorts columns by a metric, nulls last", () => {
+    const byRisk = compareScenarios(curves, { sortBy: "risk", descending: true });
+    expect(byRisk.columns.map((c) => c.key)).toEqual(["s_m", "current", "s_p"]);
+    const byCross = compareScenarios(curves, { sortBy: "cross50" });
+    expect(byCross.columns.at(-1).key).toBe("s_p");
+  });
+
+  it("formats deltas and Markdown for decision records", () => {
+    expect(formatDelta(metric("n"), { abs: -10, pct: -1 / 3 })).toBe("−10 (−33.3%)");
+    const table = compareScenarios(curves.slice(0, 2));
+    const lines = compareToMarkdown(table).split("\n");
+    expect(lines[0]).toBe("| Metric | Current (reference) | Pipeline |");
+    expect(lines.find((l) => l.startsWith("| Topology |"))).toBe("| Topology | Bounded degree (k) | Pipeline |");
+    expect(lines).toHaveLength(table.metrics.length + 2);
+  });
+
+  it("lists the parameters of every compared model, blank where a model lacks one", () => {
+    const edges = { ...bounded, model: "edges", params: { r0: 1, beta: 2 } };
+    const table = compareScenarios([curves[0], { key: "s_e", name: "Edges", scenario: edges }]);
+    expect(table.metrics.filter((m) => m.param).map((m) => m.key)).toEqual(["r0", "loadL", "alpha", "gamma", "beta"]);
+    const [, col] = table.columns;
+    expect(col.values).toMatchObject({ model: "edges", beta: 2, gamma: null, cascade: 0 });
+    expect(col.values.risk).toBeCloseTo(30 + 2 * 84, 9);
+    expect(formatMetric(metric("model"), col.values.model)).toBe("Edge count");
+    expect(col.deltas.gamma).toBeNull();
+  });
+});
@@ -0,0 +1,234 @@
+import { clamp, safeInt } from "./util.js";
+import { computeEdges, neighborsBefore } from "./topology.js";
+import { mitigateAutonomy } from "./mitigation.js";
+
+/*
+ * Composite topologies: a system of clusters, each with its own n, k,
+ * topology and autonomy, joined by bridge edges. A composite is
+ * `{ clusters: [{ name, n, k, topology, autonomy }], bridges: [{ from, to, count }] }`
+ * with `from` < `to` as 0-based cluster indexes.
+ *
+ * Inside a cluster, edges come from computeEdges for its own topology. As the
+ * system grows, clusters fill in proportion to their size (the same
+ * interleaving as a roster), so every prefix has roughly the final mix.
+ * Bridge m between clusters i and j joins agent (m mod n_i) + 1 of i to agent
+ * floor(m / n_i) + 1 of j: the earliest agents, and so the hub of a
+ * hub-and-spoke cluster, carry the bridges first. A bridge counts once both
+ * of its agents have joined, weighted by their mean autonomy.
+ */
+
+export const MAX_CLUSTERS = 8;
+
+// Cluster topologies are the built-in closed forms.
+export const CLUSTER_TOPOLOGIES = ["bounded", "mesh", "hub", "pipeline"];
+
+export const EXAMPLE_COMPOSITE = {
+  clusters: [
+    { name: "Orchestration", n: 6, k: 2, topology: "hub", autonomy: 7 },
+    { name: "Workers A", n: 20, k: 3, topology: "bounded", autonomy: 5 },
+    { name: "Workers B", n: 20, k: 3, topology: "bounded", autonomy: 5 },
+    { name: "Workers C", n: 20, k: 3, topology: "bounded", autonomy: 5 },
+    { name: "Publishing", n: 8, k: 1, topology: "pipeline", autonomy: 6 },
+  ],
+  bridges: [
+    { from: 0, to: 1, count: 2 },
+    { from: 0, to: 2, count: 2 },
+    { from: 0, to: 3, count: 2 },
+    { from: 1, to: 4, count: 1 },
+    { from: 2, to: 4, count: 1 },
+    { from: 3, to: 4, count: 1 },
+  ],
+};
+
+/**
+ * Validates a composite (controls, share URL, saved scenario). Clusters are
+ * capped at MAX_CLUSTERS and `maxN` agents in total by trimming the last
+ * ones. Bridges to missing clusters or within one cluster are dropped;
+ * repeated pairs are added up; counts are capped at n_i · n_j. Returns null
+ * when no cluster is left.
+ */
+export function sanitizeComposite(raw, maxN) {
+  if (!raw || !Array.isArray(raw.clusters)) return null;
+  const clusters = [];
+  let total = 0;
+  for (const [idx, c] of raw.clusters.slice(0, MAX_CLUSTERS).entries()) {
+    const room = maxN - total;
+    if (room <= 0) break;
+    const n = clamp(safeInt(c?.n, 1), 1, room);
+    clusters.push({
+      name: String(c?.name || `Cluster ${idx + 1}`).slice(0, 40),
+      n,
+      k: clamp(safeInt(c?.k, 3), 0, n - 1),
+      topology: CLUSTER_TOPOLOGIES.includes(c?.topology) ? c.topology : "bounded",
+      autonomy: clamp(safeInt(c?.autonomy, 5), 1, 10),
+    });
+    total += n;
+  }
+  if (!clusters.length) return null;
+
+  const counts = new Map();
+  for (const b of Array.isArray(raw.bridges) ? raw.bridges : []) {
+    const x = safeInt(b?.from, -1);
+    const y = safeInt(b?.to, -1);
+    const count = safeInt(b?.count, 0);
+    if (x === y || x < 0 || y < 0 || x >= clusters.length || y >= clusters.length || count <= 0) continue;
+    const key = x < y ? `${x}-${y}` : `${y}-${x}`;
+    counts.set(key, (counts.get(key) ?? 0) + count);
+  }
+  const bridges = [...counts]
+    .map(([key, count]) => {
+      const [from, to] = key.split("-").map(Number);
+      return { from, to, count: Math.min(count, clusters[from].n * clusters[to].n) };
+    })
+    .sort((a, b) => a.from - b.from || a.to - b.to);
+  return { clusters, bridges };
+}
+
+export function compositeTotal(composite) {
+  return composite.clusters.reduce((sum, c) => sum + c.n, 0);
+}
+
+export function compositeMeanAutonomy(composite) {
+  const total = compositeTotal(composite);
+  return total ? composite.clusters.reduce((sum, c) => sum + c.n * c.autonomy, 0) / total : 0;
+}
+
+// Per-composite join order, cached because series and breakdowns ask for it repeatedly.
+const orderCache = new WeakMap();
+
+/** Cluster index of each agent in join order (index 0 is agent 1). */
+export function compositeOrder(composite) {
+  let order = orderCache.get(composite);
+  if (!order) {
+    const total = compositeTotal(composite);
+    const assigned = composite.clusters.map(() => 0);
+    order = [];
+    for (let pos = 1; pos <= total; pos += 1) {
+      let best = 0;
+      let bestDeficit = -Infinity;
+      composite.clusters.forEach((c, idx) => {
+        const deficit = (c.n * pos) / total - assigned[idx];
+        if (assigned[idx] < c.n && deficit > bestDeficit) {
+          best = idx;
+          bestDeficit = deficit;
+        }
+      });
+      assigned[best] += 1;
+      order.push(best);
+    }
+    orderCache.set(composite, order);
+  }
+  return order;
+}
+
+// Bridges of `b` present once `ai` agents of its `from` cluster and `aj` of its `to` cluster have joined.
+function bridgesPresent(b, nFrom, ai, aj) {
+  const full = Math.floor(b.count / nFrom);
+  const rest = b.count % nFrom;
+  return Math.min(aj, full) * ai + (aj > full ? Math.min(rest, ai) : 0);
+}
+
+function clusterCounts(composite, n) {
+  const counts = composite.clusters.map(() => 0);
+  for (const c of compositeOrder(composite).slice(0, n)) counts[c] += 1;
+  return counts;
+}
+
+/**
+ * The composite's first n agents split into parts: one per cluster and one
+ * per bridge pair, each with its `agents`, `edges` and edge-autonomy `weight`
+ * (edges × autonomy, bridges at the mean autonomy of the two clusters), after
+ * `mitigations` on autonomy. `edges` and `weight` are the totals.
+ */
+export function compositeParts(composite, n, mitigations) {
+  const counts = clusterCounts(composite, n);
+  const A = composite.clusters.map((c) => mitigateAutonomy(c.autonomy, mitigations));
+  const clusters = composite.clusters.map((c, idx) => {
+    const edges = computeEdges(counts[idx], c.k, c.topology);
+    return { name: c.name, agents: counts[idx], edges, weight: edges * A[idx] };
+  });
+  const bridges = composite.bridges.map((b) => {
+    const edges = bridgesPresent(b, composite.clusters[b.from].n, counts[b.from], counts[b.to]);
+    return { from: b.from, to: b.to, agents: 0, edges, weight: (edges * (A[b.from] + A[b.to])) / 2 };
+  });
+  const parts = [...clusters, ...bridges];
+  return {
+    clusters,
+    bridges,
+    edges: parts.reduce((sum, p) => sum + p.edges, 0),
+    weight: parts.reduce((sum, p) => sum + p.weight, 0),
+  };
+}
+
+/**
+ * E(i) and the edge-autonomy weight W(i) for every i from 1 to n (index i - 1),
+ * in O(n · bridges). W(i) · L is the coupling of compositeParts at i.
+ */
+export function compositeSeries(composite, n, mitigations) {
+  const order = compositeOrder(composite);
+  const counts = composite.clusters.map(() => 0);
+  const A = composite.clusters.map((c) => mitigateAutonomy(c.autonomy, mitigations));
+  const present = composite.bridges.map(() => 0);
+  const edges = [];
+  const weights = [];
+  let e = 0;
+  let w = 0;
+  for (let i = 1; i <= Math.min(n, order.length); i += 1) {
+    const idx = order[i - 1];
+    const c = composite.clusters[idx];
+    counts[idx] += 1;
+    const added = computeEdges(counts[idx], c.k, c.topology) - computeEdges(counts[idx] - 1, c.k, c.topology);
+    e += added;
+    w += added * A[idx];
+    composite.bridges.forEach((b, j) => {
+      if (b.from !== idx && b.to !== idx) return;
+      const now = bridgesPresent(b, composite.clusters[b.from].n, counts[b.from], counts[b.to]);
+      e += now - present[j];
+      w += ((now - present[j]) * (A[b.from] + A[b.to])) / 2;
+      present[j] = now;
+    });
+    edges.push(e);
+    weights.push(w);
+  }
+  return { edges, weights };
+}
+
+/**
+ * Every edge among the first n agents as [earlier, later] pairs of join
+ * positions, for drawing, ordered by the later agent. Only the bridges
+ * already present are visited, so a huge bridge count costs nothing beyond
+ * its drawn edges; past `maxEdges` the edges of the latest agents are left off.
+ */
+export function compositeEdgeList(composite, n, maxEdges = Infinity) {
+  const order = compositeOrder(composite).slice(0, n);
+  const positions = composite.clusters.map(() => []);
+  order.forEach((c, idx) => positions[c].push(idx + 1));
+  const pair = (a, b) => (a < b ? [a, b] : [b, a]);
+  const edges = [];
+  composite.clusters.forEach((c, idx) => {
+    const pos = positions[idx];
+    for (let local = 2; local <= pos.length; local += 1) {
+      for (const j of neighborsBefore(local, c.k, c.topology)) edges.push(pair(pos[j - 1], pos[local - 1]));
+    }
+  });
+  for (const b of composite.bridges) {
+    const nFrom = composite.clusters[b.from].n;
+    const full = Math.floor(b.count / nFrom);
+    const rest = b.count % nFrom;
+    const from = positions[b.from];
+    const to = positions[b.to];
+    // Bridge m joins the (m mod n_from)-th agent of `from` to the floor(m / n_from)-th of `to`.
+    for (let j = 0; j < Math.min(to.length, full + (rest ? 1 : 0)); j += 1) {
+      for (let i = 0; i < Math.min(from.length, j < full ? nFrom : rest); i += 1) edges.push(pair(from[i], to[j]));
+    }
+  }
+  edges.sort((p, q) => p[1] - q[1] || p[0] - q[0]);
+  return edges.length > maxEdges ? edges.slice(0, maxEdges) : edges;
+}
+
+/** "Orchestration 6×A7 hub + …; 6 bridges", for cards and reports. */
+export function formatComposite(composite) {
+  const bridges = composite.bridges.reduce((sum, b) => sum + b.count, 0);
+  const clusters = composite.clusters.map((c) => `${c.name} ${c.n}×A${c.autonomy} ${c.topology}`).join(" + ");
+  return `${clusters}; ${bridges} bridge${bridges === 1 ? "" : "s"}`;
+}
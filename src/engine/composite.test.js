@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { EXAMPLE_COMPOSITE, compositeEdgeList, compositeOrder, compositeParts, compositeSeries, sanitizeComposite } from "./composite.js";
+import { computeEdges } from "./topology.js";
+import { DEFAULTS, computeSeries, riskAgentsEdges } from "./model.js";
+import { sanitizeScenario, scenarioFixes } from "./scenario.js";
+import { compositeContributions } from "./sensitivity.js";
+import { decodeShareQuery, encodeShareQuery } from "./share.js";
+
+const composite = sanitizeComposite(EXAMPLE_COMPOSITE, 50000);
+const scenario = sanitizeScenario({ topology: "composite", composite }, "Composite");
+
+describe("composite topology", () => {
+  it("sanitises clusters and bridges", () => {
+    const clean = sanitizeComposite(
+      {
+        clusters: [{ name: "Hub", n: 4, k: 9, topology: "hub", autonomy: 12 }, { n: 3, topology: "custom" }],
+        bridges: [{ from: 1, to: 0, count: 2 }, { from: 0, to: 1, count: 20 }, { from: 0, to: 0, count: 1 }, { from: 0, to: 5, count: 1 }],
+      },
+      50000
+    );
+    expect(clean).toEqual({
+      clusters: [
+        { name: "Hub", n: 4, k: 3, topology: "hub", autonomy: 10 },
+        { name: "Cluster 2", n: 3, k: 2, topology: "bounded", autonomy: 5 },
+      ],
+      bridges: [{ from: 0, to: 1, count: 12 }],
+    });
+    expect(sanitizeComposite({ clusters: [] }, 50000)).toBeNull();
+  });
+
+  it("sums cluster edges from computeEdges plus bridges", () => {
+    const parts = compositeParts(composite, scenario.n);
+    composite.clusters.forEach((c, idx) => {
+      expect(parts.clusters[idx].agents).toBe(c.n);
+      expect(parts.clusters[idx].edges).toBe(computeEdges(c.n, c.k, c.topology));
+    });
+    const bridges = composite.bridges.reduce((sum, b) => sum + b.count, 0);
+    const clusterEdges = composite.clusters.reduce((sum, c) => sum + computeEdges(c.n, c.k, c.topology), 0);
+    expect(parts.edges).toBe(clusterEdges + bridges);
+    expect(scenario.n).toBe(74);
+    expect(computeSeries(scenario).at(-1).edges).toBe(parts.edges);
+  });
+
+  it("grows clusters in proportion and agrees with the drawn edges at every n", () => {
+    const order = compositeOrder(composite);
+    expect(order.slice(0, 12).filter((c) => c === 0)).toHaveLength(1);
+    const series = compositeSeries(composite, scenario.n);
+    for (const n of [1, 5, 20, 37, 74]) {
+      expect(series.edges[n - 1]).toBe(compositeEdgeList(composite, n).length);
+      expect(series.weights[n - 1]).toBeCloseTo(compositeParts(composite, n).weight, 9);
+    }
+  });
+
+  it("lists only the bridges present among the first n agents, up to a cap", () => {
+    const dense = sanitizeComposite({ clusters: [{ n: 20000 }, { n: 20000 }], bridges: [{ from: 0, to: 1, count: 4e8 }] }, 50000);
+    const edges = compositeEdgeList(dense, 400);
+    expect(edges).toHaveLength(compositeParts(dense, 400).edges);
+    const capped = compositeEdgeList(dense, 400, 1000);
+    expect(capped).toEqual(edges.slice(0, 1000));
+  });
+
+  it("reduces to the plain topology for one cluster", () => {
+    const one = sanitizeScenario({ topology: "composite", composite: { clusters: [{ n: 40, k: 3, topology: "hub", autonomy: 6 }] } }, "One");
+    const plain = riskAgentsEdges({ n: 40, k: 3, topology: "hub", autonomyScore: 6, ...DEFAULTS });
+    expect(computeSeries(one).at(-1).connected).toBeCloseTo(plain, 9);
+  });
+
+  it("splits R(n) into per-cluster contributions that add up", () => {
+    const { rows, terms } = compositeContributions(scenario);
+    expect(rows).toHaveLength(composite.clusters.length + composite.bridges.length);
+    expect(rows.reduce((sum, r) => sum + r.total, 0)).toBeCloseTo(terms.total, 6);
+    expect(rows[0].name).toBe("Orchestration");
+    expect(rows.at(-1).name).toBe("Workers C ↔ Publishing");
+  });
+
+  it("round-trips through the share link and reports missing clusters", () => {
+    const decoded = decodeShareQuery(encodeShareQuery({ ...scenario, modelParams: DEFAULTS, scenarios: [scenario] }));
+    expect(decoded.topology).toBe("composite");
+    expect(decoded.composite).toEqual(composite);
+    expect(decoded.scenarios[0].composite).toEqual(composite);
+    const raw = { topology: "composite", composite: { clusters: "nope" } };
+    expect(scenarioFixes(raw, sanitizeScenario(raw, "x"))).toEqual(["composite topology without valid clusters, used bounded"]);
+  });
+});
@@ -0,0 +1,91 @@
+import { scenarioKey } from "./model.js";
+import { DEFAULT_MODEL, modelParamSpecs } from "./registry.js";
+import { GRAPH_METRICS } from "./metrics.js";
+import { policyLevel, policyThresholds } from "./policy.js";
+
+export const NL = String.fromCharCode(13, 10);
+
+// Model parameters are constant per curve, so they repeat on every row as
+// `<curve>_<param>` columns. `paramsByKey` maps "current" and each scenario key to its params.
+// `modelsByKey` maps the same keys to model ids: each curve then gets its own model's
+// parameter columns, after a `<curve>_model` column. Without it every curve uses the default model.
+// Multiples divide by each curve's own n·r0, from `paramsByKey`, like buildSeriesRows.
+// `metrics` (rows from metricSeries) adds `current_<metric>` columns at the end, blank
+// at the n they do not cover. `policyByKey` maps curve keys to policy thresholds
+// ({ amber, red }) and adds a `<curve>_policy` column per curve, last: pass, review or fail.
+export function buildCsv({ rows, scenarioKeys, paramsByKey, modelsByKey, metrics, policyByKey }) {
+  const modelOf = (key) => modelsByKey?.[key] ?? DEFAULT_MODEL;
+  const paramCols = (key) => [...(modelsByKey ? [`${key}_model`] : []), ...modelParamSpecs(modelOf(key)).map((p) => `${key}_${p.csv}`)];
+  const paramVals = (key) => [...(modelsByKey ? [modelOf(key)] : []), ...modelParamSpecs(modelOf(key)).map((p) => paramsByKey?.[key]?.[p.key] ?? "")];
+
+  const header = [
+    "agents",
+    "baseline_linear",
+    "current_connected",
+    "current_multiple",
+    ...paramCols("current"),
+    ...scenarioKeys.flatMap((sk) => [`${sk}_connected`, `${sk}_multiple`, ...paramCols(sk)]),
+    ...(metrics ? GRAPH_METRICS.map((m) => `current_${m.csv}`) : []),
+    ...(policyByKey ? ["current", ...scenarioKeys].map((key) => `${key}_policy`) : []),
+  ];
+  const metricsByAgents = new Map((metrics ?? []).map((m) => [m.agents, m]));
+  // A curve's multiple at row `r`, or null when its value or baseline is missing.
+  const multipleOf = (r, key) => {
+    const v = r[key];
+    const r0 = paramsByKey?.[key]?.r0;
+    const base = r0 != null ? r.agents * r0 : r.baseline;
+    return base > 0 && v != null && Number.isFinite(v) ? v / base : null;
+  };
+
+  const lines = [header.join(",")];
+
+  for (const r of rows) {
+    const baseline = r.baseline;
+    const current = r.current;
+    const currentMultiple = baseline > 0 && current != null ? current / baseline : "";
+
+    const cols = [r.agents, baseline, current ?? "", currentMultiple, ...paramVals("current")];
+
+    for (const sk of scenarioKeys) {
+      const v = r[sk];
+      if (v == null || !Number.isFinite(v)) {
+        cols.push("", "");
+      } else {
+        cols.push(v, multipleOf(r, sk) ?? "");
+      }
+      cols.push(...paramVals(sk));
+    }
+    if (metrics) {
+      const m = metricsByAgents.get(r.agents);
+      cols.push(...GRAPH_METRICS.map((g) => m?.[g.key] ?? ""));
+    }
+    if (policyByKey) {
+      for (const key of ["current", ...scenarioKeys]) cols.push(policyLevel(policyByKey[key], multipleOf(r, key))?.status ?? "");
+    }
+
+    lines.push(cols.join(","));
+  }
+
+  return lines.join(NL);
+}
+
+/** `paramsByKey` for buildCsv: "current" plus one entry per scenario key. */
+export function paramsByCurve(current, scenarios = []) {
+  const out = { current: current.params };
+  for (const s of scenarios) out[scenarioKey(s)] = s.params;
+  return out;
+}
+
+/** `policyByKey` for buildCsv: the policy thresholds at each curve's autonomy, keyed like paramsByCurve. */
+export function policyByCurve(current, scenarios = [], policy) {
+  const out = { current: policyThresholds(policy, current.autonomy) };
+  for (const s of scenarios) out[scenarioKey(s)] = policyThresholds(policy, s.autonomy);
+  return out;
+}
+
+/** `modelsByKey` for buildCsv, keyed like paramsByCurve. */
+export function modelsByCurve(current, scenarios = []) {
+  const out = { current: current.model ?? DEFAULT_MODEL };
+  for (const s of scenarios) out[scenarioKey(s)] = s.model ?? DEFAULT_MODEL;
+  return out;
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { buildCsv, NL } from "./csv.js";
+import { DEFAULTS } from "./model.js";
+
+describe("buildCsv", () => {
+  it("writes one row per n with multiples and per-curve params", () => {
+    const rows = [
+      { agents: 1, baseline: 1, current: 1, s_a: 1 },
+      { agents: 2, baseline: 2, current: 6, s_a: null },
+    ];
+    const csv = buildCsv({ rows, scenarioKeys: ["s_a"], paramsByKey: { current: DEFAULTS, s_a: DEFAULTS } });
+    expect(csv.split(NL)).toEqual([
+      "agents,baseline_linear,current_connected,current_multiple,current_r0,current_L,current_alpha,current_gamma,s_a_connected,s_a_multiple,s_a_r0,s_a_L,s_a_alpha,s_a_gamma",
+      "1,1,1,1,1,1.3,0.3,0.12,1,1,1,1.3,0.3,0.12",
+      "2,2,6,3,1,1.3,0.3,0.12,,,1,1.3,0.3,0.12",
+    ]);
+  });
+
+  it("gives each curve its own model's parameter columns", () => {
+    const rows = [{ agents: 1, baseline: 1, current: 1, s_a: 2 }];
+    const csv = buildCsv({
+      rows,
+      scenarioKeys: ["s_a"],
+      paramsByKey: { current: DEFAULTS, s_a: { r0: 1, beta: 1 } },
+      modelsByKey: { current: "classic", s_a: "edges" },
+    });
+    expect(csv.split(NL)).toEqual([
+      "agents,baseline_linear,current_connected,current_multiple,current_model,current_r0,current_L,current_alpha,current_gamma,s_a_connected,s_a_multiple,s_a_model,s_a_r0,s_a_beta",
+      "1,1,1,1,classic,1,1.3,0.3,0.12,2,2,edges,1,1",
+    ]);
+  });
+
+  it("divides each scenario by its own baseline", () => {
+    const rows = [{ agents: 10, baseline: 10, current: 30, s_a: 60 }];
+    const csv = buildCsv({ rows, scenarioKeys: ["s_a"], paramsByKey: { current: DEFAULTS, s_a: { ...DEFAULTS, r0: 2 } } });
+    const [header, line] = csv.split(NL).map((l) => l.split(","));
+    expect(line[header.indexOf("current_multiple")]).toBe("3");
+    expect(line[header.indexOf("s_a_multiple")]).toBe("3");
+  });
+
+  it("adds a pass, review or fail column per curve under policy thresholds", () => {
+    const rows = [
+      { agents: 1, baseline: 1, current: 1, s_a: 4 },
+      { agents: 2, baseline: 2, current: 30, s_a: null },
+    ];
+    const policyByKey = { current: { amber: 3, red: 10 }, s_a: { amber: 2, red: 3 } };
+    const csv = buildCsv({ rows, scenarioKeys: ["s_a"], paramsByKey: {}, policyByKey });
+    const lines = csv.split(NL).map((l) => l.split(","));
+    expect(lines[0].slice(-2)).toEqual(["current_policy", "s_a_policy"]);
+    expect(lines[1].slice(-2)).toEqual(["pass", "fail"]);
+    expect(lines[2].slice(-2)).toEqual(["fail", ""]);
+
+    // At r0=2 the scenario's 4 is a 2x multiple: under its red threshold of 3.
+    const own = buildCsv({ rows, scenarioKeys: ["s_a"], paramsByKey: { s_a: { r0: 2 } }, policyByKey });
+    expect(own.split(NL)[1].split(",").at(-1)).toBe("review");
+  });
+});
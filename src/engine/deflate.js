@@ -0,0 +1,247 @@
+/*
+ * Raw DEFLATE (RFC 1951), small and synchronous so share links can be read
+ * during the first render. deflateRaw writes one fixed-Huffman block after an
+ * LZ77 pass, which is plenty for a few kilobytes of JSON; inflateRaw reads any
+ * raw stream, including zlib's dynamic blocks.
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const WINDOW = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+
+// Inflated output above this is treated as corrupt, so a crafted link cannot exhaust memory.
+const MAX_OUTPUT = 4 * 1024 * 1024;
+
+function reverseBits(code, len) {
+  let out = 0;
+  for (let i = 0; i < len; i += 1) {
+    out = (out << 1) | (code & 1);
+    code >>= 1;
+  }
+  return out;
+}
+
+// Index of the largest base <= value.
+function baseIndex(bases, value) {
+  let i = bases.length - 1;
+  while (bases[i] > value) i -= 1;
+  return i;
+}
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.buf = 0;
+    this.count = 0;
+  }
+
+  // Writes `len` bits of `value`, least significant first.
+  write(value, len) {
+    this.buf |= value << this.count;
+    this.count += len;
+    while (this.count >= 8) {
+      this.bytes.push(this.buf & 0xff);
+      this.buf >>>= 8;
+      this.count -= 8;
+    }
+  }
+
+  // Huffman codes go most significant bit first.
+  writeCode(code, len) {
+    this.write(reverseBits(code, len), len);
+  }
+
+  finish() {
+    if (this.count > 0) this.bytes.push(this.buf & 0xff);
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+function writeFixedLiteral(out, sym) {
+  if (sym < 144) out.writeCode(0x30 + sym, 8);
+  else if (sym < 256) out.writeCode(0x190 + sym - 144, 9);
+  else if (sym < 280) out.writeCode(sym - 256, 7);
+  else out.writeCode(0xc0 + sym - 280, 8);
+}
+
+function writeMatch(out, length, distance) {
+  const li = baseIndex(LENGTH_BASE, length);
+  writeFixedLiteral(out, 257 + li);
+  if (LENGTH_EXTRA[li]) out.write(length - LENGTH_BASE[li], LENGTH_EXTRA[li]);
+  const di = baseIndex(DIST_BASE, distance);
+  out.writeCode(di, 5);
+  if (DIST_EXTRA[di]) out.write(distance - DIST_BASE[di], DIST_EXTRA[di]);
+}
+
+/** Raw DEFLATE of a byte array. */
+export function deflateRaw(input) {
+  const out = new BitWriter();
+  out.write(1, 1); // final block
+  out.write(1, 2); // fixed Huffman codes
+
+  const head = new Map();
+  const prev = new Int32Array(input.length);
+  const hashAt = (i) => (input[i] << 16) | (input[i + 1] << 8) | input[i + 2];
+  const insert = (i) => {
+    if (i + MIN_MATCH > input.length) return;
+    const h = hashAt(i);
+    prev[i] = head.has(h) ? head.get(h) : -1;
+    head.set(h, i);
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    let bestLen = 0;
+    let bestDist = 0;
+    if (i + MIN_MATCH <= input.length) {
+      let cand = head.has(hashAt(i)) ? head.get(hashAt(i)) : -1;
+      const maxLen = Math.min(MAX_MATCH, input.length - i);
+      for (let chain = 0; cand >= 0 && i - cand <= WINDOW && chain < MAX_CHAIN; chain += 1) {
+        let len = 0;
+        while (len < maxLen && input[cand + len] === input[i + len]) len += 1;
+        if (len > bestLen) {
+          bestLen = len;
+          bestDist = i - cand;
+          if (len === maxLen) break;
+        }
+        cand = prev[cand];
+      }
+    }
+    if (bestLen >= MIN_MATCH) {
+      writeMatch(out, bestLen, bestDist);
+      for (let j = 0; j < bestLen; j += 1) insert(i + j);
+      i += bestLen;
+    } else {
+      writeFixedLiteral(out, input[i]);
+      insert(i);
+      i += 1;
+    }
+  }
+  writeFixedLiteral(out, 256);
+  return out.finish();
+}
+
+// Canonical Huffman table as counts per code length and symbols in code order.
+function buildHuffman(lengths) {
+  const counts = new Array(16).fill(0);
+  for (const len of lengths) counts[len] += 1;
+  counts[0] = 0;
+  const offsets = new Array(16).fill(0);
+  for (let len = 1; len < 16; len += 1) offsets[len] = offsets[len - 1] + counts[len - 1];
+  const symbols = [];
+  lengths.forEach((len, sym) => {
+    if (len) symbols[offsets[len]++] = sym;
+  });
+  return { counts, symbols };
+}
+
+let fixedTables = null;
+function fixedHuffman() {
+  if (!fixedTables) {
+    const lit = Array.from({ length: 288 }, (_, s) => (s < 144 ? 8 : s < 256 ? 9 : s < 280 ? 7 : 8));
+    fixedTables = { lit: buildHuffman(lit), dist: buildHuffman(new Array(30).fill(5)) };
+  }
+  return fixedTables;
+}
+
+/** Inverse of deflateRaw for any raw DEFLATE stream. Throws on corrupt input. */
+export function inflateRaw(input) {
+  let pos = 0;
+  let buf = 0;
+  let count = 0;
+  const out = [];
+
+  const bits = (n) => {
+    while (count < n) {
+      if (pos >= input.length) throw new Error("deflate stream ends early");
+      buf |= input[pos++] << count;
+      count += 8;
+    }
+    const v = buf & ((1 << n) - 1);
+    buf >>>= n;
+    count -= n;
+    return v;
+  };
+
+  const decode = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len += 1) {
+      code |= bits(1);
+      const c = counts[len];
+      if (code - c < first) return symbols[index + (code - first)];
+      index += c;
+      first = (first + c) << 1;
+      code <<= 1;
+    }
+    throw new Error("invalid Huffman code");
+  };
+
+  const dynamicTables = () => {
+    const nlen = bits(5) + 257;
+    const ndist = bits(5) + 1;
+    const ncode = bits(4) + 4;
+    const codeLengths = new Array(19).fill(0);
+    for (let j = 0; j < ncode; j += 1) codeLengths[CODE_LENGTH_ORDER[j]] = bits(3);
+    const lencode = buildHuffman(codeLengths);
+    const lengths = [];
+    while (lengths.length < nlen + ndist) {
+      const sym = decode(lencode);
+      if (sym < 16) lengths.push(sym);
+      else {
+        let repeat;
+        let value = 0;
+        if (sym === 16) {
+          if (!lengths.length) throw new Error("repeat with no previous length");
+          value = lengths[lengths.length - 1];
+          repeat = 3 + bits(2);
+        } else repeat = sym === 17 ? 3 + bits(3) : 11 + bits(7);
+        for (let j = 0; j < repeat; j += 1) lengths.push(value);
+      }
+    }
+    if (lengths.length > nlen + ndist) throw new Error("too many code lengths");
+    return { lit: buildHuffman(lengths.slice(0, nlen)), dist: buildHuffman(lengths.slice(nlen)) };
+  };
+
+  let last = 0;
+  while (!last) {
+    last = bits(1);
+    const type = bits(2);
+    if (type === 0) {
+      buf = 0;
+      count = 0;
+      if (pos + 4 > input.length) throw new Error("deflate stream ends early");
+      const len = input[pos] | (input[pos + 1] << 8);
+      pos += 4;
+      if (pos + len > input.length) throw new Error("deflate stream ends early");
+      for (let j = 0; j < len; j += 1) out.push(input[pos++]);
+    } else if (type === 1 || type === 2) {
+      const { lit, dist } = type === 1 ? fixedHuffman() : dynamicTables();
+      for (;;) {
+        const sym = decode(lit);
+        if (sym < 256) out.push(sym);
+        else if (sym === 256) break;
+        else {
+          const li = sym - 257;
+          if (li >= LENGTH_BASE.length) throw new Error("invalid length code");
+          const length = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+          const di = decode(dist);
+          if (di >= DIST_BASE.length) throw new Error("invalid distance code");
+          const distance = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+          if (distance > out.length) throw new Error("distance before start of output");
+          for (let j = 0; j < length; j += 1) out.push(out[out.length - distance]);
+        }
+        if (out.length > MAX_OUTPUT) throw new Error("inflated data is too large");
+      }
+    } else throw new Error("invalid block type");
+  }
+  return Uint8Array.from(out);
+}
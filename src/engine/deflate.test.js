@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { deflateRawSync, inflateRawSync } from "node:zlib";
+import { deflateRaw, inflateRaw } from "./deflate.js";
+
+const encoder = new TextEncoder();
+const samples = {
+  empty: new Uint8Array(0),
+  short: encoder.encode("a"),
+  repetitive: encoder.encode(JSON.stringify(Array.from({ length: 300 }, (_, i) => ({ name: `Scenario ${i}`, topology: "bounded", n: i })))),
+  unicode: encoder.encode("Pilot ✓ → hub ✓✓"),
+};
+
+describe("deflate", () => {
+  it("round-trips and compresses repetitive input", () => {
+    for (const bytes of Object.values(samples)) expect(inflateRaw(deflateRaw(bytes))).toEqual(bytes);
+    expect(deflateRaw(samples.repetitive).length).toBeLessThan(samples.repetitive.length / 4);
+  });
+
+  it("interoperates with zlib in both directions", () => {
+    for (const bytes of Object.values(samples)) {
+      expect(new Uint8Array(inflateRawSync(deflateRaw(bytes)))).toEqual(bytes);
+      expect(inflateRaw(deflateRawSync(bytes))).toEqual(bytes);
+      expect(inflateRaw(deflateRawSync(bytes, { level: 0 }))).toEqual(bytes);
+    }
+  });
+
+  it("throws on truncated or invalid input", () => {
+    const packed = deflateRaw(samples.repetitive);
+    expect(() => inflateRaw(packed.slice(0, 10))).toThrow();
+    expect(() => inflateRaw(Uint8Array.of(0xff, 0xff))).toThrow();
+  });
+});
@@ -0,0 +1,235 @@
+import { safeInt } from "./util.js";
+
+/*
+ * Custom agent graphs. A graph is `{ nodes, edges }`: `nodes` are agent ids in
+ * arrival order and `edges` are undirected [a, b] pairs of 1-based positions in
+ * `nodes` with a < b. Agent n joins with every edge to an earlier agent, so the
+ * order of `nodes` drives the growth curve.
+ */
+
+const HEADER_NAMES = new Set(["source", "target", "from", "to", "src", "dst", "u", "v"]);
+
+function splitRow(line) {
+  return line.split(/[,;\t]|\s+/).map((x) => x.trim()).filter(Boolean);
+}
+
+function builder(maxNodes) {
+  const index = new Map();
+  const nodes = [];
+  const seen = new Set();
+  const edges = [];
+  const errors = [];
+  const warnings = [];
+
+  function node(id) {
+    const key = String(id).trim();
+    if (!index.has(key)) {
+      nodes.push(key);
+      index.set(key, nodes.length);
+    }
+    return index.get(key);
+  }
+
+  // `mirrored` sources (adjacency lists) list each edge from both ends, so repeats are expected.
+  function edge(a, b, where, mirrored = false) {
+    if (a === "" || b === "" || a == null || b == null) {
+      errors.push(`${where}: expected two node ids`);
+      return;
+    }
+    if (String(a).trim() === String(b).trim()) {
+      warnings.push(`${where}: self-loop on "${a}" ignored`);
+      node(a);
+      return;
+    }
+    const i = node(a);
+    const j = node(b);
+    const pair = i < j ? [i, j] : [j, i];
+    const key = `${pair[0]}-${pair[1]}`;
+    if (seen.has(key)) {
+      if (!mirrored) warnings.push(`${where}: duplicate edge ${a}-${b} ignored`);
+      return;
+    }
+    seen.add(key);
+    edges.push(pair);
+  }
+
+  function result() {
+    if (nodes.length > maxNodes) errors.push(`graph has ${nodes.length} agents, the maximum is ${maxNodes}`);
+    if (!nodes.length && !errors.length) errors.push("graph has no agents");
+    return { graph: errors.length ? null : { nodes, edges }, errors, warnings };
+  }
+
+  return { node, edge, result, errors };
+}
+
+function parseEdgeListCsv(text, maxNodes) {
+  const b = builder(maxNodes);
+  const lines = text.split(/\r?\n/);
+  lines.forEach((raw, idx) => {
+    const line = raw.replace(/#.*$/, "").trim();
+    if (!line) return;
+    const cols = splitRow(line);
+    if (idx === 0 && cols.length >= 2 && cols.slice(0, 2).every((c) => HEADER_NAMES.has(c.toLowerCase()))) return;
+    if (cols.length === 1) {
+      b.node(cols[0]);
+      return;
+    }
+    if (cols.length !== 2) {
+      b.errors.push(`line ${idx + 1}: expected "source,target", got ${cols.length} columns`);
+      return;
+    }
+    b.edge(cols[0], cols[1], `line ${idx + 1}`);
+  });
+  return b.result();
+}
+
+function parseGraphJson(text, maxNodes) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { graph: null, errors: [`invalid JSON: ${err.message}`], warnings: [] };
+  }
+
+  const b = builder(maxNodes);
+  const pairEdge = (e, where) => {
+    if (Array.isArray(e)) b.edge(e[0], e[1], where);
+    else if (e && typeof e === "object") b.edge(e.source ?? e.from, e.target ?? e.to, where);
+    else b.errors.push(`${where}: expected [source, target] or { source, target }`);
+  };
+
+  if (Array.isArray(data)) {
+    data.forEach((e, idx) => pairEdge(e, `edge ${idx + 1}`));
+  } else if (data && typeof data === "object" && (Array.isArray(data.nodes) || Array.isArray(data.edges))) {
+    (data.nodes || []).forEach((id) => b.node(typeof id === "object" && id ? id.id : id));
+    (data.edges || []).forEach((e, idx) => pairEdge(e, `edge ${idx + 1}`));
+  } else if (data && typeof data === "object") {
+    for (const [id, neighbors] of Object.entries(data)) {
+      b.node(id);
+      if (!Array.isArray(neighbors)) {
+        b.errors.push(`"${id}": expected an array of neighbour ids`);
+        continue;
+      }
+      for (const other of neighbors) b.edge(id, other, `"${id}"`, true);
+    }
+  } else {
+    b.errors.push("expected an adjacency object, { nodes, edges }, or an array of edges");
+  }
+
+  return b.result();
+}
+
+/**
+ * Parses an uploaded agent graph: an edge-list CSV ("source,target" per line,
+ * optional header, # comments) or JSON (adjacency object, `{ nodes, edges }`,
+ * or an array of [source, target] pairs). Returns `{ graph, errors, warnings }`;
+ * `graph` is null when there are errors.
+ */
+export function parseGraphText(text, maxNodes) {
+  const trimmed = String(text ?? "").trim();
+  if (!trimmed) return { graph: null, errors: ["no graph data"], warnings: [] };
+  return /^[[{]/.test(trimmed) ? parseGraphJson(trimmed, maxNodes) : parseEdgeListCsv(trimmed, maxNodes);
+}
+
+/** Validates a stored graph (share URL, saved scenario). Returns null when unusable. */
+export function sanitizeGraph(raw, maxNodes) {
+  if (!raw || !Array.isArray(raw.nodes) || !Array.isArray(raw.edges)) return null;
+  const nodes = raw.nodes.map(String);
+  if (!nodes.length || nodes.length > maxNodes || new Set(nodes).size !== nodes.length) return null;
+
+  const seen = new Set();
+  const edges = [];
+  for (const e of raw.edges) {
+    if (!Array.isArray(e)) return null;
+    const a = safeInt(e[0], 0);
+    const b = safeInt(e[1], 0);
+    if (a < 1 || b < 1 || a > nodes.length || b > nodes.length || a === b) return null;
+    const pair = a < b ? [a, b] : [b, a];
+    const key = `${pair[0]}-${pair[1]}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      edges.push(pair);
+    }
+  }
+  return { nodes, edges };
+}
+
+export function graphDegrees(graph) {
+  const deg = graph.nodes.map(() => 0);
+  for (const [a, b] of graph.edges) {
+    deg[a - 1] += 1;
+    deg[b - 1] += 1;
+  }
+  return deg;
+}
+
+/**
+ * Reorders a graph so `ids` join first, in that order. Agents not listed keep
+ * their current relative order after them. Unknown ids are reported.
+ */
+export function reorderGraph(graph, ids) {
+  const position = new Map(graph.nodes.map((id, idx) => [id, idx + 1]));
+  const unknown = [];
+  const order = [];
+  const used = new Set();
+  for (const id of ids) {
+    const key = String(id).trim();
+    if (!key) continue;
+    if (!position.has(key)) unknown.push(key);
+    else if (!used.has(key)) {
+      used.add(key);
+      order.push(key);
+    }
+  }
+  for (const id of graph.nodes) if (!used.has(id)) order.push(id);
+
+  const next = new Map(order.map((id, idx) => [position.get(id), idx + 1]));
+  const edges = graph.edges
+    .map(([a, b]) => {
+      const x = next.get(a);
+      const y = next.get(b);
+      return x < y ? [x, y] : [y, x];
+    })
+    .sort((p, q) => p[1] - q[1] || p[0] - q[0]);
+  return { graph: { nodes: order, edges }, unknown };
+}
+
+/** Highest-degree agents first; ties keep the current order. */
+export function degreeOrder(graph) {
+  const deg = graphDegrees(graph);
+  return graph.nodes
+    .map((id, idx) => ({ id, idx, d: deg[idx] }))
+    .sort((p, q) => q.d - p.d || p.idx - q.idx)
+    .map((x) => x.id);
+}
+
+// Per-graph lookups, cached because series code asks for them once per n.
+const cache = new WeakMap();
+
+function lookups(graph) {
+  let entry = cache.get(graph);
+  if (!entry) {
+    const earlier = graph.nodes.map(() => []);
+    const joinCounts = graph.nodes.map(() => 0);
+    for (const [a, b] of graph.edges) {
+      earlier[b - 1].push(a);
+      joinCounts[b - 1] += 1;
+    }
+    const edgesUpTo = [0];
+    joinCounts.forEach((c, idx) => edgesUpTo.push(edgesUpTo[idx] + c));
+    entry = { earlier, edgesUpTo };
+    cache.set(graph, entry);
+  }
+  return entry;
+}
+
+/** Edges among the first n agents of the graph. */
+export function graphEdgesUpTo(graph, n) {
+  const { edgesUpTo } = lookups(graph);
+  return edgesUpTo[Math.max(0, Math.min(n, graph.nodes.length))];
+}
+
+/** Earlier agents (1-based positions) that agent i is joined to. */
+export function graphNeighborsBefore(graph, i) {
+  return lookups(graph).earlier[i - 1] || [];
+}
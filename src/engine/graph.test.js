@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { degreeOrder, parseGraphText, reorderGraph, sanitizeGraph } from "./graph.js";
+import { computeEdges, neighborsBefore } from "./topology.js";
+
+describe("parseGraphText", () => {
+  it("reads an edge-list CSV with header and comments", () => {
+    const text = "source,target\norch,w1\n# pool\norch,w2\nw1;w2\nw2,w1\nw3\nw3,w3\n";
+    const { graph, errors, warnings } = parseGraphText(text, 200);
+    expect(errors).toEqual([]);
+    expect(graph).toEqual({ nodes: ["orch", "w1", "w2", "w3"], edges: [[1, 2], [1, 3], [2, 3]] });
+    expect(warnings).toEqual(['line 6: duplicate edge w2-w1 ignored', 'line 8: self-loop on "w3" ignored']);
+  });
+
+  it("reports row-level errors", () => {
+    const { graph, errors } = parseGraphText("a,b\na,b,c\n", 200);
+    expect(graph).toBeNull();
+    expect(errors).toEqual(['line 2: expected "source,target", got 3 columns']);
+  });
+
+  it("reads JSON adjacency, { nodes, edges } and edge arrays", () => {
+    const adjacency = parseGraphText(JSON.stringify({ hub: ["a", "b"], a: ["hub"], b: ["hub"] }), 200);
+    expect(adjacency.warnings).toEqual([]);
+    expect(adjacency.graph).toEqual({ nodes: ["hub", "a", "b"], edges: [[1, 2], [1, 3]] });
+
+    const listed = parseGraphText(JSON.stringify({ nodes: ["x", "y", "z"], edges: [{ source: "z", target: "x" }] }), 200);
+    expect(listed.graph).toEqual({ nodes: ["x", "y", "z"], edges: [[1, 3]] });
+
+    expect(parseGraphText('[["p","q"],["q","r"]]', 200).graph.edges).toEqual([[1, 2], [2, 3]]);
+    expect(parseGraphText("{oops", 200).errors[0]).toMatch(/^invalid JSON/);
+  });
+
+  it("rejects graphs larger than the agent limit", () => {
+    expect(parseGraphText("a,b\nc,d\n", 3).errors).toEqual(["graph has 4 agents, the maximum is 3"]);
+  });
+});
+
+describe("custom topology", () => {
+  const { graph } = parseGraphText("w1,w2\nw2,w3\norch,w1\norch,w2\norch,w3\n", 200);
+
+  it("derives E(n) from edges among the first n agents", () => {
+    expect([1, 2, 3, 4].map((n) => computeEdges(n, 0, "custom", graph))).toEqual([0, 1, 2, 5]);
+    expect(neighborsBefore(4, 0, "custom", graph)).toEqual([1, 2, 3]);
+  });
+
+  it("grows in a user-chosen order", () => {
+    const { graph: hubFirst, unknown } = reorderGraph(graph, ["orch", "nobody"]);
+    expect(unknown).toEqual(["nobody"]);
+    expect(hubFirst.nodes).toEqual(["orch", "w1", "w2", "w3"]);
+    expect([1, 2, 3, 4].map((n) => computeEdges(n, 0, "custom", hubFirst))).toEqual([0, 1, 3, 5]);
+    expect(degreeOrder(graph)).toEqual(["w2", "orch", "w1", "w3"]);
+  });
+
+  it("sanitises stored graphs", () => {
+    expect(sanitizeGraph(graph, 200)).toEqual(graph);
+    expect(sanitizeGraph({ nodes: ["a", "a"], edges: [] }, 200)).toBeNull();
+    expect(sanitizeGraph({ nodes: ["a", "b"], edges: [[1, 3]] }, 200)).toBeNull();
+    expect(sanitizeGraph(null, 200)).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+import { stableId } from "./util.js";
+import { MAX_SAVED } from "./scenario.js";
+import { readWorkspace } from "./workspace.js";
+import { modelParamSpecs } from "./registry.js";
+
+/*
+ * Undo history and named snapshots. Both hold workspace files from
+ * buildWorkspace, so restoring a step or a snapshot goes through the same
+ * readWorkspace and mergeWorkspace path as a workspace import.
+ */
+
+export const MAX_HISTORY = 100;
+export const MAX_SNAPSHOTS = MAX_SAVED;
+
+// A workspace file without its export time, for comparison.
+function fingerprint(file) {
+  const { exportedAt: _exportedAt, ...rest } = file;
+  return JSON.stringify(rest);
+}
+
+/** True when two workspace files hold the same state; the export time is ignored. */
+export function sameWorkspace(a, b) {
+  return fingerprint(a) === fingerprint(b);
+}
+
+/** History with `present` as its only step: { past, present, future }. */
+export function createHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+/**
+ * History with `file` as a new step. Redo steps are dropped and the oldest
+ * steps past MAX_HISTORY fall off; a file equal to the present is no step.
+ */
+export function recordHistory(history, file) {
+  if (sameWorkspace(history.present, file)) return history;
+  return { past: [...history.past, history.present].slice(-MAX_HISTORY), present: file, future: [] };
+}
+
+/** History with `file` in place of the present, for the state a restored step settles into. */
+export function amendHistory(history, file) {
+  return { ...history, present: file };
+}
+
+/** History one step back; unchanged when there is nothing to undo. */
+export function undoHistory(history) {
+  if (!history.past.length) return history;
+  return { past: history.past.slice(0, -1), present: history.past[history.past.length - 1], future: [history.present, ...history.future] };
+}
+
+/** History one step forward; unchanged when there is nothing to redo. */
+export function redoHistory(history) {
+  if (!history.future.length) return history;
+  return { past: [...history.past, history.present], present: history.future[0], future: history.future.slice(1) };
+}
+
+/** Named snapshot of a workspace file: { id, name, takenAt, workspace }. */
+export function makeSnapshot(name, file, takenAt = new Date()) {
+  const when = takenAt.toISOString();
+  return { id: stableId(), name: String(name ?? "").trim() || `Snapshot ${when.slice(0, 16).replace("T", " ")}`, takenAt: when, workspace: file };
+}
+
+/** Snapshots from storage: entries without a readable workspace file are dropped, newest first, up to MAX_SNAPSHOTS. */
+export function readSnapshots(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((s) => s && typeof s === "object" && readWorkspace(s.workspace).workspace?.current)
+    .map((s) => ({ id: String(s.id || stableId()), name: String(s.name || "Snapshot"), takenAt: String(s.takenAt || ""), workspace: s.workspace }))
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt))
+    .slice(0, MAX_SNAPSHOTS);
+}
+
+function show(v) {
+  if (v == null || v === "") return "none";
+  if (Array.isArray(v)) return v.map((x) => (x && typeof x === "object" ? JSON.stringify(x) : x)).join(", ") || "none";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+function fieldChanges(before, after, keys, label = (key) => key) {
+  const out = [];
+  for (const key of keys) {
+    const a = before?.[key];
+    const b = after?.[key];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    const simple = (v) => v == null || typeof v !== "object" || Array.isArray(v);
+    out.push(simple(a) && simple(b) && show(a).length + show(b).length < 80 ? `${label(key)}: ${show(a)} → ${show(b)}` : `${label(key)} changed`);
+  }
+  return out;
+}
+
+function union(a, b) {
+  return [...new Set([...Object.keys(a ?? {}), ...Object.keys(b ?? {})])];
+}
+
+// Added, removed and changed entries of a list matched by id.
+function listChanges(before = [], after = [], noun) {
+  const out = [];
+  const old = new Map(before.map((x) => [x.id, x]));
+  const ids = new Set(after.map((x) => x.id));
+  for (const x of before) if (!ids.has(x.id)) out.push(`${noun} "${x.name}" removed`);
+  for (const x of after) {
+    const prev = old.get(x.id);
+    if (!prev) out.push(`${noun} "${x.name}" added`);
+    else {
+      const fields = union(prev, x).filter((key) => JSON.stringify(prev[key]) !== JSON.stringify(x[key]));
+      if (fields.length) out.push(`${noun} "${x.name}" changed: ${fields.join(", ")}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * What changed from workspace file `before` to `after`, one line per change:
+ * controls and settings as "field: old → new", model parameters by symbol,
+ * and pinned scenarios, saved scenarios and saved plans added, removed or
+ * changed (matched by id). Empty when the two hold the same state.
+ */
+export function diffWorkspaces(before, after) {
+  const model = after.current?.model ?? before.current?.model;
+  const symbol = (key) => modelParamSpecs(model).find((p) => p.key === key)?.symbol ?? key;
+  return [
+    ...fieldChanges(before.current, after.current, union(before.current, after.current)),
+    ...fieldChanges(before.modelParams, after.modelParams, union(before.modelParams, after.modelParams), symbol),
+    ...fieldChanges(before.settings, after.settings, union(before.settings, after.settings)),
+    ...listChanges(before.scenarios, after.scenarios, "pinned scenario"),
+    ...listChanges(before.savedScenarios, after.savedScenarios, "saved scenario"),
+    ...listChanges(before.savedPlans, after.savedPlans, "plan"),
+  ];
+}
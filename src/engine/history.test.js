@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import {
+  MAX_HISTORY,
+  createHistory,
+  diffWorkspaces,
+  makeSnapshot,
+  readSnapshots,
+  recordHistory,
+  redoHistory,
+  sameWorkspace,
+  undoHistory,
+} from "./history.js";
+import { sanitizeScenario } from "./scenario.js";
+import { buildWorkspace } from "./workspace.js";
+
+const current = sanitizeScenario({ n: 40, autonomy: 6, k: 2, topology: "hub" }, "Current");
+const pinned = sanitizeScenario({ id: "a", name: "Pilot", n: 10, autonomy: 3, k: 1, topology: "pipeline" }, "");
+const file = (overrides = {}) => buildWorkspace({ current, scenarios: [pinned], settings: { view: "linear" }, ...overrides });
+
+describe("undo history", () => {
+  it("records changed states and ignores the export time", () => {
+    const first = file();
+    const h = createHistory(first);
+    expect(recordHistory(h, { ...first, exportedAt: "2020-01-01T00:00:00.000Z" })).toBe(h);
+    const next = recordHistory(h, file({ scenarios: [] }));
+    expect(next.past).toEqual([first]);
+    expect(next.present.scenarios).toEqual([]);
+  });
+
+  it("undoes and redoes, and a new step drops the redo steps", () => {
+    const [a, b, c] = [file(), file({ scenarios: [] }), file({ current: { ...current, n: 80 } })];
+    const h = recordHistory(recordHistory(createHistory(a), b), c);
+    const back = undoHistory(undoHistory(h));
+    expect(back.present).toBe(a);
+    expect(undoHistory(back)).toBe(back);
+    const forward = redoHistory(back);
+    expect(forward.present).toBe(b);
+    expect(forward.future).toEqual([c]);
+    expect(recordHistory(forward, file({ settings: { view: "log" } })).future).toEqual([]);
+    expect(redoHistory(h)).toBe(h);
+  });
+
+  it("keeps at most MAX_HISTORY undo steps", () => {
+    let h = createHistory(file());
+    for (let n = 1; n <= MAX_HISTORY + 5; n += 1) h = recordHistory(h, file({ current: { ...current, n } }));
+    expect(h.past).toHaveLength(MAX_HISTORY);
+    expect(h.past[0].current.n).toBe(5);
+  });
+});
+
+describe("snapshots", () => {
+  it("names snapshots and reads back valid ones, newest first", () => {
+    const at = new Date("2026-03-01T09:30:00Z");
+    expect(makeSnapshot("  ", file(), at).name).toBe("Snapshot 2026-03-01 09:30");
+    const older = makeSnapshot("Before review", file(), new Date("2026-02-01T00:00:00Z"));
+    const newer = makeSnapshot("After review", file({ scenarios: [] }), at);
+    const read = readSnapshots([older, { name: "broken", workspace: { format: "x" } }, null, newer]);
+    expect(read.map((s) => s.name)).toEqual(["After review", "Before review"]);
+    expect(sameWorkspace(read[1].workspace, older.workspace)).toBe(true);
+    expect(readSnapshots("nope")).toEqual([]);
+  });
+
+  it("diffs controls, parameters, settings and lists", () => {
+    const saved = sanitizeScenario({ id: "s", name: "Mesh", n: 20, autonomy: 5, k: 3, topology: "mesh" }, "");
+    const before = file({ savedScenarios: [saved] });
+    const after = file({
+      current: { ...current, n: 60, params: { ...current.params, alpha: 0.5 } },
+      scenarios: [{ ...pinned, k: 2 }, sanitizeScenario({ id: "b", name: "Big", n: 100 }, "")],
+      settings: { view: "log", budget: { enabled: true, value: 20 } },
+    });
+    expect(diffWorkspaces(before, after)).toEqual([
+      "n: 40 → 60",
+      "α: 0.3 → 0.5",
+      "view: linear → log",
+      "budget changed",
+      'pinned scenario "Pilot" changed: k',
+      'pinned scenario "Big" added',
+      'saved scenario "Mesh" removed',
+    ]);
+    expect(diffWorkspaces(before, { ...before, exportedAt: "later" })).toEqual([]);
+  });
+});
@@ -0,0 +1,162 @@
+// Public API of the risk engine. Framework-free: safe to import from Node or the browser.
+export { clamp, safeInt, safeFloat, stableId } from "./util.js";
+export {
+  TOPOLOGIES,
+  isTopology,
+  topologyStructure,
+  topoLabel,
+  edgesBoundedK,
+  edgesFullMesh,
+  edgesHubAndSpoke,
+  edgesPipeline,
+  computeEdges,
+  neighborRanges,
+  neighborsBefore,
+  generateEdges,
+} from "./topology.js";
+export {
+  DEFAULTS,
+  MODEL_PARAMS,
+  sanitizeParams,
+  formatParams,
+  riskLinear,
+  riskAgentsEdges,
+  riskTerms,
+  edgeAutonomyWeights,
+  scenarioAutonomies,
+  scenarioEdges,
+  agentLabel,
+  couplingSeries,
+  couplingWeights,
+  riskFromWeight,
+  computeSeries,
+  scenarioKey,
+  graphLimit,
+  CHART_VIEWS,
+  chartView,
+  sampleAgents,
+  buildSeriesRows,
+  unmitigatedScenario,
+  unmitigatedKey,
+} from "./model.js";
+export {
+  MAX_CLUSTERS,
+  CLUSTER_TOPOLOGIES,
+  EXAMPLE_COMPOSITE,
+  sanitizeComposite,
+  compositeTotal,
+  compositeMeanAutonomy,
+  compositeOrder,
+  compositeParts,
+  compositeSeries,
+  compositeEdgeList,
+  formatComposite,
+} from "./composite.js";
+export { DEFAULT_MODEL, registerModel, isModel, getModel, listModels, modelParamSpecs, modelDefaults, allModelParams } from "./registry.js";
+export { MITIGATIONS, sanitizeMitigations, mitigationLabel, mitigateAutonomy, mitigateParams } from "./mitigation.js";
+export {
+  parseGraphText,
+  sanitizeGraph,
+  graphDegrees,
+  reorderGraph,
+  degreeOrder,
+  graphEdgesUpTo,
+  graphNeighborsBefore,
+} from "./graph.js";
+export {
+  MAX_ROSTER_GROUPS,
+  sanitizeRoster,
+  rosterTotal,
+  rosterMeanAutonomy,
+  rosterAutonomies,
+  formatRoster,
+  rosterToText,
+  parseRosterText,
+} from "./roster.js";
+export { MAX_SCENARIOS, MAX_SAVED, SCENARIO_SCHEMA, sanitizeScenario, scenarioFixes, scenarioToQuery } from "./scenario.js";
+export {
+  DISTRIBUTIONS,
+  DEFAULT_UNCERTAINTY,
+  sanitizeUncertainty,
+  createRng,
+  sampleDistribution,
+  percentile,
+  monteCarloSeries,
+} from "./uncertainty.js";
+export {
+  DEFAULT_CASCADE,
+  MAX_SIM_AGENTS,
+  MAX_SIM_EDGES,
+  sanitizeCascade,
+  simulationLimit,
+  simulateCascades,
+} from "./cascade.js";
+export { GRAPH_METRICS, MAX_METRIC_AGENTS, MAX_METRIC_EDGES, metricsLimit, graphMetrics, metricSeries } from "./metrics.js";
+export { finalRiskMultiple, scenarioTerms, sensitivityInputs, sensitivityAnalysis, compositeContributions } from "./sensitivity.js";
+export {
+  MAX_SWEEP_STEPS,
+  MAX_SWEEP_THRESHOLDS,
+  DEFAULT_SWEEP,
+  sweepAxes,
+  sanitizeSweep,
+  sweepScenario,
+  sweepGrid,
+  sweepContour,
+  sweepToCsv,
+} from "./sweep.js";
+export {
+  BUDGET_MODES,
+  DEFAULT_BUDGET,
+  sanitizeBudget,
+  withinBudget,
+  maxAgentsWithinBudget,
+  maxKWithinBudget,
+  maxAutonomyWithinBudget,
+  budgetLimits,
+  budgetCrossings,
+} from "./budget.js";
+export {
+  MAX_PHASES,
+  EXAMPLE_PLAN,
+  parsePhaseDate,
+  sanitizePhase,
+  sanitizePlan,
+  rolloutTrajectory,
+} from "./rollout.js";
+export { MAX_OBSERVATIONS, EXAMPLE_OBSERVATIONS, parseObservations, fitCalibration } from "./calibration.js";
+export { POLICY_LEVELS, DEFAULT_POLICY, sanitizePolicy, policyThresholds, policyLevel, scenarioPolicy, formatPolicy } from "./policy.js";
+export { SHARE_VERSION, encodeShareQuery, decodeShareQuery, decodeShareLink } from "./share.js";
+export { NL, buildCsv, paramsByCurve, modelsByCurve, policyByCurve } from "./csv.js";
+export { escapeHtml, buildReportHtml } from "./report.js";
+export {
+  COMPARE_THRESHOLDS,
+  COMPARE_METRICS,
+  scenarioMetrics,
+  compareScenarios,
+  formatMetric,
+  formatDelta,
+  deltaTone,
+  compareToMarkdown,
+} from "./compare.js";
+export {
+  WORKSPACE_FORMAT,
+  WORKSPACE_VERSION,
+  buildWorkspace,
+  readWorkspace,
+  parseScenarioCsv,
+  parseImport,
+  mergeWorkspace,
+} from "./workspace.js";
+export {
+  MAX_HISTORY,
+  MAX_SNAPSHOTS,
+  sameWorkspace,
+  createHistory,
+  recordHistory,
+  amendHistory,
+  undoHistory,
+  redoHistory,
+  makeSnapshot,
+  readSnapshots,
+  diffWorkspaces,
+} from "./history.js";
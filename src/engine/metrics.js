@@ -0,0 +1,239 @@
+import { agentLabel, graphLimit, scenarioEdges } from "./model.js";
+
+/*
+ * Structure of the generated graph, for reviewers who want more than E(n):
+ * density, degrees, distances, betweenness and single points of failure.
+ * Distances and betweenness come from breadth-first searches (Brandes'
+ * algorithm); past `maxSources` agents they use that many evenly spaced
+ * sources, so diameter is a lower bound and betweenness an estimate.
+ * Disconnected graphs report distances between the pairs that connect.
+ */
+
+// Metrics that can be plotted against n and exported. `csv` is the column suffix.
+export const GRAPH_METRICS = [
+  { key: "density", label: "Edge density", csv: "density", digits: 3 },
+  { key: "maxDegree", label: "Max degree", csv: "max_degree", digits: 0 },
+  { key: "meanDegree", label: "Mean degree", csv: "mean_degree", digits: 2 },
+  { key: "diameter", label: "Diameter", csv: "diameter", digits: 0 },
+  { key: "avgPath", label: "Average path length", csv: "avg_path", digits: 2 },
+  { key: "topBetweenness", label: "Top betweenness", csv: "top_betweenness", digits: 3 },
+  { key: "spof", label: "Single points of failure", csv: "spof", digits: 0 },
+];
+
+// The graph is built for the scenario's first agents up to both caps.
+export const MAX_METRIC_AGENTS = 2000;
+export const MAX_METRIC_EDGES = 20000;
+
+/** Largest n the metrics are computed for: scenario.n, unless the graph passes MAX_METRIC_AGENTS or MAX_METRIC_EDGES first. */
+export function metricsLimit(scenario) {
+  return graphLimit(scenario, MAX_METRIC_AGENTS, MAX_METRIC_EDGES);
+}
+
+// Adjacency of the first n agents in compressed rows (agents are 1-based).
+function adjacency(scenario, n) {
+  const edges = scenarioEdges(scenario, n);
+  const degree = new Int32Array(n + 1);
+  for (const [a, b] of edges) {
+    degree[a] += 1;
+    degree[b] += 1;
+  }
+  const start = new Int32Array(n + 2);
+  for (let i = 1; i <= n; i += 1) start[i + 1] = start[i] + degree[i];
+  const fill = start.slice();
+  const neighbors = new Int32Array(2 * edges.length);
+  for (const [a, b] of edges) {
+    neighbors[fill[a]] = b;
+    fill[a] += 1;
+    neighbors[fill[b]] = a;
+    fill[b] += 1;
+  }
+  return { n, edges: edges.length, degree, start, neighbors };
+}
+
+// Articulation points: agents whose failure splits their component. Iterative Tarjan.
+function articulationPoints(g) {
+  const disc = new Int32Array(g.n + 1);
+  const low = new Int32Array(g.n + 1);
+  const parent = new Int32Array(g.n + 1);
+  const next = new Int32Array(g.n + 1);
+  const cut = new Uint8Array(g.n + 1);
+  const stack = new Int32Array(g.n + 1);
+  let time = 0;
+  for (let root = 1; root <= g.n; root += 1) {
+    if (disc[root]) continue;
+    let children = 0;
+    let top = 0;
+    stack[0] = root;
+    time += 1;
+    disc[root] = low[root] = time;
+    next[root] = g.start[root];
+    while (top >= 0) {
+      const u = stack[top];
+      if (next[u] < g.start[u + 1]) {
+        const v = g.neighbors[next[u]];
+        next[u] += 1;
+        if (!disc[v]) {
+          parent[v] = u;
+          if (u === root) children += 1;
+          time += 1;
+          disc[v] = low[v] = time;
+          next[v] = g.start[v];
+          top += 1;
+          stack[top] = v;
+        } else if (v !== parent[u]) {
+          low[u] = Math.min(low[u], disc[v]);
+        }
+      } else {
+        top -= 1;
+        const p = parent[u];
+        if (top >= 0) {
+          low[p] = Math.min(low[p], low[u]);
+          if (p !== root && low[u] >= disc[p]) cut[p] = 1;
+        }
+      }
+    }
+    if (children > 1) cut[root] = 1;
+  }
+  return cut;
+}
+
+function countComponents(g) {
+  const seen = new Uint8Array(g.n + 1);
+  const queue = new Int32Array(g.n);
+  let components = 0;
+  for (let root = 1; root <= g.n; root += 1) {
+    if (seen[root]) continue;
+    components += 1;
+    seen[root] = 1;
+    queue[0] = root;
+    let head = 0;
+    let tail = 1;
+    while (head < tail) {
+      const u = queue[head];
+      head += 1;
+      for (let e = g.start[u]; e < g.start[u + 1]; e += 1) {
+        const v = g.neighbors[e];
+        if (!seen[v]) {
+          seen[v] = 1;
+          queue[tail] = v;
+          tail += 1;
+        }
+      }
+    }
+  }
+  return components;
+}
+
+// Single-source shortest paths and dependencies (Brandes) from each source.
+function distances(g, sources) {
+  const { n } = g;
+  const dist = new Int32Array(n + 1);
+  const sigma = new Float64Array(n + 1);
+  const delta = new Float64Array(n + 1);
+  const order = new Int32Array(n);
+  const betweenness = new Float64Array(n + 1);
+  let pathSum = 0;
+  let pairs = 0;
+  let diameter = 0;
+  for (const s of sources) {
+    dist.fill(-1);
+    sigma.fill(0);
+    delta.fill(0);
+    dist[s] = 0;
+    sigma[s] = 1;
+    order[0] = s;
+    let head = 0;
+    let tail = 1;
+    while (head < tail) {
+      const u = order[head];
+      head += 1;
+      for (let e = g.start[u]; e < g.start[u + 1]; e += 1) {
+        const v = g.neighbors[e];
+        if (dist[v] < 0) {
+          dist[v] = dist[u] + 1;
+          order[tail] = v;
+          tail += 1;
+        }
+        if (dist[v] === dist[u] + 1) sigma[v] += sigma[u];
+      }
+    }
+    for (let idx = tail - 1; idx > 0; idx -= 1) {
+      const w = order[idx];
+      pathSum += dist[w];
+      pairs += 1;
+      diameter = Math.max(diameter, dist[w]);
+      for (let e = g.start[w]; e < g.start[w + 1]; e += 1) {
+        const v = g.neighbors[e];
+        if (dist[v] === dist[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      betweenness[w] += delta[w];
+    }
+  }
+  return { betweenness, diameter, avgPath: pairs ? pathSum / pairs : 0 };
+}
+
+/**
+ * Structure of the scenario's graph at n (default scenario.n): `edges`,
+ * `density` (share of possible edges present), `maxDegree`, `meanDegree`,
+ * `degrees` (count of agents per degree), `diameter`, `avgPath`, `components`,
+ * `spof` (agents whose failure splits their component), `topBetweenness`
+ * (largest share of shortest paths through one agent) and `topNodes` (the
+ * three agents with the highest betweenness). `exact` is false when
+ * distances used sampled sources. null past metricsLimit.
+ */
+export function graphMetrics(scenario, n = scenario.n, { maxSources = 200 } = {}) {
+  if (n < 1 || n > metricsLimit(scenario)) return null;
+  const g = adjacency(scenario, n);
+
+  let maxDegree = 0;
+  const counts = new Map();
+  for (let i = 1; i <= n; i += 1) {
+    maxDegree = Math.max(maxDegree, g.degree[i]);
+    counts.set(g.degree[i], (counts.get(g.degree[i]) ?? 0) + 1);
+  }
+  const degrees = [...counts].map(([degree, count]) => ({ degree, count })).sort((a, b) => a.degree - b.degree);
+
+  const cut = articulationPoints(g);
+  let spof = 0;
+  for (let i = 1; i <= n; i += 1) spof += cut[i];
+
+  const exact = n <= maxSources;
+  const sources = exact
+    ? Array.from({ length: n }, (_, idx) => idx + 1)
+    : Array.from({ length: maxSources }, (_, j) => 1 + Math.round((j * (n - 1)) / (maxSources - 1)));
+  const { betweenness, diameter, avgPath } = distances(g, sources);
+  // Each undirected path is counted from both ends; sampled sources scale up to all n.
+  const norm = n > 2 ? (n / sources.length) / ((n - 1) * (n - 2)) : 0;
+  const ranked = Array.from({ length: n }, (_, idx) => idx + 1).sort((a, b) => betweenness[b] - betweenness[a] || a - b);
+  const topNodes = ranked.slice(0, 3).map((agent) => ({
+    agent,
+    label: agentLabel(scenario, agent),
+    degree: g.degree[agent],
+    betweenness: betweenness[agent] * norm,
+  }));
+
+  return {
+    agents: n,
+    edges: g.edges,
+    density: n > 1 ? (2 * g.edges) / (n * (n - 1)) : 0,
+    maxDegree,
+    meanDegree: (2 * g.edges) / n,
+    degrees,
+    diameter,
+    avgPath,
+    components: countComponents(g),
+    spof,
+    topBetweenness: topNodes[0]?.betweenness ?? 0,
+    topNodes,
+    exact,
+  };
+}
+
+/**
+ * graphMetrics at each n in `agents` up to metricsLimit, with fewer sampled
+ * sources (48 by default) so a whole curve stays cheap.
+ */
+export function metricSeries(scenario, agents, { maxSources = 48 } = {}) {
+  const limit = metricsLimit(scenario);
+  return agents.filter((i) => i >= 1 && i <= limit).map((i) => graphMetrics(scenario, i, { maxSources }));
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { MAX_METRIC_EDGES, graphMetrics, metricSeries, metricsLimit } from "./metrics.js";
+import { buildCsv, NL } from "./csv.js";
+import { DEFAULTS, buildSeriesRows } from "./model.js";
+import { computeEdges } from "./topology.js";
+import { sanitizeScenario } from "./scenario.js";
+
+const scenario = (raw) => sanitizeScenario(raw, "x");
+
+describe("graph metrics", () => {
+  it("puts a number on the hub", () => {
+    const m = graphMetrics(scenario({ n: 50, k: 2, topology: "hub" }));
+    expect(m).toMatchObject({ agents: 50, edges: computeEdges(50, 2, "hub"), maxDegree: 49, diameter: 2, components: 1, spof: 0, exact: true });
+    expect(m.topNodes[0]).toMatchObject({ agent: 1, label: "Agent 1", degree: 49 });
+    expect(m.topBetweenness).toBeGreaterThan(0.9);
+    expect(m.degrees.reduce((sum, d) => sum + d.count, 0)).toBe(50);
+  });
+
+  it("matches closed forms for a pipeline and a mesh", () => {
+    const line = graphMetrics(scenario({ n: 10, k: 1, topology: "pipeline" }));
+    expect(line).toMatchObject({ diameter: 9, spof: 8, maxDegree: 2, meanDegree: 1.8 });
+    expect(line.avgPath).toBeCloseTo(11 / 3, 9);
+    expect(line.topBetweenness).toBeCloseTo(20 / 36, 9);
+    const mesh = graphMetrics(scenario({ n: 12, topology: "mesh" }));
+    expect(mesh).toMatchObject({ density: 1, diameter: 1, avgPath: 1, spof: 0, topBetweenness: 0 });
+  });
+
+  it("counts components and cut agents in a custom graph", () => {
+    const graph = { nodes: ["a", "b", "c", "d", "e"], edges: [[1, 2], [2, 3], [4, 5]] };
+    const m = graphMetrics(scenario({ topology: "custom", graph }));
+    expect(m).toMatchObject({ components: 2, spof: 1, diameter: 2 });
+    expect(m.topNodes[0].label).toBe("b");
+  });
+
+  it("stops at the size cap and samples the series", () => {
+    const mesh = scenario({ n: 1000, topology: "mesh" });
+    const limit = metricsLimit(mesh);
+    expect(computeEdges(limit, 0, "mesh")).toBeLessThanOrEqual(MAX_METRIC_EDGES);
+    expect(graphMetrics(mesh)).toBeNull();
+    expect(metricSeries(mesh, [1, 10, limit, limit + 1]).map((m) => m.agents)).toEqual([1, 10, limit]);
+  });
+
+  it("adds metric columns to the CSV at the n it covers", () => {
+    const s = scenario({ n: 3, k: 2 });
+    const csv = buildCsv({ rows: buildSeriesRows(s), scenarioKeys: [], paramsByKey: { current: DEFAULTS }, metrics: metricSeries(s, [3]) });
+    const lines = csv.split(NL);
+    expect(lines[0].endsWith("current_density,current_max_degree,current_mean_degree,current_diameter,current_avg_path,current_top_betweenness,current_spof")).toBe(true);
+    expect(lines[1].endsWith("0.12,,,,,,,")).toBe(true);
+    expect(lines[3].endsWith("0.12,1,2,2,1,1,0,0")).toBe(true);
+  });
+});
@@ -0,0 +1,81 @@
+import { DEFAULT_MODEL, modelParamSpecs } from "./registry.js";
+
+/*
+ * Mitigation catalogue: controls placed around agents, each a fixed reduction
+ * to specific inputs of riskAgentsEdges. `autonomy` entries lower the effective
+ * autonomy of each agent above `above` by `factor` on the excess, which scales
+ * both the coupling and cascade terms through A. `params` entries multiply
+ * model parameters: α (coupling term), γ (cascade term) or L (both). Other
+ * models' parameters follow the one they name in `scales`, so circuit
+ * breakers also lower Cmax. The baseline n·r0 is never mitigated, so risk
+ * multiples stay comparable. Several entries stack multiplicatively.
+ */
+
+export const MITIGATIONS = [
+  {
+    id: "approval",
+    label: "Human approval gates",
+    help: "Actions above autonomy 6 wait for human sign-off, so autonomy above 6 counts half.",
+    autonomy: { above: 6, factor: 0.5 },
+  },
+  {
+    id: "rate",
+    label: "Rate limits",
+    help: "Caps how fast agents can act on each other: load L × 0.75.",
+    params: { loadL: 0.75 },
+  },
+  {
+    id: "breaker",
+    label: "Circuit breakers",
+    help: "Trip on runaway interaction and stop cascades: cascade weight γ × 0.5.",
+    params: { gamma: 0.5 },
+  },
+  {
+    id: "sandbox",
+    label: "Sandboxed effects",
+    help: "Coupled actions land in a sandbox before production: coupling weight α × 0.6.",
+    params: { alpha: 0.6 },
+  },
+  {
+    id: "isolation",
+    label: "Isolation boundaries",
+    help: "Clusters are walled off from each other: α × 0.85 and γ × 0.6.",
+    params: { alpha: 0.85, gamma: 0.6 },
+  },
+];
+
+const BY_ID = new Map(MITIGATIONS.map((m) => [m.id, m]));
+
+/** Known mitigation ids from `raw`, without duplicates, in catalogue order. */
+export function sanitizeMitigations(raw) {
+  if (!Array.isArray(raw)) return [];
+  const ids = new Set(raw.map(String));
+  return MITIGATIONS.filter((m) => ids.has(m.id)).map((m) => m.id);
+}
+
+export function mitigationLabel(id) {
+  return BY_ID.get(id)?.label ?? id;
+}
+
+/** Effective autonomy of one agent under the given mitigations. */
+export function mitigateAutonomy(autonomy, mitigations = []) {
+  let a = autonomy;
+  for (const id of mitigations) {
+    const rule = BY_ID.get(id)?.autonomy;
+    if (rule && a > rule.above) a = rule.above + (a - rule.above) * rule.factor;
+  }
+  return a;
+}
+
+/** The model's parameters with each mitigation's multipliers applied. Keys missing from `params` stay missing. */
+export function mitigateParams(params, mitigations = [], model = DEFAULT_MODEL) {
+  if (!mitigations.length) return params;
+  const out = { ...params };
+  const specs = modelParamSpecs(model).filter((p) => p.key in out);
+  for (const id of mitigations) {
+    for (const [key, factor] of Object.entries(BY_ID.get(id)?.params ?? {})) {
+      for (const p of specs) if ((p.scales ?? p.key) === key) out[p.key] *= factor;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULTS, buildSeriesRows, computeSeries, riskTerms, unmitigatedKey } from "./model.js";
+import { MITIGATIONS, mitigateAutonomy, mitigateParams, sanitizeMitigations } from "./mitigation.js";
+import { monteCarloSeries } from "./uncertainty.js";
+import { maxAgentsWithinBudget } from "./budget.js";
+import { COMPARE_METRICS, compareScenarios, formatMetric } from "./compare.js";
+
+const args = { n: 30, k: 3, topology: "bounded", autonomyScore: 8, ...DEFAULTS };
+const scenario = { id: "a", n: 30, autonomy: 8, k: 3, topology: "bounded", params: DEFAULTS, roster: [], graph: null, mitigations: [] };
+
+describe("mitigation catalogue", () => {
+  it("keeps known ids once, in catalogue order", () => {
+    expect(sanitizeMitigations(["breaker", "nope", "approval", "breaker"])).toEqual(["approval", "breaker"]);
+    expect(sanitizeMitigations("breaker")).toEqual([]);
+    expect(new Set(MITIGATIONS.map((m) => m.id)).size).toBe(MITIGATIONS.length);
+  });
+
+  it("lowers autonomy above the gate and multiplies parameters", () => {
+    expect(mitigateAutonomy(8, ["approval"])).toBe(7);
+    expect(mitigateAutonomy(5, ["approval"])).toBe(5);
+    expect(mitigateParams(DEFAULTS, ["breaker", "isolation"]).gamma).toBeCloseTo(0.12 * 0.5 * 0.6, 12);
+    expect(mitigateParams(DEFAULTS, ["rate"]).r0).toBe(DEFAULTS.r0);
+  });
+});
+
+describe("mitigated risk", () => {
+  it("damps only the targeted terms", () => {
+    const raw = riskTerms(args);
+    const breaker = riskTerms({ ...args, mitigations: ["breaker"] });
+    expect(breaker.linear).toBe(raw.linear);
+    expect(breaker.coupling).toBeCloseTo(raw.coupling, 9);
+    expect(breaker.cascade).toBeCloseTo(raw.cascade * 0.5, 9);
+    const gated = riskTerms({ ...args, mitigations: ["approval"] });
+    expect(gated.coupling).toBeCloseTo((raw.coupling * 7) / 8, 9);
+  });
+
+  it("applies the same way to a uniform roster and to the Monte Carlo and budget paths", () => {
+    const mitigations = ["approval", "rate"];
+    const uniform = computeSeries({ ...scenario, mitigations });
+    const roster = computeSeries({ ...scenario, roster: [{ count: 30, autonomy: 8 }], mitigations });
+    expect(roster.at(-1).connected).toBeCloseTo(uniform.at(-1).connected, 9);
+    expect(uniform.at(-1).baseline).toBe(30);
+
+    const bands = monteCarloSeries({ ...scenario, mitigations }, { samples: 10, dists: {} });
+    expect(bands.at(-1).p50).toBeCloseTo(uniform.at(-1).connected, 9);
+    const budget = { enabled: true, mode: "multiple", value: 10 };
+    expect(maxAgentsWithinBudget({ ...scenario, mitigations }, budget)).toBeGreaterThan(maxAgentsWithinBudget(scenario, budget));
+  });
+
+  it("pairs mitigated curves with their unmitigated series in chart rows", () => {
+    const current = { ...scenario, mitigations: ["breaker"] };
+    const rows = buildSeriesRows(current, [scenario], { unmitigated: true });
+    const last = rows.at(-1);
+    expect(last[unmitigatedKey("current")]).toBeCloseTo(last.s_a, 9);
+    expect(last.current).toBeLessThan(last[unmitigatedKey("current")]);
+    expect(last).not.toHaveProperty(unmitigatedKey("s_a"));
+    expect(buildSeriesRows(current, [scenario]).at(-1)).not.toHaveProperty(unmitigatedKey("current"));
+  });
+
+  it("shows each curve's mitigations in the comparison table", () => {
+    const table = compareScenarios([
+      { key: "current", name: "Current", scenario },
+      { key: "s_b", name: "Gated", scenario: { ...scenario, mitigations: ["approval", "breaker"] } },
+    ]);
+    const metric = COMPARE_METRICS.find((m) => m.key === "mitigations");
+    expect(table.columns.map((c) => formatMetric(metric, c.values.mitigations))).toEqual(["none", "Human approval gates, Circuit breakers"]);
+    expect(table.columns[1].deltas.risk.abs).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,321 @@
+import { clamp, safeFloat } from "./util.js";
+import { computeEdges, generateEdges, neighborRanges } from "./topology.js";
+import { rosterAutonomies } from "./roster.js";
+import { mitigateAutonomy, mitigateParams } from "./mitigation.js";
+import { compositeEdgeList, compositeOrder, compositeParts, compositeSeries } from "./composite.js";
+import { DEFAULT_MODEL, getModel, modelDefaults, modelParamSpecs } from "./registry.js";
+
+// Parameters and defaults of the default model; see registry.js for the others.
+export const DEFAULTS = modelDefaults(DEFAULT_MODEL);
+
+// Editable parameters of the default model. `query` is the share URL key, `csv` the CSV column suffix.
+export const MODEL_PARAMS = modelParamSpecs(DEFAULT_MODEL);
+
+/** The parameters `model` uses, each clamped to its range, missing or invalid ones at their defaults. */
+export function sanitizeParams(raw, model = DEFAULT_MODEL) {
+  const out = {};
+  for (const p of modelParamSpecs(model)) {
+    out[p.key] = clamp(safeFloat(raw?.[p.key], p.default), p.min, p.max);
+  }
+  return out;
+}
+
+export function formatParams(params, model = DEFAULT_MODEL) {
+  return modelParamSpecs(model)
+    .map((p) => `${p.symbol}=${params[p.key]}`)
+    .join(", ");
+}
+
+export function riskLinear(n, r0) {
+  return n * r0;
+}
+
+// The three additive terms of R(n) under `model` for E edges of edge-autonomy weight W.
+function modelTerms(n, edges, weight, params, mitigations, model) {
+  const p = mitigateParams(params, mitigations, model);
+  const { coupling, cascade } = getModel(model).compute({ n, edges, weight, params: p });
+  const linear = n * p.r0;
+  return { linear, coupling, cascade, total: linear + coupling + cascade };
+}
+
+/**
+ * Sum over edges of the mean autonomy of the two agents each edge joins, for
+ * every n from 1 to autonomies.length (index n - 1). With a single autonomy A
+ * this is E(n) · A. Prefix sums keep it O(n) for every topology.
+ */
+export function edgeAutonomyWeights(k, topology, autonomies, graph) {
+  const prefix = [0];
+  autonomies.forEach((a, idx) => prefix.push(prefix[idx] + a));
+
+  const out = [];
+  let weight = 0;
+  for (let i = 1; i <= autonomies.length; i += 1) {
+    for (const [from, to] of neighborRanges(i, k, topology, graph)) {
+      const count = to - from + 1;
+      weight += (count * autonomies[i - 1] + prefix[to] - prefix[from - 1]) / 2;
+    }
+    out.push(weight);
+  }
+  return out;
+}
+
+// Per-agent effective autonomy for the first n agents. Agents past the roster use autonomyScore.
+function agentAutonomies(n, roster, autonomyScore, mitigations) {
+  const fromRoster = rosterAutonomies(roster).slice(0, n);
+  while (fromRoster.length < n) fromRoster.push(autonomyScore);
+  return mitigations?.length ? fromRoster.map((a) => mitigateAutonomy(a, mitigations)) : fromRoster;
+}
+
+/**
+ * Effective autonomy of each of the scenario's first n agents (index 0 is
+ * agent 1) after its autonomy mitigations: from the roster, the composite's
+ * clusters in join order, or the scenario's single autonomy.
+ */
+export function scenarioAutonomies(scenario, n = scenario.n) {
+  if (scenario.topology === "composite" && scenario.composite) {
+    const A = scenario.composite.clusters.map((c) => mitigateAutonomy(c.autonomy, scenario.mitigations));
+    return compositeOrder(scenario.composite)
+      .slice(0, n)
+      .map((idx) => A[idx]);
+  }
+  return agentAutonomies(n, scenario.roster ?? [], scenario.autonomy, scenario.mitigations);
+}
+
+/** Every edge among the scenario's first n agents as [earlier, later] pairs of join positions. */
+export function scenarioEdges(scenario, n = scenario.n) {
+  if (scenario.topology === "composite" && scenario.composite) return compositeEdgeList(scenario.composite, n);
+  return generateEdges(n, clamp(scenario.k, 0, Math.max(0, scenario.n - 1)), scenario.topology, scenario.graph);
+}
+
+/** "Agent 12", the custom graph's node id, or "Workers A #4" in a composite. */
+export function agentLabel(scenario, agent) {
+  if (scenario.topology === "custom" && scenario.graph) return scenario.graph.nodes[agent - 1] ?? `Agent ${agent}`;
+  if (scenario.topology === "composite" && scenario.composite) {
+    const order = compositeOrder(scenario.composite);
+    const cluster = order[agent - 1];
+    if (cluster == null) return `Agent ${agent}`;
+    const local = order.slice(0, agent).filter((c) => c === cluster).length;
+    return `${scenario.composite.clusters[cluster].name} #${local}`;
+  }
+  return `Agent ${agent}`;
+}
+
+/**
+ * R(n) under `model` (default DEFAULT_MODEL), by default
+ * n·r0 + α·(E·L·A) + γ·(E·L·A)^2 / n. With a `roster`, E·A becomes the
+ * sum over edges of the mean autonomy of each edge's two agents; with the
+ * composite topology it is the clusters' and bridges' weight from
+ * compositeParts, and the roster is not used. `mitigations` (ids from
+ * MITIGATIONS) lower A, L, α or γ before evaluating. The remaining fields are
+ * the model's parameters.
+ */
+export function riskAgentsEdges(args) {
+  return riskTerms(args).total;
+}
+
+/**
+ * The terms of riskAgentsEdges at n: `linear` (n·r0), `coupling` and
+ * `cascade` as the model computes them (α·E·L·A and γ·(E·L·A)^2 / n by
+ * default) and their `total`.
+ */
+export function riskTerms({ n, k, topology, graph, composite, autonomyScore, roster, mitigations, model = DEFAULT_MODEL, ...params }) {
+  if (topology === "composite" && composite) {
+    const parts = compositeParts(composite, n, mitigations);
+    return modelTerms(n, parts.edges, parts.weight, params, mitigations, model);
+  }
+  const E = computeEdges(n, k, topology, graph);
+  if (roster?.length) {
+    const weights = edgeAutonomyWeights(k, topology, agentAutonomies(n, roster, autonomyScore, mitigations), graph);
+    return modelTerms(n, E, weights[n - 1], params, mitigations, model);
+  }
+  return modelTerms(n, E, E * mitigateAutonomy(autonomyScore, mitigations), params, mitigations, model);
+}
+
+/**
+ * Per-n edge count E(n) and edge-autonomy weight W(n) (index n - 1), so that
+ * the coupling E·L·A is W(n) · L. Uniform autonomy gives W = E(n) · A; a
+ * roster gives edgeAutonomyWeights and a composite compositeSeries. The
+ * scenario's autonomy mitigations are included; parameter mitigations are
+ * applied by riskFromWeight. Lets callers re-evaluate the curve for many
+ * parameter sets cheaply.
+ */
+export function couplingSeries(scenario) {
+  if (scenario.topology === "composite" && scenario.composite) return compositeSeries(scenario.composite, scenario.n, scenario.mitigations);
+  const k = clamp(scenario.k, 0, Math.max(0, scenario.n - 1));
+  const edges = [];
+  for (let i = 1; i <= scenario.n; i += 1) edges.push(computeEdges(i, k, scenario.topology, scenario.graph));
+  if (scenario.roster?.length) {
+    const autonomies = agentAutonomies(scenario.n, scenario.roster, scenario.autonomy, scenario.mitigations);
+    return { edges, weights: edgeAutonomyWeights(k, scenario.topology, autonomies, scenario.graph) };
+  }
+  const A = mitigateAutonomy(scenario.autonomy, scenario.mitigations);
+  return { edges, weights: edges.map((e) => e * A) };
+}
+
+/** The weights of couplingSeries. */
+export function couplingWeights(scenario) {
+  return couplingSeries(scenario).weights;
+}
+
+/**
+ * R(n) from a precomputed couplingSeries entry, with the same scenario's
+ * `mitigations`. Models that count edges also need that entry's `edges`.
+ */
+export function riskFromWeight(n, weight, params, mitigations, { model = DEFAULT_MODEL, edges = 0 } = {}) {
+  return modelTerms(n, edges, weight, params, mitigations, model).total;
+}
+
+/**
+ * Baseline and connected risk for every n from 1 to scenario.n.
+ * `params` defaults to the scenario's own params, then to the defaults of
+ * `model`, itself the scenario's model or DEFAULT_MODEL.
+ * With a `scenario.roster` (or a composite's clusters), agents join interleaved.
+ * `scenario.mitigations` apply to connected risk, never to the baseline.
+ */
+export function computeSeries(scenario, params = scenario.params, model = scenario.model ?? DEFAULT_MODEL) {
+  const p = sanitizeParams(params, model);
+  const { edges, weights } = couplingSeries(scenario);
+  const rows = [];
+
+  for (let i = 1; i <= scenario.n; i += 1) {
+    const baseline = riskLinear(i, p.r0);
+    const connected = riskFromWeight(i, weights[i - 1], p, scenario.mitigations, { model, edges: edges[i - 1] });
+    rows.push({
+      agents: i,
+      edges: edges[i - 1],
+      baseline,
+      connected,
+      multiple: baseline > 0 ? connected / baseline : null,
+    });
+  }
+
+  return rows;
+}
+
+export function scenarioKey(s) {
+  return `s_${s.id}`;
+}
+
+// computeSeries(s) per scenario object, so pinned curves are not recomputed
+// while only the current curve changes. Scenarios are treated as immutable;
+// callers must not mutate the scenario or the result.
+const seriesCache = new WeakMap();
+
+export function cachedSeries(scenario) {
+  let series = seriesCache.get(scenario);
+  if (!series) {
+    series = computeSeries(scenario);
+    seriesCache.set(scenario, series);
+  }
+  return series;
+}
+
+/** Largest n up to scenario.n whose graph has at most `maxAgents` agents and `maxEdges` edges, for analyses that build the graph. */
+export function graphLimit(scenario, maxAgents, maxEdges) {
+  const series = cachedSeries(scenario);
+  let limit = Math.min(series.length, maxAgents);
+  while (limit > 1 && series[limit - 1].edges > maxEdges) limit -= 1;
+  return limit;
+}
+
+const unmitigatedCache = new WeakMap();
+
+/**
+ * The scenario without its mitigations, or null when it has none. The copy is
+ * cached per scenario object, so cachedSeries reuses its series too.
+ */
+export function unmitigatedScenario(scenario) {
+  if (!scenario.mitigations?.length) return null;
+  let raw = unmitigatedCache.get(scenario);
+  if (!raw) {
+    raw = { ...scenario, mitigations: [] };
+    unmitigatedCache.set(scenario, raw);
+  }
+  return raw;
+}
+
+/** Key of a curve's unmitigated pair in buildSeriesRows: `current_raw` or `s_<id>_raw`. */
+export function unmitigatedKey(key) {
+  return `${key}_raw`;
+}
+
+/**
+ * Agent counts at which to plot a curve up to maxN: every n when maxN is at
+ * most maxPoints, else about maxPoints values spaced evenly (or geometrically
+ * with `log`). 1, maxN and every value in `include` are always present.
+ */
+export function sampleAgents(maxN, { maxPoints = 600, log = false, include = [] } = {}) {
+  const out = new Set([1, maxN]);
+  if (maxN <= maxPoints) {
+    for (let i = 1; i <= maxN; i += 1) out.add(i);
+  } else {
+    for (let j = 0; j < maxPoints; j += 1) {
+      const t = j / (maxPoints - 1);
+      out.add(Math.round(log ? Math.pow(maxN, t) : 1 + t * (maxN - 1)));
+    }
+  }
+  for (const n of include) if (n >= 1 && n <= maxN) out.add(n);
+  return [...out].sort((a, b) => a - b);
+}
+
+// Chart views. `measure` is what buildSeriesRows plots; `log` puts the y-axis on a log scale.
+export const CHART_VIEWS = [
+  { value: "linear", label: "Risk", measure: "risk", log: false },
+  { value: "log", label: "Risk (log y)", measure: "risk", log: true },
+  { value: "multiple", label: "Risk multiple", measure: "multiple", log: false },
+  { value: "marginal", label: "Marginal risk per agent", measure: "marginal", log: false },
+];
+
+export function chartView(value) {
+  return CHART_VIEWS.find((v) => v.value === value) || CHART_VIEWS[0];
+}
+
+// A curve's value at n for a measure: R(n), R(n) / R_linear(n), or R(n) - R(n-1).
+function measureAt(series, i, measure) {
+  const row = series[i - 1];
+  if (!row) return null;
+  if (measure === "multiple") return row.multiple;
+  if (measure === "marginal") return row.connected - (series[i - 2]?.connected ?? 0);
+  return row.connected;
+}
+
+/**
+ * Rows for the chart and CSV: one per n up to the largest n of any curve, with
+ * `baseline`, `current` and one `s_<id>` column per scenario (null past its n).
+ * `agents` restricts the rows to those n (see sampleAgents); values are exact
+ * either way. `measure` ("risk", "multiple" or "marginal") picks what each
+ * column holds; the baseline follows, so it is 1 for multiples and r0 for
+ * marginal risk. Multiples use each curve's own r0. With `unmitigated`, every
+ * curve that has mitigations also gets its unmitigated pair (unmitigatedKey).
+ */
+export function buildSeriesRows(current, scenarios = [], { agents, measure = "risk", unmitigated = false } = {}) {
+  const currentSeries = cachedSeries(current);
+  const scenarioSeries = scenarios.map((s) => [scenarioKey(s), cachedSeries(s)]);
+  if (unmitigated) {
+    for (const [key, s] of [["current", current], ...scenarios.map((x) => [scenarioKey(x), x])]) {
+      const raw = unmitigatedScenario(s);
+      if (raw) scenarioSeries.push([unmitigatedKey(key), cachedSeries(raw)]);
+    }
+  }
+  const maxN = scenarios.reduce((m, s) => Math.max(m, s.n), Math.max(current.n, 1));
+  const r0 = sanitizeParams(current.params, current.model).r0;
+  const baselineAt = (i) => (measure === "multiple" ? (r0 > 0 ? 1 : null) : measure === "marginal" ? r0 : riskLinear(i, r0));
+
+  const rows = [];
+  const push = (i) => {
+    const row = {
+      agents: i,
+      baseline: baselineAt(i),
+      current: measureAt(currentSeries, i, measure),
+    };
+    for (const [key, series] of scenarioSeries) row[key] = measureAt(series, i, measure);
+    rows.push(row);
+  };
+  if (agents) {
+    for (const i of agents) if (i >= 1 && i <= maxN) push(i);
+  } else {
+    for (let i = 1; i <= maxN; i += 1) push(i);
+  }
+
+  return rows;
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { buildSeriesRows, computeSeries, DEFAULTS, riskAgentsEdges, sampleAgents, sanitizeParams } from "./model.js";
+
+// Pinned [n, E, R(n)] at n = 1, 2, 5, 10, 30 for n=30, A=5, k=3 and DEFAULTS.
+const PINNED = {
+  bounded: [[1, 0, 1], [2, 1, 6.485], [5, 9, 104.684], [10, 24, 348.832], [30, 84, 1386.264]],
+  mesh: [[1, 0, 1], [2, 1, 6.485], [5, 10, 125.9], [10, 45, 1124.425], [30, 435, 32857.275]],
+  hub: [[1, 0, 1], [2, 1, 6.485], [5, 9, 104.684], [10, 24, 348.832], [30, 84, 1386.264]],
+  pipeline: [[1, 0, 1], [2, 1, 6.485], [5, 4, 29.024], [10, 9, 68.617], [30, 29, 228.679]],
+};
+
+describe("computeSeries", () => {
+  for (const [topology, points] of Object.entries(PINNED)) {
+    it(`pins the ${topology} curve`, () => {
+      const series = computeSeries({ n: 30, autonomy: 5, k: 3, topology }, DEFAULTS);
+      expect(series).toHaveLength(30);
+      for (const [n, edges, connected] of points) {
+        const row = series[n - 1];
+        expect(row.agents).toBe(n);
+        expect(row.edges).toBe(edges);
+        expect(row.connected).toBeCloseTo(connected, 6);
+        expect(row.baseline).toBe(n);
+        expect(row.multiple).toBeCloseTo(connected / n, 6);
+      }
+    });
+  }
+
+  it("uses the scenario's own params when none are passed", () => {
+    const params = { ...DEFAULTS, alpha: 1 };
+    const scenario = { n: 10, autonomy: 4, k: 2, topology: "bounded", params };
+    expect(computeSeries(scenario)).toEqual(computeSeries(scenario, params));
+    expect(computeSeries(scenario)[9].connected).toBeCloseTo(
+      riskAgentsEdges({ n: 10, k: 2, topology: "bounded", autonomyScore: 4, ...params }),
+      9
+    );
+  });
+
+  it("clamps k to n - 1", () => {
+    const a = computeSeries({ n: 5, autonomy: 5, k: 50, topology: "bounded" }, DEFAULTS);
+    const b = computeSeries({ n: 5, autonomy: 5, k: 4, topology: "bounded" }, DEFAULTS);
+    expect(a).toEqual(b);
+  });
+});
+
+describe("large n", () => {
+  it("computes a 50,000-agent series in linear time", () => {
+    const series = computeSeries({ n: 50000, autonomy: 5, k: 3, topology: "hub" }, DEFAULTS);
+    expect(series).toHaveLength(50000);
+    expect(series[49999].edges).toBe(149994);
+    expect(series[49999].connected).toBeCloseTo(
+      riskAgentsEdges({ n: 50000, k: 3, topology: "hub", autonomyScore: 5, ...DEFAULTS }),
+      6
+    );
+  });
+
+  it("samples agent counts for plotting, keeping the ends and included n", () => {
+    expect(sampleAgents(5)).toEqual([1, 2, 3, 4, 5]);
+    const linear = sampleAgents(50000, { maxPoints: 100, include: [1234] });
+    expect(linear.length).toBeLessThanOrEqual(101);
+    expect(linear[0]).toBe(1);
+    expect(linear[linear.length - 1]).toBe(50000);
+    expect(linear).toContain(1234);
+    const log = sampleAgents(50000, { maxPoints: 100, log: true });
+    expect(log.filter((n) => n <= 100).length).toBeGreaterThan(20);
+  });
+
+  it("builds exact rows at sampled n only", () => {
+    const current = { n: 3000, autonomy: 5, k: 3, topology: "bounded", params: DEFAULTS };
+    const pinned = { id: "p", n: 1000, autonomy: 7, k: 2, topology: "mesh", params: DEFAULTS };
+    const full = buildSeriesRows(current, [pinned]);
+    const sampled = buildSeriesRows(current, [pinned], { agents: [1, 500, 2000, 3000] });
+    expect(sampled).toEqual([full[0], full[499], full[1999], full[2999]]);
+    expect(sampled[2].s_p).toBeNull();
+  });
+
+  it("plots multiples and marginal risk per added agent", () => {
+    const current = { n: 30, autonomy: 5, k: 3, topology: "bounded", params: DEFAULTS };
+    const pinned = { id: "p", n: 30, autonomy: 5, k: 3, topology: "bounded", params: { ...DEFAULTS, r0: 2 } };
+    const series = computeSeries(current);
+    const multiple = buildSeriesRows(current, [pinned], { measure: "multiple" });
+    expect(multiple[29].baseline).toBe(1);
+    expect(multiple[29].current).toBeCloseTo(1386.264 / 30, 6);
+    expect(multiple[29].s_p).toBeCloseTo(computeSeries(pinned)[29].multiple, 9);
+    const marginal = buildSeriesRows(current, [], { measure: "marginal", agents: [1, 30] });
+    expect(marginal[0]).toMatchObject({ agents: 1, baseline: 1, current: 1 });
+    expect(marginal[1].current).toBeCloseTo(series[29].connected - series[28].connected, 9);
+  });
+});
+
+describe("sanitizeParams", () => {
+  it("fills defaults and clamps to each parameter's range", () => {
+    expect(sanitizeParams(undefined)).toEqual(DEFAULTS);
+    expect(sanitizeParams({ r0: "2", loadL: "x", alpha: -1, gamma: 99 })).toEqual({
+      r0: 2,
+      loadL: DEFAULTS.loadL,
+      alpha: 0,
+      gamma: 5,
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { clamp, safeFloat, safeInt } from "./util.js";
+import { SCENARIO_SCHEMA } from "./scenario.js";
+import { finalRiskMultiple } from "./sensitivity.js";
+
+/*
+ * Policy bands: organisation-defined thresholds on the risk multiple. A
+ * multiple below `amber` is green, from `amber` up to `red` amber, and from
+ * `red` up red. `byAutonomy` optionally sets other thresholds for a single
+ * autonomy level (a scenario's rounded mean autonomy), so higher autonomy can
+ * be held to a stricter policy.
+ */
+
+export const POLICY_LEVELS = [
+  { key: "green", label: "Within policy", status: "pass", color: "#16a34a" },
+  { key: "amber", label: "Needs review", status: "review", color: "#d97706" },
+  { key: "red", label: "Exceeds policy", status: "fail", color: "#dc2626" },
+];
+
+export const DEFAULT_POLICY = { enabled: false, amber: 3, red: 10, byAutonomy: {} };
+
+// amber and red as non-negative multiples with red at or above amber.
+function thresholds(raw, fallback) {
+  const amber = Math.max(0, safeFloat(raw?.amber, fallback.amber));
+  const red = Math.max(amber, safeFloat(raw?.red, fallback.red));
+  return { amber, red };
+}
+
+/**
+ * Policy with valid thresholds. `byAutonomy` keys outside the autonomy scale
+ * are dropped; a missing threshold in an override takes the policy's own.
+ */
+export function sanitizePolicy(raw) {
+  const base = thresholds(raw, DEFAULT_POLICY);
+  const { min, max } = SCENARIO_SCHEMA.autonomy;
+  const byAutonomy = {};
+  const entries = raw?.byAutonomy && typeof raw.byAutonomy === "object" ? Object.entries(raw.byAutonomy) : [];
+  for (const [key, value] of entries) {
+    const level = safeInt(key, NaN);
+    if (level >= min && level <= max && String(level) === String(key).trim() && value && typeof value === "object") {
+      byAutonomy[level] = thresholds(value, base);
+    }
+  }
+  return { enabled: Boolean(raw?.enabled), ...base, byAutonomy };
+}
+
+/** { amber, red } that apply at `autonomy` (rounded to a level). */
+export function policyThresholds(policy, autonomy) {
+  const level = clamp(Math.round(autonomy), SCENARIO_SCHEMA.autonomy.min, SCENARIO_SCHEMA.autonomy.max);
+  return policy.byAutonomy?.[level] ?? { amber: policy.amber, red: policy.red };
+}
+
+/** The POLICY_LEVELS entry for `multiple` under `thresholds`, or null when the multiple is unknown. */
+export function policyLevel(thresholds, multiple) {
+  if (multiple == null || !Number.isFinite(multiple)) return null;
+  if (multiple < thresholds.amber) return POLICY_LEVELS[0];
+  return multiple < thresholds.red ? POLICY_LEVELS[1] : POLICY_LEVELS[2];
+}
+
+/** A scenario against the policy at its own n: its `multiple`, the `amber` and `red` thresholds for its autonomy and its `level`. */
+export function scenarioPolicy(scenario, policy) {
+  const t = policyThresholds(policy, scenario.autonomy);
+  const multiple = finalRiskMultiple(scenario);
+  return { ...t, multiple, level: policyLevel(t, multiple) };
+}
+
+/** "green below 3x, amber to 10x, red from 10x", plus any per-autonomy overrides. */
+export function formatPolicy(policy) {
+  const text = (t) => `green below ${t.amber}x, amber to ${t.red}x, red from ${t.red}x`;
+  const overrides = Object.entries(policy.byAutonomy ?? {}).map(([level, t]) => `A${level}: ${text(t)}`);
+  return [text(policy), ...overrides].join("; ");
+}
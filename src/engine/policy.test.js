@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_POLICY, formatPolicy, policyLevel, policyThresholds, sanitizePolicy, scenarioPolicy } from "./policy.js";
+import { sanitizeScenario } from "./scenario.js";
+import { finalRiskMultiple } from "./sensitivity.js";
+
+describe("sanitizePolicy", () => {
+  it("defaults to 3x and 10x and keeps red at or above amber", () => {
+    expect(sanitizePolicy(null)).toEqual(DEFAULT_POLICY);
+    expect(sanitizePolicy({ enabled: 1, amber: "-2", red: "x" })).toEqual({ enabled: true, amber: 0, red: 10, byAutonomy: {} });
+    expect(sanitizePolicy({ amber: 8, red: 4 })).toMatchObject({ amber: 8, red: 8 });
+  });
+
+  it("keeps overrides for autonomy levels 1 to 10 only", () => {
+    const policy = sanitizePolicy({ amber: 2, red: 6, byAutonomy: { 8: { red: 3 }, 0: { amber: 1 }, 11: {}, "2.5": {}, 4: "x" } });
+    expect(policy.byAutonomy).toEqual({ 8: { amber: 2, red: 3 } });
+  });
+});
+
+describe("policy levels", () => {
+  const policy = sanitizePolicy({ enabled: true, amber: 3, red: 10, byAutonomy: { 8: { amber: 2, red: 4 } } });
+
+  it("uses the override at the rounded autonomy level", () => {
+    expect(policyThresholds(policy, 7.6)).toEqual({ amber: 2, red: 4 });
+    expect(policyThresholds(policy, 7.4)).toEqual({ amber: 3, red: 10 });
+  });
+
+  it("bands the multiple below amber, up to red and from red", () => {
+    const t = { amber: 3, red: 10 };
+    expect([2.99, 3, 9.99, 10, 50].map((m) => policyLevel(t, m).key)).toEqual(["green", "amber", "amber", "red", "red"]);
+    expect(policyLevel(t, null)).toBeNull();
+    expect(policyLevel(t, NaN)).toBeNull();
+  });
+
+  it("rates a scenario at its own n", () => {
+    const scenario = sanitizeScenario({ n: 40, autonomy: 8, k: 3, topology: "bounded" });
+    const result = scenarioPolicy(scenario, policy);
+    expect(result.multiple).toBeCloseTo(finalRiskMultiple(scenario), 12);
+    expect(result).toMatchObject({ amber: 2, red: 4 });
+    expect(result.level.key).toBe(result.multiple < 2 ? "green" : result.multiple < 4 ? "amber" : "red");
+  });
+
+  it("describes the bands", () => {
+    expect(formatPolicy(policy)).toBe("green below 3x, amber to 10x, red from 10x; A8: green below 2x, amber to 4x, red from 4x");
+  });
+});
@@ -0,0 +1,145 @@
+/*
+ * Risk-model registry. Every model keeps the baseline n·r0 and adds a
+ * coupling and a cascade term computed from the graph: E, the edge count, and
+ * W, the sum over edges of the mean autonomy of each edge's two agents (E·A
+ * with a single autonomy). A model declares its `id`, `label`, the `formula`
+ * shown above the chart, short labels for its two `terms`, its `params` and a
+ * `compute({ n, edges, weight, params })` function returning
+ * { coupling, cascade } with mitigations already applied to `params`.
+ *
+ * Parameter specs are shared between models by key, so a key means the same
+ * thing wherever it appears. `query` is the share URL key, `csv` the CSV
+ * column suffix and `scales` names the parameter whose mitigations also apply
+ * to this one (see mitigateParams).
+ */
+
+const R0 = { key: "r0", symbol: "r0", query: "r0", csv: "r0", min: 0, max: 10, step: 0.01, default: 1, help: "Baseline risk per agent." };
+const LOAD = { key: "loadL", symbol: "L", query: "L", csv: "L", min: 0, max: 10, step: 0.05, default: 1.3, help: "Load or busyness factor on each edge." };
+const ALPHA = { key: "alpha", symbol: "α", query: "alpha", csv: "alpha", min: 0, max: 5, step: 0.01, default: 0.3, help: "Weight of the linear coupling term." };
+const GAMMA = { key: "gamma", symbol: "γ", query: "gamma", csv: "gamma", min: 0, max: 5, step: 0.01, default: 0.12, help: "Weight of the cascade term." };
+const CMAX = {
+  key: "cmax",
+  symbol: "Cmax",
+  query: "cmax",
+  csv: "cmax",
+  min: 0,
+  max: 1000,
+  step: 1,
+  default: 50,
+  scales: "gamma",
+  help: "Cascade risk per agent once cascades saturate.",
+};
+const KAPPA = { key: "kappa", symbol: "κ", query: "kappa", csv: "kappa", min: 0.01, max: 10, step: 0.01, default: 0.3, help: "Steepness of the logistic cascade." };
+const C0 = { key: "c0", symbol: "c0", query: "c0", csv: "c0", min: 0, max: 200, step: 0.5, default: 20, help: "Coupling per agent at the logistic midpoint." };
+const THETA = { key: "theta", symbol: "θ", query: "theta", csv: "theta", min: 0.01, max: 200, step: 0.5, default: 10, help: "Coupling per agent at which cascades percolate." };
+const BETA = { key: "beta", symbol: "β", query: "beta", csv: "beta", min: 0, max: 10, step: 0.01, default: 1, scales: "alpha", help: "Risk per edge." };
+
+export const DEFAULT_MODEL = "classic";
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+// Coupling x = W·L and coupling per agent c = x / n, shared by the coupling-based models.
+function couplingOf(n, weight, params) {
+  const x = weight * params.loadL;
+  return { x, c: n > 0 ? x / n : 0 };
+}
+
+const BUILT_IN = [
+  {
+    id: "classic",
+    label: "Quadratic cascade",
+    formula: "R(n) = n·r0 + α·(E·L·A) + γ·(E·L·A)² / n",
+    terms: { coupling: "α·E·L·A", cascade: "γ·(E·L·A)²/n" },
+    params: [R0, LOAD, ALPHA, GAMMA],
+    compute({ n, weight, params }) {
+      const { x } = couplingOf(n, weight, params);
+      return { coupling: params.alpha * x, cascade: (params.gamma * x * x) / n };
+    },
+  },
+  {
+    id: "logistic",
+    label: "Saturating logistic cascade",
+    formula: "R(n) = n·r0 + α·(E·L·A) + n·Cmax·S(κ·(c − c0)), c = E·L·A / n",
+    terms: { coupling: "α·E·L·A", cascade: "n·Cmax·S(κ(c−c0))" },
+    params: [R0, LOAD, ALPHA, CMAX, KAPPA, C0],
+    compute({ n, weight, params }) {
+      const { x, c } = couplingOf(n, weight, params);
+      // The logistic is shifted and rescaled so the cascade is 0 without coupling and n·Cmax at saturation.
+      const floor = logistic(-params.kappa * params.c0);
+      const share = (logistic(params.kappa * (c - params.c0)) - floor) / (1 - floor);
+      return { coupling: params.alpha * x, cascade: n * params.cmax * Math.max(0, share) };
+    },
+  },
+  {
+    id: "percolation",
+    label: "Percolation threshold",
+    formula: "R(n) = n·r0 + α·(E·L·A) + n·Cmax·max(0, 1 − θ / c), c = E·L·A / n",
+    terms: { coupling: "α·E·L·A", cascade: "n·Cmax·(1−θ/c)⁺" },
+    params: [R0, LOAD, ALPHA, CMAX, THETA],
+    compute({ n, weight, params }) {
+      const { x, c } = couplingOf(n, weight, params);
+      return { coupling: params.alpha * x, cascade: c > params.theta ? n * params.cmax * (1 - params.theta / c) : 0 };
+    },
+  },
+  {
+    id: "edges",
+    label: "Edge count",
+    formula: "R(n) = n·r0 + β·E",
+    terms: { coupling: "β·E", cascade: "none" },
+    params: [R0, BETA],
+    compute({ edges, params }) {
+      return { coupling: params.beta * edges, cascade: 0 };
+    },
+  },
+];
+
+const REGISTRY = new Map();
+
+/**
+ * Adds a model, or replaces the one with the same id. Every model needs r0,
+ * the baseline; parameters with a key already registered must be the same
+ * spec. Throws on an invalid model.
+ */
+export function registerModel(model) {
+  if (!model || typeof model.id !== "string" || !model.id) throw new Error("model needs an id");
+  if (typeof model.compute !== "function") throw new Error(`model "${model.id}" needs a compute function`);
+  if (!Array.isArray(model.params) || !model.params.some((p) => p.key === "r0")) throw new Error(`model "${model.id}" needs the r0 parameter`);
+  for (const p of model.params) {
+    if (!(p.min <= p.default && p.default <= p.max)) throw new Error(`model "${model.id}": ${p.key} default is outside its range`);
+    const known = allModelParams().find((q) => q.key === p.key);
+    if (known && known !== p) throw new Error(`model "${model.id}": parameter ${p.key} is already registered with another spec`);
+  }
+  REGISTRY.set(model.id, { terms: { coupling: "coupling", cascade: "cascade" }, ...model });
+  return REGISTRY.get(model.id);
+}
+
+export function isModel(id) {
+  return REGISTRY.has(id);
+}
+
+/** The model registered as `id`, or the default model. */
+export function getModel(id) {
+  return REGISTRY.get(id) ?? REGISTRY.get(DEFAULT_MODEL);
+}
+
+export function listModels() {
+  return [...REGISTRY.values()];
+}
+
+export function modelParamSpecs(id) {
+  return getModel(id).params;
+}
+
+/** Default value of each of the model's parameters. */
+export function modelDefaults(id) {
+  return Object.fromEntries(modelParamSpecs(id).map((p) => [p.key, p.default]));
+}
+
+/** Every parameter of every registered model, once per key, in registration order. */
+export function allModelParams() {
+  const out = new Map();
+  for (const model of REGISTRY.values()) for (const p of model.params) if (!out.has(p.key)) out.set(p.key, p);
+  return [...out.values()];
+}
+
+for (const model of BUILT_IN) registerModel(model);
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_MODEL, allModelParams, getModel, isModel, listModels, modelDefaults, registerModel } from "./registry.js";
+import { DEFAULTS, computeSeries, riskTerms, sanitizeParams } from "./model.js";
+import { mitigateParams } from "./mitigation.js";
+
+const args = { n: 30, k: 3, topology: "bounded", autonomyScore: 5 };
+
+describe("model registry", () => {
+  it("lists the built-in models, the default first, with their parameters", () => {
+    expect(listModels().map((m) => m.id)).toEqual(["classic", "logistic", "percolation", "edges"]);
+    expect(DEFAULT_MODEL).toBe("classic");
+    expect(modelDefaults("classic")).toEqual(DEFAULTS);
+    expect(allModelParams().map((p) => p.key)).toEqual(["r0", "loadL", "alpha", "gamma", "cmax", "kappa", "c0", "theta", "beta"]);
+    expect(getModel("oracle").id).toBe("classic");
+    expect(isModel("oracle")).toBe(false);
+  });
+
+  it("keeps only the model's own parameters", () => {
+    expect(sanitizeParams({ r0: 2, gamma: 0.5, beta: 99 }, "edges")).toEqual({ r0: 2, beta: 10 });
+    expect(sanitizeParams({}, "logistic")).toEqual(modelDefaults("logistic"));
+  });
+
+  it("saturates the logistic cascade at n·Cmax and starts it at 0", () => {
+    const p = { ...modelDefaults("logistic"), cmax: 10 };
+    const mesh = riskTerms({ ...args, n: 400, topology: "mesh", model: "logistic", ...p });
+    expect(mesh.cascade).toBeCloseTo(400 * 10, 6);
+    expect(riskTerms({ ...args, k: 0, model: "logistic", ...p }).cascade).toBe(0);
+  });
+
+  it("has no percolation cascade below the threshold", () => {
+    const p = modelDefaults("percolation");
+    // Bounded k=3, A=5 at n=30: E=84, so the coupling per agent c = 84·1.3·5 / 30 = 18.2.
+    const below = riskTerms({ ...args, model: "percolation", ...p, theta: 20 });
+    const above = riskTerms({ ...args, model: "percolation", ...p, theta: 10 });
+    expect(below.cascade).toBe(0);
+    const c = (84 * 1.3 * 5) / 30;
+    expect(above.cascade).toBeCloseTo(30 * p.cmax * (1 - 10 / c), 9);
+    expect(above.coupling).toBeCloseTo(below.coupling, 12);
+  });
+
+  it("makes the edge-count model linear in E", () => {
+    const series = computeSeries({ n: 30, autonomy: 9, k: 3, topology: "bounded" }, { r0: 1, beta: 2 }, "edges");
+    for (const row of series) expect(row.connected).toBeCloseTo(row.agents + 2 * row.edges, 9);
+  });
+
+  it("applies mitigations to parameters through `scales`", () => {
+    const p = modelDefaults("percolation");
+    expect(mitigateParams(p, ["breaker"], "percolation")).toMatchObject({ cmax: p.cmax * 0.5, theta: p.theta });
+    expect(mitigateParams({ r0: 1, beta: 2 }, ["sandbox"], "edges")).toEqual({ r0: 1, beta: 1.2 });
+  });
+
+  it("registers new models and rejects invalid ones", () => {
+    const r0 = getModel("classic").params[0];
+    const flat = registerModel({ id: "flat-test", label: "Flat", formula: "R(n) = n·r0", params: [r0], compute: () => ({ coupling: 0, cascade: 0 }) });
+    expect(isModel("flat-test")).toBe(true);
+    expect(flat.terms).toEqual({ coupling: "coupling", cascade: "cascade" });
+    expect(riskTerms({ ...args, model: "flat-test", r0: 2 }).total).toBe(60);
+    expect(() => registerModel({ id: "bad", params: [], compute: () => ({}) })).toThrow(/r0/);
+    expect(() => registerModel({ id: "bad", params: [{ ...r0 }], compute: () => ({}) })).toThrow(/another spec/);
+    expect(() => registerModel({ id: "bad", params: [r0] })).toThrow(/compute/);
+  });
+});
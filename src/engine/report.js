@@ -0,0 +1,88 @@
+/*
+ * Printable one-page HTML report. Pure string building, so it runs in the
+ * browser without a server and can be tested in Node. The caller supplies
+ * the chart as SVG markup and the report content as tables.
+ */
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const STYLE = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; margin: 32px; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 13px; margin: 20px 0 6px; text-transform: uppercase; letter-spacing: 0.04em; color: #334155; }
+  .sub { color: #64748b; margin: 0 0 16px; }
+  .chart svg { max-width: 100%; height: auto; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px 4px 0; border-top: 1px solid #e2e8f0; vertical-align: top; }
+  th { color: #64748b; font-weight: 500; border-top: none; }
+  .kv td:first-child { color: #64748b; width: 30%; }
+  .url { word-break: break-all; }
+  .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 24px; }
+  button { margin-bottom: 16px; }
+  @media print { button { display: none; } body { margin: 12mm; } h2 { break-after: avoid; } table { break-inside: avoid; } }
+`;
+
+function table({ columns, rows }) {
+  if (!columns) {
+    const body = rows.map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td>${escapeHtml(v)}</td></tr>`).join("");
+    return `<table class="kv"><tbody>${body}</tbody></table>`;
+  }
+  const head = columns.map((c) => `<th>${escapeHtml(c)}</th>`).join("");
+  const body = rows.map((r) => `<tr>${r.map((v) => `<td>${escapeHtml(v)}</td>`).join("")}</tr>`).join("");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * A standalone HTML document. `sections` are `{ heading, rows, columns? }`:
+ * without `columns`, rows are [label, value] pairs. Sections with `half: true`
+ * sit side by side. `chartSvg` is trusted markup; everything else is escaped.
+ */
+export function buildReportHtml({ title, subtitle, chartSvg, shareUrl, sections = [] }) {
+  const blocks = [];
+  let pair = [];
+  const flush = () => {
+    if (pair.length) blocks.push(`<div class="grid">${pair.join("")}</div>`);
+    pair = [];
+  };
+  for (const s of sections) {
+    const html = `<section><h2>${escapeHtml(s.heading)}</h2>${table(s)}</section>`;
+    if (s.half) {
+      pair.push(html);
+      if (pair.length === 2) flush();
+    } else {
+      flush();
+      blocks.push(html);
+    }
+  }
+  flush();
+
+  return [
+    "<!doctype html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    "</head>",
+    "<body>",
+    '<button onclick="window.print()">Print or save as PDF</button>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    subtitle ? `<p class="sub">${escapeHtml(subtitle)}</p>` : "",
+    chartSvg ? `<div class="chart">${chartSvg}</div>` : "",
+    ...blocks,
+    shareUrl
+      ? `<section><h2>Reproduce this view</h2><p class="url"><a href="${escapeHtml(shareUrl)}">${escapeHtml(shareUrl)}</a></p></section>`
+      : "",
+    "</body>",
+    "</html>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { buildReportHtml, escapeHtml } from "./report.js";
+
+describe("buildReportHtml", () => {
+  const html = buildReportHtml({
+    title: "Risk report",
+    subtitle: "Generated 2026-01-01",
+    chartSvg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+    shareUrl: "https://example.test/?n=30&a=5",
+    sections: [
+      { heading: "Inputs", rows: [["Agents", 30], ["Topology", "Hub & spoke"]], half: true },
+      { heading: "KPI", rows: [["Risk multiple", "46x"]], half: true },
+      { heading: "Scenarios", columns: ["Name", "n"], rows: [["<Pilot>", 10]] },
+    ],
+  });
+
+  it("is a standalone document with the chart and share URL", () => {
+    expect(html.startsWith("<!doctype html>")).toBe(true);
+    expect(html).toContain('<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+    expect(html).toContain('href="https://example.test/?n=30&amp;a=5"');
+    expect(html).toContain("@media print");
+  });
+
+  it("escapes content and lays out paired sections", () => {
+    expect(html).toContain("Hub &amp; spoke");
+    expect(html).toContain("&lt;Pilot&gt;");
+    expect(html).not.toContain("<Pilot>");
+    expect(html.match(/class="grid"/g)).toHaveLength(1);
+    expect(html).toContain("<th>Name</th>");
+  });
+
+  it("escapes quotes", () => {
+    expect(escapeHtml(`"a" 'b'`)).toBe("&quot;a&quot; &#39;b&#39;");
+  });
+});
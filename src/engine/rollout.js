@@ -0,0 +1,88 @@
+import { stableId } from "./util.js";
+import { riskAgentsEdges, riskLinear, sanitizeParams } from "./model.js";
+import { sanitizeScenario } from "./scenario.js";
+import { topoLabel, topologyStructure } from "./topology.js";
+
+/*
+ * Rollout plans: dated phases, each a (n, autonomy, k, topology) the
+ * deployment holds from its date until the next phase. Phases use the
+ * built-in topologies only; a custom graph or composite is per-scenario, not
+ * per-phase.
+ */
+
+export const MAX_PHASES = 12;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const EXAMPLE_PLAN = {
+  name: "Example roadmap",
+  phases: [
+    { date: "2026-01-01", label: "Pilot", n: 10, autonomy: 3, k: 1, topology: "pipeline" },
+    { date: "2026-04-01", label: "Scale-out", n: 50, autonomy: 5, k: 3, topology: "bounded" },
+    { date: "2026-07-01", label: "Hub rollout", n: 150, autonomy: 7, k: 3, topology: "hub" },
+  ],
+};
+
+/** Epoch milliseconds for a "YYYY-MM-DD" date, or null. */
+export function parsePhaseDate(value) {
+  if (typeof value !== "string" || !DATE_RE.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isFinite(time) ? time : null;
+}
+
+export function sanitizePhase(raw) {
+  const s = sanitizeScenario({ ...raw, topology: topologyStructure(raw?.topology) ? null : raw?.topology, roster: [], graph: null }, "");
+  return {
+    id: String(raw?.id || stableId()),
+    date: parsePhaseDate(raw?.date) != null ? raw.date : null,
+    label: String(raw?.label ?? ""),
+    n: s.n,
+    autonomy: s.autonomy,
+    k: s.k,
+    topology: s.topology,
+  };
+}
+
+/** A plan with valid phases only, sorted by date. Phases without a valid date are dropped. */
+export function sanitizePlan(raw, fallbackName = "Rollout plan") {
+  const phases = (Array.isArray(raw?.phases) ? raw.phases : [])
+    .map(sanitizePhase)
+    .filter((p) => p.date != null)
+    .sort((a, b) => parsePhaseDate(a.date) - parsePhaseDate(b.date))
+    .slice(0, MAX_PHASES);
+  return { id: String(raw?.id || stableId()), name: String(raw?.name || fallbackName), phases };
+}
+
+// What changed from one phase to the next, for the step annotations.
+function phaseChanges(prev, phase) {
+  if (!prev) return [];
+  const changes = [];
+  if (prev.topology !== phase.topology) changes.push(`${topoLabel(prev.topology)} → ${topoLabel(phase.topology)}`);
+  if (prev.autonomy !== phase.autonomy) changes.push(`A${prev.autonomy} → A${phase.autonomy}`);
+  if (prev.k !== phase.k) changes.push(`k ${prev.k} → ${phase.k}`);
+  return changes;
+}
+
+/**
+ * Risk at each phase of a sanitised plan, computed with riskAgentsEdges at
+ * the phase's own n. `changes` lists topology, autonomy and k jumps from the
+ * previous phase; `step` is true when there are any. `params` are those of
+ * `model`, the current risk model.
+ */
+export function rolloutTrajectory(plan, params, model) {
+  const p = sanitizeParams(params, model);
+  return plan.phases.map((phase, idx) => {
+    const risk = riskAgentsEdges({ n: phase.n, k: phase.k, topology: phase.topology, autonomyScore: phase.autonomy, model, ...p });
+    const baseline = riskLinear(phase.n, p.r0);
+    const changes = phaseChanges(plan.phases[idx - 1], phase);
+    return {
+      ...phase,
+      time: parsePhaseDate(phase.date),
+      risk,
+      baseline,
+      multiple: baseline > 0 ? risk / baseline : null,
+      changes,
+      step: changes.length > 0,
+    };
+  });
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { EXAMPLE_PLAN, parsePhaseDate, rolloutTrajectory, sanitizePlan } from "./rollout.js";
+import { DEFAULTS, riskAgentsEdges } from "./model.js";
+
+describe("sanitizePlan", () => {
+  it("sorts phases by date and drops invalid ones", () => {
+    const plan = sanitizePlan({
+      name: "Roadmap",
+      phases: [
+        { date: "2026-07-01", n: 150, autonomy: 7, k: 3, topology: "hub" },
+        { date: "not a date", n: 5 },
+        { date: "2026-01-01", n: 99999, autonomy: 0, k: 3, topology: "custom" },
+      ],
+    });
+    expect(plan.name).toBe("Roadmap");
+    expect(plan.phases.map((p) => p.date)).toEqual(["2026-01-01", "2026-07-01"]);
+    expect(plan.phases[0]).toMatchObject({ n: 50000, autonomy: 1, topology: "bounded" });
+  });
+
+  it("parses ISO dates only", () => {
+    expect(parsePhaseDate("2026-04-01")).toBe(Date.UTC(2026, 3, 1));
+    expect(parsePhaseDate("04/01/2026")).toBeNull();
+  });
+});
+
+describe("rolloutTrajectory", () => {
+  const points = rolloutTrajectory(sanitizePlan(EXAMPLE_PLAN), DEFAULTS);
+
+  it("evaluates riskAgentsEdges at each phase", () => {
+    expect(points).toHaveLength(3);
+    points.forEach((pt, idx) => {
+      const phase = EXAMPLE_PLAN.phases[idx];
+      const risk = riskAgentsEdges({ n: phase.n, k: phase.k, topology: phase.topology, autonomyScore: phase.autonomy, ...DEFAULTS });
+      expect(pt.risk).toBeCloseTo(risk, 9);
+      expect(pt.multiple).toBeCloseTo(risk / phase.n, 9);
+    });
+    expect(points[1].time).toBeGreaterThan(points[0].time);
+  });
+
+  it("annotates topology and autonomy jumps", () => {
+    expect(points[0].step).toBe(false);
+    expect(points[1].changes).toEqual(["Pipeline → Bounded degree (k)", "A3 → A5", "k 1 → 3"]);
+    expect(points[2].changes).toEqual(["Bounded degree (k) → Hub-and-spoke", "A5 → A7"]);
+  });
+});
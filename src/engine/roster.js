@@ -0,0 +1,76 @@
+import { clamp, safeInt } from "./util.js";
+
+export const MAX_ROSTER_GROUPS = 10;
+
+/**
+ * A roster is a list of agent groups, `{ count, autonomy }`. Groups are kept in
+ * order; the total is capped at `maxN` by trimming the last groups.
+ */
+export function sanitizeRoster(raw, maxN) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  let total = 0;
+  for (const g of raw.slice(0, MAX_ROSTER_GROUPS)) {
+    const room = maxN - total;
+    if (room <= 0) break;
+    const count = clamp(safeInt(g?.count, 1), 1, room);
+    out.push({ count, autonomy: clamp(safeInt(g?.autonomy, 5), 1, 10) });
+    total += count;
+  }
+  return out;
+}
+
+export function rosterTotal(roster) {
+  return roster.reduce((sum, g) => sum + g.count, 0);
+}
+
+export function rosterMeanAutonomy(roster) {
+  const total = rosterTotal(roster);
+  if (!total) return 0;
+  return roster.reduce((sum, g) => sum + g.count * g.autonomy, 0) / total;
+}
+
+/**
+ * Autonomy of each agent in arrival order (index 0 is agent 1). Groups are
+ * interleaved in proportion to their size, so every prefix of the roster has
+ * roughly the final mix rather than all of one group first.
+ */
+export function rosterAutonomies(roster) {
+  const total = rosterTotal(roster);
+  const assigned = roster.map(() => 0);
+  const out = [];
+  for (let pos = 1; pos <= total; pos += 1) {
+    let best = 0;
+    let bestDeficit = -Infinity;
+    roster.forEach((g, idx) => {
+      const deficit = (g.count * pos) / total - assigned[idx];
+      if (assigned[idx] < g.count && deficit > bestDeficit) {
+        best = idx;
+        bestDeficit = deficit;
+      }
+    });
+    assigned[best] += 1;
+    out.push(roster[best].autonomy);
+  }
+  return out;
+}
+
+export function formatRoster(roster) {
+  return roster.map((g) => `${g.count}×A${g.autonomy}`).join(" + ");
+}
+
+/** Compact text form, "40x3,5x9", used by the share URL and the CLI. */
+export function rosterToText(roster) {
+  return roster.map((g) => `${g.count}x${g.autonomy}`).join(",");
+}
+
+/** Inverse of rosterToText. Returns null when any group is malformed. */
+export function parseRosterText(text) {
+  const groups = [];
+  for (const part of String(text).split(",")) {
+    const m = /^\s*(\d+)\s*[x×]\s*A?(\d+)\s*$/i.exec(part);
+    if (!m) return null;
+    groups.push({ count: Number(m[1]), autonomy: Number(m[2]) });
+  }
+  return groups;
+}
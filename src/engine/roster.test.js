@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { parseRosterText, rosterAutonomies, rosterToText, sanitizeRoster } from "./roster.js";
+import { computeEdges, neighborsBefore, TOPOLOGIES } from "./topology.js";
+import { computeSeries, DEFAULTS, edgeAutonomyWeights, riskAgentsEdges } from "./model.js";
+
+describe("roster", () => {
+  it("interleaves groups in proportion to their size", () => {
+    const order = rosterAutonomies([{ count: 6, autonomy: 2 }, { count: 3, autonomy: 8 }]);
+    expect(order).toEqual([2, 8, 2, 2, 8, 2, 2, 8, 2]);
+  });
+
+  it("sanitises groups and caps the total at maxN", () => {
+    expect(sanitizeRoster([{ count: 150, autonomy: 12 }, { count: 100, autonomy: "x" }, { count: 5 }], 200)).toEqual([
+      { count: 150, autonomy: 10 },
+      { count: 50, autonomy: 5 },
+    ]);
+    expect(sanitizeRoster("nope", 200)).toEqual([]);
+  });
+
+  it("round-trips the compact text form", () => {
+    const roster = [{ count: 40, autonomy: 3 }, { count: 5, autonomy: 9 }];
+    expect(parseRosterText(rosterToText(roster))).toEqual(roster);
+    expect(parseRosterText("40×A3, 5x9")).toEqual(roster);
+    expect(parseRosterText("40x3,oops")).toBeNull();
+  });
+});
+
+describe("edge generator", () => {
+  for (const { value: topology } of TOPOLOGIES) {
+    it(`matches computeEdges for ${topology}`, () => {
+      for (const k of [0, 1, 3, 7]) {
+        let edges = 0;
+        for (let i = 1; i <= 25; i += 1) {
+          const neighbors = neighborsBefore(i, k, topology);
+          expect(new Set(neighbors).size).toBe(neighbors.length);
+          expect(neighbors.every((j) => j >= 1 && j < i)).toBe(true);
+          edges += neighbors.length;
+          expect(edges).toBe(computeEdges(i, k, topology));
+        }
+      }
+    });
+  }
+});
+
+describe("heterogeneous coupling", () => {
+  it("reduces to E·A when every agent has the same autonomy", () => {
+    const weights = edgeAutonomyWeights(3, "hub", Array(20).fill(6));
+    weights.forEach((w, idx) => expect(w).toBeCloseTo(computeEdges(idx + 1, 3, "hub") * 6, 9));
+    const uniform = computeSeries({ n: 20, autonomy: 6, k: 3, topology: "hub", roster: [{ count: 20, autonomy: 6 }] }, DEFAULTS);
+    const plain = computeSeries({ n: 20, autonomy: 6, k: 3, topology: "hub" }, DEFAULTS);
+    uniform.forEach((row, idx) => expect(row.connected).toBeCloseTo(plain[idx].connected, 6));
+  });
+
+  it("uses the mean autonomy of each edge's two agents", () => {
+    // Pipeline of agents with autonomy 2, 8, 4: edges (1,2) and (2,3) weigh 5 and 6.
+    expect(edgeAutonomyWeights(1, "pipeline", [2, 8, 4])).toEqual([0, 5, 11]);
+    const roster = [{ count: 1, autonomy: 2 }, { count: 1, autonomy: 8 }, { count: 1, autonomy: 4 }];
+    const r = riskAgentsEdges({ n: 3, k: 1, topology: "pipeline", autonomyScore: 5, roster, ...DEFAULTS });
+    const coupling = 11 * DEFAULTS.loadL;
+    expect(r).toBeCloseTo(3 + DEFAULTS.alpha * coupling + (DEFAULTS.gamma * coupling * coupling) / 3, 9);
+  });
+});
@@ -0,0 +1,120 @@
+import { clamp, safeInt, stableId } from "./util.js";
+import { TOPOLOGIES, isTopology } from "./topology.js";
+import { sanitizeParams } from "./model.js";
+import { DEFAULT_MODEL, isModel, listModels, modelParamSpecs } from "./registry.js";
+import { sanitizeGraph } from "./graph.js";
+import { MAX_ROSTER_GROUPS, rosterMeanAutonomy, rosterTotal, sanitizeRoster } from "./roster.js";
+import { sanitizeMitigations } from "./mitigation.js";
+import { compositeMeanAutonomy, compositeTotal, sanitizeComposite } from "./composite.js";
+
+export const MAX_SCENARIOS = 8;
+export const MAX_SAVED = 20;
+
+// Field rules shared by the share URL, saved scenarios and the controls.
+// k is additionally capped at n - 1. A non-empty roster sets n to its total
+// and autonomy to its rounded mean. The custom topology needs a valid graph
+// (else it falls back to the default) and caps n at the graph's size. The
+// composite topology needs valid clusters, which set n and autonomy like a
+// roster; the roster is then not used. Unknown mitigation ids are dropped.
+// `params` holds the parameters of the scenario's model and no others.
+export const SCENARIO_SCHEMA = {
+  n: { type: "int", min: 1, max: 50000, default: 30 },
+  autonomy: { type: "int", min: 1, max: 10, default: 5 },
+  k: { type: "int", min: 0, max: 49999, default: 3 },
+  topology: { type: "enum", values: TOPOLOGIES.map((t) => t.value), default: "bounded" },
+  roster: { type: "groups", maxGroups: MAX_ROSTER_GROUPS, default: [] },
+  graph: { type: "graph", default: null },
+  composite: { type: "clusters", default: null },
+  mitigations: { type: "set", default: [] },
+  model: { type: "enum", values: listModels().map((m) => m.id), default: DEFAULT_MODEL },
+};
+
+function intField(raw, rule) {
+  return clamp(safeInt(raw, rule.default), rule.min, rule.max);
+}
+
+export function sanitizeScenario(x, fallbackName) {
+  const { n: nRule, autonomy: aRule, k: kRule, topology: tRule } = SCENARIO_SCHEMA;
+  const graph = x?.topology === "custom" ? sanitizeGraph(x?.graph, nRule.max) : null;
+  const composite = x?.topology === "composite" ? sanitizeComposite(x?.composite, nRule.max) : null;
+  const topology = isTopology(x?.topology) && (x.topology !== "custom" || graph) && (x.topology !== "composite" || composite) ? x.topology : tRule.default;
+  const roster = composite ? [] : sanitizeRoster(x?.roster, nRule.max);
+  const requestedN = composite ? compositeTotal(composite) : roster.length ? rosterTotal(roster) : intField(x?.n, nRule);
+  const n = graph ? Math.min(requestedN, graph.nodes.length) : requestedN;
+  const autonomy = composite
+    ? Math.round(compositeMeanAutonomy(composite))
+    : roster.length
+      ? Math.round(rosterMeanAutonomy(roster))
+      : intField(x?.autonomy, aRule);
+  const model = isModel(x?.model) ? x.model : DEFAULT_MODEL;
+  return {
+    id: String(x?.id || stableId()),
+    name: String(x?.name || fallbackName),
+    n,
+    autonomy,
+    k: clamp(intField(x?.k, kRule), 0, n - 1),
+    topology,
+    model,
+    params: sanitizeParams(x?.params, model),
+    roster,
+    graph,
+    composite,
+    mitigations: sanitizeMitigations(x?.mitigations),
+  };
+}
+
+/**
+ * What sanitizeScenario changed, as messages for import reports: values it
+ * clamped, replaced or ignored. `clean` is sanitizeScenario(raw). Missing
+ * fields silently take their defaults and are not reported.
+ */
+export function scenarioFixes(raw, clean) {
+  const fixes = [];
+  const given = (v) => v !== undefined && v !== null && v !== "";
+  const rosterUsed = clean.roster.length > 0;
+  const setByStructure = rosterUsed || clean.composite != null;
+  if (clean.composite) {
+    if (Array.isArray(raw.roster) && raw.roster.length) fixes.push("roster is not used with a composite topology");
+  } else if (given(raw.roster) && (!Array.isArray(raw.roster) || (raw.roster.length && !rosterUsed))) fixes.push("roster is invalid and was ignored");
+  const rawClusters = raw.composite?.clusters;
+  if (clean.composite && Array.isArray(rawClusters) && rawClusters.length > clean.composite.clusters.length) {
+    fixes.push(`composite has ${rawClusters.length} clusters, only the first ${clean.composite.clusters.length} were kept`);
+  }
+  if (given(raw.topology) && raw.topology !== clean.topology) {
+    const missing = { custom: "custom topology without a valid graph", composite: "composite topology without valid clusters" }[raw.topology];
+    fixes.push(missing ? `${missing}, used ${clean.topology}` : `unknown topology "${raw.topology}", used ${clean.topology}`);
+  }
+  if (!setByStructure) {
+    for (const key of ["n", "autonomy"]) {
+      if (given(raw[key]) && Number(raw[key]) !== clean[key]) fixes.push(`${key}=${raw[key]} is invalid or out of range, used ${clean[key]}`);
+    }
+  }
+  if (Array.isArray(raw.mitigations)) {
+    const unknown = raw.mitigations.filter((id) => !clean.mitigations.includes(String(id)));
+    if (unknown.length) fixes.push(`unknown mitigation${unknown.length === 1 ? "" : "s"} ${unknown.join(", ")} ignored`);
+  } else if (given(raw.mitigations)) fixes.push("mitigations are not a list and were ignored");
+  if (given(raw.k) && Number(raw.k) !== clean.k) fixes.push(`k=${raw.k} is invalid or out of range, used ${clean.k}`);
+  if (given(raw.model) && raw.model !== clean.model) fixes.push(`unknown model "${raw.model}", used ${clean.model}`);
+  for (const p of modelParamSpecs(clean.model)) {
+    const v = raw.params?.[p.key];
+    if (given(v) && Number(v) !== clean.params[p.key]) fixes.push(`${p.symbol}=${v} is invalid or out of range, used ${clean.params[p.key]}`);
+  }
+  return fixes;
+}
+
+export function scenarioToQuery(s) {
+  return {
+    id: s.id,
+    name: s.name,
+    n: s.n,
+    autonomy: s.autonomy,
+    k: s.k,
+    topology: s.topology,
+    ...(s.model && s.model !== DEFAULT_MODEL ? { model: s.model } : {}),
+    params: s.params,
+    ...(s.roster?.length ? { roster: s.roster } : {}),
+    ...(s.topology === "custom" && s.graph ? { graph: s.graph } : {}),
+    ...(s.topology === "composite" && s.composite ? { composite: s.composite } : {}),
+    ...(s.mitigations?.length ? { mitigations: s.mitigations } : {}),
+  };
+}
@@ -0,0 +1,183 @@
+import { clamp } from "./util.js";
+import { TOPOLOGIES, topoLabel } from "./topology.js";
+import { riskLinear, riskTerms, sanitizeParams } from "./model.js";
+import { modelParamSpecs } from "./registry.js";
+import { SCENARIO_SCHEMA } from "./scenario.js";
+import { compositeMeanAutonomy, compositeParts, compositeTotal } from "./composite.js";
+
+/** Risk multiple R(n) / R_linear(n) at the scenario's own n. */
+export function finalRiskMultiple(scenario, params = scenario.params) {
+  const p = sanitizeParams(params, scenario.model);
+  const n = scenario.n;
+  const baseline = riskLinear(n, p.r0);
+  if (!(baseline > 0)) return null;
+  const { total } = riskTerms({
+    n,
+    k: clamp(scenario.k, 0, Math.max(0, n - 1)),
+    topology: scenario.topology,
+    graph: scenario.graph,
+    composite: scenario.composite,
+    autonomyScore: scenario.autonomy,
+    roster: scenario.roster,
+    mitigations: scenario.mitigations,
+    model: scenario.model,
+    ...p,
+  });
+  return total / baseline;
+}
+
+/** riskTerms at the scenario's own n, plus each term's share of the total. */
+export function scenarioTerms(scenario, params = scenario.params) {
+  const p = sanitizeParams(params, scenario.model);
+  const terms = riskTerms({
+    n: scenario.n,
+    k: clamp(scenario.k, 0, Math.max(0, scenario.n - 1)),
+    topology: scenario.topology,
+    graph: scenario.graph,
+    composite: scenario.composite,
+    autonomyScore: scenario.autonomy,
+    roster: scenario.roster,
+    mitigations: scenario.mitigations,
+    model: scenario.model,
+    ...p,
+  });
+  const share = (x) => (terms.total > 0 ? x / terms.total : 0);
+  return { ...terms, shares: { linear: share(terms.linear), coupling: share(terms.coupling), cascade: share(terms.cascade) } };
+}
+
+/** Inputs the sensitivity analysis perturbs: scenario fields first, then the parameters of `model`. */
+export function sensitivityInputs(model) {
+  return [
+    { key: "n", label: "Agents (n)", kind: "int" },
+    { key: "autonomy", label: "Autonomy (A)", kind: "int" },
+    { key: "k", label: "K", kind: "int" },
+    { key: "topology", label: "Topology", kind: "enum" },
+    ...modelParamSpecs(model).map((p) => ({ key: p.key, label: p.symbol, kind: "param" })),
+  ];
+}
+
+function isComposite(scenario) {
+  return scenario.topology === "composite" && Boolean(scenario.composite);
+}
+
+export function meanAutonomy(scenario) {
+  if (isComposite(scenario)) return compositeMeanAutonomy(scenario.composite);
+  if (!scenario.roster?.length) return scenario.autonomy;
+  let count = 0;
+  let sum = 0;
+  for (const g of scenario.roster) {
+    count += g.count;
+    sum += g.count * g.autonomy;
+  }
+  return count > 0 ? sum / count : scenario.autonomy;
+}
+
+/** Range a numeric input may take in `scenario`: { min, max }. */
+export function inputRange(scenario, key) {
+  if (key === "n") {
+    if (isComposite(scenario)) return { min: 1, max: compositeTotal(scenario.composite) };
+    return { min: 1, max: scenario.graph ? scenario.graph.nodes.length : SCENARIO_SCHEMA.n.max };
+  }
+  if (key === "k") return { min: 0, max: Math.max(0, scenario.n - 1) };
+  if (key === "autonomy") return SCENARIO_SCHEMA.autonomy;
+  return modelParamSpecs(scenario.model).find((p) => p.key === key);
+}
+
+// [low, high] around x: ±delta relative, at least ±1 for integers, clamped to the input's range.
+function perturb(x, delta, kind, range) {
+  let lo = x * (1 - delta);
+  let hi = x * (1 + delta);
+  if (x === 0) hi = delta * (range.max - range.min);
+  if (kind === "int") {
+    lo = Math.min(Math.round(lo), x - 1);
+    hi = Math.max(Math.round(hi), x + 1);
+  }
+  return [clamp(lo, range.min, range.max), clamp(hi, range.min, range.max)];
+}
+
+// The scenario with one numeric input replaced. A roster's or composite's autonomies scale with A.
+export function withInput(scenario, key, value) {
+  if (key === "autonomy" && isComposite(scenario)) {
+    const factor = value / meanAutonomy(scenario);
+    const clusters = scenario.composite.clusters.map((c) => ({ ...c, autonomy: clamp(c.autonomy * factor, 1, 10) }));
+    return { ...scenario, autonomy: value, composite: { ...scenario.composite, clusters } };
+  }
+  if (key === "autonomy" && scenario.roster?.length) {
+    const factor = value / meanAutonomy(scenario);
+    return {
+      ...scenario,
+      autonomy: value,
+      roster: scenario.roster.map((g) => ({ ...g, autonomy: clamp(g.autonomy * factor, 1, 10) })),
+    };
+  }
+  if (key === "n" || key === "autonomy" || key === "k") return { ...scenario, [key]: value };
+  return { ...scenario, params: { ...scenario.params, [key]: value } };
+}
+
+/**
+ * Perturbs each input by ±delta (relative) around the scenario and reports the
+ * final risk multiple at each end. `swing` is the spread between the two ends;
+ * `elasticity` is the relative change in the multiple per relative change in
+ * the input. Topology is categorical: its ends are the lowest and highest
+ * multiple over the built-in topologies, with no elasticity.
+ * Items are sorted by swing, largest first.
+ */
+export function sensitivityAnalysis(scenario, { delta = 0.1 } = {}) {
+  const params = sanitizeParams(scenario.params, scenario.model);
+  const base = { ...scenario, params };
+  const baseMultiple = finalRiskMultiple(base);
+
+  const items = sensitivityInputs(scenario.model).map((input) => {
+    if (input.kind === "enum") {
+      const options = TOPOLOGIES.filter((t) => !t.structure || t.value === scenario.topology).map((t) => ({
+        value: t.value,
+        label: topoLabel(t.value),
+        multiple: finalRiskMultiple({ ...base, topology: t.value, graph: t.value === "custom" ? base.graph : null }),
+      }));
+      const sorted = options.filter((o) => o.multiple != null).sort((a, b) => a.multiple - b.multiple);
+      const low = sorted[0];
+      const high = sorted[sorted.length - 1];
+      return { ...input, base: scenario.topology, low, high, swing: high.multiple - low.multiple, elasticity: null };
+    }
+
+    const x = input.key === "autonomy" ? meanAutonomy(base) : input.kind === "param" ? params[input.key] : base[input.key];
+    const [lo, hi] = perturb(x, delta, input.kind, inputRange(base, input.key));
+    const low = { value: lo, label: String(+lo.toFixed(3)), multiple: finalRiskMultiple(withInput(base, input.key, lo)) };
+    const high = { value: hi, label: String(+hi.toFixed(3)), multiple: finalRiskMultiple(withInput(base, input.key, hi)) };
+    const swing = low.multiple != null && high.multiple != null ? Math.abs(high.multiple - low.multiple) : 0;
+    const elasticity =
+      x > 0 && hi > lo && baseMultiple > 0 && low.multiple != null && high.multiple != null
+        ? (high.multiple - low.multiple) / baseMultiple / ((hi - lo) / x)
+        : null;
+    return { ...input, base: x, low, high, swing, elasticity };
+  });
+
+  items.sort((a, b) => b.swing - a.swing);
+  return { baseMultiple, delta, items, terms: scenarioTerms(base) };
+}
+
+/**
+ * Where R(n) comes from in a composite scenario, at its own n: one row per
+ * cluster and per bridge pair with its `agents`, `edges`, `linear` (agents ·
+ * r0), `coupling` and `cascade` terms and their `total`. The coupling and
+ * cascade terms are split by each part's share of the edge-autonomy weight,
+ * so the rows add up to R(n). null for other topologies.
+ */
+export function compositeContributions(scenario, params = scenario.params) {
+  if (!isComposite(scenario)) return null;
+  const p = sanitizeParams(params, scenario.model);
+  const terms = scenarioTerms(scenario, p);
+  const parts = compositeParts(scenario.composite, scenario.n, scenario.mitigations);
+  const names = scenario.composite.clusters.map((c) => c.name);
+  const row = (part, name) => {
+    const share = parts.weight > 0 ? part.weight / parts.weight : 0;
+    const linear = part.agents * p.r0;
+    const coupling = terms.coupling * share;
+    const cascade = terms.cascade * share;
+    return { name, agents: part.agents, edges: part.edges, linear, coupling, cascade, total: linear + coupling + cascade };
+  };
+  return {
+    rows: [...parts.clusters.map((c) => row(c, c.name)), ...parts.bridges.map((b) => row(b, `${names[b.from]} ↔ ${names[b.to]}`))],
+    terms,
+  };
+}
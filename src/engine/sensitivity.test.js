@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { finalRiskMultiple, scenarioTerms, sensitivityAnalysis } from "./sensitivity.js";
+import { DEFAULTS, riskAgentsEdges, riskTerms } from "./model.js";
+
+const scenario = { n: 30, autonomy: 5, k: 3, topology: "bounded", params: DEFAULTS };
+
+describe("riskTerms", () => {
+  it("adds up to riskAgentsEdges", () => {
+    const args = { n: 30, k: 3, topology: "bounded", autonomyScore: 5, ...DEFAULTS };
+    const t = riskTerms(args);
+    expect(t.linear).toBe(30);
+    expect(t.coupling).toBeCloseTo(0.3 * 84 * 1.3 * 5, 9);
+    expect(t.linear + t.coupling + t.cascade).toBeCloseTo(t.total, 9);
+    expect(t.total).toBeCloseTo(riskAgentsEdges(args), 9);
+    expect(t.total).toBeCloseTo(1386.264, 6);
+  });
+
+  it("reports each term's share at n", () => {
+    const t = scenarioTerms(scenario);
+    expect(t.shares.linear + t.shares.coupling + t.shares.cascade).toBeCloseTo(1, 9);
+    expect(t.shares.cascade).toBeGreaterThan(t.shares.coupling);
+  });
+});
+
+describe("sensitivityAnalysis", () => {
+  const result = sensitivityAnalysis(scenario);
+
+  it("starts from the current multiple", () => {
+    expect(result.baseMultiple).toBeCloseTo(1386.264 / 30, 6);
+    expect(finalRiskMultiple(scenario)).toBeCloseTo(result.baseMultiple, 9);
+  });
+
+  it("ranks every input by swing", () => {
+    expect(result.items.map((i) => i.key).sort()).toEqual(["alpha", "autonomy", "gamma", "k", "loadL", "n", "r0", "topology"]);
+    for (let i = 1; i < result.items.length; i += 1) {
+      expect(result.items[i - 1].swing).toBeGreaterThanOrEqual(result.items[i].swing);
+    }
+    expect(result.items[0].key).toBe("topology");
+  });
+
+  it("perturbs integers by at least one step and clamps to range", () => {
+    const k = result.items.find((i) => i.key === "k");
+    expect([k.low.value, k.high.value]).toEqual([2, 4]);
+    const edge = sensitivityAnalysis({ ...scenario, autonomy: 10 }).items.find((i) => i.key === "autonomy");
+    expect(edge.high.value).toBe(10);
+  });
+
+  it("gives the cascade parameters their elasticities", () => {
+    // R ∝ L^2 in the cascade term, so L is more elastic than γ.
+    const byKey = Object.fromEntries(result.items.map((i) => [i.key, i]));
+    expect(byKey.gamma.elasticity).toBeGreaterThan(0);
+    expect(byKey.loadL.elasticity).toBeGreaterThan(byKey.gamma.elasticity);
+    expect(byKey.r0.elasticity).toBeLessThan(0);
+    expect(byKey.topology.elasticity).toBeNull();
+    expect(byKey.topology.high.value).toBe("mesh");
+  });
+
+  it("scales a roster's autonomies with A", () => {
+    const roster = [{ count: 20, autonomy: 3 }, { count: 10, autonomy: 9 }];
+    const item = sensitivityAnalysis({ ...scenario, roster }).items.find((i) => i.key === "autonomy");
+    expect(item.base).toBe(5);
+    expect(item.high.multiple).toBeGreaterThan(item.low.multiple);
+  });
+});
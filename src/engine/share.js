@@ -0,0 +1,272 @@
+import { MODEL_PARAMS, chartView } from "./model.js";
+import { DEFAULT_MODEL, allModelParams, modelParamSpecs } from "./registry.js";
+import { MAX_SCENARIOS, sanitizeScenario, scenarioFixes } from "./scenario.js";
+import { parseRosterText } from "./roster.js";
+import { sanitizeUncertainty } from "./uncertainty.js";
+import { BUDGET_MODES, sanitizeBudget } from "./budget.js";
+import { sanitizePolicy } from "./policy.js";
+import { deflateRaw, inflateRaw } from "./deflate.js";
+
+/*
+ * Share links. Since version 2 the whole view is a single `s` parameter,
+ * "<version>.<payload>", where the payload is JSON with short keys, deflated
+ * and base64url-encoded. Older links are upgraded step by step through
+ * MIGRATIONS before the usual sanitising, so they keep opening; version 1 is
+ * the original one-query-parameter-per-field format. Whatever the sanitisers
+ * had to change or drop is reported as a notice rather than lost silently.
+ *
+ * Version 2 payload:
+ *   n, a, k, t      agents, autonomy, k, topology
+ *   mo              risk model id, only when not the default
+ *   p               model parameters, in the order the model lists them
+ *   r               roster as [count, autonomy] pairs
+ *   g               custom graph as [nodes, edges]
+ *   c               composite as [clusters, bridges]: [name, n, k, topology,
+ *                   autonomy] and [from, to, count] rows
+ *   u               uncertainty as [enabled, samples, seed, dists]
+ *   b               budget as [mode, value], only while it is on
+ *   po              policy bands as [amber, red, [[autonomy, amber, red], ...]],
+ *                   only while they are on
+ *   v, x            chart view and log x-axis, only when not the default
+ *   mi              mitigation ids, when there are any
+ *   s               scenarios: { i: id, m: name, n, a, k, t, mo, p, r, g, c, mi },
+ *                   where p is left out when it equals the top-level parameters
+ */
+
+export const SHARE_VERSION = 2;
+
+function b64ToUtf8(b64) {
+  return decodeURIComponent(escape(globalThis.atob(b64)));
+}
+
+function bytesToBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return globalThis.btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = globalThis.atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+function packParams(params, model) {
+  return modelParamSpecs(model).map((p) => params[p.key]);
+}
+
+function unpackParams(packed, model) {
+  if (!Array.isArray(packed)) return undefined;
+  return Object.fromEntries(modelParamSpecs(model).map((p, idx) => [p.key, packed[idx]]));
+}
+
+function sameParams(a, b) {
+  return allModelParams().every((p) => a?.[p.key] === b?.[p.key]);
+}
+
+function packScenario(s, baseParams) {
+  return {
+    ...(s.id != null ? { i: s.id } : {}),
+    ...(s.name ? { m: s.name } : {}),
+    n: s.n,
+    a: s.autonomy,
+    k: s.k,
+    t: s.topology,
+    ...(s.model && s.model !== DEFAULT_MODEL ? { mo: s.model } : {}),
+    ...(baseParams && sameParams(s.params, baseParams) ? {} : { p: packParams(s.params, s.model) }),
+    ...(s.roster?.length ? { r: s.roster.map((g) => [g.count, g.autonomy]) } : {}),
+    ...(s.topology === "custom" && s.graph ? { g: [s.graph.nodes, s.graph.edges] } : {}),
+    ...(s.topology === "composite" && s.composite
+      ? { c: [s.composite.clusters.map((x) => [x.name, x.n, x.k, x.topology, x.autonomy]), s.composite.bridges.map((b) => [b.from, b.to, b.count])] }
+      : {}),
+    ...(s.mitigations?.length ? { mi: s.mitigations } : {}),
+  };
+}
+
+// Raw scenario fields for sanitizeScenario, params falling back to `baseParams`.
+function unpackScenario(o, baseParams) {
+  return {
+    id: o.i,
+    name: o.m,
+    n: o.n,
+    autonomy: o.a,
+    k: o.k,
+    topology: o.t,
+    model: o.mo,
+    params: unpackParams(o.p, o.mo) ?? baseParams,
+    roster: Array.isArray(o.r) ? o.r.map((g) => (Array.isArray(g) ? { count: g[0], autonomy: g[1] } : g)) : o.r,
+    graph: Array.isArray(o.g) ? { nodes: o.g[0], edges: o.g[1] } : o.g,
+    composite: unpackComposite(o.c),
+    mitigations: o.mi,
+  };
+}
+
+function unpackComposite(c) {
+  if (!Array.isArray(c)) return c;
+  const [clusters, bridges] = c;
+  return {
+    clusters: Array.isArray(clusters) ? clusters.map((x) => (Array.isArray(x) ? { name: x[0], n: x[1], k: x[2], topology: x[3], autonomy: x[4] } : x)) : clusters,
+    bridges: Array.isArray(bridges) ? bridges.map((b) => (Array.isArray(b) ? { from: b[0], to: b[1], count: b[2] } : b)) : bridges,
+  };
+}
+
+function readLegacyJson(params, key, label, notices) {
+  const raw = params.get(key);
+  if (!raw) return undefined;
+  try {
+    return JSON.parse(b64ToUtf8(raw));
+  } catch {
+    notices.push(`The link's ${label} could not be read and was left out.`);
+    return undefined;
+  }
+}
+
+/**
+ * Upgrades a payload of version `v` to version `v + 1`. Version 1 "payloads"
+ * are the URLSearchParams of the original format.
+ */
+const MIGRATIONS = {
+  1(params, notices) {
+    const rosterText = params.get("r");
+    const roster = rosterText ? parseRosterText(rosterText) : undefined;
+    const graph = readLegacyJson(params, "g", "custom graph", notices);
+    const uncertainty = readLegacyJson(params, "mc", "uncertainty settings", notices);
+    const scenarios = readLegacyJson(params, "sc", "scenario list", notices);
+    const [budgetMode, budgetValue] = (params.get("b") || "").split(":");
+    return {
+      n: params.get("n") ?? undefined,
+      a: params.get("a") ?? undefined,
+      k: params.get("k") ?? undefined,
+      t: params.get("t") ?? undefined,
+      p: MODEL_PARAMS.map((p) => params.get(p.query) ?? undefined),
+      // An unparseable roster stays as text, so sanitising reports it.
+      r: roster === null ? rosterText : roster?.map((g) => [g.count, g.autonomy]),
+      g: graph && typeof graph === "object" ? [graph.nodes, graph.edges] : graph,
+      u: uncertainty ? [uncertainty.enabled, uncertainty.samples, uncertainty.seed, uncertainty.dists] : undefined,
+      b: params.get("b") ? [budgetMode, budgetValue] : undefined,
+      v: params.get("v") ?? undefined,
+      x: params.get("lx") === "1" ? 1 : undefined,
+      // Roster and graph stay in their old object shapes, which unpackScenario also reads.
+      s: Array.isArray(scenarios)
+        ? scenarios.map((x) =>
+            x && typeof x === "object" && !Array.isArray(x)
+              ? { i: x.id, m: x.name, n: x.n, a: x.autonomy, k: x.k, t: x.topology, p: packParams(x.params ?? {}), r: x.roster, g: x.graph }
+              : x
+          )
+        : scenarios,
+    };
+  },
+};
+
+/** Query string (without the leading "?") for the given view state. */
+export function encodeShareQuery({ n, autonomy, k, topology, model, modelParams, roster, graph, composite, mitigations, uncertainty, budget, policy, view, logX, scenarios }) {
+  const payload = {
+    ...packScenario({ n, autonomy, k, topology, model, params: modelParams, roster, graph, composite, mitigations }),
+    ...(uncertainty?.enabled || Object.keys(uncertainty?.dists || {}).length
+      ? { u: [uncertainty.enabled ? 1 : 0, uncertainty.samples, uncertainty.seed, uncertainty.dists] }
+      : {}),
+    ...(budget?.enabled ? { b: [budget.mode, budget.value] } : {}),
+    ...(policy?.enabled
+      ? { po: [policy.amber, policy.red, Object.entries(policy.byAutonomy ?? {}).map(([level, t]) => [Number(level), t.amber, t.red])] }
+      : {}),
+    ...(view && view !== "linear" ? { v: view } : {}),
+    ...(logX ? { x: 1 } : {}),
+    ...(scenarios?.length ? { s: scenarios.map((s) => packScenario(s, modelParams)) } : {}),
+  };
+  const bytes = deflateRaw(new TextEncoder().encode(JSON.stringify(payload)));
+  return `s=${SHARE_VERSION}.${bytesToBase64Url(bytes)}`;
+}
+
+// The version and raw payload of a link, before migration.
+function readPayload(params, notices) {
+  const s = params.get("s");
+  if (s == null) return { version: 1, data: params };
+  // Version 1 had no `s` parameter, so the compact form starts at 2.
+  const m = /^(\d+)\.(.*)$/.exec(s);
+  if (!m || Number(m[1]) < 2) {
+    notices.push("The link's data is not in a format this app knows, so defaults are shown.");
+    return null;
+  }
+  const version = Number(m[1]);
+  if (version > SHARE_VERSION) {
+    notices.push(`This link was made by a newer version of the app (format ${version}), so defaults are shown.`);
+    return null;
+  }
+  try {
+    const data = JSON.parse(new TextDecoder().decode(inflateRaw(base64UrlToBytes(m[2]))));
+    if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("not an object");
+    return { version, data };
+  } catch {
+    notices.push("The link's data is damaged or truncated, so defaults are shown.");
+    return null;
+  }
+}
+
+/**
+ * Inverse of encodeShareQuery, for links of any version. Returns
+ * { state, notices, version }: `state` as decodeShareQuery returns it and
+ * `notices` listing what was fixed or dropped. `version` is the link's format.
+ */
+export function decodeShareLink(search) {
+  const notices = [];
+  const read = readPayload(new URLSearchParams(search), notices);
+  let data = {};
+  if (read) {
+    data = read.data;
+    for (let v = read.version; v < SHARE_VERSION; v += 1) data = MIGRATIONS[v](data, notices);
+  }
+
+  const given = (v) => v !== undefined && v !== null && v !== "";
+
+  // The top-level controls share the scenario rules, roster and graph included.
+  const rawTop = unpackScenario({ ...data, i: undefined, m: undefined }, undefined);
+  const top = sanitizeScenario({ ...rawTop, roster: rawTop.roster ?? [] }, "");
+  for (const fix of scenarioFixes(rawTop, top)) notices.push(`Controls: ${fix}.`);
+  const { n, autonomy, k, topology, model, params: modelParams, roster, graph, composite, mitigations } = top;
+
+  const u = Array.isArray(data.u) ? data.u : [];
+  const uncertainty = sanitizeUncertainty({ enabled: Boolean(u[0]), samples: u[1], seed: u[2], dists: u[3] });
+
+  const b = Array.isArray(data.b) ? data.b : null;
+  const budget = sanitizeBudget(b ? { enabled: true, mode: b[0], value: b[1] } : null);
+  if (b && !BUDGET_MODES.some((m) => m.value === b[0])) notices.push(`Budget: unknown mode "${b[0]}", used ${budget.mode}.`);
+
+  const po = Array.isArray(data.po) ? data.po : null;
+  const overrides = Array.isArray(po?.[2]) ? po[2].filter(Array.isArray) : [];
+  const policy = sanitizePolicy(
+    po ? { enabled: true, amber: po[0], red: po[1], byAutonomy: Object.fromEntries(overrides.map(([level, amber, red]) => [level, { amber, red }])) } : null
+  );
+  if (overrides.length > Object.keys(policy.byAutonomy).length) notices.push("Policy: overrides for unknown autonomy levels were left out.");
+
+  const view = chartView(data.v).value;
+  if (given(data.v) && data.v !== view) notices.push(`Chart view "${data.v}" is unknown, showing ${chartView(view).label}.`);
+  const logX = data.x === 1 || data.x === "1";
+
+  let scenarios = [];
+  if (given(data.s) && !Array.isArray(data.s)) notices.push("The link's scenario list could not be read and was left out.");
+  if (Array.isArray(data.s)) {
+    data.s.forEach((o, idx) => {
+      if (!o || typeof o !== "object" || Array.isArray(o)) {
+        notices.push(`Scenario ${idx + 1} could not be read and was left out.`);
+        return;
+      }
+      const raw = unpackScenario(o, modelParams);
+      const clean = sanitizeScenario(raw, "Scenario");
+      for (const fix of scenarioFixes(raw, clean)) notices.push(`Scenario ${idx + 1} (${clean.name}): ${fix}.`);
+      scenarios.push(clean);
+    });
+    if (scenarios.length > MAX_SCENARIOS) notices.push(`The link has ${scenarios.length} scenarios; only the first ${MAX_SCENARIOS} are shown.`);
+    scenarios = scenarios.slice(0, MAX_SCENARIOS);
+  }
+
+  return {
+    state: { n, autonomy, k, topology, model, modelParams, roster, graph, composite, mitigations, uncertainty, budget, policy, view, logX, scenarios },
+    notices,
+    version: read?.version ?? null,
+  };
+}
+
+/** Inverse of encodeShareQuery. Anything missing or invalid falls back to defaults. */
+export function decodeShareQuery(search) {
+  return decodeShareLink(search).state;
+}
@@ -0,0 +1,202 @@
+import { describe, expect, it } from "vitest";
+import { SHARE_VERSION, decodeShareLink, decodeShareQuery, encodeShareQuery } from "./share.js";
+import { DEFAULTS } from "./model.js";
+import { DEFAULT_UNCERTAINTY } from "./uncertainty.js";
+import { DEFAULT_BUDGET } from "./budget.js";
+import { DEFAULT_POLICY } from "./policy.js";
+
+const state = {
+  n: 120,
+  autonomy: 7,
+  k: 4,
+  topology: "hub",
+  model: "classic",
+  modelParams: { ...DEFAULTS, gamma: 0.2 },
+  roster: [],
+  graph: null,
+  composite: null,
+  mitigations: [],
+  uncertainty: DEFAULT_UNCERTAINTY,
+  budget: DEFAULT_BUDGET,
+  policy: DEFAULT_POLICY,
+  view: "linear",
+  logX: false,
+  scenarios: [
+    { id: "a", name: "Pilot ✓", n: 10, autonomy: 3, k: 1, topology: "pipeline", model: "classic", params: DEFAULTS, roster: [], graph: null, composite: null, mitigations: [] },
+  ],
+};
+
+describe("share query", () => {
+  it("round-trips view state and scenarios", () => {
+    expect(decodeShareQuery(encodeShareQuery(state))).toEqual(state);
+  });
+
+  it("falls back to defaults for missing or invalid values", () => {
+    const decoded = decodeShareQuery("?n=99999&a=0&k=-3&t=ring&sc=not-base64");
+    expect(decoded).toEqual({
+      n: 50000,
+      autonomy: 1,
+      k: 0,
+      topology: "bounded",
+      model: "classic",
+      modelParams: DEFAULTS,
+      roster: [],
+      graph: null,
+      composite: null,
+      mitigations: [],
+      uncertainty: DEFAULT_UNCERTAINTY,
+      budget: DEFAULT_BUDGET,
+      policy: DEFAULT_POLICY,
+      view: "linear",
+      logX: false,
+      scenarios: [],
+    });
+  });
+
+  it("round-trips a roster, which sets n and autonomy", () => {
+    const roster = [{ count: 40, autonomy: 3 }, { count: 5, autonomy: 9 }];
+    const mixed = { ...state, n: 45, autonomy: 4, roster, scenarios: [{ ...state.scenarios[0], n: 45, autonomy: 4, roster }] };
+    expect(decodeShareQuery(encodeShareQuery(mixed))).toEqual(mixed);
+  });
+
+  it("round-trips a custom graph and caps n at its size", () => {
+    const graph = { nodes: ["orch", "w1", "w2"], edges: [[1, 2], [1, 3]] };
+    const custom = {
+      ...state,
+      n: 3,
+      k: 2,
+      topology: "custom",
+      graph,
+      scenarios: [{ ...state.scenarios[0], n: 3, topology: "custom", graph }],
+    };
+    expect(decodeShareQuery(encodeShareQuery(custom))).toEqual(custom);
+    expect(decodeShareQuery(encodeShareQuery({ ...custom, n: 50 })).n).toBe(3);
+  });
+
+  it("round-trips the Monte Carlo spec and seed", () => {
+    const uncertainty = { enabled: true, samples: 500, seed: 1234, dists: { alpha: { type: "uniform", min: 0.2, max: 0.4 } } };
+    expect(decodeShareQuery(encodeShareQuery({ ...state, uncertainty })).uncertainty).toEqual(uncertainty);
+  });
+
+  it("round-trips the risk budget while it is on", () => {
+    const budget = { enabled: true, mode: "absolute", value: 2500 };
+    expect(decodeShareQuery(encodeShareQuery({ ...state, budget })).budget).toEqual(budget);
+    expect(decodeShareQuery(encodeShareQuery({ ...state, budget: { ...budget, enabled: false } })).budget).toEqual(DEFAULT_BUDGET);
+  });
+
+  it("round-trips policy bands and per-autonomy overrides while they are on", () => {
+    const policy = { enabled: true, amber: 2, red: 8, byAutonomy: { 7: { amber: 1.5, red: 4 } } };
+    expect(decodeShareQuery(encodeShareQuery({ ...state, policy })).policy).toEqual(policy);
+    expect(decodeShareQuery(encodeShareQuery({ ...state, policy: { ...policy, enabled: false } })).policy).toEqual(DEFAULT_POLICY);
+    const { state: decoded, notices } = decodeShareLink(`?${encodeShareQuery({ ...state, policy: { ...policy, byAutonomy: { 7: { amber: 1, red: 4 }, 12: { amber: 1, red: 2 } } } })}`);
+    expect(decoded.policy.byAutonomy).toEqual({ 7: { amber: 1, red: 4 } });
+    expect(notices).toEqual(["Policy: overrides for unknown autonomy levels were left out."]);
+  });
+
+  it("round-trips the chart view and log x-axis", () => {
+    const query = encodeShareQuery({ ...state, view: "multiple", logX: true });
+    expect(decodeShareQuery(query)).toMatchObject({ view: "multiple", logX: true });
+    expect(decodeShareQuery("?v=pie").view).toBe("linear");
+  });
+
+  it("falls back to the default topology when a custom graph is missing", () => {
+    const decoded = decodeShareQuery(encodeShareQuery({ ...state, topology: "custom", graph: null }));
+    expect(decoded.topology).toBe("bounded");
+  });
+
+  it("round-trips mitigation sets and reports unknown ones", () => {
+    const mitigated = { ...state, mitigations: ["approval", "breaker"], scenarios: [{ ...state.scenarios[0], mitigations: ["sandbox"] }] };
+    expect(decodeShareQuery(encodeShareQuery(mitigated))).toEqual(mitigated);
+    const { state: decoded, notices } = decodeShareLink(encodeShareQuery({ ...state, mitigations: ["breaker", "prayer"] }));
+    expect(decoded.mitigations).toEqual(["breaker"]);
+    expect(notices).toEqual(["Controls: unknown mitigation prayer ignored."]);
+  });
+
+  it("round-trips each curve's risk model with its own parameters", () => {
+    const edges = { ...state, model: "edges", modelParams: { r0: 1, beta: 2.5 } };
+    const logistic = { r0: 1, loadL: 1.3, alpha: 0.3, cmax: 40, kappa: 0.3, c0: 20 };
+    const mixed = { ...edges, scenarios: [{ ...state.scenarios[0], model: "logistic", params: logistic }] };
+    expect(decodeShareQuery(encodeShareQuery(mixed))).toEqual(mixed);
+    const { state: decoded, notices } = decodeShareLink(encodeShareQuery({ ...state, model: "oracle" }));
+    expect(decoded.model).toBe("classic");
+    expect(notices).toEqual(['Controls: unknown model "oracle", used classic.']);
+  });
+
+  it("clamps scenario k to n - 1", () => {
+    const query = encodeShareQuery({ ...state, scenarios: [{ ...state.scenarios[0], k: 50 }] });
+    expect(decodeShareQuery(query).scenarios[0].k).toBe(9);
+  });
+
+  it("is a single versioned, compact parameter", () => {
+    const many = Array.from({ length: 8 }, (_, i) => ({ ...state.scenarios[0], id: `s${i}`, name: `Quarterly rollout candidate number ${i + 1}` }));
+    const query = encodeShareQuery({ ...state, scenarios: many });
+    expect(query).toMatch(new RegExp(`^s=${SHARE_VERSION}\\.[A-Za-z0-9_-]+$`));
+    const legacyLength = JSON.stringify(many).length * 1.4;
+    expect(query.length).toBeLessThan(legacyLength / 3);
+    expect(decodeShareQuery(query).scenarios.map((s) => s.name)).toEqual(many.map((s) => s.name));
+  });
+});
+
+describe("share link versions", () => {
+  const b64 = (value) => btoa(unescape(encodeURIComponent(JSON.stringify(value))));
+
+  it("opens version 1 links with one parameter per field", () => {
+    const legacy = new URLSearchParams({
+      n: "45",
+      a: "4",
+      k: "4",
+      t: "hub",
+      r0: "1",
+      L: "1.3",
+      alpha: "0.3",
+      gamma: "0.2",
+      r: "40x3,5x9",
+      mc: b64({ enabled: true, samples: 500, seed: 7, dists: {} }),
+      b: "absolute:2500",
+      v: "multiple",
+      lx: "1",
+      sc: b64([{ id: "a", name: "Pilot ✓", n: 10, autonomy: 3, k: 1, topology: "pipeline", params: DEFAULTS }]),
+    });
+    const { state: decoded, notices, version } = decodeShareLink(`?${legacy}`);
+    expect(version).toBe(1);
+    expect(notices).toEqual([]);
+    expect(decoded).toEqual({
+      ...state,
+      n: 45,
+      autonomy: 4,
+      roster: [{ count: 40, autonomy: 3 }, { count: 5, autonomy: 9 }],
+      uncertainty: { enabled: true, samples: 500, seed: 7, dists: {} },
+      budget: { enabled: true, mode: "absolute", value: 2500 },
+      view: "multiple",
+      logX: true,
+    });
+    expect(decodeShareQuery(encodeShareQuery(decoded))).toEqual(decoded);
+  });
+
+  it("lists what a partly invalid link lost", () => {
+    const { state: decoded, notices } = decodeShareLink("?n=99999&t=ring&r=lots&g=%%%&sc=" + b64([{ name: "Big", n: 10, k: 50 }, 3]));
+    expect(decoded.n).toBe(50000);
+    expect(decoded.scenarios).toHaveLength(1);
+    expect(notices).toEqual([
+      "The link's custom graph could not be read and was left out.",
+      "Controls: roster is invalid and was ignored.",
+      'Controls: unknown topology "ring", used bounded.',
+      "Controls: n=99999 is invalid or out of range, used 50000.",
+      "Scenario 1 (Big): k=50 is invalid or out of range, used 9.",
+      "Scenario 2 could not be read and was left out.",
+    ]);
+  });
+
+  it("reports damaged, unknown and newer links instead of failing", () => {
+    const query = encodeShareQuery(state);
+    for (const [search, pattern] of [
+      [query.slice(0, 20), /damaged/],
+      ["?s=abc", /not in a format/],
+      [`?s=${SHARE_VERSION + 1}.AAAA`, /newer version/],
+    ]) {
+      const { state: decoded, notices } = decodeShareLink(search);
+      expect(decoded.n).toBe(30);
+      expect(notices[0]).toMatch(pattern);
+    }
+  });
+});
@@ -0,0 +1,193 @@
+import { clamp, safeFloat, safeInt } from "./util.js";
+import { sanitizeParams } from "./model.js";
+import { topologyStructure } from "./topology.js";
+import { inputRange, meanAutonomy, scenarioTerms, sensitivityInputs, withInput } from "./sensitivity.js";
+import { modelParamSpecs } from "./registry.js";
+import { NL } from "./csv.js";
+
+/*
+ * Two-input sweeps: the risk multiple at the scenario's own n over a grid of
+ * two inputs, every other input fixed at the scenario's value. Inputs move the
+ * way they do in the sensitivity analysis, so a roster's or composite's
+ * autonomies scale with A.
+ */
+
+export const MAX_SWEEP_STEPS = 30;
+export const MAX_SWEEP_THRESHOLDS = 5;
+
+export const DEFAULT_SWEEP = {
+  x: "autonomy",
+  y: "k",
+  steps: 12,
+  thresholds: [5, 10, 50],
+};
+
+/**
+ * Inputs a sweep can vary in `scenario`: n, autonomy, k, then the parameters
+ * of its model. A roster or composite fixes n, and k has no effect on the
+ * custom and composite topologies, so those are left out.
+ */
+export function sweepAxes(scenario) {
+  const fixedN = scenario.roster?.length > 0 || scenario.topology === "composite";
+  const noK = topologyStructure(scenario.topology) != null;
+  return sensitivityInputs(scenario.model)
+    .filter((input) => input.kind !== "enum" && !(input.key === "n" && fixedN) && !(input.key === "k" && noK))
+    .map((input) => ({ ...input, ...inputRange(scenario, input.key) }));
+}
+
+function currentValue(scenario, key) {
+  if (key === "autonomy") return meanAutonomy(scenario);
+  if (key === "n" || key === "k") return scenario[key];
+  return sanitizeParams(scenario.params, scenario.model)[key];
+}
+
+// Default range: the whole 1-10 autonomy scale, else half to double the current value.
+function defaultRange(scenario, axis) {
+  if (axis.key === "autonomy") return [axis.min, axis.max];
+  const x = currentValue(scenario, axis.key);
+  if (!(x > 0)) return [axis.min, axis.min + (axis.max - axis.min) / 10];
+  return [clamp(x / 2, axis.min, axis.max), clamp(x * 2, axis.min, axis.max)];
+}
+
+function axisValues(axis, lo, hi, steps) {
+  const values = [];
+  for (let i = 0; i < steps; i += 1) {
+    const v = lo + ((hi - lo) * i) / (steps - 1);
+    values.push(axis.kind === "int" ? Math.round(v) : +v.toPrecision(6));
+  }
+  return [...new Set(values)];
+}
+
+/**
+ * Sweep settings for `scenario`: `x` and `y` are distinct keys from
+ * sweepAxes, `xMin`/`xMax` and `yMin`/`yMax` default to defaultRange and are
+ * clamped to the input's range, `steps` (2 to MAX_SWEEP_STEPS) is the number
+ * of values per axis and `thresholds` are up to MAX_SWEEP_THRESHOLDS positive
+ * multiples for the contour lines, from an array or "5, 10, 50".
+ */
+export function sanitizeSweep(raw, scenario) {
+  const axes = sweepAxes(scenario);
+  const find = (key) => axes.find((a) => a.key === key);
+  const x = find(raw?.x) ?? find(DEFAULT_SWEEP.x) ?? axes[0];
+  const y = find(raw?.y) && raw.y !== x.key ? find(raw.y) : axes.find((a) => a.key !== x.key && a.key === DEFAULT_SWEEP.y) ?? axes.find((a) => a.key !== x.key);
+  const range = (axis, min, max) => {
+    const [dMin, dMax] = defaultRange(scenario, axis);
+    const lo = clamp(safeFloat(min, dMin), axis.min, axis.max);
+    const hi = clamp(safeFloat(max, dMax), axis.min, axis.max);
+    return lo <= hi ? [lo, hi] : [hi, lo];
+  };
+  const [xMin, xMax] = range(x, raw?.xMin, raw?.xMax);
+  const [yMin, yMax] = range(y, raw?.yMin, raw?.yMax);
+  const list = Array.isArray(raw?.thresholds) ? raw.thresholds : String(raw?.thresholds ?? DEFAULT_SWEEP.thresholds.join(",")).split(/[,;\s]+/);
+  const thresholds = [...new Set(list.map((t) => safeFloat(t, NaN)).filter((t) => t > 0))].sort((a, b) => a - b).slice(0, MAX_SWEEP_THRESHOLDS);
+  return {
+    x: x.key,
+    y: y.key,
+    xMin,
+    xMax,
+    yMin,
+    yMax,
+    steps: clamp(safeInt(raw?.steps, DEFAULT_SWEEP.steps), 2, MAX_SWEEP_STEPS),
+    thresholds,
+  };
+}
+
+/**
+ * The scenario at one sweep point: `scenario` with inputs `x` and `y` set to
+ * `xValue` and `yValue`. Scaled roster and cluster autonomies are rounded to
+ * whole levels, as sanitizeScenario keeps them, so a cell loads as the
+ * scenario it was computed from.
+ */
+export function sweepScenario(scenario, spec, xValue, yValue) {
+  const params = sanitizeParams(scenario.params, scenario.model);
+  const point = withInput(withInput({ ...scenario, params }, spec.x, xValue), spec.y, yValue);
+  const whole = (g) => ({ ...g, autonomy: Math.round(g.autonomy) });
+  if (point.roster?.length) return { ...point, roster: point.roster.map(whole) };
+  if (point.composite) return { ...point, composite: { ...point.composite, clusters: point.composite.clusters.map(whole) } };
+  return point;
+}
+
+/**
+ * The sweep grid for a spec from sanitizeSweep. `x` and `y` hold each axis's
+ * `key`, `label` and `values` (integer inputs are rounded, so an axis can have
+ * fewer than `steps` values) and the scenario's `current` value. `cells[j][i]`
+ * is { risk, multiple } at y.values[j] and x.values[i], where `risk` is R(n)
+ * at the scenario's n and `multiple` is null when n·r0 is 0. `min` and `max`
+ * are the smallest and largest multiples.
+ */
+export function sweepGrid(scenario, spec) {
+  const axes = sweepAxes(scenario);
+  const axis = (key, lo, hi) => {
+    const a = axes.find((b) => b.key === key);
+    return { key, label: a.label, values: axisValues(a, lo, hi, spec.steps), current: currentValue(scenario, key) };
+  };
+  const x = axis(spec.x, spec.xMin, spec.xMax);
+  const y = axis(spec.y, spec.yMin, spec.yMax);
+  let min = Infinity;
+  let max = -Infinity;
+  const cells = y.values.map((yv) =>
+    x.values.map((xv) => {
+      const s = sweepScenario(scenario, spec, xv, yv);
+      const risk = scenarioTerms(s).total;
+      const baseline = s.n * s.params.r0;
+      const multiple = baseline > 0 ? risk / baseline : null;
+      if (multiple != null) {
+        min = Math.min(min, multiple);
+        max = Math.max(max, multiple);
+      }
+      return { risk, multiple };
+    })
+  );
+  return { x, y, cells, min: Number.isFinite(min) ? min : null, max: Number.isFinite(max) ? max : null };
+}
+
+// Crossing point of `level` between two grid corners, or null when both lie on one side.
+function crossing(a, b, level) {
+  const [ax, ay, av] = a;
+  const [bx, by, bv] = b;
+  if (av == null || bv == null || (av < level) === (bv < level)) return null;
+  const t = (level - av) / (bv - av);
+  return [ax + t * (bx - ax), ay + t * (by - ay)];
+}
+
+/**
+ * Contour line of the risk multiple at `level` by marching squares, as
+ * segments [x1, y1, x2, y2] in grid index units (cell i, j is at x = i,
+ * y = j). Saddle cells are split by the mean of their corners.
+ */
+export function sweepContour(grid, level) {
+  const segments = [];
+  const at = (i, j) => [i, j, grid.cells[j][i].multiple];
+  for (let j = 0; j + 1 < grid.cells.length; j += 1) {
+    for (let i = 0; i + 1 < grid.cells[j].length; i += 1) {
+      const corners = [at(i, j), at(i + 1, j), at(i + 1, j + 1), at(i, j + 1)];
+      const points = [0, 1, 2, 3].map((e) => crossing(corners[e], corners[(e + 1) % 4], level));
+      const hits = points.filter(Boolean);
+      if (hits.length === 2) {
+        segments.push([...hits[0], ...hits[1]]);
+      } else if (hits.length === 4) {
+        const mean = corners.reduce((sum, c) => sum + c[2], 0) / 4;
+        // Join the edges around the corners on the other side of `level` from the centre.
+        const pairs = (corners[0][2] < level) === (mean < level) ? [[0, 1], [2, 3]] : [[3, 0], [1, 2]];
+        for (const [a, b] of pairs) segments.push([...points[a], ...points[b]]);
+      }
+    }
+  }
+  return segments;
+}
+
+function csvName(key, model) {
+  return modelParamSpecs(model).find((p) => p.key === key)?.csv ?? key;
+}
+
+/** The grid as CSV: one row per cell with both inputs, R(n) and the multiple. */
+export function sweepToCsv(grid, model) {
+  const lines = [[csvName(grid.x.key, model), csvName(grid.y.key, model), "risk", "multiple"].join(",")];
+  grid.y.values.forEach((yv, j) => {
+    grid.x.values.forEach((xv, i) => {
+      const cell = grid.cells[j][i];
+      lines.push([xv, yv, cell.risk, cell.multiple ?? ""].join(","));
+    });
+  });
+  return lines.join(NL);
+}
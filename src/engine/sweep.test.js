@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { sanitizeSweep, sweepAxes, sweepContour, sweepGrid, sweepScenario, sweepToCsv } from "./sweep.js";
+import { sanitizeScenario } from "./scenario.js";
+import { finalRiskMultiple } from "./sensitivity.js";
+import { riskAgentsEdges } from "./model.js";
+
+const base = sanitizeScenario({ n: 30, autonomy: 5, k: 3, topology: "bounded" });
+
+describe("sweep settings", () => {
+  it("offers n, autonomy, k and the model's parameters, minus inputs the scenario fixes", () => {
+    expect(sweepAxes(base).map((a) => a.key)).toEqual(["n", "autonomy", "k", "r0", "loadL", "alpha", "gamma"]);
+    const roster = sanitizeScenario({ roster: [{ count: 20, autonomy: 3 }], k: 2, model: "edges" });
+    expect(sweepAxes(roster).map((a) => a.key)).toEqual(["autonomy", "k", "r0", "beta"]);
+  });
+
+  it("defaults ranges around the current values and cleans bad input", () => {
+    expect(sanitizeSweep({}, base)).toEqual({ x: "autonomy", y: "k", xMin: 1, xMax: 10, yMin: 1.5, yMax: 6, steps: 12, thresholds: [5, 10, 50] });
+    const spec = sanitizeSweep({ x: "gamma", y: "gamma", xMin: "0.5", xMax: "9", steps: 99, thresholds: "20, x; 2 2 -1" }, base);
+    expect(spec).toMatchObject({ x: "gamma", y: "k", xMin: 0.5, xMax: 5, steps: 30, thresholds: [2, 20] });
+    expect(sanitizeSweep({ x: "n", xMin: 60, xMax: 10 }, base)).toMatchObject({ xMin: 10, xMax: 60 });
+  });
+});
+
+describe("sweepGrid", () => {
+  it("evaluates the multiple at every point with the other inputs fixed", () => {
+    const spec = sanitizeSweep({ x: "autonomy", y: "alpha", xMin: 2, xMax: 8, yMin: 0, yMax: 1, steps: 4 }, base);
+    const grid = sweepGrid(base, spec);
+    expect(grid.x.values).toEqual([2, 4, 6, 8]);
+    expect(grid.y.values).toEqual([0, 0.333333, 0.666667, 1]);
+    expect(grid.x.current).toBe(5);
+    const cell = grid.cells[3][2];
+    const risk = riskAgentsEdges({ n: 30, k: 3, topology: "bounded", autonomyScore: 6, r0: 1, loadL: 1.3, alpha: 1, gamma: 0.12 });
+    expect(cell.risk).toBeCloseTo(risk, 9);
+    expect(cell.multiple).toBeCloseTo(risk / 30, 9);
+    expect(grid.max).toBe(grid.cells[3][3].multiple);
+    expect(finalRiskMultiple(sweepScenario(base, spec, 6, 1))).toBeCloseTo(cell.multiple, 9);
+  });
+
+  it("rounds integer axes and drops repeated values", () => {
+    const grid = sweepGrid(base, sanitizeSweep({ x: "k", xMin: 0, xMax: 3, steps: 10 }, base));
+    expect(grid.x.values).toEqual([0, 1, 2, 3]);
+  });
+
+  it("scales a roster's autonomies when A moves", () => {
+    const roster = sanitizeScenario({ roster: [{ count: 20, autonomy: 2 }, { count: 10, autonomy: 8 }], k: 3 });
+    const spec = sanitizeSweep({ x: "autonomy", y: "alpha" }, roster);
+    const point = sweepScenario(roster, spec, 2, 0.3);
+    expect(point.roster.map((g) => g.autonomy)).toEqual([1, 4]);
+    expect(point.params.alpha).toBe(0.3);
+  });
+
+  it("rounds scaled roster autonomies so a clicked cell loads as computed", () => {
+    const roster = sanitizeScenario({ roster: [{ count: 20, autonomy: 3 }, { count: 10, autonomy: 8 }], k: 3 });
+    const spec = sanitizeSweep({ x: "autonomy", y: "alpha", steps: 4 }, roster);
+    const grid = sweepGrid(roster, spec);
+    expect(sweepScenario(roster, spec, 2, 0.3).roster.map((g) => g.autonomy)).toEqual([1, 3]);
+    grid.cells.forEach((row, j) =>
+      row.forEach((cell, i) => {
+        const loaded = sanitizeScenario(sweepScenario(roster, spec, grid.x.values[i], grid.y.values[j]));
+        expect(finalRiskMultiple(loaded)).toBeCloseTo(cell.multiple, 9);
+      })
+    );
+  });
+});
+
+describe("sweepContour", () => {
+  const grid = (rows) => ({ cells: rows.map((r) => r.map((multiple) => ({ multiple }))) });
+
+  it("interpolates the level along cell edges", () => {
+    expect(sweepContour(grid([[0, 10], [0, 10]]), 5)).toEqual([[0.5, 0, 0.5, 1]]);
+    expect(sweepContour(grid([[0, 0], [0, 0]]), 5)).toEqual([]);
+  });
+
+  it("splits saddle cells by the mean of their corners", () => {
+    const high = sweepContour(grid([[10, 0], [0, 10]]), 4);
+    const low = sweepContour(grid([[10, 0], [0, 10]]), 6);
+    expect(high).toHaveLength(2);
+    expect(low).toHaveLength(2);
+    // Below the mean (5) the high corners join through the centre, so the low corners are cut off.
+    expect(high).toContainEqual([0.6, 0, 1, 0.4]);
+    expect(low).toContainEqual([0, 0.4, 0.4, 0]);
+  });
+});
+
+describe("sweepToCsv", () => {
+  it("exports one CSV row per cell", () => {
+    const spec = sanitizeSweep({ x: "loadL", y: "autonomy", xMin: 1, xMax: 2, yMin: 4, yMax: 5, steps: 2 }, base);
+    const lines = sweepToCsv(sweepGrid(base, spec), base.model).split("\r\n");
+    expect(lines[0]).toBe("L,autonomy,risk,multiple");
+    expect(lines).toHaveLength(5);
+    expect(lines[4].startsWith("2,5,")).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+import { graphEdgesUpTo, graphNeighborsBefore } from "./graph.js";
+
+// `structure` names the scenario field a topology reads its agents and edges
+// from; the others are closed forms in n and k.
+export const TOPOLOGIES = [
+  { value: "bounded", label: "Bounded degree (k)" },
+  { value: "mesh", label: "Full mesh" },
+  { value: "hub", label: "Hub-and-spoke" },
+  { value: "pipeline", label: "Pipeline" },
+  { value: "custom", label: "Custom graph", structure: "graph" },
+  { value: "composite", label: "Composite (clusters)", structure: "composite" },
+];
+
+export function isTopology(value) {
+  return TOPOLOGIES.some((t) => t.value === value);
+}
+
+/** The scenario field ("graph", "composite") a topology needs, or null for the closed forms. */
+export function topologyStructure(value) {
+  return TOPOLOGIES.find((t) => t.value === value)?.structure ?? null;
+}
+
+export function topoLabel(value) {
+  return TOPOLOGIES.find((t) => t.value === value)?.label || value;
+}
+
+// Closed form of sum over i = 2..n of min(k, i - 1): a triangle up to k, then k per agent.
+export function edgesBoundedK(n, k) {
+  if (k <= 0 || n < 2) return 0;
+  if (n - 1 <= k) return (n * (n - 1)) / 2;
+  return (k * (k + 1)) / 2 + k * (n - 1 - k);
+}
+
+export function edgesFullMesh(n) {
+  return (n * (n - 1)) / 2;
+}
+
+// Each agent after the first links to the hub, plus min(k - 1, i - 2) recent agents:
+// the extra links form a bounded-degree graph over agents 2..n.
+export function edgesHubAndSpoke(n, k) {
+  if (k <= 0 || n < 2) return 0;
+  return n - 1 + edgesBoundedK(n - 1, k - 1);
+}
+
+export function edgesPipeline(n, k) {
+  if (k <= 0) return 0;
+  return Math.max(0, n - 1);
+}
+
+/**
+ * E(n). The custom topology reads edges from `graph` and ignores k. Composite
+ * topologies are counted by compositeSeries, not here.
+ */
+export function computeEdges(n, k, topology, graph) {
+  switch (topology) {
+    case "custom":
+      return graph ? graphEdgesUpTo(graph, n) : 0;
+    case "mesh":
+      return edgesFullMesh(n);
+    case "hub":
+      return edgesHubAndSpoke(n, k);
+    case "pipeline":
+      return edgesPipeline(n, k);
+    case "bounded":
+    default:
+      return edgesBoundedK(n, k);
+  }
+}
+
+/**
+ * Earlier agents that agent i (1-based) connects to when it joins, as inclusive
+ * [from, to] ranges. Summing the range sizes for i = 2..n gives computeEdges(n, k, topology).
+ * Bounded and hub connect to the most recent agents; the hub is agent 1.
+ */
+export function neighborRanges(i, k, topology, graph) {
+  if (i < 2) return [];
+  switch (topology) {
+    case "custom":
+      return graph ? graphNeighborsBefore(graph, i).map((j) => [j, j]) : [];
+    case "mesh":
+      return [[1, i - 1]];
+    case "hub": {
+      if (k <= 0) return [];
+      const extra = Math.min(Math.max(0, k - 1), i - 2);
+      return extra > 0 ? [[1, 1], [i - extra, i - 1]] : [[1, 1]];
+    }
+    case "pipeline":
+      return k <= 0 ? [] : [[i - 1, i - 1]];
+    case "bounded":
+    default: {
+      const m = Math.min(k, i - 1);
+      return m > 0 ? [[i - m, i - 1]] : [];
+    }
+  }
+}
+
+export function neighborsBefore(i, k, topology, graph) {
+  const out = [];
+  for (const [from, to] of neighborRanges(i, k, topology, graph)) {
+    for (let j = from; j <= to; j += 1) out.push(j);
+  }
+  return out;
+}
+
+/** Every edge among the first n agents as [earlier, later] pairs, in join order. */
+export function generateEdges(n, k, topology, graph) {
+  const edges = [];
+  for (let i = 2; i <= n; i += 1) {
+    for (const j of neighborsBefore(i, k, topology, graph)) edges.push([j, i]);
+  }
+  return edges;
+}
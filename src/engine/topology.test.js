@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { computeEdges, edgesFullMesh, generateEdges, isTopology, neighborRanges, TOPOLOGIES } from "./topology.js";
+
+const edgesUpTo = (n, k, topology) => Array.from({ length: n }, (_, i) => computeEdges(i + 1, k, topology));
+
+describe("computeEdges", () => {
+  it("pins E(n) for n = 1..8 with k = 3", () => {
+    expect(edgesUpTo(8, 3, "bounded")).toEqual([0, 1, 3, 6, 9, 12, 15, 18]);
+    expect(edgesUpTo(8, 3, "mesh")).toEqual([0, 1, 3, 6, 10, 15, 21, 28]);
+    expect(edgesUpTo(8, 3, "hub")).toEqual([0, 1, 3, 6, 9, 12, 15, 18]);
+    expect(edgesUpTo(8, 3, "pipeline")).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it("has no edges when k = 0, except full mesh", () => {
+    expect(computeEdges(20, 0, "bounded")).toBe(0);
+    expect(computeEdges(20, 0, "hub")).toBe(0);
+    expect(computeEdges(20, 0, "pipeline")).toBe(0);
+    expect(computeEdges(20, 0, "mesh")).toBe(edgesFullMesh(20));
+  });
+
+  it("bounded degree with k >= n - 1 matches full mesh", () => {
+    expect(computeEdges(40, 39, "bounded")).toBe(edgesFullMesh(40));
+  });
+
+  it("closed forms match summing neighborRanges agent by agent", () => {
+    for (const topology of ["bounded", "hub", "pipeline", "mesh"]) {
+      for (const k of [0, 1, 2, 5, 17]) {
+        let edges = 0;
+        for (let n = 1; n <= 60; n += 1) {
+          for (const [from, to] of neighborRanges(n, k, topology)) edges += to - from + 1;
+          expect(computeEdges(n, k, topology)).toBe(edges);
+        }
+      }
+    }
+  });
+
+  it("handles 50,000 agents exactly", () => {
+    expect(computeEdges(50000, 3, "bounded")).toBe(149994);
+    expect(computeEdges(50000, 3, "hub")).toBe(149994);
+    expect(computeEdges(50000, 3, "mesh")).toBe(1249975000);
+  });
+
+  it("falls back to bounded degree for unknown topologies", () => {
+    expect(computeEdges(10, 2, "nope")).toBe(computeEdges(10, 2, "bounded"));
+  });
+});
+
+describe("isTopology", () => {
+  it("accepts every listed topology and nothing else", () => {
+    for (const t of TOPOLOGIES) expect(isTopology(t.value)).toBe(true);
+    expect(isTopology("ring")).toBe(false);
+    expect(isTopology(undefined)).toBe(false);
+  });
+});
+
+describe("generateEdges", () => {
+  it("produces exactly computeEdges(n) distinct edges", () => {
+    for (const topology of ["bounded", "mesh", "hub", "pipeline"]) {
+      const edges = generateEdges(30, 4, topology);
+      expect(edges).toHaveLength(computeEdges(30, 4, topology));
+      expect(new Set(edges.map(([a, b]) => `${a}-${b}`)).size).toBe(edges.length);
+    }
+  });
+
+  it("wires every spoke to agent 1 in hub-and-spoke", () => {
+    const edges = generateEdges(6, 1, "hub");
+    expect(edges).toEqual([[1, 2], [1, 3], [1, 4], [1, 5], [1, 6]]);
+  });
+});
@@ -0,0 +1,151 @@
+import { clamp, safeFloat, safeInt } from "./util.js";
+import { couplingSeries, riskFromWeight, sanitizeParams } from "./model.js";
+import { allModelParams, modelParamSpecs } from "./registry.js";
+
+/*
+ * Monte Carlo uncertainty over the model parameters. Each parameter is either
+ * fixed (the curve's own value) or drawn from a distribution. One parameter set
+ * is drawn per sample and applied to every n, so each sample is a coherent curve;
+ * percentiles are then taken per n. Distributions are kept for the parameters
+ * of every model; each curve draws only those its own model uses.
+ */
+
+export const DISTRIBUTIONS = [
+  { value: "fixed", label: "Fixed", fields: [] },
+  { value: "uniform", label: "Uniform", fields: ["min", "max"] },
+  { value: "normal", label: "Normal", fields: ["mean", "sd", "min", "max"] },
+  { value: "triangular", label: "Triangular", fields: ["min", "mode", "max"] },
+];
+
+export const DEFAULT_UNCERTAINTY = {
+  enabled: false,
+  samples: 200,
+  seed: 1,
+  dists: {},
+};
+
+const MAX_SAMPLES = 2000;
+
+function sanitizeDistribution(raw, spec) {
+  const type = DISTRIBUTIONS.some((d) => d.value === raw?.type) ? raw.type : "fixed";
+  const num = (v, fallback) => clamp(safeFloat(v, fallback), spec.min, spec.max);
+  if (type === "fixed") return { type };
+
+  const min = num(raw.min, spec.min);
+  const max = Math.max(min, num(raw.max, spec.max));
+  if (type === "uniform") return { type, min, max };
+  if (type === "triangular") return { type, min, mode: clamp(num(raw.mode, (min + max) / 2), min, max), max };
+  return {
+    type,
+    mean: clamp(num(raw.mean, (min + max) / 2), min, max),
+    sd: Math.max(0, safeFloat(raw.sd, (max - min) / 4)),
+    min,
+    max,
+  };
+}
+
+export function sanitizeUncertainty(raw) {
+  const dists = {};
+  for (const p of allModelParams()) {
+    const d = sanitizeDistribution(raw?.dists?.[p.key], p);
+    if (d.type !== "fixed") dists[p.key] = d;
+  }
+  return {
+    enabled: Boolean(raw?.enabled),
+    samples: clamp(safeInt(raw?.samples, DEFAULT_UNCERTAINTY.samples), 10, MAX_SAMPLES),
+    seed: clamp(safeInt(raw?.seed, DEFAULT_UNCERTAINTY.seed), 0, 2 ** 31 - 1),
+    dists,
+  };
+}
+
+/** Seeded PRNG (mulberry32) returning floats in [0, 1). */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(rng) {
+  const u = Math.max(rng(), Number.EPSILON);
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export function sampleDistribution(dist, rng, fixedValue) {
+  switch (dist?.type) {
+    case "uniform":
+      return dist.min + (dist.max - dist.min) * rng();
+    case "triangular": {
+      const { min, mode, max } = dist;
+      if (max <= min) return min;
+      const u = rng();
+      const c = (mode - min) / (max - min);
+      return u < c ? min + Math.sqrt(u * (max - min) * (mode - min)) : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case "normal": {
+      // Truncated to [min, max] by rejection, with a clamp as the last resort.
+      for (let tries = 0; tries < 20; tries += 1) {
+        const x = dist.mean + dist.sd * standardNormal(rng);
+        if (x >= dist.min && x <= dist.max) return x;
+      }
+      return clamp(dist.mean, dist.min, dist.max);
+    }
+    default:
+      return fixedValue;
+  }
+}
+
+/** Linear-interpolated percentile of an ascending array, q in [0, 1]. */
+export function percentile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * P10, median and P90 of connected risk and of the risk multiple for every n
+ * up to scenario.n, or only at the n listed in `agents`. The same seed always
+ * gives the same bands, whichever n are evaluated.
+ */
+export function monteCarloSeries(scenario, uncertainty, { agents } = {}) {
+  const spec = sanitizeUncertainty(uncertainty);
+  const base = sanitizeParams(scenario.params, scenario.model);
+  const { edges, weights } = couplingSeries(scenario);
+  const specs = modelParamSpecs(scenario.model);
+  const rng = createRng(spec.seed);
+  const at = agents ? agents.filter((i) => i >= 1 && i <= weights.length) : weights.map((_, idx) => idx + 1);
+
+  const connected = at.map(() => new Float64Array(spec.samples));
+  const multiple = at.map(() => new Float64Array(spec.samples));
+
+  for (let s = 0; s < spec.samples; s += 1) {
+    const p = {};
+    for (const mp of specs) p[mp.key] = sampleDistribution(spec.dists[mp.key], rng, base[mp.key]);
+    at.forEach((i, idx) => {
+      const r = riskFromWeight(i, weights[i - 1], p, scenario.mitigations, { model: scenario.model, edges: edges[i - 1] });
+      connected[idx][s] = r;
+      multiple[idx][s] = p.r0 > 0 ? r / (i * p.r0) : 0;
+    });
+  }
+
+  return at.map((i, idx) => {
+    const c = connected[idx].sort();
+    const m = multiple[idx].sort();
+    return {
+      agents: i,
+      p10: percentile(c, 0.1),
+      p50: percentile(c, 0.5),
+      p90: percentile(c, 0.9),
+      multipleP10: percentile(m, 0.1),
+      multipleP50: percentile(m, 0.5),
+      multipleP90: percentile(m, 0.9),
+    };
+  });
+}
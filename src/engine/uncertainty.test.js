@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { createRng, monteCarloSeries, percentile, sampleDistribution, sanitizeUncertainty } from "./uncertainty.js";
+import { computeSeries, DEFAULTS } from "./model.js";
+
+const scenario = { n: 40, autonomy: 6, k: 3, topology: "bounded", params: DEFAULTS };
+const spec = {
+  enabled: true,
+  samples: 400,
+  seed: 42,
+  dists: {
+    alpha: { type: "uniform", min: 0.2, max: 0.4 },
+    gamma: { type: "triangular", min: 0.05, mode: 0.12, max: 0.2 },
+    loadL: { type: "normal", mean: 1.3, sd: 0.2, min: 0.8, max: 1.8 },
+  },
+};
+
+describe("distributions", () => {
+  it("stay within their bounds", () => {
+    const rng = createRng(7);
+    for (const d of Object.values(spec.dists)) {
+      for (let i = 0; i < 500; i += 1) {
+        const x = sampleDistribution(d, rng, 0);
+        expect(x).toBeGreaterThanOrEqual(d.min);
+        expect(x).toBeLessThanOrEqual(d.max);
+      }
+    }
+    expect(sampleDistribution({ type: "fixed" }, rng, 3)).toBe(3);
+  });
+
+  it("sanitises specs and drops fixed parameters", () => {
+    const s = sanitizeUncertainty({ samples: 5, dists: { alpha: { type: "uniform", min: 0.5, max: 0.1 }, r0: { type: "fixed" } } });
+    expect(s.samples).toBe(10);
+    expect(s.dists).toEqual({ alpha: { type: "uniform", min: 0.5, max: 0.5 } });
+  });
+
+  it("interpolates percentiles", () => {
+    expect(percentile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+    expect(percentile([0, 10], 0.1)).toBeCloseTo(1, 9);
+  });
+});
+
+describe("monteCarloSeries", () => {
+  it("is reproducible from the seed", () => {
+    expect(monteCarloSeries(scenario, spec)).toEqual(monteCarloSeries(scenario, spec));
+    expect(monteCarloSeries(scenario, { ...spec, seed: 43 })).not.toEqual(monteCarloSeries(scenario, spec));
+  });
+
+  it("brackets the deterministic curve with ordered bands", () => {
+    const bands = monteCarloSeries(scenario, spec);
+    const point = computeSeries(scenario);
+    expect(bands).toHaveLength(40);
+    for (const row of bands.slice(5)) {
+      expect(row.p10).toBeLessThanOrEqual(row.p50);
+      expect(row.p50).toBeLessThanOrEqual(row.p90);
+      expect(row.multipleP10).toBeLessThanOrEqual(row.multipleP90);
+    }
+    const last = bands[39];
+    expect(last.p10).toBeLessThan(point[39].connected);
+    expect(last.p90).toBeGreaterThan(point[39].connected);
+  });
+
+  it("collapses to the point estimate when every parameter is fixed", () => {
+    const bands = monteCarloSeries(scenario, { ...spec, dists: {} });
+    const point = computeSeries(scenario);
+    bands.forEach((row, idx) => {
+      expect(row.p10).toBeCloseTo(point[idx].connected, 6);
+      expect(row.p90).toBeCloseTo(point[idx].connected, 6);
+    });
+  });
+
+  it("evaluates only the requested n, with the same bands", () => {
+    const full = monteCarloSeries(scenario, spec);
+    const some = monteCarloSeries(scenario, spec, { agents: [1, 10, 40, 99] });
+    expect(some.map((r) => r.agents)).toEqual([1, 10, 40]);
+    expect(some[1]).toEqual(full[9]);
+    expect(some[2]).toEqual(full[39]);
+  });
+});
@@ -0,0 +1,17 @@
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+export function safeInt(v, fallback) {
+  const n = Number.parseInt(String(v), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function safeFloat(v, fallback) {
+  const n = Number.parseFloat(String(v));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function stableId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,272 @@
+import { stableId } from "./util.js";
+import { chartView, sanitizeParams } from "./model.js";
+import { allModelParams } from "./registry.js";
+import { MAX_SAVED, MAX_SCENARIOS, sanitizeScenario, scenarioFixes, scenarioToQuery } from "./scenario.js";
+import { parseRosterText } from "./roster.js";
+import { sanitizeUncertainty } from "./uncertainty.js";
+import { sanitizeBudget } from "./budget.js";
+import { sanitizePolicy } from "./policy.js";
+import { sanitizePlan } from "./rollout.js";
+
+/*
+ * Workspace files: a versioned JSON snapshot of the current controls, model
+ * parameters, view settings, pinned scenarios, saved scenarios and saved
+ * rollout plans. Imports run every scenario through sanitizeScenario, the
+ * same rules as the share URL, and report what was fixed or skipped per row.
+ */
+
+export const WORKSPACE_FORMAT = "emergence-risk-workspace";
+export const WORKSPACE_VERSION = 1;
+
+/** Workspace object for JSON.stringify. `current` holds the main controls as a scenario. */
+export function buildWorkspace({ current, scenarios = [], savedScenarios = [], savedPlans = [], settings = {} }) {
+  const { id: _id, name: _name, params, ...controls } = scenarioToQuery({ id: "", name: "", ...current });
+  return {
+    format: WORKSPACE_FORMAT,
+    version: WORKSPACE_VERSION,
+    exportedAt: new Date().toISOString(),
+    current: controls,
+    modelParams: params,
+    settings: {
+      view: chartView(settings.view).value,
+      logX: Boolean(settings.logX),
+      uncertainty: sanitizeUncertainty(settings.uncertainty),
+      budget: sanitizeBudget(settings.budget),
+      policy: sanitizePolicy(settings.policy),
+    },
+    scenarios: scenarios.map(scenarioToQuery),
+    savedScenarios: savedScenarios.map(scenarioToQuery),
+    savedPlans,
+  };
+}
+
+function readScenarioRows(rows, where, fallbackName, errors, warnings) {
+  if (rows == null) return [];
+  if (!Array.isArray(rows)) {
+    errors.push(`${where}: expected a list of scenarios`);
+    return [];
+  }
+  const out = [];
+  rows.forEach((raw, idx) => {
+    const at = `${where} row ${idx + 1}`;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      errors.push(`${at}: not a scenario object, skipped`);
+      return;
+    }
+    const clean = sanitizeScenario(raw, `${fallbackName} ${idx + 1}`);
+    for (const fix of scenarioFixes(raw, clean)) warnings.push(`${at} (${clean.name}): ${fix}`);
+    out.push(clean);
+  });
+  return out;
+}
+
+function capped(list, max, where, warnings) {
+  if (list.length > max) warnings.push(`${where}: ${list.length} rows, only the first ${max} are kept`);
+  return list.slice(0, max);
+}
+
+/**
+ * Sanitised workspace from a parsed JSON value. Accepts a workspace file, or a
+ * bare scenario list (an array, or `{ scenarios }` as used by the CLI), which
+ * imports as pinned scenarios only. Returns { workspace, errors, warnings };
+ * `workspace` is null when the file cannot be used at all. Fields a partial
+ * file leaves out are null.
+ */
+export function readWorkspace(value) {
+  const errors = [];
+  const warnings = [];
+  const fail = (message) => ({ workspace: null, errors: [...errors, message], warnings });
+
+  if (Array.isArray(value)) value = { scenarios: value };
+  if (!value || typeof value !== "object") return fail("expected a workspace object or a list of scenarios");
+
+  const isWorkspace = value.format === WORKSPACE_FORMAT;
+  if (isWorkspace) {
+    const version = Number(value.version);
+    if (!Number.isInteger(version) || version < 1) return fail("workspace has no valid version");
+    if (version > WORKSPACE_VERSION) return fail(`workspace version ${version} is newer than this app supports (${WORKSPACE_VERSION})`);
+  } else if (!Array.isArray(value.scenarios)) {
+    return fail(`not a workspace file (expected "format": "${WORKSPACE_FORMAT}") or a list of scenarios`);
+  }
+
+  const workspace = {
+    current: null,
+    modelParams: null,
+    settings: null,
+    scenarios: capped(readScenarioRows(value.scenarios, "scenarios", "Scenario", errors, warnings), MAX_SCENARIOS, "scenarios", warnings),
+    savedScenarios: null,
+    savedPlans: null,
+  };
+
+  if (isWorkspace) {
+    if (value.current) {
+      const raw = { ...value.current, params: value.modelParams };
+      workspace.current = sanitizeScenario(raw, "Current");
+      for (const fix of scenarioFixes(raw, workspace.current)) warnings.push(`current: ${fix}`);
+    }
+    workspace.modelParams = sanitizeParams(value.modelParams, workspace.current?.model);
+    workspace.settings = {
+      view: chartView(value.settings?.view).value,
+      logX: Boolean(value.settings?.logX),
+      uncertainty: sanitizeUncertainty(value.settings?.uncertainty),
+      budget: sanitizeBudget(value.settings?.budget),
+      policy: sanitizePolicy(value.settings?.policy),
+    };
+    workspace.savedScenarios = capped(
+      readScenarioRows(value.savedScenarios, "savedScenarios", "Saved", errors, warnings),
+      MAX_SAVED,
+      "savedScenarios",
+      warnings
+    );
+    const plans = Array.isArray(value.savedPlans) ? value.savedPlans : [];
+    workspace.savedPlans = capped(
+      plans.map((p, idx) => {
+        const plan = sanitizePlan(p, `Plan ${idx + 1}`);
+        const dropped = (Array.isArray(p?.phases) ? p.phases.length : 0) - plan.phases.length;
+        if (dropped > 0) warnings.push(`savedPlans row ${idx + 1} (${plan.name}): ${dropped} phase(s) without a valid date skipped`);
+        return plan;
+      }),
+      MAX_SAVED,
+      "savedPlans",
+      warnings
+    );
+  }
+
+  return { workspace, errors, warnings };
+}
+
+// Read per import, so models registered later bring their parameter columns.
+function csvFields() {
+  return ["name", "n", "autonomy", "k", "topology", "model", "roster", "mitigations", ...allModelParams().map((p) => p.csv)];
+}
+
+function splitCsvLine(line) {
+  const out = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      out.push(cell.trim());
+      cell = "";
+    } else cell += ch;
+  }
+  out.push(cell.trim());
+  return out;
+}
+
+/**
+ * Scenarios from CSV with a header row. Columns (any order, case-insensitive):
+ * name, n, autonomy, k, topology, model, roster ("40x3,5x9"), mitigations
+ * (ids separated by ";" or spaces) and the parameters of every registered
+ * model (r0, L, alpha, gamma, ...); each row keeps those of its own model.
+ * Unknown columns are reported and ignored.
+ */
+export function parseScenarioCsv(text) {
+  const errors = [];
+  const warnings = [];
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((l, idx) => ({ line: l, number: idx + 1 }))
+    .filter(({ line }) => line.trim() && !line.trim().startsWith("#"));
+  if (!lines.length) return { workspace: null, errors: ["CSV is empty"], warnings };
+
+  const header = splitCsvLine(lines[0].line).map((h) => h.toLowerCase());
+  const known = new Map(csvFields().map((f) => [f.toLowerCase(), f]));
+  header.forEach((h) => {
+    if (!known.has(h)) warnings.push(`column "${h}" is not a scenario field and was ignored`);
+  });
+  if (!header.some((h) => known.has(h))) return { workspace: null, errors: ["CSV header has no scenario columns"], warnings };
+
+  const rows = lines.slice(1).map(({ line, number }) => {
+    const cells = splitCsvLine(line);
+    const row = { params: {} };
+    header.forEach((h, idx) => {
+      const field = known.get(h);
+      const v = cells[idx];
+      if (!field || v === undefined || v === "") return;
+      const param = allModelParams().find((p) => p.csv === field);
+      if (param) row.params[param.key] = v;
+      else if (field === "roster") {
+        row.roster = parseRosterText(v);
+        if (!row.roster) warnings.push(`line ${number}: roster "${v}" is not like 40x3,5x9 and was ignored`);
+      } else if (field === "mitigations") row.mitigations = v.split(/[;\s]+/).filter(Boolean);
+      else row[field] = v;
+    });
+    if (cells.length > header.length) warnings.push(`line ${number}: ${cells.length - header.length} extra cell(s) ignored`);
+    return row;
+  });
+
+  const scenarios = readScenarioRows(rows, "CSV", "Scenario", errors, warnings).map((s) => ({ ...s, id: stableId() }));
+  return {
+    workspace: {
+      current: null,
+      modelParams: null,
+      settings: null,
+      scenarios: capped(scenarios, MAX_SCENARIOS, "CSV", warnings),
+      savedScenarios: null,
+      savedPlans: null,
+    },
+    errors,
+    warnings,
+  };
+}
+
+/** Workspace JSON, a scenario list in JSON, or scenario CSV, detected from the content. */
+export function parseImport(text) {
+  const trimmed = String(text ?? "").trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      return readWorkspace(JSON.parse(trimmed));
+    } catch (e) {
+      return { workspace: null, errors: [`invalid JSON: ${e.message}`], warnings: [] };
+    }
+  }
+  return parseScenarioCsv(trimmed);
+}
+
+// Incoming items whose id is already taken get a fresh id, so merged lists stay unique.
+function mergeById(existing, incoming, max) {
+  const ids = new Set(existing.map((x) => x.id));
+  const added = incoming.map((x) => (ids.has(x.id) ? { ...x, id: stableId() } : x));
+  const all = [...existing, ...added];
+  return { list: all.slice(0, max), dropped: Math.max(0, all.length - max) };
+}
+
+/**
+ * Applies an imported workspace to the current one. Both have the shape
+ * readWorkspace returns; every field of `current` must be filled in. "replace" takes every
+ * field the import has; "merge" keeps the current controls, parameters and
+ * settings and appends scenarios and plans up to their caps.
+ * Returns { workspace, dropped } where `dropped` counts rows cut by the caps.
+ */
+export function mergeWorkspace(current, incoming, mode) {
+  if (mode === "replace") {
+    const pick = (key) => incoming[key] ?? current[key];
+    return {
+      workspace: {
+        current: pick("current"),
+        modelParams: pick("modelParams"),
+        settings: pick("settings"),
+        scenarios: incoming.scenarios ?? [],
+        savedScenarios: pick("savedScenarios"),
+        savedPlans: pick("savedPlans"),
+      },
+      dropped: 0,
+    };
+  }
+  const scenarios = mergeById(current.scenarios, incoming.scenarios ?? [], MAX_SCENARIOS);
+  const saved = mergeById(current.savedScenarios, incoming.savedScenarios ?? [], MAX_SAVED);
+  const plans = mergeById(current.savedPlans, incoming.savedPlans ?? [], MAX_SAVED);
+  return {
+    workspace: { ...current, scenarios: scenarios.list, savedScenarios: saved.list, savedPlans: plans.list },
+    dropped: scenarios.dropped + saved.dropped + plans.dropped,
+  };
+}
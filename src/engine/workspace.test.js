@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULTS } from "./model.js";
+import { MAX_SCENARIOS, sanitizeScenario } from "./scenario.js";
+import { DEFAULT_BUDGET } from "./budget.js";
+import { DEFAULT_UNCERTAINTY } from "./uncertainty.js";
+import { DEFAULT_POLICY } from "./policy.js";
+import { EXAMPLE_PLAN, sanitizePlan } from "./rollout.js";
+import { WORKSPACE_VERSION, buildWorkspace, mergeWorkspace, parseImport } from "./workspace.js";
+
+const params = { r0: DEFAULTS.r0, loadL: DEFAULTS.loadL, alpha: DEFAULTS.alpha, gamma: DEFAULTS.gamma };
+const current = sanitizeScenario({ n: 40, autonomy: 6, k: 2, topology: "hub", params }, "Current");
+const pinned = sanitizeScenario({ id: "a", name: "Pilot", n: 10, autonomy: 3, k: 1, topology: "pipeline", params }, "");
+const saved = sanitizeScenario({ id: "b", name: "Mesh", n: 20, autonomy: 5, k: 3, topology: "mesh", params }, "");
+const plan = sanitizePlan({ ...EXAMPLE_PLAN, id: "p" });
+const POLICY = { enabled: true, amber: 2, red: 5, byAutonomy: { 6: { amber: 1, red: 3 } } };
+
+function exported() {
+  return buildWorkspace({
+    current,
+    scenarios: [pinned],
+    savedScenarios: [saved],
+    savedPlans: [plan],
+    settings: { view: "log", logX: true, uncertainty: DEFAULT_UNCERTAINTY, budget: { enabled: true, mode: "absolute", value: 500 }, policy: POLICY },
+  });
+}
+
+describe("workspace round trip", () => {
+  it("exports and re-imports every section", () => {
+    const file = exported();
+    expect(file.version).toBe(WORKSPACE_VERSION);
+    const { workspace, errors, warnings } = parseImport(JSON.stringify(file));
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(workspace.current).toMatchObject({ n: 40, autonomy: 6, k: 2, topology: "hub" });
+    expect(workspace.modelParams).toEqual(params);
+    expect(workspace.settings).toEqual({ view: "log", logX: true, uncertainty: DEFAULT_UNCERTAINTY, budget: { enabled: true, mode: "absolute", value: 500 }, policy: POLICY });
+    expect(workspace.scenarios).toEqual([pinned]);
+    expect(workspace.savedScenarios).toEqual([saved]);
+    expect(workspace.savedPlans).toEqual([plan]);
+  });
+
+  it("rejects newer versions and unknown files", () => {
+    expect(parseImport(JSON.stringify({ ...exported(), version: WORKSPACE_VERSION + 1 })).errors[0]).toMatch(/newer/);
+    expect(parseImport('{"hello": 1}').workspace).toBeNull();
+    expect(parseImport("{oops").errors[0]).toMatch(/invalid JSON/);
+  });
+});
+
+describe("row-level validation", () => {
+  it("reports values the scenario rules fixed, per row", () => {
+    const { workspace, errors, warnings } = parseImport(
+      JSON.stringify([{ name: "Big", n: 90000, autonomy: 4, k: 1, topology: "ring" }, 7, { name: "Ok", n: 5 }])
+    );
+    expect(workspace.scenarios.map((s) => [s.name, s.n, s.topology])).toEqual([
+      ["Big", 50000, "bounded"],
+      ["Ok", 5, "bounded"],
+    ]);
+    expect(errors).toEqual(["scenarios row 2: not a scenario object, skipped"]);
+    expect(warnings).toEqual([
+      'scenarios row 1 (Big): unknown topology "ring", used bounded',
+      "scenarios row 1 (Big): n=90000 is invalid or out of range, used 50000",
+    ]);
+  });
+
+  it("reads scenario CSV with parameters and rosters", () => {
+    const csv = ["name,n,autonomy,k,topology,r0,roster,notes", '"Pilot, v2",10,3,1,pipeline,2,,x', "Mixed,,,2,hub,-1,40x3,", "Bad k,5,5,9,mesh,,,"].join("\n");
+    const { workspace, warnings } = parseImport(csv);
+    expect(workspace.scenarios.map((s) => [s.name, s.n, s.autonomy, s.k, s.topology])).toEqual([
+      ["Pilot, v2", 10, 3, 1, "pipeline"],
+      ["Mixed", 40, 3, 2, "hub"],
+      ["Bad k", 5, 5, 4, "mesh"],
+    ]);
+    expect(workspace.scenarios[0].params.r0).toBe(2);
+    expect(warnings[0]).toMatch(/column "notes"/);
+    expect(warnings.some((w) => w.startsWith("CSV row 2 (Mixed): r0=-1"))).toBe(true);
+    expect(warnings).toContain("CSV row 3 (Bad k): k=9 is invalid or out of range, used 4");
+  });
+
+  it("keeps at most MAX_SCENARIOS pinned scenarios", () => {
+    const rows = Array.from({ length: MAX_SCENARIOS + 2 }, (_, i) => ({ n: i + 1 }));
+    const { workspace, warnings } = parseImport(JSON.stringify({ scenarios: rows }));
+    expect(workspace.scenarios).toHaveLength(MAX_SCENARIOS);
+    expect(warnings.at(-1)).toMatch(/only the first 8/);
+  });
+});
+
+describe("mergeWorkspace", () => {
+  const mine = {
+    current,
+    modelParams: params,
+    settings: { view: "linear", logX: false, uncertainty: DEFAULT_UNCERTAINTY, budget: DEFAULT_BUDGET, policy: DEFAULT_POLICY },
+    scenarios: [pinned],
+    savedScenarios: [saved],
+    savedPlans: [],
+  };
+
+  it("merge keeps the current view and appends with fresh ids on collision", () => {
+    const { workspace: incoming } = parseImport(JSON.stringify(exported()));
+    const { workspace, dropped } = mergeWorkspace(mine, incoming, "merge");
+    expect(dropped).toBe(0);
+    expect(workspace.settings).toBe(mine.settings);
+    expect(workspace.scenarios).toHaveLength(2);
+    expect(new Set(workspace.scenarios.map((s) => s.id)).size).toBe(2);
+    expect(workspace.savedPlans).toEqual([plan]);
+  });
+
+  it("replace takes the file, keeping what a partial file leaves out", () => {
+    const { workspace: incoming } = parseImport("name,n\nOnly,3");
+    const { workspace } = mergeWorkspace(mine, incoming, "replace");
+    expect(workspace.scenarios.map((s) => s.name)).toEqual(["Only"]);
+    expect(workspace.current).toBe(current);
+    expect(workspace.savedScenarios).toEqual([saved]);
+  });
+});